@@ -2,6 +2,11 @@ import { throwNoFileSystem } from './error';
 
 export const promises = {
 	mkdir: throwNoFileSystem('fs.mkdir'),
+	readdir: throwNoFileSystem('fs.readdir'),
 	readFile: throwNoFileSystem('fs.readFile'),
+	rename: throwNoFileSystem('fs.rename'),
+	stat: throwNoFileSystem('fs.stat'),
+	unlink: throwNoFileSystem('fs.unlink'),
+	utimes: throwNoFileSystem('fs.utimes'),
 	writeFile: throwNoFileSystem('fs.writeFile')
 };
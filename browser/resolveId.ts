@@ -13,11 +13,13 @@ export async function resolveId(
 		importer: string | undefined,
 		customOptions: CustomPluginOptions | undefined,
 		isEntry: boolean | undefined,
+		attributes: Record<string, string>,
 		skip: readonly { importer: string | undefined; plugin: Plugin; source: string }[] | null
 	) => Promise<ResolvedId | null>,
 	skip: readonly { importer: string | undefined; plugin: Plugin; source: string }[] | null,
 	customOptions: CustomPluginOptions | undefined,
-	isEntry: boolean
+	isEntry: boolean,
+	attributes: Record<string, string>
 ): Promise<ResolveIdResult> {
 	const pluginResult = await resolveIdViaPlugins(
 		source,
@@ -26,7 +28,8 @@ export async function resolveId(
 		moduleLoaderResolveId,
 		skip,
 		customOptions,
-		isEntry
+		isEntry,
+		attributes
 	);
 	if (pluginResult == null) {
 		throwNoFileSystem('path.resolve');
@@ -1,7 +1,8 @@
+import { dirname, join } from 'path';
 import process from 'process';
 import ms from 'pretty-ms';
 import { rollup } from '../../src/node-entry';
-import type { MergedRollupOptions } from '../../src/rollup/types';
+import type { MergedRollupOptions, OutputOptions } from '../../src/rollup/types';
 import { bold, cyan, green } from '../../src/utils/colors';
 import relativeId from '../../src/utils/relativeId';
 import { SOURCEMAPPING_URL } from '../../src/utils/sourceMappingURL';
@@ -80,9 +81,20 @@ export default async function build(
 	if (!silent) {
 		warnings.flush();
 		stderr(green(`created ${bold(files.join(', '))} in ${bold(ms(Date.now() - start))}`));
+		printAnalysisReports(outputOptions);
 		// 打印日志：created dist in 4s
 		if (bundle && bundle.getTimings) {
 			printTimings(bundle.getTimings());
 		}
 	}
 }
+
+function printAnalysisReports(outputOptions: readonly OutputOptions[]): void {
+	for (const { analyze, dir, file } of outputOptions) {
+		if (analyze) {
+			const reportName = analyze === true ? 'bundle-analysis' : analyze;
+			const reportPath = join(dir || dirname(file!), `${reportName}.html`);
+			stderr(cyan(`bundle analysis written to ${bold(relativeId(reportPath))}`));
+		}
+	}
+}
@@ -1,6 +1,9 @@
 import { resolve } from 'path';
 import { pathToFileURL } from 'url';
 import type { InputOptions } from '../../src/rollup/types';
+import { ensureArray } from '../../src/utils/ensureArray';
+import { explainPlugin } from './explain';
+import { reportSideEffectsPlugin } from './reportSideEffects';
 import { stdinPlugin } from './stdin';
 import { waitForInputPlugin } from './waitForInput';
 
@@ -17,6 +20,16 @@ export async function addCommandPluginsToInputOptions(
 		// 是否等到所有文件都存在后开始启动构建
 		inputOptions.plugins!.push(waitForInputPlugin());
 	}
+	if (command.explain) {
+		// 打印指定位置的代码被保留的原因
+		// rollup -i main.js --explain src/dep.js:3
+		inputOptions.plugins!.push(explainPlugin(ensureArray(command.explain as string | string[])));
+	}
+	if (command['report-side-effects']) {
+		// 列出仅因副作用而被保留的模块
+		// rollup -i main.js --report-side-effects
+		inputOptions.plugins!.push(reportSideEffectsPlugin());
+	}
 	// 将 命令行中指定的 plugin 合并入 options.plugins
 	await addPluginsFromCommandOption(command.plugin, inputOptions);
 }
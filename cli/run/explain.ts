@@ -0,0 +1,113 @@
+import { resolve } from 'path';
+import type {
+	InclusionReason,
+	InclusionReasonLocation,
+	InputOptions,
+	NormalizedInputOptions,
+	Plugin,
+	PluginContext
+} from '../../src/rollup/types';
+import { bold, cyan } from '../../src/utils/colors';
+import relativeId from '../../src/utils/relativeId';
+import { stderr } from '../logging';
+
+export function explainPlugin(locations: readonly string[]): Plugin {
+	let isTreeshaking = true;
+	return {
+		buildEnd(this: PluginContext, error?: Error) {
+			if (error) return;
+			// inclusion reasons are only tracked while tree-shaking
+			if (!isTreeshaking) {
+				return this.warn(
+					'--explain needs tree-shaking, no report is generated as "treeshake" is false.'
+				);
+			}
+			for (const location of locations) {
+				explainLocation(this, location);
+			}
+		},
+		buildStart({ treeshake }: NormalizedInputOptions) {
+			isTreeshaking = treeshake !== false;
+		},
+		name: 'explain',
+		options(options: InputOptions) {
+			const { treeshake } = options;
+			if (treeshake === false) return null;
+			return {
+				...options,
+				treeshake: {
+					...(typeof treeshake === 'object'
+						? treeshake
+						: typeof treeshake === 'string'
+						? { preset: treeshake }
+						: {}),
+					explain: true
+				}
+			};
+		}
+	};
+}
+
+function explainLocation(context: PluginContext, location: string): void {
+	const separatorIndex = location.lastIndexOf(':');
+	const line = Number(location.slice(separatorIndex + 1));
+	if (separatorIndex <= 0 || !Number.isInteger(line) || line < 1) {
+		return context.error(
+			`Invalid --explain argument ${JSON.stringify(location)}, expected "<file>:<line>".`
+		);
+	}
+	const id = resolve(location.slice(0, separatorIndex));
+	const code = context.getModuleInfo(id)?.code;
+	if (typeof code !== 'string') {
+		return context.warn(`Cannot explain ${location} as the file is not part of the bundle.`);
+	}
+	const pos = getPositionOfLine(code, line);
+	const reasons = pos === null ? null : context.getInclusionReason(id, pos);
+	if (!reasons) {
+		stderr(cyan(`${bold(location)} was not included in the bundle.`));
+		return;
+	}
+	stderr(cyan(`${bold(location)} was included because`));
+	for (const reason of reasons) {
+		stderr(`  ${describeInclusionReason(reason)}`);
+	}
+}
+
+function getPositionOfLine(code: string, line: number): number | null {
+	const lines = code.split('\n');
+	if (line > lines.length) return null;
+	let pos = 0;
+	for (let index = 0; index < line - 1; index++) {
+		pos += lines[index].length + 1;
+	}
+	// point at the first non-whitespace character so that indentation does not count
+	return pos + lines[line - 1].search(/\S|$/);
+}
+
+function describeInclusionReason({
+	column,
+	exporter,
+	id,
+	line,
+	name,
+	origin,
+	type
+}: InclusionReason): string {
+	const location = formatLocation({ column, id, line });
+	switch (type) {
+		case 'deoptimized-path':
+			return `${location} mutates "${name}", which is deoptimized at ${formatLocation(origin!)}`;
+		case 'effect':
+			return `${location} has side effects`;
+		case 'export':
+			return `${location} declares "${name}", which is exported by ${relativeId(exporter!)}`;
+		case 'no-treeshake':
+			return `${location} is part of a module that is not tree-shaken`;
+		case 'reference':
+			return `${location} declares "${name}", which is referenced at ${formatLocation(origin!)}`;
+	}
+}
+
+function formatLocation({ column, id, line }: InclusionReasonLocation): string {
+	return bold(`${relativeId(id)}:${line}:${column}`);
+}
@@ -69,7 +69,7 @@ export default async function runRollup(command: Record<string, any>): Promise<v
 		});
 	}
 
-	if (isWatchEnabled(command.watch)) {
+	if (isWatchEnabled(command.watch) || command.serve) {
 		// 开启监听模式
 		await loadFsEvents();
 		const { watch } = await import('./watch-cli');
@@ -0,0 +1,43 @@
+import type { Plugin, PluginContext, SideEffectsReport } from '../../src/rollup/types';
+import { bold, cyan, dim } from '../../src/utils/colors';
+import relativeId from '../../src/utils/relativeId';
+import { stderr } from '../logging';
+
+export function reportSideEffectsPlugin(): Plugin {
+	return {
+		buildEnd(this: PluginContext, error?: Error) {
+			if (error) return;
+			printSideEffectsReport(this.getSideEffectsReport());
+		},
+		name: 'report-side-effects'
+	};
+}
+
+function printSideEffectsReport({ modules, suggestion }: SideEffectsReport): void {
+	if (modules.length === 0) {
+		stderr(cyan('No modules are only included because of their side effects.'));
+		return;
+	}
+	const count = modules.length === 1 ? '1 module is' : `${modules.length} modules are`;
+	stderr(cyan(`${bold(count)} only included because of side effects:`));
+	for (const { column, frame, id, line } of modules) {
+		stderr(`\n${bold(`${relativeId(id)} (${line}:${column})`)}`);
+		stderr(dim(frame));
+	}
+	const { moduleSideEffects, packageJsonSideEffects } = suggestion;
+	stderr(cyan('\nThey can be removed by marking them as side effect free.'));
+	if (moduleSideEffects.length > 0) {
+		// relative paths keep the suggested configuration portable
+		stderr(
+			`Via the "treeshake.moduleSideEffects" option:\n  moduleSideEffects: id => !${JSON.stringify(
+				moduleSideEffects.map(id => relativeId(id))
+			)}.some(file => path.resolve(file) === id)`
+		);
+	}
+	if (packageJsonSideEffects.length > 0) {
+		stderr('Via "sideEffects": false in');
+		for (const packageJson of packageJsonSideEffects) {
+			stderr(`  ${relativeId(packageJson)}`);
+		}
+	}
+}
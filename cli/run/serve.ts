@@ -0,0 +1,254 @@
+import { promises as fs } from 'fs';
+import { createServer, type IncomingMessage, type Server, type ServerResponse } from 'http';
+import { basename, dirname, extname, isAbsolute, posix, relative, resolve } from 'path';
+import type {
+	MergedRollupOptions,
+	OutputOptions,
+	RollupBuild,
+	RollupError,
+	RollupOutput
+} from '../../src/rollup/types';
+import { ensureArray } from '../../src/utils/ensureArray';
+import { SOURCEMAPPING_URL } from '../../src/utils/sourceMappingURL';
+import { handleError } from '../logging';
+
+interface ServeOptions {
+	dir?: string;
+	host?: string;
+	port?: number;
+}
+
+type ServePayload = { type: 'reload' } | { message: string; type: 'error' };
+
+const DEFAULT_PORT = 10001;
+const EVENTS_PATH = '/__rollup_serve';
+
+const MIME_TYPES: Record<string, string> = {
+	'.cjs': 'text/javascript',
+	'.css': 'text/css',
+	'.gif': 'image/gif',
+	'.htm': 'text/html',
+	'.html': 'text/html',
+	'.ico': 'image/x-icon',
+	'.jpeg': 'image/jpeg',
+	'.jpg': 'image/jpeg',
+	'.js': 'text/javascript',
+	'.json': 'application/json',
+	'.map': 'application/json',
+	'.mjs': 'text/javascript',
+	'.png': 'image/png',
+	'.svg': 'image/svg+xml',
+	'.txt': 'text/plain',
+	'.wasm': 'application/wasm',
+	'.webp': 'image/webp',
+	'.woff': 'font/woff',
+	'.woff2': 'font/woff2'
+};
+
+const CLIENT_SCRIPT = `<script>
+(() => {
+	const events = new EventSource(${JSON.stringify(EVENTS_PATH)});
+	events.onmessage = ({ data }) => {
+		const payload = JSON.parse(data);
+		if (payload.type === 'reload') {
+			location.reload();
+			return;
+		}
+		let overlay = document.getElementById('rollup-error-overlay');
+		if (!overlay) {
+			overlay = document.createElement('pre');
+			overlay.id = 'rollup-error-overlay';
+			overlay.style.cssText =
+				'position:fixed;inset:0;z-index:2147483647;margin:0;padding:2em;overflow:auto;background:rgba(0,0,0,0.9);color:#ff5555;font:14px/1.5 monospace;white-space:pre-wrap';
+			document.body.appendChild(overlay);
+		}
+		overlay.textContent = payload.message;
+	};
+})();
+</script>
+`;
+
+/**
+ * A static file server for watch mode. It serves the output directory of the
+ * first output of the first config or, if "watch.skipWrite" is set, the files
+ * generated in memory. HTML pages receive a client that reloads the page when
+ * a bundle is rebuilt and shows build errors in an overlay.
+ */
+export class DevServer {
+	readonly url: string;
+
+	private readonly clients = new Set<ServerResponse>();
+	private readonly dir: string | undefined;
+	private files: Map<string, string | Uint8Array> | null = null;
+	private hmr = false;
+	private output: OutputOptions = {};
+	private root = '';
+	private readonly server: Server;
+	private skipWrite = false;
+
+	constructor(serve: unknown) {
+		const { dir, host = 'localhost', port = DEFAULT_PORT } = getServeOptions(serve);
+		this.dir = dir && resolve(dir);
+		this.url = `http://${host}:${port}`;
+		this.server = createServer((request, response) =>
+			this.handleRequest(request, response).catch(() => {
+				// e.g. a file that cannot be read or a closed socket
+				if (!response.headersSent) {
+					response.writeHead(500, { 'Content-Type': 'text/plain' });
+				}
+				response.end();
+			})
+		)
+			.on('error', error => handleError(error))
+			.listen(port, host);
+	}
+
+	async bundleEnd(outputFiles: readonly string[], result: RollupBuild): Promise<void> {
+		const { dir, file } = this.output;
+		if (this.skipWrite && outputFiles.includes(resolve((dir || file)!))) {
+			this.files = getOutputFiles(await result.generate(this.output), this.output);
+		}
+		// updates are pushed by hot module replacement instead
+		if (!this.hmr) {
+			this.send({ type: 'reload' });
+		}
+	}
+
+	close(): void {
+		for (const client of this.clients) {
+			client.end();
+		}
+		this.server.close();
+	}
+
+	error({ frame, loc, message }: RollupError): void {
+		let text = message;
+		if (loc) {
+			text += `\n\n${loc.file} (${loc.line}:${loc.column})`;
+		}
+		if (frame) {
+			text += `\n${frame}`;
+		}
+		this.send({ message: text, type: 'error' });
+	}
+
+	setConfigs([{ output, watch }]: readonly MergedRollupOptions[]): void {
+		this.output = output[0];
+		this.root = this.dir || resolve(this.output.dir || dirname(this.output.file || '.'));
+		this.skipWrite = !!(watch && watch.skipWrite);
+		this.hmr = !!(watch && watch.hmr);
+		this.files = null;
+	}
+
+	private async handleRequest(request: IncomingMessage, response: ServerResponse): Promise<void> {
+		const { pathname } = new URL(request.url!, this.url);
+		if (pathname === EVENTS_PATH) {
+			response.writeHead(200, { 'Cache-Control': 'no-cache', 'Content-Type': 'text/event-stream' });
+			response.write(':\n\n');
+			this.clients.add(response);
+			request.on('close', () => this.clients.delete(response));
+			return;
+		}
+		let fileName: string;
+		try {
+			fileName = posix.normalize(decodeURIComponent(pathname)).slice(1);
+		} catch {
+			// malformed escape sequences like "%E0%A4%A"
+			response.writeHead(400, { 'Content-Type': 'text/plain' });
+			response.end('Bad request');
+			return;
+		}
+		if (fileName === '' || fileName.endsWith('/')) {
+			fileName += 'index.html';
+		}
+		let content = await this.readFile(fileName);
+		// single page applications handle all routes via the index.html file
+		if (content === null && !extname(fileName)) {
+			fileName = 'index.html';
+			content = await this.readFile(fileName);
+		}
+		if (content === null) {
+			response.writeHead(404, { 'Content-Type': 'text/plain' });
+			response.end('Not found');
+			return;
+		}
+		const type = MIME_TYPES[extname(fileName)] || 'application/octet-stream';
+		if (type === 'text/html') {
+			content = injectClient(String(content));
+		}
+		response.writeHead(200, { 'Cache-Control': 'no-cache', 'Content-Type': type });
+		response.end(content);
+	}
+
+	private async readFile(fileName: string): Promise<string | Uint8Array | null> {
+		// also rejects paths escaping via backslashes on Windows
+		const path = resolve(this.root, fileName);
+		const relativePath = relative(this.root, path);
+		if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+			return null;
+		}
+		if (this.files) {
+			return this.files.get(fileName) ?? null;
+		}
+		try {
+			return await fs.readFile(path);
+		} catch (err: any) {
+			if (err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'EISDIR') {
+				return null;
+			}
+			throw err;
+		}
+	}
+
+	private send(payload: ServePayload): void {
+		const message = `data: ${JSON.stringify(payload)}\n\n`;
+		for (const client of this.clients) {
+			client.write(message);
+		}
+	}
+}
+
+// "--serve" and "--serve.port 8080" are combined to [true, { port: 8080 }]
+function getServeOptions(serve: unknown): ServeOptions {
+	const options: ServeOptions = {};
+	for (const value of ensureArray(serve)) {
+		if (typeof value === 'object') {
+			Object.assign(options, value);
+		}
+	}
+	return options;
+}
+
+// Mirrors the files and sourcemap comments that "bundle.write" would create
+function getOutputFiles(
+	{ output }: RollupOutput,
+	{ sourcemap }: OutputOptions
+): Map<string, string | Uint8Array> {
+	const files = new Map<string, string | Uint8Array>();
+	for (const file of output) {
+		if (file.type === 'asset') {
+			files.set(file.fileName, file.source);
+			continue;
+		}
+		let { code } = file;
+		if (sourcemap && file.map) {
+			if (sourcemap === 'inline') {
+				code += `//# ${SOURCEMAPPING_URL}=${file.map.toUrl()}\n`;
+			} else {
+				files.set(`${file.fileName}.map`, file.map.toString());
+				if (sourcemap !== 'hidden') {
+					code += `//# ${SOURCEMAPPING_URL}=${basename(file.fileName)}.map\n`;
+				}
+			}
+		}
+		files.set(file.fileName, code);
+	}
+	return files;
+}
+
+function injectClient(html: string): string {
+	const index = html.search(/<\/body>/i);
+	return index === -1
+		? html + CLIENT_SCRIPT
+		: html.slice(0, index) + CLIENT_SCRIPT + html.slice(index);
+}
@@ -14,6 +14,7 @@ import { getConfigPath } from './getConfigPath';
 import loadAndParseConfigFile from './loadConfigFile';
 import loadConfigFromCommand from './loadConfigFromCommand';
 import { getResetScreen } from './resetScreen';
+import { DevServer } from './serve';
 import { printTimings } from './timings';
 import { createWatchHooks } from './watchHooks';
 
@@ -27,6 +28,7 @@ export async function watch(command: Record<string, any>): Promise<void> {
 	// 配置文件
 	const configFile = command.config ? await getConfigPath(command.config) : null;
 	const runWatchHook = createWatchHooks(command);
+	const devServer = command.serve ? new DevServer(command.serve) : null;
 
 	// 退出时，关闭 watcher
 	onExit(close);
@@ -100,6 +102,7 @@ export async function watch(command: Record<string, any>): Promise<void> {
 		} catch (err: any) {
 			return handleError(err);
 		}
+		devServer?.setConfigs(configs);
 
 		watcher.on('event', event => {
 			switch (event.code) {
@@ -107,6 +110,7 @@ export async function watch(command: Record<string, any>): Promise<void> {
 					// 产生异常了
 					warnings.flush();
 					handleError(event.error, true);
+					devServer?.error(event.error);
 					// 执行 watch 模式的 onError 钩子函数
 					runWatchHook('onError');
 					break;
@@ -117,6 +121,9 @@ export async function watch(command: Record<string, any>): Promise<void> {
 							resetScreen = getResetScreen(configs, isTTY);
 						}
 						resetScreen(underline(`rollup v${rollup.VERSION}`));
+						if (devServer) {
+							stderr(cyan(`serving at ${bold(devServer.url)}`));
+						}
 					}
 					// 执行 watch 模式的 onStart 钩子函数
 					runWatchHook('onStart');
@@ -162,7 +169,13 @@ export async function watch(command: Record<string, any>): Promise<void> {
 			}
 
 			if ('result' in event && event.result) {
-				event.result.close().catch(error => handleError(error, true));
+				const { result } = event;
+				(event.code === 'BUNDLE_END' && devServer
+					? devServer.bundleEnd(event.output, result)
+					: Promise.resolve()
+				)
+					.then(() => result.close())
+					.catch(error => handleError(error, true));
 			}
 		});
 	}
@@ -174,6 +187,7 @@ export async function watch(command: Record<string, any>): Promise<void> {
 
 		if (watcher) await watcher.close();
 		if (configWatcher) configWatcher.close();
+		if (devServer) devServer.close();
 
 		if (code) {
 			process.exit(code);
@@ -13,6 +13,7 @@ import type {
 } from './rollup/types';
 import type { PluginDriver } from './utils/PluginDriver';
 import { type Addons, createAddons } from './utils/addons';
+import { emitBundleAnalysis } from './utils/bundleAnalysis';
 import { getChunkAssignments } from './utils/chunkAssignment';
 import commondir from './utils/commondir';
 import {
@@ -23,12 +24,18 @@ import {
 	warnDeprecation
 } from './utils/error';
 import { sortByExecutionOrder } from './utils/executionOrder';
+import { emitFederationAssets } from './utils/federation';
 import { type GenerateCodeSnippets, getGenerateCodeSnippets } from './utils/generateCodeSnippets';
+import { getHashPlaceholder, replaceHashPlaceholders } from './utils/hashPlaceholders';
+import { emitHtmlAssets } from './utils/html';
+import { assignImportMapNames, emitImportMap } from './utils/importMap';
+import { emitManifest } from './utils/manifest';
 import {
 	FILE_PLACEHOLDER,
 	getOutputBundle,
 	OutputBundleWithPlaceholders
 } from './utils/outputBundle';
+import { emitPackageJson } from './utils/packageJson';
 import { basename, isAbsolute } from './utils/path';
 import { timeEnd, timeStart } from './utils/timers';
 
@@ -49,11 +56,16 @@ export default class Bundle {
 		const outputBundleBase: OutputBundle = Object.create(null);
 		const outputBundle = getOutputBundle(outputBundleBase);
 		this.pluginDriver.setOutputBundle(outputBundle, this.outputOptions, this.facadeChunkByModule);
+		// joined synchronously so that all outputs generated together form a group
+		const htmlOutputs = this.inputOptions.html ? this.graph.htmlOutputs.join() : null;
+		const packageOutputs = this.outputOptions.packageJson ? this.graph.packageOutputs.join() : null;
 		try {
 			await this.pluginDriver.hookParallel('renderStart', [this.outputOptions, this.inputOptions]);
 
 			timeStart('generate chunks', 2);
-			const chunks = await this.generateChunks();
+			const allChunks = await this.generateChunks();
+			this.emitCssAssets(allChunks);
+			const chunks = allChunks.filter(chunk => !chunk.isAssetOnly());
 			if (chunks.length > 1) {
 				validateOptionsForMultiChunkOutput(this.outputOptions, this.inputOptions.onwarn);
 			}
@@ -70,7 +82,60 @@ export default class Bundle {
 			timeEnd('render modules', 2);
 
 			await this.addFinalizedChunksToBundle(chunks, inputBase, addons, outputBundle, snippets);
+			if (htmlOutputs) {
+				await emitHtmlAssets(
+					allChunks,
+					this.outputOptions,
+					outputBundle,
+					this.pluginDriver,
+					htmlOutputs
+				);
+			}
+			if (this.outputOptions.importMap) {
+				emitImportMap(
+					chunks,
+					this.graph.modulesById,
+					this.outputOptions,
+					outputBundle,
+					this.pluginDriver
+				);
+			}
+			if (this.inputOptions.federation) {
+				emitFederationAssets(
+					chunks,
+					this.graph.modulesById,
+					this.inputOptions.federation,
+					this.graph.federationReferences!,
+					this.outputOptions,
+					outputBundle,
+					this.pluginDriver
+				);
+			}
+			if (packageOutputs) {
+				await emitPackageJson(
+					chunks,
+					this.outputOptions,
+					outputBundle,
+					this.pluginDriver,
+					packageOutputs,
+					this.inputOptions.onwarn
+				);
+			}
+			if (this.outputOptions.manifest) {
+				emitManifest(chunks, this.outputOptions, outputBundle, this.pluginDriver);
+			}
+			if (this.outputOptions.analyze) {
+				emitBundleAnalysis(
+					chunks,
+					this.graph.modulesById,
+					this.outputOptions,
+					outputBundle,
+					this.pluginDriver
+				);
+			}
 		} catch (err: any) {
+			htmlOutputs?.leave();
+			packageOutputs?.leave();
 			await this.pluginDriver.hookParallel('renderError', [err]);
 			throw err;
 		}
@@ -105,6 +170,9 @@ export default class Bundle {
 				);
 			})
 		);
+		if (this.outputOptions.stableHashes) {
+			replaceHashPlaceholders(chunks, bundle);
+		}
 	}
 
 	private async addManualChunks(
@@ -142,7 +210,11 @@ export default class Bundle {
 
 		// make sure entry chunk names take precedence with regard to deconflicting
 		const chunksForNaming = entryChunks.concat(otherChunks);
-		for (const chunk of chunksForNaming) {
+		if (this.outputOptions.importMap) {
+			// import map names need to be known before hashing
+			assignImportMapNames(chunksForNaming, this.graph.modulesById);
+		}
+		for (const [index, chunk] of chunksForNaming.entries()) {
 			if (this.outputOptions.file) {
 				chunk.id = basename(this.outputOptions.file);
 			} else if (this.outputOptions.preserveModules) {
@@ -153,6 +225,10 @@ export default class Bundle {
 					this.unsetOptions
 				);
 			} else {
+				if (this.outputOptions.stableHashes) {
+					// the actual hashes are only known once all chunks have been rendered
+					chunk.hashPlaceholder = getHashPlaceholder(index);
+				}
 				chunk.id = chunk.generateId(addons, this.outputOptions, bundle, true);
 			}
 			bundle[chunk.id] = FILE_PLACEHOLDER;
@@ -183,6 +259,36 @@ export default class Bundle {
 		return manualChunkAliasByEntry;
 	}
 
+	private emitCssAssets(chunks: readonly Chunk[]): void {
+		const cssFileNameByChunk = new Map<Chunk, string>();
+		for (const chunk of chunks) {
+			const source = chunk.getCssSource();
+			if (source !== null) {
+				const referenceId = this.pluginDriver.emitFile({
+					name: `${chunk.getChunkName()}.css`,
+					source,
+					type: 'asset'
+				});
+				const cssFileName = this.pluginDriver.getFileName(referenceId);
+				cssFileNameByChunk.set(chunk, cssFileName);
+				if (chunk.isAssetOnly()) {
+					// emitted CSS chunks resolve to their asset
+					chunk.id = cssFileName;
+				}
+			}
+		}
+		for (const chunk of chunks) {
+			if (!chunk.isAssetOnly()) {
+				for (const cssChunk of [...chunk.getCssDependencies(), chunk]) {
+					const cssFileName = cssFileNameByChunk.get(cssChunk);
+					if (cssFileName) {
+						chunk.importedCss.push(cssFileName);
+					}
+				}
+			}
+		}
+	}
+
 	private finaliseAssets(outputBundle: OutputBundleWithPlaceholders): void {
 		for (const file of Object.values(outputBundle)) {
 			if (!file.type) {
@@ -222,7 +328,13 @@ export default class Bundle {
 					alias: null,
 					modules: [module]
 			  }))
-			: getChunkAssignments(this.graph.entryModules, manualChunkAliasByEntry)) {
+			: getChunkAssignments(
+					this.graph.entryModules,
+					manualChunkAliasByEntry,
+					this.outputOptions.chunkSizeLimit,
+					this.outputOptions.minChunkSize,
+					this.inputOptions.onwarn
+			  )) {
 			sortByExecutionOrder(modules);
 			const chunk = new Chunk(
 				modules,
@@ -320,7 +432,10 @@ function getIncludedModules(modulesById: ReadonlyMap<string, Module | ExternalMo
 	return [...modulesById.values()].filter(
 		(module): module is Module =>
 			module instanceof Module &&
-			(module.isIncluded() || module.info.isEntry || module.includedDynamicImporters.length > 0)
+			(module.isIncluded() ||
+				module.info.isEntry ||
+				module.includedDynamicImporters.length > 0 ||
+				(module.css !== null && module.isExecuted))
 	);
 }
 
@@ -31,13 +31,16 @@ import { deconflictChunk, type DependenciesToBeDeconflicted } from './utils/deco
 import {
 	errCyclicCrossChunkReexport,
 	errFailedValidation,
+	errFederatedReexport,
 	errInvalidOption,
+	errInvalidTopLevelAwaitFormat,
 	error,
 	errUnexpectedNamedImport,
 	errUnexpectedNamespaceReexport
 } from './utils/error';
 import { escapeId } from './utils/escapeId';
 import { assignExportsToMangledNames, assignExportsToNames } from './utils/exportNames';
+import { renderFileUrl } from './utils/fileUrls';
 import type { GenerateCodeSnippets } from './utils/generateCodeSnippets';
 import getExportMode from './utils/getExportMode';
 import { getId } from './utils/getId';
@@ -45,6 +48,7 @@ import getIndentString from './utils/getIndentString';
 import { getOrCreate } from './utils/getOrCreate';
 import { getStaticDependencies } from './utils/getStaticDependencies';
 import { makeLegal } from './utils/identifierHelpers';
+import { formatAttributes } from './utils/importAttributes';
 import {
 	defaultInteropHelpersByInteropType,
 	HELPER_NAMES,
@@ -66,10 +70,12 @@ export interface ModuleDeclarations {
 }
 
 export interface ModuleDeclarationDependency {
+	attributes: string | null;
 	defaultVariableName: string | undefined;
 	globalName: string;
 	id: string;
 	imports: ImportSpecifier[] | null;
+	isAsync: boolean;
 	isChunk: boolean;
 	name: string;
 	namedExportsMode: boolean;
@@ -104,6 +110,8 @@ interface FacadeName {
 
 const NON_ASSET_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
 
+const ASYNC_WRAPPER_FORMATS = new Set<InternalModuleFormat>(['cjs', 'iife', 'umd']);
+
 function getGlobalName(
 	module: ExternalModule,
 	globals: GlobalsOption,
@@ -131,13 +139,19 @@ export default class Chunk {
 	execIndex: number;
 	exportMode: 'none' | 'named' | 'default' = 'named';
 	facadeModule: Module | null = null;
+	// used instead of the hash while rendering when using "output.stableHashes"
+	hashPlaceholder: string | null = null;
 	id: string | null = null;
+	// the bare specifier under which the chunk is listed in the import map
+	importMapName: string | null = null;
+	readonly importedCss: string[] = [];
 	namespaceVariableName = '';
 	needsExportsShim = false;
 	suggestedVariableName: string;
 	variableName = '';
 
 	private readonly accessedGlobalsByScope = new Map<ChildScope, Set<string>>();
+	private asyncWrapper: boolean | null = null;
 	private dependencies = new Set<ExternalModule | Chunk>();
 	private readonly dynamicDependencies = new Set<ExternalModule | Chunk>();
 	private readonly dynamicEntryModules: Module[] = [];
@@ -429,7 +443,8 @@ export default class Chunk {
 					format: () => options.format,
 					hash: () =>
 						includeHash
-							? this.computeContentHashWithDependencies(addons, options, bundle)
+							? this.hashPlaceholder ??
+							  this.computeContentHashWithDependencies(addons, options, bundle)
 							: '[hash]',
 					name: () => this.getChunkName()
 				}
@@ -508,6 +523,7 @@ export default class Chunk {
 			fileName: this.id!,
 			implicitlyLoadedBefore: Array.from(this.implicitlyLoadedBefore, getId),
 			importedBindings: this.getImportedBindingsPerDependency(),
+			importedCss: [...this.importedCss],
 			imports: Array.from(this.dependencies, getId),
 			map: undefined,
 			referencedFiles: this.getReferencedFiles()
@@ -518,6 +534,31 @@ export default class Chunk {
 		return (this.name ??= this.outputOptions.sanitizeFileName(this.getFallbackChunkName()));
 	}
 
+	// CSS only chunks are not rendered, so their CSS needs to be linked by the
+	// chunks that import it
+	getCssDependencies(): Set<Chunk> {
+		const cssDependencies = new Set<Chunk>();
+		for (const module of this.orderedModules) {
+			for (const dependency of module.getDependenciesToBeIncluded()) {
+				const dependencyChunk = dependency instanceof Module && this.chunkByModule.get(dependency);
+				if (dependencyChunk && dependencyChunk !== this && dependencyChunk.isAssetOnly()) {
+					cssDependencies.add(dependencyChunk);
+				}
+			}
+		}
+		return cssDependencies;
+	}
+
+	getCssSource(): string | null {
+		const cssSources: string[] = [];
+		for (const module of this.orderedModules) {
+			if (module.css !== null && module.isExecuted) {
+				cssSources.push(module.css);
+			}
+		}
+		return cssSources.length > 0 ? cssSources.join('\n') : null;
+	}
+
 	getExportNames(): string[] {
 		return (this.sortedExportNames ??= Array.from(this.exportsByName.keys()).sort());
 	}
@@ -551,6 +592,10 @@ export default class Chunk {
 		return (this.renderedHash = hash.digest('hex'));
 	}
 
+	getRenderedModules(): { [moduleId: string]: RenderedModule } {
+		return this.renderedModules;
+	}
+
 	getVariableExportName(variable: Variable): string {
 		if (this.outputOptions.preserveModules && variable instanceof NamespaceVariable) {
 			return '*';
@@ -558,6 +603,13 @@ export default class Chunk {
 		return this.exportNamesByVariable.get(variable)![0];
 	}
 
+	isAssetOnly(): boolean {
+		return (
+			this.orderedModules.length > 0 &&
+			this.orderedModules.every(module => module.css !== null || module.html !== null)
+		);
+	}
+
 	link(): void {
 		this.dependencies = getStaticDependencies(this, this.orderedModules, this.chunkByModule);
 		for (const module of this.orderedModules) {
@@ -567,6 +619,36 @@ export default class Chunk {
 		}
 	}
 
+	/**
+	 * With "output.wrapTopLevelAwait", CommonJS, IIFE and UMD chunks using
+	 * top-level await are wrapped in an async function. As their exports are
+	 * only available as a Promise, chunks statically importing them need to
+	 * await them and are wrapped as well.
+	 */
+	needsAsyncWrapper(): boolean {
+		if (this.asyncWrapper === null) {
+			this.asyncWrapper = false;
+			if (
+				this.outputOptions.wrapTopLevelAwait &&
+				ASYNC_WRAPPER_FORMATS.has(this.outputOptions.format)
+			) {
+				const visitedChunks = new Set<Chunk>([this]);
+				for (const chunk of visitedChunks) {
+					if (chunk.orderedModules.some(module => module.usesTopLevelAwait)) {
+						this.asyncWrapper = true;
+						break;
+					}
+					for (const dependency of chunk.dependencies) {
+						if (dependency instanceof Chunk) {
+							visitedChunks.add(dependency);
+						}
+					}
+				}
+			}
+		}
+		return this.asyncWrapper;
+	}
+
 	// prerender allows chunk hashes and names to be generated before finalizing
 	preRender(
 		options: NormalizedOutputOptions,
@@ -584,6 +666,7 @@ export default class Chunk {
 			format: options.format,
 			freeze: options.freeze,
 			indent: this.indentString,
+			minify: options.minify,
 			namespaceToStringTag: options.namespaceToStringTag,
 			outputPluginDriver: this.pluginDriver,
 			snippets
@@ -612,7 +695,14 @@ export default class Chunk {
 				const source = module.render(renderOptions).trim();
 				renderedLength = source.length();
 				if (renderedLength) {
-					if (options.compact && source.lastLine().includes('//')) source.append('\n');
+					if (options.compact) {
+						const lastLine = source.lastLine();
+						// modules are not separated by line breaks that would terminate the
+						// last statement of a module via automatic semicolon insertion
+						if (lastLine.includes('//') || (options.minify && !lastLine.endsWith(';'))) {
+							source.append('\n');
+						}
+					}
 					this.renderedModuleSources.set(module, source);
 					magicString.addSource(source);
 					this.usedModules.push(module);
@@ -663,7 +753,7 @@ export default class Chunk {
 
 		this.setExternalRenderPaths(options, inputBase);
 
-		this.renderedDependencies = this.getChunkDependencyDeclarations(options, getPropertyAccess);
+		this.renderedDependencies = this.getChunkDependencyDeclarations(options, snippets);
 		this.renderedExports =
 			this.exportMode === 'none'
 				? []
@@ -703,7 +793,7 @@ export default class Chunk {
 				);
 			} else {
 				renderedDependency.namedExportsMode = dependency.exportMode !== 'default';
-				renderedDependency.id = escapeId(getImportPath(this.id!, dependency.id!, false, true));
+				renderedDependency.id = escapeId(this.getChunkImportPath(dependency, false));
 			}
 		}
 
@@ -730,12 +820,13 @@ export default class Chunk {
 			}
 		}
 
-		if (topLevelAwaitModule !== null && format !== 'es' && format !== 'system') {
-			return error({
-				code: 'INVALID_TLA_FORMAT',
-				id: topLevelAwaitModule,
-				message: `Module format ${format} does not support top-level await. Use the "es" or "system" output formats rather.`
-			});
+		if (
+			topLevelAwaitModule !== null &&
+			format !== 'es' &&
+			format !== 'system' &&
+			!this.needsAsyncWrapper()
+		) {
+			return error(errInvalidTopLevelAwaitFormat(topLevelAwaitModule, format));
 		}
 
 		/* istanbul ignore next */
@@ -760,7 +851,7 @@ export default class Chunk {
 				namedExportsMode: this.exportMode !== 'default',
 				outro: addons.outro,
 				snippets,
-				usesTopLevelAwait: topLevelAwaitModule !== null,
+				usesTopLevelAwait: topLevelAwaitModule !== null || this.needsAsyncWrapper(),
 				warn: this.inputOptions.onwarn
 			},
 			options
@@ -892,16 +983,28 @@ export default class Chunk {
 		hash.update([addons.intro, addons.outro, addons.banner, addons.footer].join(':'));
 		hash.update(options.format);
 		const dependenciesForHashing = new Set<Chunk | ExternalModule>([this]);
+		const { importMap } = options;
 		for (const current of dependenciesForHashing) {
 			if (current instanceof ExternalModule) {
 				hash.update(`:${current.renderPath}`);
+			} else if (current !== this && importMap && importMap.bareChunkImports) {
+				// dependencies are imported via their stable import map name so that
+				// changes to their content do not affect the hash of this chunk unless
+				// the names of the bindings imported from them change
+				hash.update(`:${current.importMapName}`);
+				const { imports, reexports } = this.renderedDependencies!.get(current) || {};
+				for (const { imported, local } of imports || []) {
+					hash.update(`:${imported}:${local}`);
+				}
+				for (const { imported, reexported } of reexports || []) {
+					hash.update(`:${imported}:${reexported}`);
+				}
 			} else {
 				hash.update(current.getRenderedHash());
 				hash.update(current.generateId(addons, options, bundle, false));
-			}
-			if (current instanceof ExternalModule) continue;
-			for (const dependency of [...current.dependencies, ...current.dynamicDependencies]) {
-				dependenciesForHashing.add(dependency);
+				for (const dependency of [...current.dependencies, ...current.dynamicDependencies]) {
+					dependenciesForHashing.add(dependency);
+				}
 			}
 		}
 		return hash.digest('hex').substr(0, 8);
@@ -935,6 +1038,17 @@ export default class Chunk {
 		}
 	}
 
+	private errorFederatedReexport(module: ExternalModule): never {
+		return error(
+			errFederatedReexport(
+				module.id,
+				module.importers.filter(
+					importer => this.chunkByModule.get(this.modulesById.get(importer) as Module) === this
+				)
+			)
+		);
+	}
+
 	private finaliseDynamicImports(
 		options: NormalizedOutputOptions,
 		snippets: GenerateCodeSnippets
@@ -951,12 +1065,19 @@ export default class Chunk {
 				const renderedResolution =
 					resolution instanceof Module
 						? `'${escapeId(
-								getImportPath(this.id!, (facadeChunk || chunk!).id!, stripKnownJsExtensions, true)
+								this.getChunkImportPath(facadeChunk || chunk!, stripKnownJsExtensions)
 						  )}'`
 						: resolution instanceof ExternalModule
 						? `'${escapeId(
 								resolution.renormalizeRenderPath
-									? getImportPath(this.id!, resolution.renderPath, stripKnownJsExtensions, false)
+									? getImportPath(
+											this.id!,
+											resolution.federatedImport
+												? this.inputOptions.federation!.fileName
+												: resolution.renderPath,
+											stripKnownJsExtensions,
+											false
+									  )
 									: resolution.renderPath
 						  )}'`
 						: resolution;
@@ -977,6 +1098,11 @@ export default class Chunk {
 			for (const importMeta of module.importMetas) {
 				importMeta.renderFinalMechanism(code, this.id!, format, snippets, this.pluginDriver);
 			}
+			for (const [node, { referenceId }] of module.fileUrls) {
+				if (node.included && referenceId !== null) {
+					renderFileUrl(code, node, referenceId, this.id!, format, module.id, this.pluginDriver);
+				}
+			}
 		}
 	}
 
@@ -997,9 +1123,9 @@ export default class Chunk {
 
 	private getChunkDependencyDeclarations(
 		options: NormalizedOutputOptions,
-		getPropertyAccess: (name: string) => string
+		snippets: GenerateCodeSnippets
 	): Map<Chunk | ExternalModule, ModuleDeclarationDependency> {
-		const importSpecifiers = this.getImportSpecifiers(getPropertyAccess);
+		const importSpecifiers = this.getImportSpecifiers(snippets.getPropertyAccess);
 		const reexportSpecifiers = this.getReexportSpecifiers();
 		const dependencyDeclaration = new Map<Chunk | ExternalModule, ModuleDeclarationDependency>();
 		for (const dep of this.dependencies) {
@@ -1008,6 +1134,10 @@ export default class Chunk {
 			const namedExportsMode = dep instanceof ExternalModule || dep.exportMode !== 'default';
 
 			dependencyDeclaration.set(dep, {
+				attributes:
+					dep instanceof ExternalModule && !dep.federatedImport && options.externalImportAttributes
+						? formatAttributes(dep.info.attributes, snippets)
+						: null,
 				defaultVariableName: (dep as ExternalModule).defaultVariableName,
 				globalName: (dep instanceof ExternalModule &&
 					(options.format === 'umd' || options.format === 'iife') &&
@@ -1019,6 +1149,7 @@ export default class Chunk {
 					)) as string,
 				id: undefined as never, // chunk id updated on render
 				imports,
+				isAsync: dep instanceof Chunk && dep.needsAsyncWrapper(),
 				isChunk: dep instanceof Chunk,
 				name: dep.variableName,
 				namedExportsMode,
@@ -1074,6 +1205,13 @@ export default class Chunk {
 		return exports;
 	}
 
+	private getChunkImportPath(chunk: Chunk, stripJsExtension: boolean): string {
+		const { importMap } = this.outputOptions;
+		return importMap && importMap.bareChunkImports
+			? chunk.importMapName!
+			: getImportPath(this.id!, chunk.id!, stripJsExtension, true);
+	}
+
 	private getDependenciesToBeDeconflicted(
 		addNonNamespacesAndInteropHelpers: boolean,
 		addDependenciesWithoutBindings: boolean,
@@ -1083,8 +1221,13 @@ export default class Chunk {
 		const deconflictedDefault = new Set<ExternalModule>();
 		const deconflictedNamespace = new Set<Chunk | ExternalModule>();
 		for (const variable of [...this.exportNamesByVariable.keys(), ...this.imports]) {
-			if (addNonNamespacesAndInteropHelpers || variable.isNamespace) {
-				const module = variable.module!;
+			const module = variable.module!;
+			if (
+				addNonNamespacesAndInteropHelpers ||
+				variable.isNamespace ||
+				// federated bindings are accessed via the namespace default exported by the proxy
+				(module instanceof ExternalModule && module.federatedImport)
+			) {
 				if (module instanceof ExternalModule) {
 					dependencies.add(module);
 					if (addNonNamespacesAndInteropHelpers) {
@@ -1144,6 +1287,13 @@ export default class Chunk {
 			let dependency: Chunk | ExternalModule;
 			let imported: string;
 			if (module instanceof ExternalModule) {
+				if (module.federatedImport) {
+					// all bindings are accessed via the namespace default exported by the proxy
+					if (!importsByDependency.has(module)) {
+						importsByDependency.set(module, [{ imported: 'default', local: module.variableName }]);
+					}
+					continue;
+				}
 				dependency = module;
 				imported = variable.name;
 				if (imported !== 'default' && imported !== '*' && interop(module.id) === 'defaultOnly') {
@@ -1194,6 +1344,9 @@ export default class Chunk {
 				}
 				needsLiveBinding = externalLiveBindings;
 				dependency = this.modulesById.get(id) as ExternalModule;
+				if (dependency.federatedImport) {
+					return this.errorFederatedReexport(dependency);
+				}
 				imported = exportName = '*';
 			} else {
 				const variable = this.exportsByName.get(exportName)!;
@@ -1205,6 +1358,9 @@ export default class Chunk {
 					imported = dependency.getVariableExportName(variable);
 					needsLiveBinding = variable.isReassigned;
 				} else {
+					if (module.federatedImport) {
+						return this.errorFederatedReexport(module);
+					}
 					dependency = module;
 					imported = variable.name;
 					if (imported !== 'default' && imported !== '*' && interop(module.id) === 'defaultOnly') {
@@ -1233,6 +1389,11 @@ export default class Chunk {
 					referencedFiles.push(fileName);
 				}
 			}
+			for (const [node, { referenceId }] of module.fileUrls) {
+				if (node.included && referenceId !== null) {
+					referencedFiles.push(this.pluginDriver.getFileName(referenceId));
+				}
+			}
 		}
 		return referencedFiles;
 	}
@@ -1257,13 +1418,15 @@ export default class Chunk {
 						if (chunk === this) {
 							node.setInternalResolution(resolution.namespace);
 						} else {
+							const targetChunk = this.facadeChunkByModule.get(resolution) || chunk!;
 							node.setExternalResolution(
-								this.facadeChunkByModule.get(resolution)?.exportMode || chunk!.exportMode,
+								targetChunk.exportMode,
 								resolution,
 								this.outputOptions,
 								snippets,
 								this.pluginDriver,
-								accessedGlobalsByScope
+								accessedGlobalsByScope,
+								targetChunk.needsAsyncWrapper()
 							);
 						}
 					} else {
@@ -1362,7 +1525,8 @@ export default class Chunk {
 			syntheticExports,
 			this.exportNamesByVariable,
 			this.accessedGlobalsByScope,
-			this.includedNamespaces
+			this.includedNamespaces,
+			this.outputOptions.minify
 		);
 	}
 
@@ -7,6 +7,7 @@ import type {
 } from './rollup/types';
 import { EMPTY_ARRAY } from './utils/blank';
 import { warnDeprecation } from './utils/error';
+import type { FederatedImport } from './utils/federation';
 import { makeLegal } from './utils/identifierHelpers';
 import { normalize, relative } from './utils/path';
 import { printQuotedStringList } from './utils/printStringList';
@@ -25,6 +26,7 @@ export default class ExternalModule {
 	namespaceVariableName = '';
 	reexported = false;
 	renderPath: string = undefined as never;
+	readonly renormalizeRenderPath: boolean;
 	suggestedVariableName: string;
 	used = false;
 	variableName = '';
@@ -34,13 +36,18 @@ export default class ExternalModule {
 		public readonly id: string,
 		moduleSideEffects: boolean | 'no-treeshake',
 		meta: CustomPluginOptions,
-		public readonly renormalizeRenderPath: boolean
+		attributes: Record<string, string>,
+		renormalizeRenderPath: boolean,
+		public readonly federatedImport: FederatedImport | null
 	) {
 		this.suggestedVariableName = makeLegal(id.split(/[\\/]/).pop()!);
+		// federated imports are rendered as imports of proxies in the output directory
+		this.renormalizeRenderPath = renormalizeRenderPath || !!this.federatedImport;
 
 		const { importers, dynamicImporters } = this;
 		const info: ModuleInfo = (this.info = {
 			ast: null,
+			attributes,
 			code: null,
 			dynamicallyImportedIdResolutions: EMPTY_ARRAY,
 			dynamicallyImportedIds: EMPTY_ARRAY,
@@ -88,6 +95,10 @@ export default class ExternalModule {
 	}
 
 	setRenderPath(options: NormalizedOutputOptions, inputBase: string): void {
+		if (this.federatedImport) {
+			this.renderPath = this.federatedImport.proxyFileName;
+			return;
+		}
 		this.renderPath =
 			typeof options.paths === 'function' ? options.paths(this.id) : options.paths[this.id];
 		if (!this.renderPath) {
@@ -98,6 +109,8 @@ export default class ExternalModule {
 	}
 
 	suggestName(name: string): void {
+		// the variable of a federated module holds its namespace, not a binding
+		if (this.federatedImport) return;
 		const value = (this.nameSuggestions.get(name) ?? 0) + 1;
 		this.nameSuggestions.set(name, value);
 
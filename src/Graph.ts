@@ -1,25 +1,35 @@
 import * as acorn from 'acorn';
+import { importAttributesOrAssertions } from 'acorn-import-attributes';
 import type ExternalModule from './ExternalModule';
 import Module from './Module';
 import { ModuleLoader, type UnresolvedModule } from './ModuleLoader';
 import GlobalScope from './ast/scopes/GlobalScope';
 import { PathTracker } from './ast/utils/PathTracker';
 import type {
+	InclusionReason,
 	ModuleInfo,
 	ModuleJSON,
 	NormalizedInputOptions,
 	RollupCache,
 	RollupWatcher,
 	SerializablePluginCache,
+	SideEffectsReport,
 	WatchChangeHook
 } from './rollup/types';
+import { InclusionReasonTracker } from './utils/InclusionReasonTracker';
+import OutputGroup from './utils/OutputGroup';
+import type { PersistentCache } from './utils/PersistentCache';
 import { PluginDriver } from './utils/PluginDriver';
 import Queue from './utils/Queue';
 import { BuildPhase } from './utils/buildPhase';
 import { errImplicitDependantIsNotIncluded, error } from './utils/error';
 import { analyseModuleExecution } from './utils/executionOrder';
+import { emitFederationChunks, type FederationReferences } from './utils/federation';
+import type { HtmlOutput } from './utils/html';
+import type { PackageOutput } from './utils/packageJson';
 import { addAnnotations } from './utils/pureComments';
 import relativeId from './utils/relativeId';
+import { getSideEffectsReport } from './utils/sideEffectsReport';
 import { timeEnd, timeStart } from './utils/timers';
 import { markModuleAndImpureDependenciesAsExecuted } from './utils/traverseStaticDependencies';
 
@@ -57,15 +67,19 @@ export default class Graph {
 	readonly cachedModules = new Map<string, ModuleJSON>();
 	readonly deoptimizationTracker = new PathTracker();
 	entryModules: Module[] = [];
+	federationReferences: FederationReferences | null = null;
 	readonly fileOperationQueue: Queue;
+	readonly htmlOutputs = new OutputGroup<HtmlOutput>();
+	readonly inclusionReasonTracker: InclusionReasonTracker | null;
 	readonly moduleLoader: ModuleLoader;
 
 	// Map 的形式存储所有收集到的 Module，key 为 moduleId，方便后续查找
 	readonly modulesById = new Map<string, Module | ExternalModule>();
 	needsTreeshakingPass = false;
+	readonly packageOutputs = new OutputGroup<PackageOutput>();
 	phase: BuildPhase = BuildPhase.LOAD_AND_PARSE;
 	readonly pluginDriver: PluginDriver;
-	readonly scope = new GlobalScope();
+	readonly scope: GlobalScope;
 	readonly watchFiles: Record<string, true> = Object.create(null);
 	watchMode = false;
 
@@ -74,7 +88,11 @@ export default class Graph {
 	private modules: Module[] = [];
 	private declare pluginCache?: Record<string, SerializablePluginCache>;
 
-	constructor(private readonly options: NormalizedInputOptions, watcher: RollupWatcher | null) {
+	constructor(
+		private readonly options: NormalizedInputOptions,
+		watcher: RollupWatcher | null,
+		readonly persistentCache: PersistentCache | null = null
+	) {
 		// 处理缓存
 		// cache: RollupCache | false
 		if (options.cache !== false) {
@@ -82,7 +100,8 @@ export default class Graph {
 			if (options.cache?.modules) {
 				for (const module of options.cache.modules) this.cachedModules.set(module.id, module);
 			}
-			this.pluginCache = options.cache?.plugins || Object.create(null);
+			this.pluginCache =
+				options.cache?.plugins || persistentCache?.pluginCache || Object.create(null);
 
 			// increment access counter
 			for (const name in this.pluginCache) {
@@ -101,15 +120,21 @@ export default class Graph {
 			watcher.onCurrentAwaited('close', handleClose);
 		}
 
+		this.scope = new GlobalScope(options.define);
 		// 实例化 PluginDriver 插件驱动器
 		this.pluginDriver = new PluginDriver(this, options, options.plugins, this.pluginCache);
 		// acorn 是一个 JavaScript 语法解析器，它将 JavaScript 字符串解析成语法抽象树 AST
-		this.acornParser = acorn.Parser.extend(...(options.acornInjectPlugins as any));
+		this.acornParser = acorn.Parser.extend(
+			importAttributesOrAssertions,
+			...(options.acornInjectPlugins as any)
+		);
 		// 实例化 moduleLoader 模块加载器
 		// 将 modulesById 传递下去，ModuleLoader 内部会给其赋值
 		this.moduleLoader = new ModuleLoader(this, this.modulesById, this.options, this.pluginDriver);
 		// 文件操作队列
 		this.fileOperationQueue = new Queue(options.maxParallelFileOps);
+		this.inclusionReasonTracker =
+			options.treeshake && options.treeshake.explain ? new InclusionReasonTracker() : null;
 	}
 
 	async build(): Promise<void> {
@@ -173,10 +198,21 @@ export default class Graph {
 			if (allDeleted) delete this.pluginCache[name];
 		}
 
-		return {
+		const cache: RollupCache = {
 			modules: this.modules.map(module => module.toJSON()),
 			plugins: this.pluginCache
 		};
+		if (this.persistentCache) {
+			cache.dir = this.persistentCache.dir;
+		}
+		return cache;
+	}
+
+	getInclusionReason(moduleId: string, pos: number): InclusionReason[] | null {
+		const module = this.modulesById.get(moduleId);
+		if (!(module instanceof Module)) return null;
+		const statement = module.getStatementAtPosition(pos);
+		return statement?.included ? this.inclusionReasonTracker!.getInclusionReason(statement) : null;
 	}
 
 	getModuleInfo = (moduleId: string): ModuleInfo | null => {
@@ -185,7 +221,14 @@ export default class Graph {
 		return foundModule.info;
 	};
 
+	getSideEffectsReport(): SideEffectsReport {
+		return getSideEffectsReport(this.modules);
+	}
+
 	private async generateModuleGraph(): Promise<void> {
+		if (this.options.federation) {
+			this.federationReferences = emitFederationChunks(this.options.federation, this.pluginDriver);
+		}
 		// 调用模块加载器完成入口依赖的收集
 		({ entryModules: this.entryModules, implicitEntryModules: this.implicitEntryModules } =
 			await this.moduleLoader.addEntryModules(normalizeEntryModules(this.options.input), true));
@@ -14,12 +14,15 @@ import type ImportDeclaration from './ast/nodes/ImportDeclaration';
 import type ImportExpression from './ast/nodes/ImportExpression';
 import Literal from './ast/nodes/Literal';
 import type MetaProperty from './ast/nodes/MetaProperty';
+import type NewExpression from './ast/nodes/NewExpression';
 import * as NodeType from './ast/nodes/NodeType';
 import Program from './ast/nodes/Program';
 import TemplateLiteral from './ast/nodes/TemplateLiteral';
 import VariableDeclaration from './ast/nodes/VariableDeclaration';
-import type { ExpressionNode, NodeBase } from './ast/nodes/shared/Node';
+import type { ExpressionNode, Node, NodeBase, StatementNode } from './ast/nodes/shared/Node';
+import ChildScope from './ast/scopes/ChildScope';
 import ModuleScope from './ast/scopes/ModuleScope';
+import type Scope from './ast/scopes/Scope';
 import { type PathTracker, UNKNOWN_PATH } from './ast/utils/PathTracker';
 import ExportDefaultVariable from './ast/variables/ExportDefaultVariable';
 import ExportShimVariable from './ast/variables/ExportShimVariable';
@@ -45,22 +48,34 @@ import type {
 	RollupWarning,
 	TransformModuleJSON
 } from './rollup/types';
+import type { InclusionReasonTracker } from './utils/InclusionReasonTracker';
 import { EMPTY_OBJECT } from './utils/blank';
 import { BuildPhase } from './utils/buildPhase';
 import {
 	augmentCodeLocation,
 	errAmbiguousExternalNamespaces,
 	errCircularReexport,
+	errInconsistentImportAttributes,
 	errMissingExport,
 	errNamespaceConflict,
 	error,
 	errSyntheticNamedExportsNeedNamespaceExport,
 	warnDeprecation
 } from './utils/error';
+import type { FileUrlReference } from './utils/fileUrls';
 import { getId } from './utils/getId';
 import { getOrCreate } from './utils/getOrCreate';
 import { getOriginalLocation } from './utils/getOriginalLocation';
+import { expandGlobImports, GLOB_IMPORT_REGEX } from './utils/globImports';
+import type { HtmlEntry } from './utils/html';
 import { makeLegal } from './utils/identifierHelpers';
+import {
+	doAttributesDiffer,
+	getAttributesFromImportExportDeclaration,
+	getAttributesFromImportExpression
+} from './utils/importAttributes';
+import { getJsonModuleCode } from './utils/json';
+import { getWhitespaceGaps, removeWhitespaceGaps, type WhitespaceGap } from './utils/minify';
 import { basename, extname } from './utils/path';
 import relativeId from './utils/relativeId';
 import type { RenderOptions } from './utils/renderHelpers';
@@ -92,6 +107,7 @@ export interface AstContext {
 	addExport: (
 		node: ExportAllDeclaration | ExportNamedDeclaration | ExportDefaultDeclaration
 	) => void;
+	addFileUrl: (reference: FileUrlReference, type: 'asset' | 'chunk') => void;
 	addImport: (node: ImportDeclaration) => void;
 	addImportMeta: (node: MetaProperty) => void;
 	code: string;
@@ -106,7 +122,8 @@ export interface AstContext {
 	importDescriptions: Map<string, ImportDescription>;
 	includeAllExports: () => void;
 	includeDynamicImport: (node: ImportExpression) => void;
-	includeVariableInModule: (variable: Variable) => void;
+	includeVariableInModule: (variable: Variable, node?: Node) => void;
+	inclusionReasonTracker: InclusionReasonTracker | null;
 	magicString: MagicString;
 	module: Module; // not to be used for tree-shaking
 	moduleContext: string;
@@ -114,17 +131,27 @@ export interface AstContext {
 	requestTreeshakingPass: () => void;
 	traceExport: (name: string) => Variable | null;
 	traceVariable: (name: string) => Variable | null;
-	usesTopLevelAwait: boolean;
 	warn: (warning: RollupWarning, pos: number) => void;
 }
 
+export interface FileUrl {
+	referenceId: string | null;
+	source: string;
+	type: 'asset' | 'chunk';
+}
+
 export interface DynamicImport {
 	argument: string | ExpressionNode;
+	attributes: Record<string, string>;
 	id: string | null;
 	node: ImportExpression;
 	resolution: Module | ExternalModule | string | null;
 }
 
+const CSS_MODULE_REGEX = /\.css$/;
+const HTML_MODULE_REGEX = /\.html$/;
+const JSON_MODULE_REGEX = /\.json$/;
+
 const MISSING_EXPORT_SHIM_DESCRIPTION: ExportDescription = {
 	identifier: null,
 	localName: MISSING_EXPORT_SHIM_VARIABLE
@@ -193,6 +220,7 @@ export default class Module {
 		name: string;
 		priority: number;
 	}[] = [];
+	css: string | null = null;
 	readonly cycles = new Set<symbol>();
 	readonly dependencies = new Set<Module | ExternalModule>();
 	readonly dynamicDependencies = new Set<Module | ExternalModule>();
@@ -200,6 +228,8 @@ export default class Module {
 	readonly dynamicImports: DynamicImport[] = [];
 	excludeFromSourcemap: boolean;
 	execIndex = Infinity;
+	readonly fileUrls = new Map<NewExpression, FileUrl>();
+	html: HtmlEntry | null = null;
 	readonly implicitlyLoadedAfter = new Set<Module>();
 	readonly implicitlyLoadedBefore = new Set<Module>();
 	readonly importDescriptions = new Map<string, ImportDescription>();
@@ -220,7 +250,7 @@ export default class Module {
 	declare scope: ModuleScope;
 	readonly sideEffectDependenciesByVariable = new Map<Variable, Set<Module>>();
 	declare sourcemapChain: DecodedSourceMapOrMissing[];
-	readonly sources = new Set<string>();
+	readonly sourcesWithAttributes = new Map<string, Record<string, string>>();
 	declare transformFiles?: EmittedFile[];
 	usesTopLevelAwait = false;
 
@@ -234,6 +264,7 @@ export default class Module {
 	private exportNamesByVariable: Map<Variable, string[]> | null = null;
 	private readonly exportShimVariable = new ExportShimVariable(this);
 	private readonly exports = new Map<string, ExportDescription>();
+	private readonly fileUrlReferences: [reference: FileUrlReference, type: 'asset' | 'chunk'][] = [];
 	private declare magicString: MagicString;
 	private readonly namespaceReexportsByName = new Map<
 		string,
@@ -245,6 +276,7 @@ export default class Module {
 	private syntheticNamespace: Variable | null | undefined = null;
 	private transformDependencies: string[] = [];
 	private transitiveReexports: string[] | null = null;
+	private whitespaceGaps: WhitespaceGap[] | null = null;
 
 	constructor(
 		private readonly graph: Graph,
@@ -253,7 +285,8 @@ export default class Module {
 		isEntry: boolean,
 		moduleSideEffects: boolean | 'no-treeshake',
 		syntheticNamedExports: boolean | string,
-		meta: CustomPluginOptions
+		meta: CustomPluginOptions,
+		attributes: Record<string, string>
 	) {
 		this.excludeFromSourcemap = /\0/.test(id);
 		this.context = options.moduleContext(id);
@@ -268,11 +301,12 @@ export default class Module {
 			implicitlyLoadedBefore,
 			importers,
 			reexportDescriptions,
-			sources
+			sourcesWithAttributes
 		} = this;
 
 		this.info = {
 			ast: null,
+			attributes,
 			code: null,
 			get dynamicallyImportedIdResolutions() {
 				return dynamicImports
@@ -310,12 +344,18 @@ export default class Module {
 				return Array.from(implicitlyLoadedBefore, getId).sort();
 			},
 			get importedIdResolutions() {
-				return Array.from(sources, source => module.resolvedIds[source]).filter(Boolean);
+				return Array.from(
+					sourcesWithAttributes.keys(),
+					source => module.resolvedIds[source]
+				).filter(Boolean);
 			},
 			get importedIds() {
 				// We cannot use this.dependencies because this is needed before
 				// dependencies are populated
-				return Array.from(sources, source => module.resolvedIds[source]?.id).filter(Boolean);
+				return Array.from(
+					sourcesWithAttributes.keys(),
+					source => module.resolvedIds[source]?.id
+				).filter(Boolean);
 			},
 			get importers() {
 				return importers.sort();
@@ -354,6 +394,18 @@ export default class Module {
 		return error(props);
 	}
 
+	// The length of the included top-level statements as an estimate of the
+	// rendered size before the chunks are rendered
+	estimateSize(): number {
+		let size = 0;
+		for (const node of this.ast!.body) {
+			if (node.included) {
+				size += node.end - node.start;
+			}
+		}
+		return size;
+	}
+
 	getAllExportNames(): Set<string> {
 		if (this.allExportNames) {
 			return this.allExportNames;
@@ -459,6 +511,12 @@ export default class Module {
 		return Array.from(this.exports.keys());
 	}
 
+	getFirstStatementWithEffects(): StatementNode | undefined {
+		return this.ast!.body.find(
+			statement => statement.included && statement.hasEffects(createHasEffectsContext())
+		);
+	}
+
 	getReexports(): string[] {
 		if (this.transitiveReexports) {
 			return this.transitiveReexports;
@@ -491,6 +549,10 @@ export default class Module {
 		return { removedExports, renderedExports };
 	}
 
+	getStatementAtPosition(pos: number): StatementNode | undefined {
+		return this.ast!.body.find(statement => statement.start <= pos && pos < statement.end);
+	}
+
 	getSyntheticNamespace(): Variable {
 		if (this.syntheticNamespace === null) {
 			this.syntheticNamespace = undefined;
@@ -619,6 +681,7 @@ export default class Module {
 	hasEffects(): boolean {
 		return (
 			this.info.moduleSideEffects === 'no-treeshake' ||
+			this.css !== null ||
 			(this.ast!.included && this.ast!.hasEffects(createHasEffectsContext()))
 		);
 	}
@@ -639,6 +702,7 @@ export default class Module {
 				const variable = this.getVariableForExportName(exportName)[0]!;
 				variable.deoptimizePath(UNKNOWN_PATH);
 				if (!variable.included) {
+					this.graph.inclusionReasonTracker?.addExport(variable, this, exportName);
 					this.includeVariable(variable);
 				}
 			}
@@ -649,6 +713,7 @@ export default class Module {
 			if (variable) {
 				variable.deoptimizePath(UNKNOWN_PATH);
 				if (!variable.included) {
+					this.graph.inclusionReasonTracker?.addExport(variable, this, name);
 					this.includeVariable(variable);
 				}
 				if (variable instanceof ExternalVariable) {
@@ -667,6 +732,13 @@ export default class Module {
 		this.includeAllExports(false);
 	}
 
+	isExported(variable: Variable): boolean {
+		for (const { localName } of this.exports.values()) {
+			if (this.scope.variables.get(localName) === variable) return true;
+		}
+		return false;
+	}
+
 	isIncluded(): boolean {
 		return this.ast!.included || this.namespace.included || this.importedFromNotTreeshaken;
 	}
@@ -688,12 +760,17 @@ export default class Module {
 
 	render(options: RenderOptions): MagicString {
 		const magicString = this.magicString.clone();
+		if (options.minify) {
+			removeWhitespaceGaps(
+				magicString,
+				(this.whitespaceGaps ??= getWhitespaceGaps(this.info.code!, this.ast!))
+			);
+		}
 		this.ast!.render(magicString, options);
-		this.usesTopLevelAwait = this.astContext.usesTopLevelAwait;
 		return magicString;
 	}
 
-	setSource({
+	async setSource({
 		ast,
 		code,
 		customTransformCache,
@@ -707,7 +784,7 @@ export default class Module {
 	}: TransformModuleJSON & {
 		resolvedIds?: ResolvedIdMap;
 		transformFiles?: EmittedFile[] | undefined;
-	}): void {
+	}): Promise<void> {
 		this.info.code = code;
 		this.originalCode = originalCode;
 		this.originalSourcemap = originalSourcemap;
@@ -721,10 +798,43 @@ export default class Module {
 
 		timeStart('generate ast', 3);
 
-		if (!ast) {
+		const jsonCode =
+			this.options.json && JSON_MODULE_REGEX.test(this.id) ? getJsonModuleCode(code) : null;
+		const isCss = this.options.css && CSS_MODULE_REGEX.test(this.id);
+		const isHtml = this.options.html && HTML_MODULE_REGEX.test(this.id);
+		if (isCss || isHtml) {
+			// CSS and HTML are emitted as assets, so the module itself is treated
+			// like an empty side effect import
+			if (isCss) {
+				this.css = code;
+			} else {
+				this.html = { code, references: [] };
+			}
+			code = '';
+			ast = this.graph.contextParse(code);
+		} else if (jsonCode !== null) {
+			code = jsonCode;
+			ast = this.graph.contextParse(code);
+		} else {
 			// 如果还没有 AST
 			// 解析出 AST
-			ast = this.tryParse();
+			ast ||= this.tryParse();
+			if (GLOB_IMPORT_REGEX.test(code)) {
+				const expanded = await expandGlobImports(
+					ast,
+					code,
+					this.id,
+					this.transformDependencies,
+					this.error.bind(this)
+				);
+				if (expanded) {
+					this.info.code = code = expanded.code;
+					this.sourcemapChain.push(expanded.map);
+					// the matching files need to be searched again in every build
+					this.customTransformCache = true;
+					ast = this.tryParse();
+				}
+			}
 		}
 
 		timeEnd('generate ast', 3);
@@ -747,6 +857,7 @@ export default class Module {
 		this.astContext = {
 			addDynamicImport: this.addDynamicImport.bind(this),
 			addExport: this.addExport.bind(this),
+			addFileUrl: this.addFileUrl.bind(this),
 			addImport: this.addImport.bind(this),
 			addImportMeta: this.addImportMeta.bind(this),
 			code, // Only needed for debugging
@@ -762,6 +873,7 @@ export default class Module {
 			includeAllExports: () => this.includeAllExports(true),
 			includeDynamicImport: this.includeDynamicImport.bind(this),
 			includeVariableInModule: this.includeVariableInModule.bind(this),
+			inclusionReasonTracker: this.graph.inclusionReasonTracker,
 			magicString: this.magicString,
 			module: this,
 			moduleContext: this.context,
@@ -769,7 +881,6 @@ export default class Module {
 			requestTreeshakingPass: () => (this.graph.needsTreeshakingPass = true),
 			traceExport: (name: string) => this.getVariableForExportName(name)[0],
 			traceVariable: this.traceVariable.bind(this),
-			usesTopLevelAwait: false,
 			warn: this.warn.bind(this)
 		};
 
@@ -778,6 +889,7 @@ export default class Module {
 		// 命名空间
 		this.namespace = new NamespaceVariable(this.astContext);
 		this.ast = new Program(ast, { context: this.astContext, type: 'Module' }, this.scope);
+		this.initialiseFileUrls();
 
 		// 最后更新到 module.info.ast
 		this.info.ast = ast;
@@ -788,6 +900,7 @@ export default class Module {
 	toJSON(): ModuleJSON {
 		return {
 			ast: this.ast!.esTreeNode,
+			attributes: this.info.attributes,
 			code: this.info.code!,
 			customTransformCache: this.customTransformCache,
 			dependencies: Array.from(this.dependencies, getId),
@@ -856,7 +969,9 @@ export default class Module {
 		} catch (err: any) {
 			let message = err.message.replace(/ \(\d+:\d+\)$/, '');
 			if (this.id.endsWith('.json')) {
-				message += ' (Note that you need @rollup/plugin-json to import JSON files)';
+				message += this.options.json
+					? ' (Note that JSON files need to contain valid JSON)'
+					: ' (Note that you need @rollup/plugin-json to import JSON files)';
 			} else if (!this.id.endsWith('.js')) {
 				message += ' (Note that you need plugins to import files that are not JavaScript)';
 			}
@@ -901,7 +1016,13 @@ export default class Module {
 		} else if (argument instanceof Literal && typeof argument.value === 'string') {
 			argument = argument.value;
 		}
-		this.dynamicImports.push({ argument, id: null, node, resolution: null });
+		this.dynamicImports.push({
+			argument,
+			attributes: getAttributesFromImportExpression(node),
+			id: null,
+			node,
+			resolution: null
+		});
 	}
 
 	private addExport(
@@ -916,7 +1037,7 @@ export default class Module {
 			});
 		} else if (node instanceof ExportAllDeclaration) {
 			const source = node.source.value;
-			this.sources.add(source);
+			this.addSource(source, node);
 			if (node.exported) {
 				// export * as name from './other'
 
@@ -936,7 +1057,7 @@ export default class Module {
 			// export { name } from './other'
 
 			const source = node.source.value;
-			this.sources.add(source);
+			this.addSource(source, node);
 			for (const specifier of node.specifiers) {
 				const name = specifier.exported.name;
 				this.reexportDescriptions.set(name, {
@@ -974,9 +1095,14 @@ export default class Module {
 		}
 	}
 
+	// workers are registered after their URL and replace the asset
+	private addFileUrl(reference: FileUrlReference, type: 'asset' | 'chunk'): void {
+		this.fileUrlReferences.push([reference, type]);
+	}
+
 	private addImport(node: ImportDeclaration): void {
 		const source = node.source.value;
-		this.sources.add(source);
+		this.addSource(source, node);
 		for (const specifier of node.specifiers) {
 			const isDefault = specifier.type === NodeType.ImportDefaultSpecifier;
 			const isNamespace = specifier.type === NodeType.ImportNamespaceSpecifier;
@@ -1065,6 +1191,24 @@ export default class Module {
 		addSideEffectDependencies(alwaysCheckedDependencies);
 	}
 
+	private addSource(
+		source: string,
+		declaration: ImportDeclaration | ExportNamedDeclaration | ExportAllDeclaration
+	): void {
+		const parsedAttributes = getAttributesFromImportExportDeclaration(declaration);
+		const existingAttributes = this.sourcesWithAttributes.get(source);
+		if (existingAttributes) {
+			if (doAttributesDiffer(existingAttributes, parsedAttributes)) {
+				this.warn(
+					errInconsistentImportAttributes(existingAttributes, parsedAttributes, source, this.id),
+					declaration.start
+				);
+			}
+		} else {
+			this.sourcesWithAttributes.set(source, parsedAttributes);
+		}
+	}
+
 	private getVariableFromNamespaceReexports(
 		name: string,
 		importerForSideEffects?: Module,
@@ -1147,6 +1291,7 @@ export default class Module {
 			} else if (module.info.syntheticNamedExports) {
 				const syntheticNamespace = module.getSyntheticNamespace();
 				syntheticNamespace.include();
+				syntheticNamespace.includePath(UNKNOWN_PATH);
 				this.includedImports.add(syntheticNamespace);
 				syntheticNamespaces.add(syntheticNamespace);
 			}
@@ -1187,7 +1332,10 @@ export default class Module {
 		}
 	}
 
-	private includeVariableInModule(variable: Variable): void {
+	private includeVariableInModule(variable: Variable, node?: Node): void {
+		if (node && !variable.included) {
+			this.graph.inclusionReasonTracker?.addReference(variable, node);
+		}
 		this.includeVariable(variable);
 		const variableModule = variable.module;
 		if (variableModule && variableModule !== this) {
@@ -1195,6 +1343,25 @@ export default class Module {
 		}
 	}
 
+	// file URLs are only emitted if the referenced globals are not shadowed,
+	// which is only known once all declarations have been initialised
+	private initialiseFileUrls(): void {
+		for (const [{ globals, node, source }, type] of this.fileUrlReferences) {
+			if (globals.every(name => this.isGlobal(name, node.scope))) {
+				this.fileUrls.set(node, { referenceId: null, source, type });
+			}
+		}
+	}
+
+	private isGlobal(name: string, scope: ChildScope): boolean {
+		for (let current: Scope = scope; current instanceof ChildScope; current = current.parent) {
+			if (current.variables.has(name)) {
+				return false;
+			}
+		}
+		return !this.importDescriptions.has(name);
+	}
+
 	private shimMissingExport(name: string): void {
 		this.options.onwarn({
 			code: 'SHIMMED_EXPORT',
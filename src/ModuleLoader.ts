@@ -21,7 +21,9 @@ import {
 	errBadLoader,
 	errEntryCannotBeExternal,
 	errExternalSyntheticExports,
+	errFileUrlNotFound,
 	errImplicitDependantCannotBeExternal,
+	errInconsistentImportAttributes,
 	errInternalIdCannotBeExternal,
 	error,
 	errUnresolvedEntry,
@@ -29,8 +31,11 @@ import {
 	errUnresolvedImport,
 	errUnresolvedImportTreatedAsExternal
 } from './utils/error';
+import { getFederatedImport } from './utils/federation';
 import { promises as fs } from './utils/fs';
-import { isAbsolute, isRelative, resolve } from './utils/path';
+import { getHtmlReferences } from './utils/html';
+import { doAttributesDiffer } from './utils/importAttributes';
+import { basename, dirname, extname, isAbsolute, isRelative, resolve } from './utils/path';
 import relativeId from './utils/relativeId';
 import { resolveId } from './utils/resolveId';
 import { timeEnd, timeStart } from './utils/timers';
@@ -208,7 +213,7 @@ export class ModuleLoader {
 		resolvedId: { id: string; resolveDependencies?: boolean } & Partial<PartialNull<ModuleOptions>>
 	): Promise<ModuleInfo> {
 		const module = await this.fetchModule(
-			this.getResolvedIdWithDefaults(resolvedId)!,
+			this.getResolvedIdWithDefaults(resolvedId, EMPTY_OBJECT)!,
 			undefined,
 			false,
 			resolvedId.resolveDependencies ? RESOLVE_DEPENDENCIES : true
@@ -221,11 +226,16 @@ export class ModuleLoader {
 		importer: string | undefined,
 		customOptions: CustomPluginOptions | undefined,
 		isEntry: boolean | undefined,
+		attributes: Record<string, string>,
 		skip: readonly { importer: string | undefined; plugin: Plugin; source: string }[] | null = null
 	): Promise<ResolvedId | null> => {
 		return this.getResolvedIdWithDefaults(
 			this.getNormalizedResolvedIdWithoutDefaults(
-				this.options.external(source, importer, false)
+				this.options.external(source, importer, false) ||
+					// emitted chunks provide the implementation of shared dependencies
+					(importer !== undefined &&
+						this.options.federation &&
+						getFederatedImport(source, this.options.federation))
 					? false
 					: await resolveId(
 							source,
@@ -235,12 +245,14 @@ export class ModuleLoader {
 							this.resolveId,
 							skip,
 							customOptions,
-							typeof isEntry === 'boolean' ? isEntry : !importer
+							typeof isEntry === 'boolean' ? isEntry : !importer,
+							attributes
 					  ),
 
 				importer,
 				source
-			)
+			),
+			attributes
 		);
 	};
 
@@ -288,7 +300,10 @@ export class ModuleLoader {
 			// 如果没有插件 fs.readFile(id, 'utf8') 直接读取文件内容作为源码
 			source = await this.graph.fileOperationQueue.run(
 				async () =>
-					(await this.pluginDriver.hookFirst('load', [id])) ?? (await fs.readFile(id, 'utf8'))
+					(await this.pluginDriver.hookFirst('load', [
+						id,
+						{ attributes: module.info.attributes }
+					])) ?? (await fs.readFile(id, 'utf8'))
 			);
 		} catch (err: any) {
 			timeEnd('load modules', 3);
@@ -307,7 +322,10 @@ export class ModuleLoader {
 				: source != null && typeof source === 'object' && typeof source.code === 'string'
 				? source
 				: error(errBadLoader(id));
-		const cachedModule = this.graph.cachedModules.get(id);
+		const cachedModule =
+			this.graph.cachedModules.get(id) ||
+			(this.graph.persistentCache &&
+				(await this.graph.persistentCache.getModule(id, sourceDescription.code)));
 		if (
 			cachedModule &&
 			!cachedModule.customTransformCache &&
@@ -328,7 +346,8 @@ export class ModuleLoader {
 				for (const emittedFile of cachedModule.transformFiles)
 					this.pluginDriver.emitFile(emittedFile);
 			}
-			module.setSource(cachedModule);
+			this.graph.persistentCache?.markModuleAsUnchanged(cachedModule);
+			await module.setSource(cachedModule);
 		} else {
 			// 重点看这里
 			module.updateOptions(sourceDescription);
@@ -341,8 +360,12 @@ export class ModuleLoader {
 				this.options.onwarn
 			);
 			// 将 transform 后的源码内容更新到 module 中
-			module.setSource(transformSource);
+			await module.setSource(transformSource);
 		}
+		if (module.html) {
+			this.emitHtmlReferences(module);
+		}
+		await this.emitFileUrls(module);
 	}
 
 	private async awaitLoadModulesPromise(): Promise<void> {
@@ -353,6 +376,54 @@ export class ModuleLoader {
 		} while (startingPromise !== this.latestLoadModulesPromise);
 	}
 
+	// Files referenced via "new URL(..., import.meta.url)" become emitted chunks
+	// for workers and emitted assets otherwise
+	private async emitFileUrls(module: Module): Promise<void> {
+		await Promise.all(
+			Array.from(module.fileUrls, async ([node, fileUrl]) => {
+				if (fileUrl.type === 'chunk') {
+					fileUrl.referenceId = this.pluginDriver.emitFile({
+						id: fileUrl.source,
+						importer: module.id,
+						type: 'chunk'
+					});
+					return;
+				}
+				const id = resolve(dirname(module.id), fileUrl.source);
+				let source: Uint8Array;
+				try {
+					source = await this.graph.fileOperationQueue.run(() => fs.readFile(id));
+				} catch (err: any) {
+					// directories are ignored and only paths with an extension must be files
+					if (err.code !== 'EISDIR' && extname(fileUrl.source)) {
+						module.warn(errFileUrlNotFound(fileUrl.source, module.id), node.start);
+					}
+					return;
+				}
+				this.graph.watchFiles[id] = true;
+				fileUrl.referenceId = this.pluginDriver.emitFile({
+					name: basename(id),
+					source,
+					type: 'asset'
+				});
+			})
+		);
+	}
+
+	// Scripts and stylesheets referenced by HTML entries become emitted chunks
+	private emitHtmlReferences(module: Module): void {
+		const html = module.html!;
+		html.references = getHtmlReferences(html.code)
+			// stylesheets can only be bundled if CSS modules are supported
+			.filter(({ type }) => type === 'script' || this.options.css)
+			.map(({ end, id, start, type }) => ({
+				end,
+				referenceId: this.pluginDriver.emitFile({ id, importer: module.id, type: 'chunk' }),
+				start,
+				type
+			}));
+	}
+
 	private extendLoadModulesPromise<T>(loadNewModulesPromise: Promise<T>): Promise<T> {
 		this.latestLoadModulesPromise = Promise.all([
 			loadNewModulesPromise,
@@ -404,7 +475,7 @@ export class ModuleLoader {
 	// Otherwise if the module does not exist, it waits for the module and all its dependencies to be loaded.
 	// Otherwise it returns immediately.
 	private async fetchModule(
-		{ id, meta, moduleSideEffects, syntheticNamedExports }: ResolvedId,
+		{ attributes, id, meta, moduleSideEffects, syntheticNamedExports }: ResolvedId,
 		importer: string | undefined,
 		isEntry: boolean,
 		isPreload: PreloadType
@@ -426,7 +497,8 @@ export class ModuleLoader {
 			isEntry,
 			moduleSideEffects,
 			syntheticNamedExports,
-			meta
+			meta,
+			attributes
 		);
 
 		// modulesById 中记录下
@@ -508,9 +580,23 @@ export class ModuleLoader {
 		importer: string,
 		resolvedId: ResolvedId
 	): Promise<Module | ExternalModule> {
+		const existingModule = this.modulesById.get(resolvedId.id);
+		if (
+			existingModule &&
+			doAttributesDiffer(existingModule.info.attributes, resolvedId.attributes)
+		) {
+			this.options.onwarn(
+				errInconsistentImportAttributes(
+					existingModule.info.attributes,
+					resolvedId.attributes,
+					source,
+					importer
+				)
+			);
+		}
 		if (resolvedId.external) {
 			// 外部的依赖
-			const { external, id, moduleSideEffects, meta } = resolvedId;
+			const { attributes, external, id, moduleSideEffects, meta } = resolvedId;
 			if (!this.modulesById.has(id)) {
 				this.modulesById.set(
 					id,
@@ -520,7 +606,9 @@ export class ModuleLoader {
 						id,
 						moduleSideEffects,
 						meta,
-						external !== 'absolute' && isAbsolute(id)
+						attributes,
+						external !== 'absolute' && isAbsolute(id),
+						this.options.federation ? getFederatedImport(id, this.options.federation) : null
 					)
 				);
 			}
@@ -635,7 +723,8 @@ export class ModuleLoader {
 				typeof dynamicImport.argument === 'string'
 					? dynamicImport.argument
 					: dynamicImport.argument.esTreeNode,
-				module.id
+				module.id,
+				dynamicImport.attributes
 			);
 			if (resolvedId && typeof resolvedId === 'object') {
 				dynamicImport.id = resolvedId.id;
@@ -646,29 +735,32 @@ export class ModuleLoader {
 
 	private getResolveStaticDependencyPromises(module: Module): ResolveStaticDependencyPromise[] {
 		return Array.from(
-			module.sources,
-			async source =>
+			module.sourcesWithAttributes,
+			async ([source, attributes]) =>
 				[
 					source,
 					(module.resolvedIds[source] =
 						module.resolvedIds[source] ||
 						this.handleResolveId(
-							await this.resolveId(source, module.id, EMPTY_OBJECT, false),
+							await this.resolveId(source, module.id, EMPTY_OBJECT, false, attributes),
 							source,
-							module.id
+							module.id,
+							attributes
 						))
 				] as [string, ResolvedId]
 		);
 	}
 
 	private getResolvedIdWithDefaults(
-		resolvedId: NormalizedResolveIdWithoutDefaults | null
+		resolvedId: NormalizedResolveIdWithoutDefaults | null,
+		attributes: Record<string, string>
 	): ResolvedId | null {
 		if (!resolvedId) {
 			return null;
 		}
 		const external = resolvedId.external || false;
 		return {
+			attributes: resolvedId.attributes || attributes,
 			external,
 			id: resolvedId.id,
 			meta: resolvedId.meta || {},
@@ -699,7 +791,8 @@ export class ModuleLoader {
 	private handleResolveId(
 		resolvedId: ResolvedId | null,
 		source: string,
-		importer: string
+		importer: string,
+		attributes: Record<string, string>
 	): ResolvedId {
 		if (resolvedId === null) {
 			if (isRelative(source)) {
@@ -707,6 +800,7 @@ export class ModuleLoader {
 			}
 			this.options.onwarn(errUnresolvedImportTreatedAsExternal(source, importer));
 			return {
+				attributes,
 				external: true,
 				id: source,
 				meta: {},
@@ -734,7 +828,8 @@ export class ModuleLoader {
 			this.resolveId,
 			null,
 			EMPTY_OBJECT,
-			true
+			true,
+			EMPTY_OBJECT
 		);
 
 		// resolve 失败的情况
@@ -763,7 +858,8 @@ export class ModuleLoader {
 			this.getResolvedIdWithDefaults(
 				typeof resolveIdResult === 'object'
 					? (resolveIdResult as NormalizedResolveIdWithoutDefaults)
-					: { id: resolveIdResult }
+					: { id: resolveIdResult },
+				EMPTY_OBJECT
 			)!,
 			undefined,
 			isEntry,
@@ -774,7 +870,8 @@ export class ModuleLoader {
 	private async resolveDynamicImport(
 		module: Module,
 		specifier: string | acorn.Node,
-		importer: string
+		importer: string,
+		attributes: Record<string, string>
 	): Promise<ResolvedId | string | null> {
 		const resolution = await this.pluginDriver.hookFirst('resolveDynamicImport', [
 			specifier,
@@ -788,6 +885,7 @@ export class ModuleLoader {
 				return null;
 			}
 			return {
+				attributes,
 				external: false,
 				moduleSideEffects: true,
 				...resolution
@@ -795,17 +893,20 @@ export class ModuleLoader {
 		}
 		if (resolution == null) {
 			return (module.resolvedIds[specifier] ??= this.handleResolveId(
-				await this.resolveId(specifier, module.id, EMPTY_OBJECT, false),
+				await this.resolveId(specifier, module.id, EMPTY_OBJECT, false, attributes),
 				specifier,
-				module.id
+				module.id,
+				attributes
 			));
 		}
 		return this.handleResolveId(
 			this.getResolvedIdWithDefaults(
-				this.getNormalizedResolvedIdWithoutDefaults(resolution, importer, specifier)
+				this.getNormalizedResolvedIdWithoutDefaults(resolution, importer, specifier),
+				attributes
 			),
 			specifier,
-			importer
+			importer,
+			attributes
 		);
 	}
 }
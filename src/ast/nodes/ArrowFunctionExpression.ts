@@ -36,6 +36,7 @@ export default class ArrowFunctionExpression extends FunctionBase {
 		context: HasEffectsContext
 	): boolean {
 		if (super.hasEffectsOnInteractionAtPath(path, interaction, context)) return true;
+		if (this.hasNoSideEffectsAnnotation()) return false;
 		if (interaction.type === INTERACTION_CALLED) {
 			const { ignore, brokenFlow } = context;
 			context.ignore = {
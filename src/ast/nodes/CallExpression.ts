@@ -1,6 +1,7 @@
 import type MagicString from 'magic-string';
 import type { NormalizedTreeshakingOptions } from '../../rollup/types';
 import { BLANK } from '../../utils/blank';
+import { getWorkerUrl } from '../../utils/fileUrls';
 import { renderCallArguments } from '../../utils/renderCallArguments';
 import { type NodeRenderOptions, type RenderOptions } from '../../utils/renderHelpers';
 import type { DeoptimizableEntity } from '../DeoptimizableEntity';
@@ -43,6 +44,7 @@ export default class CallExpression extends CallExpressionBase implements Deopti
 			}
 
 			if (this.callee.name === 'eval') {
+				this.scope.addDirectEval();
 				this.context.warn(
 					{
 						code: 'EVAL',
@@ -101,6 +103,15 @@ export default class CallExpression extends CallExpressionBase implements Deopti
 		this.callee.includeCallArguments(context, this.arguments);
 	}
 
+	initialise(): void {
+		if (this.context.options.workers) {
+			const workerUrl = getWorkerUrl(this);
+			if (workerUrl) {
+				this.context.addFileUrl(workerUrl, 'chunk');
+			}
+		}
+	}
+
 	render(
 		code: MagicString,
 		options: RenderOptions,
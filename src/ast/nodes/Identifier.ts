@@ -1,7 +1,8 @@
 import isReference, { type NodeWithFieldDefinition } from 'is-reference';
 import type MagicString from 'magic-string';
-import type { NormalizedTreeshakingOptions } from '../../rollup/types';
+import type { DefinedValue, NormalizedTreeshakingOptions } from '../../rollup/types';
 import { BLANK } from '../../utils/blank';
+import { errIllegalDefineReassignment } from '../../utils/error';
 import type { NodeRenderOptions, RenderOptions } from '../../utils/renderHelpers';
 import type { DeoptimizableEntity } from '../DeoptimizableEntity';
 import type { HasEffectsContext, InclusionContext } from '../ExecutionContext';
@@ -15,16 +16,19 @@ import {
 	NodeInteractionCalled
 } from '../NodeInteractions';
 import type FunctionScope from '../scopes/FunctionScope';
-import { EMPTY_PATH, type ObjectPath, type PathTracker } from '../utils/PathTracker';
+import { EMPTY_PATH, type ObjectPath, type PathTracker, UNKNOWN_PATH } from '../utils/PathTracker';
+import { renderDefinedValue } from '../utils/define';
 import GlobalVariable from '../variables/GlobalVariable';
 import LocalVariable from '../variables/LocalVariable';
 import type Variable from '../variables/Variable';
+import type MemberExpression from './MemberExpression';
 import * as NodeType from './NodeType';
 import type SpreadElement from './SpreadElement';
 import {
 	type ExpressionEntity,
 	type LiteralValueOrUnknown,
-	UNKNOWN_EXPRESSION
+	UNKNOWN_EXPRESSION,
+	UnknownValue
 } from './shared/Expression';
 import { NodeBase } from './shared/Node';
 import type { PatternNode } from './shared/Pattern';
@@ -39,10 +43,11 @@ const tdzVariableKinds = {
 	var: true
 };
 
-export default class Identifier extends NodeBase implements PatternNode {
+export default class Identifier extends NodeBase implements DeoptimizableEntity, PatternNode {
 	declare name: string;
 	declare type: NodeType.tIdentifier;
 	variable: Variable | null = null;
+	private constantValue: DefinedValue | typeof UnknownValue | null = null;
 	private isTDZAccess: boolean | null = null;
 
 	addExportedVariables(
@@ -93,13 +98,28 @@ export default class Identifier extends NodeBase implements PatternNode {
 		return [(this.variable = variable)];
 	}
 
+	deoptimizeCache(): void {
+		if (this.constantValue !== UnknownValue) {
+			this.constantValue = UnknownValue;
+			if (this.included) this.includeVariable(this.variable!);
+		}
+	}
+
 	deoptimizePath(path: ObjectPath): void {
-		if (path.length === 0 && !this.scope.contains(this.name)) {
-			this.disallowImportReassignment();
+		if (path.length === 0) {
+			if (!this.scope.contains(this.name)) {
+				this.disallowImportReassignment();
+			}
+			if (this.getDefinedValue() !== UnknownValue) {
+				this.context.error(errIllegalDefineReassignment(this.name), this.start);
+			}
 		}
 		// We keep conditional chaining because an unknown Node could have an
 		// Identifier as property that might be deoptimized by default
-		this.variable?.deoptimizePath(path);
+		if (this.variable) {
+			this.context.inclusionReasonTracker?.addDeoptimization(this.variable, path, this);
+			this.variable.deoptimizePath(path);
+		}
 	}
 
 	deoptimizeThisOnInteractionAtPath(
@@ -176,8 +196,8 @@ export default class Identifier extends NodeBase implements PatternNode {
 		if (!this.deoptimized) this.applyDeoptimizations();
 		if (!this.included) {
 			this.included = true;
-			if (this.variable !== null) {
-				this.context.includeVariableInModule(this.variable);
+			if (this.variable !== null && this.getConstantValue() === UnknownValue) {
+				this.includeVariable(this.variable);
 			}
 		}
 	}
@@ -189,6 +209,10 @@ export default class Identifier extends NodeBase implements PatternNode {
 		this.variable!.includeCallArguments(context, args);
 	}
 
+	includePath(path: ObjectPath): void {
+		this.variable?.includePath(path);
+	}
+
 	isPossibleTDZ(): boolean {
 		// return cached value to avoid issues with the next tree-shaking pass
 		if (this.isTDZAccess !== null) return this.isTDZAccess;
@@ -232,7 +256,16 @@ export default class Identifier extends NodeBase implements PatternNode {
 		{ snippets: { getPropertyAccess } }: RenderOptions,
 		{ renderedParentType, isCalleeOfRenderedParent, isShorthandProperty }: NodeRenderOptions = BLANK
 	): void {
-		if (this.variable) {
+		const definedValue = this.getDefinedValue();
+		const value = definedValue === UnknownValue ? this.getConstantValue() : definedValue;
+		if (value !== UnknownValue) {
+			code.overwrite(this.start, this.end, renderDefinedValue(value, this), {
+				contentOnly: true
+			});
+			if (isShorthandProperty) {
+				code.prependRight(this.start, `${this.name}: `);
+			}
+		} else if (this.variable) {
 			const name = this.variable.getName(getPropertyAccess);
 
 			if (name !== this.name) {
@@ -273,12 +306,56 @@ export default class Identifier extends NodeBase implements PatternNode {
 		);
 	}
 
+	private getConstantValue(): DefinedValue | typeof UnknownValue {
+		if (this.constantValue === null) {
+			const { treeshake } = this.context.options;
+			this.constantValue =
+				treeshake &&
+				treeshake.inlineConstants &&
+				this.variable instanceof LocalVariable &&
+				// the variable of a default export may be rendered in its place
+				this.parent.type !== NodeType.ExportDefaultDeclaration &&
+				!this.isDeclaration() &&
+				!this.isPossibleTDZ()
+					? this.variable.getConstantValue(this)
+					: UnknownValue;
+		}
+		return this.constantValue;
+	}
+
+	private getDefinedValue(): DefinedValue | typeof UnknownValue {
+		return this.variable instanceof GlobalVariable
+			? this.variable.getDefinedValueAtPath(EMPTY_PATH)
+			: UnknownValue;
+	}
+
 	private getVariableRespectingTDZ(): ExpressionEntity | null {
 		if (this.isPossibleTDZ()) {
 			return UNKNOWN_EXPRESSION;
 		}
 		return this.variable;
 	}
+
+	private includeVariable(variable: Variable): void {
+		this.context.includeVariableInModule(variable, this);
+		if (!this.isStaticMemberObject() && !this.isDeclaration()) {
+			// the value escapes so all its properties may be used
+			variable.includePath(UNKNOWN_PATH);
+		}
+	}
+
+	private isDeclaration(): boolean {
+		return this.variable instanceof LocalVariable && this.variable.declarations.includes(this);
+	}
+
+	private isStaticMemberObject(): boolean {
+		const parent = this.parent as MemberExpression;
+		return (
+			parent.type === NodeType.MemberExpression &&
+			parent.object === this &&
+			typeof parent.propertyKey === 'string'
+		);
+	}
 }
 
 function closestParentFunctionOrProgram(node: any): any {
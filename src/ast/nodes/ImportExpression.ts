@@ -3,6 +3,7 @@ import ExternalModule from '../../ExternalModule';
 import type Module from '../../Module';
 import type { GetInterop, NormalizedOutputOptions } from '../../rollup/types';
 import type { PluginDriver } from '../../utils/PluginDriver';
+import { getFederatedImportCall } from '../../utils/federation';
 import type { GenerateCodeSnippets } from '../../utils/generateCodeSnippets';
 import {
 	INTEROP_NAMESPACE_DEFAULT_ONLY_VARIABLE,
@@ -21,10 +22,12 @@ interface DynamicImportMechanism {
 }
 
 export default class ImportExpression extends NodeBase {
+	declare arguments?: ExpressionNode[];
 	inlineNamespace: NamespaceVariable | null = null;
 	declare source: ExpressionNode;
 	declare type: NodeType.tImportExpression;
 
+	private keepAttributes = false;
 	private mechanism: DynamicImportMechanism | null = null;
 	private resolution: Module | ExternalModule | string | null = null;
 
@@ -39,6 +42,11 @@ export default class ImportExpression extends NodeBase {
 			this.scope.addAccessedDynamicImport(this);
 		}
 		this.source.include(context, includeChildrenRecursively);
+		if (this.arguments) {
+			for (const argument of this.arguments) {
+				argument.include(context, includeChildrenRecursively);
+			}
+		}
 	}
 
 	initialise(): void {
@@ -74,6 +82,15 @@ export default class ImportExpression extends NodeBase {
 			code.overwrite(this.end - 1, this.end, this.mechanism.right, { contentOnly: true });
 		}
 		this.source.render(code, options);
+		if (this.arguments) {
+			if (this.keepAttributes) {
+				for (const argument of this.arguments) {
+					argument.render(code, options);
+				}
+			} else {
+				code.remove(this.source.end, this.end - 1);
+			}
+		}
 	}
 
 	renderFinalResolution(
@@ -90,6 +107,17 @@ export default class ImportExpression extends NodeBase {
 				name: null
 			});
 			code.prependLeft(this.end, `.then(${left}n.${namespaceExportName}${right})`);
+		} else if (this.resolution instanceof ExternalModule && this.resolution.federatedImport) {
+			// the resolution points to the remote entry that loads the federated module
+			const [left, right] = getDirectReturnFunction(['f'], {
+				functionReturn: true,
+				lineBreakIndent: null,
+				name: null
+			});
+			code.prependLeft(
+				this.end,
+				`.then(${left}${getFederatedImportCall(this.resolution.federatedImport, 'f')}${right})`
+			);
 		}
 	}
 
@@ -99,9 +127,10 @@ export default class ImportExpression extends NodeBase {
 		options: NormalizedOutputOptions,
 		snippets: GenerateCodeSnippets,
 		pluginDriver: PluginDriver,
-		accessedGlobalsByScope: Map<ChildScope, Set<string>>
+		accessedGlobalsByScope: Map<ChildScope, Set<string>>,
+		resolutionIsAsync = false
 	): void {
-		const { format } = options;
+		const { externalImportAttributes, format } = options;
 		this.inlineNamespace = null;
 		this.resolution = resolution;
 		const accessedGlobals = [...(accessedImportGlobals[format] || [])];
@@ -111,8 +140,17 @@ export default class ImportExpression extends NodeBase {
 			exportMode,
 			options,
 			snippets,
-			pluginDriver
+			pluginDriver,
+			resolutionIsAsync
 		));
+		// import attributes are only kept for targets that are not bundled
+		this.keepAttributes =
+			format === 'es' &&
+			externalImportAttributes &&
+			!this.mechanism &&
+			(resolution instanceof ExternalModule
+				? !resolution.federatedImport
+				: resolution === null || typeof resolution === 'string');
 		if (helper) {
 			accessedGlobals.push(helper);
 		}
@@ -138,7 +176,8 @@ export default class ImportExpression extends NodeBase {
 			interop
 		}: NormalizedOutputOptions,
 		{ _, getDirectReturnFunction, getDirectReturnIifeLeft }: GenerateCodeSnippets,
-		pluginDriver: PluginDriver
+		pluginDriver: PluginDriver,
+		resolutionIsAsync: boolean
 	): { helper: string | null; mechanism: DynamicImportMechanism | null } {
 		const mechanism = pluginDriver.hookFirstSync('renderDynamicImport', [
 			{
@@ -158,7 +197,7 @@ export default class ImportExpression extends NodeBase {
 				const helper = getInteropHelper(resolution, exportMode, interop);
 				let left = `require(`;
 				let right = `)`;
-				if (helper) {
+				if (helper && !resolutionIsAsync) {
 					left = `/*#__PURE__*/${helper}(${left}`;
 					right += ')';
 				}
@@ -169,6 +208,11 @@ export default class ImportExpression extends NodeBase {
 				});
 				left = `Promise.resolve().then(${functionLeft}${left}`;
 				right += `${functionRight})`;
+				// chunks wrapped in an async function export a Promise that needs to
+				// be resolved before applying the interop helper
+				if (helper && resolutionIsAsync) {
+					right += `.then(${helper})`;
+				}
 				if (!arrowFunctions && hasDynamicTarget) {
 					left = getDirectReturnIifeLeft(['t'], `${left}t${right}`, {
 						needsArrowReturnParens: false,
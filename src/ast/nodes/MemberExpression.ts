@@ -1,7 +1,8 @@
 import type MagicString from 'magic-string';
 import { AstContext } from '../../Module';
-import type { NormalizedTreeshakingOptions } from '../../rollup/types';
+import type { DefinedValue, NormalizedTreeshakingOptions } from '../../rollup/types';
 import { BLANK } from '../../utils/blank';
+import { errIllegalDefineReassignment } from '../../utils/error';
 import relativeId from '../../utils/relativeId';
 import type { NodeRenderOptions, RenderOptions } from '../../utils/renderHelpers';
 import type { DeoptimizableEntity } from '../DeoptimizableEntity';
@@ -25,12 +26,16 @@ import {
 	UnknownKey,
 	UnknownNonAccessorKey
 } from '../utils/PathTracker';
+import { getDefinedValue, renderDefinedValue } from '../utils/define';
 import ExternalVariable from '../variables/ExternalVariable';
+import GlobalVariable from '../variables/GlobalVariable';
+import LocalVariable from '../variables/LocalVariable';
 import type NamespaceVariable from '../variables/NamespaceVariable';
 import type Variable from '../variables/Variable';
 import Identifier from './Identifier';
 import Literal from './Literal';
-import type * as NodeType from './NodeType';
+import type MetaProperty from './MetaProperty';
+import * as NodeType from './NodeType';
 import type PrivateIdentifier from './PrivateIdentifier';
 import type SpreadElement from './SpreadElement';
 import type Super from './Super';
@@ -80,6 +85,26 @@ function getPathIfNotComputed(memberExpression: MemberExpression): PathWithPosit
 	return null;
 }
 
+// e.g. "process.env.NODE_ENV" or "import.meta.env.MODE"
+function getDefineKey(memberExpression: MemberExpression): string | null {
+	const { object, propertyKey } = memberExpression;
+	if (typeof propertyKey !== 'string') {
+		return null;
+	}
+	let objectKey: string | null = null;
+	if (object instanceof Identifier) {
+		objectKey = object.variable instanceof GlobalVariable ? object.name : null;
+	} else if (object instanceof MemberExpression) {
+		objectKey = getDefineKey(object);
+	} else if (
+		object.type === NodeType.MetaProperty &&
+		(object as MetaProperty).meta.name === 'import'
+	) {
+		objectKey = 'import.meta';
+	}
+	return objectKey && `${objectKey}.${propertyKey}`;
+}
+
 function getStringFromPath(path: PathWithPositions): string {
 	let pathString = path[0].key;
 	for (let index = 1; index < path.length; index++) {
@@ -90,6 +115,7 @@ function getStringFromPath(path: PathWithPositions): string {
 
 export default class MemberExpression extends NodeBase implements DeoptimizableEntity {
 	declare computed: boolean;
+	defineKey: string | null = null;
 	declare object: ExpressionNode | Super;
 	declare optional: boolean;
 	declare property: ExpressionNode | PrivateIdentifier;
@@ -100,6 +126,8 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 	private declare accessInteraction: NodeInteractionAccessed & { thisArg: ExpressionEntity };
 	private assignmentDeoptimized = false;
 	private bound = false;
+	private constantValue: DefinedValue | typeof UnknownValue | null = null;
+	private definedValue: DefinedValue | typeof UnknownValue = UnknownValue;
 	private expressionsToBeDeoptimized: DeoptimizableEntity[] = [];
 	private replacement: string | null = null;
 
@@ -123,10 +151,20 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 			}
 		} else {
 			super.bind();
+			this.defineKey = getDefineKey(this);
+			this.definedValue = getDefinedValue(this.context.options.define, this.defineKey);
 		}
 	}
 
 	deoptimizeCache(): void {
+		if (this.variable) {
+			// only the constant values of namespace members are cached
+			if (this.constantValue !== UnknownValue) {
+				this.constantValue = UnknownValue;
+				if (this.included) this.includeVariable(this.variable);
+			}
+			return;
+		}
 		const expressionsToBeDeoptimized = this.expressionsToBeDeoptimized;
 		this.expressionsToBeDeoptimized = [];
 		this.propertyKey = UnknownKey;
@@ -138,7 +176,11 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 
 	deoptimizePath(path: ObjectPath): void {
 		if (path.length === 0) this.disallowNamespaceReassignment();
-		if (this.variable) {
+		if (this.definedValue !== UnknownValue) {
+			if (path.length === 0) {
+				this.context.error(errIllegalDefineReassignment(this.defineKey!), this.start);
+			}
+		} else if (this.variable) {
 			this.variable.deoptimizePath(path);
 		} else if (!this.replacement) {
 			if (path.length < MAX_PATH_DEPTH) {
@@ -158,7 +200,7 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 	): void {
 		if (this.variable) {
 			this.variable.deoptimizeThisOnInteractionAtPath(interaction, path, recursionTracker);
-		} else if (!this.replacement) {
+		} else if (!this.replacement && this.definedValue === UnknownValue) {
 			if (path.length < MAX_PATH_DEPTH) {
 				this.object.deoptimizeThisOnInteractionAtPath(
 					interaction,
@@ -179,6 +221,9 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 		if (this.variable) {
 			return this.variable.getLiteralValueAtPath(path, recursionTracker, origin);
 		}
+		if (this.definedValue !== UnknownValue) {
+			return path.length === 0 ? this.definedValue : UnknownValue;
+		}
 		if (this.replacement) {
 			return UnknownValue;
 		}
@@ -207,7 +252,7 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 				origin
 			);
 		}
-		if (this.replacement) {
+		if (this.replacement || this.definedValue !== UnknownValue) {
 			return UNKNOWN_EXPRESSION;
 		}
 		this.expressionsToBeDeoptimized.push(origin);
@@ -223,6 +268,7 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 	}
 
 	hasEffects(context: HasEffectsContext): boolean {
+		if (this.definedValue !== UnknownValue) return false;
 		if (!this.deoptimized) this.applyDeoptimizations();
 		return (
 			this.property.hasEffects(context) ||
@@ -250,6 +296,12 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 		if (this.variable) {
 			return this.variable.hasEffectsOnInteractionAtPath(path, interaction, context);
 		}
+		if (this.definedValue !== UnknownValue) {
+			return (
+				interaction.type !== INTERACTION_ACCESSED ||
+				path.length > (this.definedValue == null ? 0 : 1)
+			);
+		}
 		if (this.replacement) {
 			return true;
 		}
@@ -264,8 +316,16 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 	}
 
 	include(context: InclusionContext, includeChildrenRecursively: IncludeChildren): void {
+		if (this.definedValue !== UnknownValue) {
+			// the object is not rendered
+			this.included = true;
+			return;
+		}
 		if (!this.deoptimized) this.applyDeoptimizations();
 		this.includeProperties(context, includeChildrenRecursively);
+		if (typeof this.propertyKey === 'string') {
+			this.object.includePath([this.propertyKey]);
+		}
 	}
 
 	includeAsAssignmentTarget(
@@ -306,7 +366,15 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 			renderedSurroundingElement
 		}: NodeRenderOptions = BLANK
 	): void {
-		if (this.variable || this.replacement) {
+		const value =
+			this.definedValue === UnknownValue && this.variable
+				? this.getConstantValue()
+				: this.definedValue;
+		if (value !== UnknownValue) {
+			code.overwrite(this.start, this.end, renderDefinedValue(value, this), {
+				contentOnly: true
+			});
+		} else if (this.variable || this.replacement) {
 			const {
 				snippets: { getPropertyAccess }
 			} = options;
@@ -377,7 +445,7 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 			const variable = this.scope.findVariable(this.object.name);
 			if (variable.isNamespace) {
 				if (this.variable) {
-					this.context.includeVariableInModule(this.variable);
+					this.context.includeVariableInModule(this.variable, this);
 				}
 				this.context.warn(
 					{
@@ -390,6 +458,17 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 		}
 	}
 
+	private getConstantValue(): DefinedValue | typeof UnknownValue {
+		if (this.constantValue === null) {
+			const { treeshake } = this.context.options;
+			this.constantValue =
+				treeshake && treeshake.inlineConstants && this.variable instanceof LocalVariable
+					? this.variable.getConstantValue(this)
+					: UnknownValue;
+		}
+		return this.constantValue;
+	}
+
 	private getPropertyKey(): ObjectPathKey {
 		if (this.propertyKey === null) {
 			this.propertyKey = UnknownKey;
@@ -420,13 +499,18 @@ export default class MemberExpression extends NodeBase implements DeoptimizableE
 	) {
 		if (!this.included) {
 			this.included = true;
-			if (this.variable) {
-				this.context.includeVariableInModule(this.variable);
+			if (this.variable && this.getConstantValue() === UnknownValue) {
+				this.includeVariable(this.variable);
 			}
 		}
 		this.object.include(context, includeChildrenRecursively);
 		this.property.include(context, includeChildrenRecursively);
 	}
+
+	private includeVariable(variable: Variable): void {
+		this.context.includeVariableInModule(variable, this);
+		variable.includePath(UNKNOWN_PATH);
+	}
 }
 
 function resolveNamespaceVariables(
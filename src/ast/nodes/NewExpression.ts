@@ -1,5 +1,6 @@
 import MagicString from 'magic-string';
 import type { NormalizedTreeshakingOptions } from '../../rollup/types';
+import { getAssetUrl, getWorkerUrl } from '../../utils/fileUrls';
 import { renderCallArguments } from '../../utils/renderCallArguments';
 import { RenderOptions } from '../../utils/renderHelpers';
 import type { HasEffectsContext } from '../ExecutionContext';
@@ -62,6 +63,18 @@ export default class NewExpression extends NodeBase {
 			type: INTERACTION_CALLED,
 			withNew: true
 		};
+		if (this.context.options.assetUrls) {
+			const assetUrl = getAssetUrl(this);
+			if (assetUrl) {
+				this.context.addFileUrl(assetUrl, 'asset');
+			}
+		}
+		if (this.context.options.workers) {
+			const workerUrl = getWorkerUrl(this);
+			if (workerUrl) {
+				this.context.addFileUrl(workerUrl, 'chunk');
+			}
+		}
 	}
 
 	render(code: MagicString, options: RenderOptions) {
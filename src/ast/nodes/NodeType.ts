@@ -30,6 +30,7 @@ export type tFunctionExpression = 'FunctionExpression';
 export type tIdentifier = 'Identifier';
 export type tIfStatement = 'IfStatement';
 export type tImport = 'Import';
+export type tImportAttribute = 'ImportAttribute';
 export type tImportDeclaration = 'ImportDeclaration';
 export type tImportExpression = 'ImportExpression';
 export type tImportDefaultSpecifier = 'ImportDefaultSpecifier';
@@ -101,6 +102,7 @@ export const FunctionExpression: tFunctionExpression = 'FunctionExpression';
 export const Identifier: tIdentifier = 'Identifier';
 export const IfStatement: tIfStatement = 'IfStatement';
 export const Import: tImport = 'Import';
+export const ImportAttribute: tImportAttribute = 'ImportAttribute';
 export const ImportDeclaration: tImportDeclaration = 'ImportDeclaration';
 export const ImportExpression: tImportExpression = 'ImportExpression';
 export const ImportDefaultSpecifier: tImportDefaultSpecifier = 'ImportDefaultSpecifier';
@@ -1,10 +1,19 @@
 import type MagicString from 'magic-string';
 import { BLANK } from '../../utils/blank';
-import type { NodeRenderOptions, RenderOptions } from '../../utils/renderHelpers';
+import {
+	getCommaSeparatedNodesWithBoundaries,
+	type NodeRenderOptions,
+	type RenderOptions
+} from '../../utils/renderHelpers';
+import { treeshakeNode } from '../../utils/treeshakeNode';
 import type { DeoptimizableEntity } from '../DeoptimizableEntity';
-import type { HasEffectsContext } from '../ExecutionContext';
+import {
+	createHasEffectsContext,
+	type HasEffectsContext,
+	type InclusionContext
+} from '../ExecutionContext';
 import type { NodeInteractionWithThisArg } from '../NodeInteractions';
-import { NodeInteraction, NodeInteractionCalled } from '../NodeInteractions';
+import { INTERACTION_CALLED, NodeInteraction, NodeInteractionCalled } from '../NodeInteractions';
 import {
 	EMPTY_PATH,
 	type ObjectPath,
@@ -12,19 +21,25 @@ import {
 	SHARED_RECURSION_TRACKER,
 	UnknownKey
 } from '../utils/PathTracker';
+import LocalVariable from '../variables/LocalVariable';
+import type CallExpression from './CallExpression';
 import Identifier from './Identifier';
 import Literal from './Literal';
 import * as NodeType from './NodeType';
 import Property from './Property';
 import SpreadElement from './SpreadElement';
+import type VariableDeclarator from './VariableDeclarator';
 import { type ExpressionEntity, type LiteralValueOrUnknown } from './shared/Expression';
-import { NodeBase } from './shared/Node';
+import { type ExpressionNode, type IncludeChildren, type Node, NodeBase } from './shared/Node';
 import { ObjectEntity, type ObjectProperty } from './shared/ObjectEntity';
 import { OBJECT_PROTOTYPE } from './shared/ObjectPrototype';
 
 export default class ObjectExpression extends NodeBase implements DeoptimizableEntity {
 	declare properties: readonly (Property | SpreadElement)[];
 	declare type: NodeType.tObjectExpression;
+	// The keys of the properties read by included code, or null if all
+	// properties need to be included because the object escapes
+	private declare includedKeys: Set<string> | null;
 	private objectEntity: ObjectEntity | null = null;
 
 	deoptimizeCache(): void {
@@ -32,6 +47,9 @@ export default class ObjectExpression extends NodeBase implements DeoptimizableE
 	}
 
 	deoptimizePath(path: ObjectPath): void {
+		if (typeof path[0] !== 'string') {
+			this.includeAllProperties();
+		}
 		this.getObjectEntity().deoptimizePath(path);
 	}
 
@@ -40,6 +58,18 @@ export default class ObjectExpression extends NodeBase implements DeoptimizableE
 		path: ObjectPath,
 		recursionTracker: PathTracker
 	): void {
+		if (
+			this.includedKeys !== null &&
+			interaction.type === INTERACTION_CALLED &&
+			path.length === 1 &&
+			this.properties.some(
+				property =>
+					getStaticPropertyKey(property) === path[0] && mayUseThis((property as Property).value)
+			)
+		) {
+			// methods could access any property via "this"
+			this.includeAllProperties();
+		}
 		this.getObjectEntity().deoptimizeThisOnInteractionAtPath(interaction, path, recursionTracker);
 	}
 
@@ -73,12 +103,59 @@ export default class ObjectExpression extends NodeBase implements DeoptimizableE
 		return this.getObjectEntity().hasEffectsOnInteractionAtPath(path, interaction, context);
 	}
 
+	include(context: InclusionContext, includeChildrenRecursively: IncludeChildren): void {
+		if (this.includedKeys !== null && this.context.module.scope.containsDirectEval) {
+			this.includedKeys = null;
+		}
+		if (this.includedKeys === null || includeChildrenRecursively) {
+			super.include(context, includeChildrenRecursively);
+			return;
+		}
+		this.included = true;
+		for (const property of this.properties) {
+			if (
+				property.included ||
+				this.includedKeys.has(getStaticPropertyKey(property)!) ||
+				property.hasEffects(createHasEffectsContext())
+			) {
+				property.include(context, false);
+			}
+		}
+	}
+
+	includePath([key]: ObjectPath): void {
+		if (this.includedKeys === null) return;
+		if (
+			typeof key !== 'string' ||
+			!this.properties.some(property => getStaticPropertyKey(property) === key)
+		) {
+			// inherited properties like "hasOwnProperty" may inspect all own properties
+			this.includeAllProperties();
+		} else if (!this.includedKeys.has(key)) {
+			this.includedKeys.add(key);
+			if (this.included) this.context.requestTreeshakingPass();
+		}
+	}
+
+	initialise(): void {
+		this.includedKeys =
+			this.parent.type === NodeType.VariableDeclarator &&
+			(this.parent as VariableDeclarator).id.type === NodeType.Identifier &&
+			this.properties.every(property => getStaticPropertyKey(property) !== null)
+				? new Set()
+				: null;
+	}
+
 	render(
 		code: MagicString,
 		options: RenderOptions,
 		{ renderedSurroundingElement }: NodeRenderOptions = BLANK
 	): void {
-		super.render(code, options);
+		if (this.includedKeys === null) {
+			super.render(code, options);
+		} else {
+			this.renderIncludedProperties(code, options);
+		}
 		if (
 			renderedSurroundingElement === NodeType.ExpressionStatement ||
 			renderedSurroundingElement === NodeType.ArrowFunctionExpression
@@ -131,4 +208,103 @@ export default class ObjectExpression extends NodeBase implements DeoptimizableE
 		}
 		return (this.objectEntity = new ObjectEntity(properties, prototype));
 	}
+
+	private includeAllProperties(): void {
+		if (this.includedKeys !== null) {
+			this.includedKeys = null;
+			if (this.included) this.context.requestTreeshakingPass();
+		}
+	}
+
+	private renderIncludedProperties(code: MagicString, options: RenderOptions): void {
+		if (!this.properties.some(property => property.included)) {
+			code.remove(this.start + 1, this.end - 1);
+			return;
+		}
+		let lastSeparatorPos: number | null = null;
+		for (const { node, separator, start, end } of getCommaSeparatedNodesWithBoundaries(
+			this.properties,
+			code,
+			this.start + 1,
+			this.end - 1
+		)) {
+			if (node.included) {
+				lastSeparatorPos = separator;
+				node.render(code, options);
+			} else if (separator === null) {
+				// also remove the comma after the last included property but keep
+				// the white-space before the closing brace
+				treeshakeNode(node, code, lastSeparatorPos ?? start, node.end);
+			} else {
+				treeshakeNode(node, code, start, end);
+			}
+		}
+	}
+}
+
+function getStaticPropertyKey(property: Property | SpreadElement): string | null {
+	if (property instanceof SpreadElement || property.kind !== 'init') {
+		return null;
+	}
+	const { key } = property;
+	const name =
+		key instanceof Literal
+			? String(key.value)
+			: key instanceof Identifier && !property.computed
+			? key.name
+			: null;
+	return name === '__proto__' ? null : name;
+}
+
+function mayUseThis(value: ExpressionNode): boolean {
+	if (value instanceof Identifier) {
+		const { variable } = value;
+		const init = variable instanceof LocalVariable && !variable.isReassigned ? variable.init : null;
+		return (
+			!(init instanceof NodeBase) ||
+			init instanceof Identifier ||
+			mayUseThis(init as ExpressionNode)
+		);
+	}
+	switch (value.type) {
+		case NodeType.ArrowFunctionExpression:
+			return false;
+		case NodeType.FunctionDeclaration:
+		case NodeType.FunctionExpression:
+			return hasChildUsingThis(value);
+		default:
+			return true;
+	}
+}
+
+function hasChildUsingThis(node: Node): boolean {
+	for (const key of node.keys) {
+		const value = (node as unknown as Record<string, Node | (Node | null)[] | null>)[key];
+		if (
+			Array.isArray(value)
+				? value.some(child => child && usesThis(child))
+				: value && usesThis(value)
+		) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function usesThis(node: Node): boolean {
+	switch (node.type) {
+		case NodeType.ThisExpression:
+		case NodeType.Super:
+			return true;
+		case NodeType.FunctionDeclaration:
+		case NodeType.FunctionExpression:
+			// nested functions have their own "this"
+			return false;
+		case NodeType.CallExpression: {
+			// a direct "eval" can access "this"
+			const { callee } = node as CallExpression;
+			if (callee instanceof Identifier && callee.name === 'eval') return true;
+		}
+	}
+	return hasChildUsingThis(node);
 }
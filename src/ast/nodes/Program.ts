@@ -24,8 +24,15 @@ export default class Program extends NodeBase {
 
 	include(context: InclusionContext, includeChildrenRecursively: IncludeChildren): void {
 		this.included = true;
+		const { inclusionReasonTracker } = this.context;
 		for (const node of this.body) {
 			if (includeChildrenRecursively || node.shouldBeIncluded(context)) {
+				if (inclusionReasonTracker && !node.included) {
+					inclusionReasonTracker.addStatement(
+						node,
+						includeChildrenRecursively ? 'no-treeshake' : 'effect'
+					);
+				}
 				node.include(context, includeChildrenRecursively);
 			}
 		}
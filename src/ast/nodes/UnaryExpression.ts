@@ -1,16 +1,22 @@
+import type MagicString from 'magic-string';
+import type { DefinedValue } from '../../rollup/types';
+import type { RenderOptions } from '../../utils/renderHelpers';
 import type { DeoptimizableEntity } from '../DeoptimizableEntity';
-import type { HasEffectsContext } from '../ExecutionContext';
+import type { HasEffectsContext, InclusionContext } from '../ExecutionContext';
 import {
 	INTERACTION_ACCESSED,
 	NODE_INTERACTION_UNKNOWN_ASSIGNMENT,
 	NodeInteraction
 } from '../NodeInteractions';
 import { EMPTY_PATH, type ObjectPath, type PathTracker } from '../utils/PathTracker';
+import { getDefinedValue, renderDefinedValue } from '../utils/define';
+import GlobalVariable from '../variables/GlobalVariable';
 import Identifier from './Identifier';
 import type { LiteralValue } from './Literal';
+import MemberExpression from './MemberExpression';
 import type * as NodeType from './NodeType';
 import { type LiteralValueOrUnknown, UnknownValue } from './shared/Expression';
-import { type ExpressionNode, NodeBase } from './shared/Node';
+import { type ExpressionNode, type IncludeChildren, NodeBase } from './shared/Node';
 
 const unaryOperators: {
 	[operator: string]: (value: LiteralValue) => LiteralValueOrUnknown;
@@ -29,6 +35,23 @@ export default class UnaryExpression extends NodeBase {
 	declare operator: '!' | '+' | '-' | 'delete' | 'typeof' | 'void' | '~';
 	declare prefix: boolean;
 	declare type: NodeType.tUnaryExpression;
+	private definedValue: DefinedValue | typeof UnknownValue = UnknownValue;
+
+	bind(): void {
+		super.bind();
+		if (this.operator === 'typeof') {
+			const { argument } = this;
+			const key =
+				argument instanceof Identifier
+					? argument.variable instanceof GlobalVariable
+						? argument.name
+						: null
+					: argument instanceof MemberExpression
+					? argument.defineKey
+					: null;
+			this.definedValue = getDefinedValue(this.context.options.define, key && `typeof ${key}`);
+		}
+	}
 
 	getLiteralValueAtPath(
 		path: ObjectPath,
@@ -36,6 +59,7 @@ export default class UnaryExpression extends NodeBase {
 		origin: DeoptimizableEntity
 	): LiteralValueOrUnknown {
 		if (path.length > 0) return UnknownValue;
+		if (this.definedValue !== UnknownValue) return this.definedValue;
 		const argumentValue = this.argument.getLiteralValueAtPath(EMPTY_PATH, recursionTracker, origin);
 		if (typeof argumentValue === 'symbol') return UnknownValue;
 
@@ -43,6 +67,7 @@ export default class UnaryExpression extends NodeBase {
 	}
 
 	hasEffects(context: HasEffectsContext): boolean {
+		if (this.definedValue !== UnknownValue) return false;
 		if (!this.deoptimized) this.applyDeoptimizations();
 		if (this.operator === 'typeof' && this.argument instanceof Identifier) return false;
 		return (
@@ -60,6 +85,24 @@ export default class UnaryExpression extends NodeBase {
 		return type !== INTERACTION_ACCESSED || path.length > (this.operator === 'void' ? 0 : 1);
 	}
 
+	include(context: InclusionContext, includeChildrenRecursively: IncludeChildren): void {
+		if (this.definedValue !== UnknownValue) {
+			this.included = true;
+		} else {
+			super.include(context, includeChildrenRecursively);
+		}
+	}
+
+	render(code: MagicString, options: RenderOptions): void {
+		if (this.definedValue !== UnknownValue) {
+			code.overwrite(this.start, this.end, renderDefinedValue(this.definedValue, this), {
+				contentOnly: true
+			});
+		} else {
+			super.render(code, options);
+		}
+	}
+
 	protected applyDeoptimizations(): void {
 		this.deoptimized = true;
 		if (this.operator === 'delete') {
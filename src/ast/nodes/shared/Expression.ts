@@ -83,6 +83,12 @@ export class ExpressionEntity implements WritableEntity {
 		}
 	}
 
+	/**
+	 * Marks a property path of this entity as being read by included code so
+	 * that entities tracking their used properties can keep it.
+	 */
+	includePath(_path: ObjectPath): void {}
+
 	shouldBeIncluded(_context: InclusionContext): boolean {
 		return true;
 	}
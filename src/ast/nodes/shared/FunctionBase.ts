@@ -98,6 +98,7 @@ export default abstract class FunctionBase extends NodeBase {
 		if (path.length > 0 || interaction.type !== INTERACTION_CALLED) {
 			return this.getObjectEntity().hasEffectsOnInteractionAtPath(path, interaction, context);
 		}
+		if (this.hasNoSideEffectsAnnotation()) return false;
 		if (this.async) {
 			const { propertyReadSideEffects } = this.context.options
 				.treeshake as NormalizedTreeshakingOptions;
@@ -162,6 +163,14 @@ export default abstract class FunctionBase extends NodeBase {
 
 	protected applyDeoptimizations() {}
 
+	// Calls of functions annotated with "#__NO_SIDE_EFFECTS__" are pure
+	protected hasNoSideEffectsAnnotation(): boolean {
+		return (
+			!!this.annotationNoSideEffects &&
+			(this.context.options.treeshake as NormalizedTreeshakingOptions).annotations
+		);
+	}
+
 	protected abstract getObjectEntity(): ObjectEntity;
 }
 
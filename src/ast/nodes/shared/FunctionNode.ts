@@ -50,6 +50,7 @@ export default class FunctionNode extends FunctionBase {
 		context: HasEffectsContext
 	): boolean {
 		if (super.hasEffectsOnInteractionAtPath(path, interaction, context)) return true;
+		if (this.hasNoSideEffectsAnnotation()) return false;
 		if (interaction.type === INTERACTION_CALLED) {
 			const thisInit = context.replacedVariableInits.get(this.scope.thisVariable);
 			context.replacedVariableInits.set(
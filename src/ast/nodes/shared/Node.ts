@@ -2,7 +2,11 @@ import * as acorn from 'acorn';
 import { locate, type Location } from 'locate-character';
 import type MagicString from 'magic-string';
 import type { AstContext } from '../../../Module';
-import { ANNOTATION_KEY, INVALID_COMMENT_KEY } from '../../../utils/pureComments';
+import {
+	ANNOTATION_KEY,
+	INVALID_COMMENT_KEY,
+	NO_SIDE_EFFECTS_KEY
+} from '../../../utils/pureComments';
 import type { NodeRenderOptions, RenderOptions } from '../../../utils/renderHelpers';
 import type { Entity } from '../../Entity';
 import {
@@ -114,6 +118,7 @@ export type StatementNode = Node;
 export interface ExpressionNode extends ExpressionEntity, Node {}
 
 export class NodeBase extends ExpressionEntity implements ExpressionNode {
+	declare annotationNoSideEffects?: boolean;
 	declare annotations?: acorn.Comment[];
 	context: AstContext;
 	declare end: number;
@@ -252,6 +257,8 @@ export class NodeBase extends ExpressionEntity implements ExpressionNode {
 				} else if (key === INVALID_COMMENT_KEY) {
 					for (const { start, end } of value as acorn.Comment[])
 						this.context.magicString.remove(start, end);
+				} else if (key === NO_SIDE_EFFECTS_KEY) {
+					this.annotationNoSideEffects = true;
 				}
 			} else if (typeof value !== 'object' || value === null) {
 				(this as GenericEsTreeNode)[key] = value;
@@ -1,12 +1,14 @@
 import type { InternalModuleFormat } from '../../rollup/types';
-import { getSafeName } from '../../utils/safeName';
+import { getMangledNameGenerator, getSafeName } from '../../utils/safeName';
 import type ImportExpression from '../nodes/ImportExpression';
 import type { ExpressionEntity } from '../nodes/shared/Expression';
 import type Variable from '../variables/Variable';
+import type ParameterScope from './ParameterScope';
 import Scope from './Scope';
 
 export default class ChildScope extends Scope {
 	readonly accessedOutsideVariables = new Map<string, Variable>();
+	containsDirectEval = false;
 	parent: Scope;
 	private declare accessedDynamicImports?: Set<ImportExpression>;
 
@@ -39,6 +41,15 @@ export default class ChildScope extends Scope {
 		}
 	}
 
+	// a direct eval can access all variables of this and surrounding scopes by
+	// their original names
+	addDirectEval(): void {
+		this.containsDirectEval = true;
+		if (this.parent instanceof ChildScope) {
+			this.parent.addDirectEval();
+		}
+	}
+
 	addNamespaceMemberAccess(name: string, variable: Variable): void {
 		this.accessedOutsideVariables.set(name, variable);
 		(this.parent as ChildScope).addNamespaceMemberAccess(name, variable);
@@ -77,7 +88,8 @@ export default class ChildScope extends Scope {
 	deconflict(
 		format: InternalModuleFormat,
 		exportNamesByVariable: ReadonlyMap<Variable, readonly string[]>,
-		accessedGlobalsByScope: ReadonlyMap<ChildScope, ReadonlySet<string>>
+		accessedGlobalsByScope: ReadonlyMap<ChildScope, ReadonlySet<string>>,
+		minify: boolean
 	): void {
 		const usedNames = new Set<string>();
 		this.addUsedOutsideNames(usedNames, format, exportNamesByVariable, accessedGlobalsByScope);
@@ -88,13 +100,30 @@ export default class ChildScope extends Scope {
 				}
 			}
 		}
-		for (const [name, variable] of this.variables) {
-			if (variable.included || variable.alwaysRendered) {
-				variable.setRenderNames(null, getSafeName(name, usedNames));
+		if (minify && !this.containsDirectEval) {
+			// declarations in a function body must not redeclare parameters
+			if ((this.parent as Partial<ParameterScope>).hoistedBodyVarScope === this) {
+				for (const variable of (this.parent as ChildScope).variables.values()) {
+					usedNames.add(variable.getBaseVariableName());
+				}
+			}
+			// variables that are not included may still be rendered, e.g. unused
+			// parameters, and must not shadow mangled names of outside variables
+			const getMangledName = getMangledNameGenerator(usedNames);
+			for (const [name, variable] of this.variables) {
+				if (name !== 'arguments' && name !== 'this') {
+					variable.setRenderNames(null, getMangledName());
+				}
+			}
+		} else {
+			for (const [name, variable] of this.variables) {
+				if (variable.included || variable.alwaysRendered) {
+					variable.setRenderNames(null, getSafeName(name, usedNames));
+				}
 			}
 		}
 		for (const scope of this.children) {
-			scope.deconflict(format, exportNamesByVariable, accessedGlobalsByScope);
+			scope.deconflict(format, exportNamesByVariable, accessedGlobalsByScope, minify);
 		}
 	}
 
@@ -1,3 +1,4 @@
+import type { DefineOption } from '../../rollup/types';
 import GlobalVariable from '../variables/GlobalVariable';
 import UndefinedVariable from '../variables/UndefinedVariable';
 import type Variable from '../variables/Variable';
@@ -6,7 +7,7 @@ import Scope from './Scope';
 export default class GlobalScope extends Scope {
 	parent = null;
 
-	constructor() {
+	constructor(private readonly define: DefineOption) {
 		super();
 		this.variables.set('undefined', new UndefinedVariable());
 	}
@@ -14,7 +15,7 @@ export default class GlobalScope extends Scope {
 	findVariable(name: string): Variable {
 		let variable = this.variables.get(name);
 		if (!variable) {
-			variable = new GlobalVariable(name);
+			variable = new GlobalVariable(name, this.define);
 			this.variables.set(name, variable);
 		}
 		return variable;
@@ -34,11 +34,12 @@ export default class ModuleScope extends ChildScope {
 	deconflict(
 		format: InternalModuleFormat,
 		exportNamesByVariable: ReadonlyMap<Variable, readonly string[]>,
-		accessedGlobalsByScope: ReadonlyMap<ChildScope, ReadonlySet<string>>
+		accessedGlobalsByScope: ReadonlyMap<ChildScope, ReadonlySet<string>>,
+		minify: boolean
 	): void {
 		// all module level variables are already deconflicted when deconflicting the chunk
 		for (const scope of this.children)
-			scope.deconflict(format, exportNamesByVariable, accessedGlobalsByScope);
+			scope.deconflict(format, exportNamesByVariable, accessedGlobalsByScope, minify);
 	}
 
 	findLexicalBoundary(): this {
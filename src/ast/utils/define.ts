@@ -0,0 +1,34 @@
+import type { DefinedValue, DefineOption } from '../../rollup/types';
+import * as NodeType from '../nodes/NodeType';
+import { UnknownValue } from '../nodes/shared/Expression';
+import type { Node } from '../nodes/shared/Node';
+
+export function getDefinedValue(
+	define: DefineOption,
+	key: string | null
+): DefinedValue | typeof UnknownValue {
+	return key !== null && key in define ? define[key] : UnknownValue;
+}
+
+/**
+ * Renders a value of the "define" option or an inlined constant as an
+ * expression that can replace the given node without changing how the
+ * surrounding code is parsed.
+ */
+export function renderDefinedValue(value: DefinedValue, node: Node): string {
+	if (typeof value === 'string') {
+		return JSON.stringify(value);
+	}
+	if (typeof value === 'number') {
+		// "-1" could merge with a preceding operator and "1.toFixed()" is invalid
+		if (
+			value < 0 ||
+			Object.is(value, -0) ||
+			(node.parent.type === NodeType.MemberExpression &&
+				(node.parent as { object?: Node }).object === node)
+		) {
+			return `(${Object.is(value, -0) ? '-0' : value})`;
+		}
+	}
+	return String(value);
+}
@@ -1,3 +1,4 @@
+import type { DefinedValue, DefineOption } from '../../rollup/types';
 import { DeoptimizableEntity } from '../DeoptimizableEntity';
 import { HasEffectsContext } from '../ExecutionContext';
 import {
@@ -14,6 +15,7 @@ import {
 import { getGlobalAtPath } from '../nodes/shared/knownGlobals';
 import type { ObjectPath } from '../utils/PathTracker';
 import { PathTracker } from '../utils/PathTracker';
+import { getDefinedValue } from '../utils/define';
 import Variable from './Variable';
 
 export default class GlobalVariable extends Variable {
@@ -21,11 +23,30 @@ export default class GlobalVariable extends Variable {
 	// been reassigned
 	isReassigned = true;
 
+	constructor(name: string, private readonly define: DefineOption) {
+		super(name);
+	}
+
+	/**
+	 * Returns the value of the "define" option for this global or a property
+	 * chain on it, e.g. `["env", "NODE_ENV"]` for `process.env.NODE_ENV`.
+	 */
+	getDefinedValueAtPath(path: ObjectPath): DefinedValue | typeof UnknownValue {
+		return getDefinedValue(
+			this.define,
+			path.every(key => typeof key === 'string') ? [this.name, ...path].join('.') : null
+		);
+	}
+
 	getLiteralValueAtPath(
 		path: ObjectPath,
 		_recursionTracker: PathTracker,
 		_origin: DeoptimizableEntity
 	): LiteralValueOrUnknown {
+		const definedValue = this.getDefinedValueAtPath(path);
+		if (definedValue !== UnknownValue) {
+			return definedValue;
+		}
 		return getGlobalAtPath([this.name, ...path]) ? UnknownTruthyValue : UnknownValue;
 	}
 
@@ -36,6 +57,9 @@ export default class GlobalVariable extends Variable {
 	): boolean {
 		switch (interaction.type) {
 			case INTERACTION_ACCESSED:
+				if (this.getDefinedValueAtPath(path) !== UnknownValue) {
+					return false;
+				}
 				if (path.length === 0) {
 					// Technically, "undefined" is a global variable of sorts
 					return this.name !== 'undefined' && !getGlobalAtPath([this.name]);
@@ -1,4 +1,5 @@
 import Module, { AstContext } from '../../Module';
+import type { DefinedValue } from '../../rollup/types';
 import type { DeoptimizableEntity } from '../DeoptimizableEntity';
 import { createInclusionContext, HasEffectsContext, InclusionContext } from '../ExecutionContext';
 import type { NodeInteractionCalled, NodeInteractionWithThisArg } from '../NodeInteractions';
@@ -19,9 +20,18 @@ import {
 	UnknownValue
 } from '../nodes/shared/Expression';
 import type { Node } from '../nodes/shared/Node';
-import { type ObjectPath, type PathTracker, UNKNOWN_PATH } from '../utils/PathTracker';
+import {
+	EMPTY_PATH,
+	type ObjectPath,
+	type PathTracker,
+	SHARED_RECURSION_TRACKER,
+	UNKNOWN_PATH
+} from '../utils/PathTracker';
 import Variable from './Variable';
 
+// Longer strings are not duplicated into every place where they are referenced
+const MAX_INLINED_STRING_LENGTH = 32;
+
 export default class LocalVariable extends Variable {
 	calledFromTryStatement = false;
 	readonly declarations: (Identifier | ExportDefaultDeclaration)[];
@@ -33,6 +43,7 @@ export default class LocalVariable extends Variable {
 	protected deoptimizationTracker: PathTracker;
 	private additionalInitializers: ExpressionEntity[] | null = null;
 	private expressionsToBeDeoptimized: DeoptimizableEntity[] = [];
+	private isExported: boolean | null = null;
 
 	constructor(
 		name: string,
@@ -102,6 +113,23 @@ export default class LocalVariable extends Variable {
 		);
 	}
 
+	/**
+	 * Returns the primitive value of an exported constant that can be inlined
+	 * into all places where it is referenced.
+	 */
+	getConstantValue(origin: DeoptimizableEntity): DefinedValue | typeof UnknownValue {
+		if (this.kind !== 'const' || !(this.isExported ??= this.module.isExported(this))) {
+			return UnknownValue;
+		}
+		const value = this.getLiteralValueAtPath(EMPTY_PATH, SHARED_RECURSION_TRACKER, origin);
+		return (typeof value === 'string' && value.length <= MAX_INLINED_STRING_LENGTH) ||
+			typeof value === 'boolean' ||
+			value === null ||
+			(typeof value === 'number' && Number.isFinite(value))
+			? value
+			: UnknownValue;
+	}
+
 	getLiteralValueAtPath(
 		path: ObjectPath,
 		recursionTracker: PathTracker,
@@ -207,6 +235,17 @@ export default class LocalVariable extends Variable {
 		}
 	}
 
+	includePath(path: ObjectPath): void {
+		if (this.init) {
+			SHARED_RECURSION_TRACKER.withTrackedEntityAtPath(
+				path,
+				this.init,
+				() => this.init!.includePath(path),
+				undefined
+			);
+		}
+	}
+
 	markCalledFromTryStatement(): void {
 		this.calledFromTryStatement = true;
 	}
@@ -47,6 +47,7 @@ export default class SyntheticNamedExportVariable extends Variable {
 	include(): void {
 		this.included = true;
 		this.context.includeVariableInModule(this.syntheticNamespace);
+		this.syntheticNamespace.includePath([this.name]);
 	}
 
 	setRenderNames(baseName: string | null, name: string | null): void {
@@ -19,7 +19,8 @@ export default function cjs(
 		isModuleFacade,
 		namedExportsMode,
 		outro,
-		snippets
+		snippets,
+		usesTopLevelAwait
 	}: FinaliserOptions,
 	{
 		compact,
@@ -31,7 +32,7 @@ export default function cjs(
 		strict
 	}: NormalizedOutputOptions
 ): Bundle {
-	const { _, n } = snippets;
+	const { _, getNonArrowFunctionIntro, n } = snippets;
 
 	const useStrict = strict ? `'use strict';${n}${n}` : '';
 	let namespaceMarkers = getNamespaceMarkers(
@@ -55,7 +56,9 @@ export default function cjs(
 		snippets
 	);
 
-	magicString.prepend(`${useStrict}${intro}${namespaceMarkers}${importBlock}${interopBlock}`);
+	magicString.prepend(
+		`${usesTopLevelAwait ? '' : useStrict}${intro}${namespaceMarkers}${importBlock}${interopBlock}`
+	);
 
 	const exportBlock = getExportBlock(
 		exports,
@@ -65,10 +68,25 @@ export default function cjs(
 		snippets,
 		t,
 		externalLiveBindings,
-		`module.exports${_}=${_}`
+		usesTopLevelAwait ? 'return ' : `module.exports${_}=${_}`
 	);
 
-	return magicString.append(`${exportBlock}${outro}`);
+	if (!usesTopLevelAwait) {
+		return magicString.append(`${exportBlock}${outro}`);
+	}
+
+	// module.exports is replaced with a Promise of the exports that resolves once
+	// the chunk has been executed
+	magicString.append(`${exportBlock}${namedExportsMode ? `${n}${n}return exports;` : ''}${outro}`);
+	return magicString
+		.indent(t)
+		.prepend(
+			`${useStrict}module.exports${_}=${_}(${getNonArrowFunctionIntro([], {
+				isAsync: true,
+				name: null
+			})}{${n}`
+		)
+		.append(`${n}${n}})();`);
 }
 
 function getImportBlock(
@@ -78,17 +96,18 @@ function getImportBlock(
 ): string {
 	let importBlock = '';
 	let definingVariable = false;
-	for (const { id, name, reexports, imports } of dependencies) {
+	for (const { id, isAsync, name, reexports, imports } of dependencies) {
+		const requireCall = `${isAsync ? 'await ' : ''}require('${id}')`;
 		if (!reexports && !imports) {
 			if (importBlock) {
 				importBlock += compact && !definingVariable ? ',' : `;${n}`;
 			}
 			definingVariable = false;
-			importBlock += `require('${id}')`;
+			importBlock += requireCall;
 		} else {
 			importBlock += compact && definingVariable ? ',' : `${importBlock ? `;${n}` : ''}${cnst} `;
 			definingVariable = true;
-			importBlock += `${name}${_}=${_}require('${id}')`;
+			importBlock += `${name}${_}=${_}${requireCall}`;
 		}
 	}
 	if (importBlock) {
@@ -34,9 +34,10 @@ export default function es(
 
 function getImportBlock(dependencies: ChunkDependencies, _: string): string[] {
 	const importBlock: string[] = [];
-	for (const { id, reexports, imports, name } of dependencies) {
+	for (const { attributes, id, reexports, imports, name } of dependencies) {
+		const attributesString = attributes ? `${_}with${_}${attributes}` : '';
 		if (!reexports && !imports) {
-			importBlock.push(`import${_}'${id}';`);
+			importBlock.push(`import${_}'${id}'${attributesString};`);
 			continue;
 		}
 		if (imports) {
@@ -53,10 +54,12 @@ function getImportBlock(dependencies: ChunkDependencies, _: string): string[] {
 				}
 			}
 			if (starImport) {
-				importBlock.push(`import${_}*${_}as ${starImport.local} from${_}'${id}';`);
+				importBlock.push(
+					`import${_}*${_}as ${starImport.local} from${_}'${id}'${attributesString};`
+				);
 			}
 			if (defaultImport && importedNames.length === 0) {
-				importBlock.push(`import ${defaultImport.local} from${_}'${id}';`);
+				importBlock.push(`import ${defaultImport.local} from${_}'${id}'${attributesString};`);
 			} else if (importedNames.length > 0) {
 				importBlock.push(
 					`import ${defaultImport ? `${defaultImport.local},${_}` : ''}{${_}${importedNames
@@ -67,7 +70,7 @@ function getImportBlock(dependencies: ChunkDependencies, _: string): string[] {
 								return `${specifier.imported} as ${specifier.local}`;
 							}
 						})
-						.join(`,${_}`)}${_}}${_}from${_}'${id}';`
+						.join(`,${_}`)}${_}}${_}from${_}'${id}'${attributesString};`
 				);
 			}
 		}
@@ -85,14 +88,14 @@ function getImportBlock(dependencies: ChunkDependencies, _: string): string[] {
 				}
 			}
 			if (starExport) {
-				importBlock.push(`export${_}*${_}from${_}'${id}';`);
+				importBlock.push(`export${_}*${_}from${_}'${id}'${attributesString};`);
 			}
 			if (namespaceReexports.length > 0) {
 				if (
 					!imports ||
 					!imports.some(specifier => specifier.imported === '*' && specifier.local === name)
 				) {
-					importBlock.push(`import${_}*${_}as ${name} from${_}'${id}';`);
+					importBlock.push(`import${_}*${_}as ${name} from${_}'${id}'${attributesString};`);
 				}
 				for (const specifier of namespaceReexports) {
 					importBlock.push(
@@ -112,7 +115,7 @@ function getImportBlock(dependencies: ChunkDependencies, _: string): string[] {
 								return `${specifier.imported} as ${specifier.reexported}`;
 							}
 						})
-						.join(`,${_}`)}${_}}${_}from${_}'${id}';`
+						.join(`,${_}`)}${_}}${_}from${_}'${id}'${attributesString};`
 				);
 			}
 		}
@@ -22,6 +22,7 @@ export default function iife(
 		namedExportsMode,
 		outro,
 		snippets,
+		usesTopLevelAwait,
 		warn
 	}: FinaliserOptions,
 	{
@@ -61,8 +62,11 @@ export default function iife(
 		});
 	}
 
+	// when wrapped in an async function, the global variable receives a Promise
+	// of the exports instead of being extended
+	const extendExports = extend && !usesTopLevelAwait;
 	if (namedExportsMode && hasExports) {
-		if (extend) {
+		if (extendExports) {
 			deps.unshift(
 				`this${keypath(name!, getPropertyAccess)}${_}=${_}this${keypath(
 					name!,
@@ -90,11 +94,11 @@ export default function iife(
 	magicString.prepend(`${intro}${interopBlock}`);
 
 	let wrapperIntro = `(${getNonArrowFunctionIntro(args, {
-		isAsync: false,
+		isAsync: usesTopLevelAwait,
 		name: null
 	})}{${n}${useStrict}${n}`;
 	if (hasExports) {
-		if (name && !(extend && namedExportsMode)) {
+		if (name && !(extendExports && namedExportsMode)) {
 			wrapperIntro =
 				(useVariableAssignment ? `var ${name}` : `this${keypath(name, getPropertyAccess)}`) +
 				`${_}=${_}${wrapperIntro}`;
@@ -105,7 +109,7 @@ export default function iife(
 	}
 
 	let wrapperOutro = `${n}${n}})(${deps.join(`,${_}`)});`;
-	if (hasExports && !extend && namedExportsMode) {
+	if (hasExports && !extendExports && namedExportsMode) {
 		wrapperOutro = `${n}${n}${t}return exports;${wrapperOutro}`;
 	}
 
@@ -42,6 +42,7 @@ export default function umd(
 		namedExportsMode,
 		outro,
 		snippets,
+		usesTopLevelAwait,
 		warn
 	}: FinaliserOptions,
 	{
@@ -83,18 +84,22 @@ export default function umd(
 		globalProp(module.globalName, globalVar, getPropertyAccess)
 	);
 	const factoryParams = trimmedImports.map(m => m.name);
+	// an async factory returns a Promise of the exports in all environments
+	const factoryReturnsExports = hasExports && (!namedExportsMode || usesTopLevelAwait);
 
 	if (namedExportsMode && (hasExports || noConflict)) {
 		amdDeps.unshift(`'exports'`);
 		cjsDeps.unshift(`exports`);
 		globalDeps.unshift(
-			assignToDeepVariable(
-				name!,
-				globalVar,
-				globals,
-				`${extend ? `${globalProp(name!, globalVar, getPropertyAccess)}${_}||${_}` : ''}{}`,
-				snippets
-			)
+			factoryReturnsExports
+				? '{}'
+				: assignToDeepVariable(
+						name!,
+						globalVar,
+						globals,
+						`${extend ? `${globalProp(name!, globalVar, getPropertyAccess)}${_}||${_}` : ''}{}`,
+						snippets
+				  )
 		);
 
 		factoryParams.unshift('exports');
@@ -106,7 +111,7 @@ export default function umd(
 		(amdDeps.length ? `[${amdDeps.join(`,${_}`)}],${_}` : ``);
 
 	const define = amd.define;
-	const cjsExport = !namedExportsMode && hasExports ? `module.exports${_}=${_}` : ``;
+	const cjsExport = factoryReturnsExports ? `module.exports${_}=${_}` : ``;
 	const useStrict = strict ? `${_}'use strict';${n}` : ``;
 
 	let iifeExport;
@@ -115,7 +120,7 @@ export default function umd(
 		const noConflictExportsVar = compact ? 'e' : 'exports';
 		let factory;
 
-		if (!namedExportsMode && hasExports) {
+		if (factoryReturnsExports) {
 			factory = `${cnst} ${noConflictExportsVar}${_}=${_}${assignToDeepVariable(
 				name!,
 				globalVar,
@@ -145,7 +150,7 @@ export default function umd(
 			`${t}})()`;
 	} else {
 		iifeExport = `${factoryVar}(${globalDeps.join(`,${_}`)})`;
-		if (!namedExportsMode && hasExports) {
+		if (factoryReturnsExports) {
 			iifeExport = assignToDeepVariable(name!, globalVar, globals, iifeExport, snippets);
 		}
 	}
@@ -173,7 +178,7 @@ export default function umd(
 		// factory function should be wrapped by parentheses to avoid lazy parsing,
 		// cf. https://v8.dev/blog/preparser#pife
 		`})(${globalArg}(${getNonArrowFunctionIntro(factoryParams, {
-			isAsync: false,
+			isAsync: usesTopLevelAwait,
 			name: null
 		})}{${useStrict}${n}`;
 
@@ -210,6 +215,7 @@ export default function umd(
 	if (namespaceMarkers) {
 		namespaceMarkers = n + n + namespaceMarkers;
 	}
-	magicString.append(`${exportBlock}${namespaceMarkers}${outro}`);
+	const returnExports = namedExportsMode && factoryReturnsExports ? `${n}${n}return exports;` : '';
+	magicString.append(`${exportBlock}${namespaceMarkers}${returnExports}${outro}`);
 	return magicString.trim().indent(t).append(wrapperOutro).prepend(wrapperIntro);
 }
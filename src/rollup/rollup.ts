@@ -1,6 +1,7 @@
 import { version as rollupVersion } from 'package.json';
 import Bundle from '../Bundle';
 import Graph from '../Graph';
+import { loadPersistentCache } from '../utils/PersistentCache';
 import type { PluginDriver } from '../utils/PluginDriver';
 import { getSortedValidatedPlugins } from '../utils/PluginDriver';
 import { ensureArray } from '../utils/ensureArray';
@@ -56,7 +57,11 @@ export async function rollupInternal(
 
 	// 全局唯一的图，包含入口以及各种依赖的相互关系，操作方法，缓存等。
 	// Graph 是 rollup 的核心
-	const graph = new Graph(inputOptions, watcher);
+	const persistentCache =
+		inputOptions.cache && inputOptions.cache.dir
+			? await loadPersistentCache(inputOptions.cache.dir, inputOptions)
+			: null;
+	const graph = new Graph(inputOptions, watcher, persistentCache);
 
 	// remove the cache option from the memory after graph creation (cache is not used anymore)
 	const useCache = rawInputOptions.cache !== false; // 是否使用缓存
@@ -87,9 +92,16 @@ export async function rollupInternal(
 
 	timeEnd('BUILD', 1);
 
+	const cache = useCache ? graph.getCache() : undefined;
+	if (persistentCache) {
+		timeStart('write persistent cache', 1);
+		await persistentCache.write(cache!);
+		timeEnd('write persistent cache', 1);
+	}
+
 	// result 是 rollup.rollup 的返回结果，返回一个 bundler
 	const result: RollupBuild = {
-		cache: useCache ? graph.getCache() : undefined,
+		cache,
 		async close() {
 			if (result.closed) return;
 
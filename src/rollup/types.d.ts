@@ -90,6 +90,7 @@ type PartialNull<T> = {
 };
 
 interface ModuleOptions {
+	attributes: Record<string, string>;
 	meta: CustomPluginOptions;
 	moduleSideEffects: boolean | 'no-treeshake';
 	syntheticNamedExports: boolean | string;
@@ -182,6 +183,42 @@ export interface CustomPluginOptions {
 	[plugin: string]: any;
 }
 
+export type InclusionReasonType =
+	| 'deoptimized-path'
+	| 'effect'
+	| 'export'
+	| 'no-treeshake'
+	| 'reference';
+
+export interface InclusionReasonLocation {
+	column: number;
+	id: string;
+	line: number;
+}
+
+export interface InclusionReason extends InclusionReasonLocation {
+	exporter?: string;
+	name?: string;
+	origin?: InclusionReasonLocation;
+	type: InclusionReasonType;
+}
+
+export interface SideEffectsReportModule {
+	column: number;
+	frame: string;
+	id: string;
+	line: number;
+	packageJson: string | null;
+}
+
+export interface SideEffectsReport {
+	modules: SideEffectsReportModule[];
+	suggestion: {
+		moduleSideEffects: string[];
+		packageJsonSideEffects: string[];
+	};
+}
+
 export interface PluginContext extends MinimalPluginContext {
 	addWatchFile: (id: string) => void;
 	cache: PluginCache;
@@ -196,8 +233,10 @@ export interface PluginContext extends MinimalPluginContext {
 	/** @deprecated Use `this.getFileName` instead */
 	getChunkFileName: (chunkReferenceId: string) => string;
 	getFileName: (fileReferenceId: string) => string;
+	getInclusionReason: (moduleId: string, pos: number) => InclusionReason[] | null;
 	getModuleIds: () => IterableIterator<string>;
 	getModuleInfo: GetModuleInfo;
+	getSideEffectsReport: () => SideEffectsReport;
 	getWatchFiles: () => string[];
 	/** @deprecated Use `this.resolve` instead */
 	isExternal: IsExternal;
@@ -210,7 +249,12 @@ export interface PluginContext extends MinimalPluginContext {
 	resolve: (
 		source: string,
 		importer?: string,
-		options?: { custom?: CustomPluginOptions; isEntry?: boolean; skipSelf?: boolean }
+		options?: {
+			attributes?: Record<string, string>;
+			custom?: CustomPluginOptions;
+			isEntry?: boolean;
+			skipSelf?: boolean;
+		}
 	) => Promise<ResolvedId | null>;
 	/** @deprecated Use `this.resolve` instead */
 	resolveId: (source: string, importer?: string) => Promise<string | null>;
@@ -243,7 +287,7 @@ export type ResolveIdHook = (
 	this: PluginContext,
 	source: string,
 	importer: string | undefined,
-	options: { custom?: CustomPluginOptions; isEntry: boolean }
+	options: { attributes: Record<string, string>; custom?: CustomPluginOptions; isEntry: boolean }
 ) => ResolveIdResult;
 
 export type ShouldTransformCachedModuleHook = (
@@ -271,7 +315,11 @@ export type HasModuleSideEffects = (id: string, external: boolean) => boolean;
 
 export type LoadResult = SourceDescription | string | null | void;
 
-export type LoadHook = (this: PluginContext, id: string) => LoadResult;
+export type LoadHook = (
+	this: PluginContext,
+	id: string,
+	options: { attributes: Record<string, string> }
+) => LoadResult;
 
 export interface TransformPluginContext extends PluginContext {
 	getCombinedSourcemap: () => SourceMap;
@@ -488,6 +536,8 @@ type TreeshakingPreset = 'smallest' | 'safest' | 'recommended';
 export interface NormalizedTreeshakingOptions {
 	annotations: boolean;
 	correctVarValueBeforeDeclaration: boolean;
+	explain: boolean;
+	inlineConstants: boolean;
 	moduleSideEffects: HasModuleSideEffects;
 	propertyReadSideEffects: boolean | 'always';
 	tryCatchDeoptimization: boolean;
@@ -524,16 +574,47 @@ export type SourcemapPathTransformOption = (
 	sourcemapPath: string
 ) => string;
 
+export interface FederationSharedOptions {
+	singleton?: boolean;
+	version: string;
+}
+
+export interface FederationOptions {
+	exposes?: { [name: string]: string };
+	fileName?: string;
+	remotes?: { [name: string]: string };
+	shared?: { [id: string]: string | FederationSharedOptions };
+}
+
+export interface NormalizedFederationOptions {
+	exposes: { [name: string]: string };
+	fileName: string;
+	remotes: { [name: string]: string };
+	shared: { [id: string]: Required<FederationSharedOptions> };
+}
+
+export type DefinedValue = string | number | boolean | null | undefined;
+
+export interface DefineOption {
+	[key: string]: DefinedValue;
+}
+
 export interface InputOptions {
 	acorn?: Record<string, unknown>;
 	acornInjectPlugins?: (() => unknown)[] | (() => unknown);
-	cache?: false | RollupCache;
+	assetUrls?: boolean;
+	cache?: false | RollupCache | PersistentCacheOptions;
 	context?: string;
+	css?: boolean;
+	define?: DefineOption;
 	experimentalCacheExpiry?: number;
 	external?: ExternalOption;
+	federation?: FederationOptions;
+	html?: boolean;
 	/** @deprecated Use the "inlineDynamicImports" output option instead. */
 	inlineDynamicImports?: boolean;
 	input?: InputOption;
+	json?: boolean;
 	makeAbsoluteExternalsRelative?: boolean | 'ifRelativeSource';
 	/** @deprecated Use the "manualChunks" output option instead. */
 	manualChunks?: ManualChunksOption;
@@ -552,18 +633,25 @@ export interface InputOptions {
 	strictDeprecations?: boolean;
 	treeshake?: boolean | TreeshakingPreset | TreeshakingOptions;
 	watch?: WatcherOptions | false;
+	workers?: boolean;
 }
 
 export interface NormalizedInputOptions {
 	acorn: Record<string, unknown>;
 	acornInjectPlugins: (() => unknown)[];
+	assetUrls: boolean;
 	cache: false | undefined | RollupCache;
 	context: string;
+	css: boolean;
+	define: DefineOption;
 	experimentalCacheExpiry: number;
 	external: IsExternal;
+	federation: NormalizedFederationOptions | undefined;
+	html: boolean;
 	/** @deprecated Use the "inlineDynamicImports" output option instead. */
 	inlineDynamicImports: boolean | undefined;
 	input: string[] | { [entryAlias: string]: string };
+	json: boolean;
 	makeAbsoluteExternalsRelative: boolean | 'ifRelativeSource';
 	/** @deprecated Use the "manualChunks" output option instead. */
 	manualChunks: ManualChunksOption | undefined;
@@ -581,6 +669,7 @@ export interface NormalizedInputOptions {
 	shimMissingExports: boolean;
 	strictDeprecations: boolean;
 	treeshake: false | NormalizedTreeshakingOptions;
+	workers: boolean;
 }
 
 export type InternalModuleFormat = 'amd' | 'cjs' | 'es' | 'iife' | 'system' | 'umd';
@@ -640,11 +729,27 @@ export type NormalizedAmdOptions = (
 	forceJsExtensionForImports: boolean;
 };
 
+export interface ImportMapOptions {
+	bareChunkImports?: boolean;
+	baseUrl?: string;
+	externals?: OptionsPaths;
+	fileName?: string;
+}
+
+export interface NormalizedImportMapOptions {
+	bareChunkImports: boolean;
+	baseUrl: string;
+	externals: OptionsPaths;
+	fileName: string;
+}
+
 export interface OutputOptions {
 	amd?: AmdOptions;
+	analyze?: boolean | string;
 	assetFileNames?: string | ((chunkInfo: PreRenderedAsset) => string);
 	banner?: string | (() => string | Promise<string>);
 	chunkFileNames?: string | ((chunkInfo: PreRenderedChunk) => string);
+	chunkSizeLimit?: number;
 	compact?: boolean;
 	// only required for bundle.write
 	dir?: string;
@@ -654,6 +759,7 @@ export interface OutputOptions {
 	esModule?: boolean;
 	exports?: 'default' | 'named' | 'none' | 'auto';
 	extend?: boolean;
+	externalImportAttributes?: boolean;
 	externalLiveBindings?: boolean;
 	// only required for bundle.write
 	file?: string;
@@ -663,17 +769,22 @@ export interface OutputOptions {
 	generatedCode?: GeneratedCodePreset | GeneratedCodeOptions;
 	globals?: GlobalsOption;
 	hoistTransitiveImports?: boolean;
+	importMap?: boolean | ImportMapOptions;
 	indent?: string | boolean;
 	inlineDynamicImports?: boolean;
 	interop?: InteropType | GetInterop;
 	intro?: string | (() => string | Promise<string>);
+	manifest?: boolean | string;
 	manualChunks?: ManualChunksOption;
+	minChunkSize?: number;
+	minify?: boolean;
 	minifyInternalExports?: boolean;
 	name?: string;
 	/** @deprecated Use "generatedCode.symbols" instead. */
 	namespaceToStringTag?: boolean;
 	noConflict?: boolean;
 	outro?: string | (() => string | Promise<string>);
+	packageJson?: boolean | string;
 	paths?: OptionsPaths;
 	plugins?: (OutputPlugin | null | false | undefined)[];
 	/** @deprecated Use "generatedCode.constBindings" instead. */
@@ -686,16 +797,20 @@ export interface OutputOptions {
 	sourcemapExcludeSources?: boolean;
 	sourcemapFile?: string;
 	sourcemapPathTransform?: SourcemapPathTransformOption;
+	stableHashes?: boolean;
 	strict?: boolean;
 	systemNullSetters?: boolean;
 	validate?: boolean;
+	wrapTopLevelAwait?: boolean;
 }
 
 export interface NormalizedOutputOptions {
 	amd: NormalizedAmdOptions;
+	analyze: string | false;
 	assetFileNames: string | ((chunkInfo: PreRenderedAsset) => string);
 	banner: () => string | Promise<string>;
 	chunkFileNames: string | ((chunkInfo: PreRenderedChunk) => string);
+	chunkSizeLimit: number;
 	compact: boolean;
 	dir: string | undefined;
 	/** @deprecated Use the "renderDynamicImport" plugin hook instead. */
@@ -704,6 +819,7 @@ export interface NormalizedOutputOptions {
 	esModule: boolean;
 	exports: 'default' | 'named' | 'none' | 'auto';
 	extend: boolean;
+	externalImportAttributes: boolean;
 	externalLiveBindings: boolean;
 	file: string | undefined;
 	footer: () => string | Promise<string>;
@@ -712,16 +828,21 @@ export interface NormalizedOutputOptions {
 	generatedCode: NormalizedGeneratedCodeOptions;
 	globals: GlobalsOption;
 	hoistTransitiveImports: boolean;
+	importMap: NormalizedImportMapOptions | false;
 	indent: true | string;
 	inlineDynamicImports: boolean;
 	interop: GetInterop;
 	intro: () => string | Promise<string>;
+	manifest: string | false;
 	manualChunks: ManualChunksOption;
+	minChunkSize: number;
+	minify: boolean;
 	minifyInternalExports: boolean;
 	name: string | undefined;
 	namespaceToStringTag: boolean;
 	noConflict: boolean;
 	outro: () => string | Promise<string>;
+	packageJson: boolean | string;
 	paths: OptionsPaths;
 	plugins: OutputPlugin[];
 	/** @deprecated Use the "renderDynamicImport" plugin hook instead. */
@@ -734,9 +855,11 @@ export interface NormalizedOutputOptions {
 	sourcemapExcludeSources: boolean;
 	sourcemapFile: string | undefined;
 	sourcemapPathTransform: SourcemapPathTransformOption | undefined;
+	stableHashes: boolean;
 	strict: boolean;
 	systemNullSetters: boolean;
 	validate: boolean;
+	wrapTopLevelAwait: boolean;
 }
 
 export type WarningHandlerWithDefault = (
@@ -790,6 +913,7 @@ export interface RenderedChunk extends PreRenderedChunk {
 	importedBindings: {
 		[imported: string]: string[];
 	};
+	importedCss: string[];
 	imports: string[];
 	map?: SourceMap;
 	referencedFiles: string[];
@@ -799,11 +923,63 @@ export interface OutputChunk extends RenderedChunk {
 	code: string;
 }
 
+export interface BundleAnalysisModule {
+	id: string;
+	importChain: string[];
+	originalLength: number;
+	removedExports: string[];
+	renderedExports: string[];
+	renderedLength: number;
+}
+
+export interface BundleAnalysisChunk {
+	codeLength: number;
+	dynamicImports: string[];
+	facadeModuleId: string | null;
+	fileName: string;
+	imports: string[];
+	isDynamicEntry: boolean;
+	isEntry: boolean;
+	modules: BundleAnalysisModule[];
+	name: string;
+	originalLength: number;
+	renderedLength: number;
+}
+
+export interface BundleAnalysis {
+	chunks: BundleAnalysisChunk[];
+	format: InternalModuleFormat;
+}
+
+export interface BundleManifestChunk {
+	dynamicImports: string[];
+	fileName: string;
+	implicitlyLoadedBefore: string[];
+	importedCss: string[];
+	imports: string[];
+	isDynamicEntry: boolean;
+	isEntry: boolean;
+	referencedFiles: string[];
+}
+
+export interface BundleManifest {
+	[id: string]: BundleManifestChunk;
+}
+
+export interface PackageJsonExports {
+	[subpath: string]: { import?: string; require?: string };
+}
+
 export interface SerializablePluginCache {
 	[key: string]: [number, any];
 }
 
+export interface PersistentCacheOptions {
+	dir: string;
+}
+
 export interface RollupCache {
+	dir?: string;
 	modules: ModuleJSON[];
 	plugins?: Record<string, SerializablePluginCache>;
 }
@@ -858,11 +1034,17 @@ export interface ChokidarOptions {
 
 export type RollupWatchHooks = 'onError' | 'onStart' | 'onBundleStart' | 'onBundleEnd' | 'onEnd';
 
+export interface HmrOptions {
+	host?: string;
+	port?: number;
+}
+
 export interface WatcherOptions {
 	buildDelay?: number;
 	chokidar?: ChokidarOptions;
 	clearScreen?: boolean;
 	exclude?: string | RegExp | (string | RegExp)[];
+	hmr?: boolean | HmrOptions;
 	include?: string | RegExp | (string | RegExp)[];
 	skipWrite?: boolean;
 }
@@ -0,0 +1,138 @@
+import { locate } from 'locate-character';
+import type Module from '../Module';
+import type Identifier from '../ast/nodes/Identifier';
+import type MemberExpression from '../ast/nodes/MemberExpression';
+import * as NodeType from '../ast/nodes/NodeType';
+import type { Node, StatementNode } from '../ast/nodes/shared/Node';
+import { type ObjectPath, UnknownKey } from '../ast/utils/PathTracker';
+import LocalVariable from '../ast/variables/LocalVariable';
+import type Variable from '../ast/variables/Variable';
+import type { InclusionReason, InclusionReasonLocation } from '../rollup/types';
+
+type InclusionCause =
+	| { type: 'effect' | 'no-treeshake' }
+	| { exporter: Module; name: string; type: 'export' }
+	| { node: Node; type: 'reference' };
+
+/**
+ * Records why top-level statements and variables were first included when
+ * "treeshake.explain" is used. Only the first cause is kept for each entity.
+ * As maps are iterated in insertion order, this means the first matching
+ * cause for a statement is also the one that included it.
+ */
+export class InclusionReasonTracker {
+	private readonly causes = new Map<Node | Variable, InclusionCause>();
+	private readonly deoptimizations = new Map<Variable, Node>();
+
+	/**
+	 * Remembers the first node that passed a variable to unknown code or
+	 * reassigned it, after which mutations of its properties are side effects.
+	 */
+	addDeoptimization(variable: Variable, path: ObjectPath, node: Node): void {
+		if (
+			variable instanceof LocalVariable &&
+			(path.length === 0 || path[0] === UnknownKey) &&
+			!this.deoptimizations.has(variable)
+		) {
+			this.deoptimizations.set(variable, node);
+		}
+	}
+
+	addExport(variable: Variable, exporter: Module, name: string): void {
+		if (!this.causes.has(variable)) {
+			this.causes.set(variable, { exporter, name, type: 'export' });
+		}
+	}
+
+	addReference(variable: Variable, node: Node): void {
+		if (!this.causes.has(variable)) {
+			this.causes.set(variable, { node, type: 'reference' });
+		}
+	}
+
+	addStatement(statement: StatementNode, type: 'effect' | 'no-treeshake'): void {
+		if (!this.causes.has(statement)) {
+			this.causes.set(statement, { type });
+		}
+	}
+
+	getInclusionReason(statement: StatementNode): InclusionReason[] {
+		const reasons: InclusionReason[] = [];
+		const visitedStatements = new Set<StatementNode>();
+		let currentStatement: StatementNode | undefined = statement;
+		while (currentStatement && !visitedStatements.has(currentStatement)) {
+			visitedStatements.add(currentStatement);
+			const entityWithCause = this.getFirstCauseForStatement(currentStatement);
+			if (!entityWithCause) break;
+			const [entity, cause] = entityWithCause;
+			const reason: InclusionReason = { ...getLocation(currentStatement), type: cause.type };
+			let origin: Node | null = null;
+			if (cause.type === 'export') {
+				reason.exporter = cause.exporter.id;
+				reason.name = cause.name;
+			} else if (cause.type === 'reference') {
+				reason.name = (entity as Variable).name;
+				origin = cause.node;
+			} else if (cause.type === 'effect') {
+				const mutatedVariable = this.getDeoptimizedMutatedVariable(currentStatement);
+				if (mutatedVariable) {
+					reason.name = mutatedVariable.name;
+					reason.type = 'deoptimized-path';
+					origin = this.deoptimizations.get(mutatedVariable)!;
+				}
+			}
+			currentStatement = undefined;
+			if (origin) {
+				reason.origin = getLocation(origin);
+				currentStatement = origin.context.module.getStatementAtPosition(origin.start);
+			}
+			reasons.push(reason);
+		}
+		return reasons;
+	}
+
+	/**
+	 * Mutating a property of a local variable is only a side effect if the
+	 * variable was deoptimized before, e.g. by passing it to a global function.
+	 */
+	private getDeoptimizedMutatedVariable(statement: StatementNode): Variable | null {
+		if (statement.type !== NodeType.ExpressionStatement) return null;
+		const { expression } = statement as any;
+		let target: Node =
+			expression.type === NodeType.AssignmentExpression
+				? expression.left
+				: expression.type === NodeType.UpdateExpression
+				? expression.argument
+				: null;
+		if (target?.type !== NodeType.MemberExpression) return null;
+		while (target.type === NodeType.MemberExpression) {
+			target = (target as MemberExpression).object;
+		}
+		if (target.type !== NodeType.Identifier) return null;
+		const { variable } = target as Identifier;
+		return variable && this.deoptimizations.has(variable) ? variable : null;
+	}
+
+	private getFirstCauseForStatement(
+		statement: StatementNode
+	): [entity: Node | Variable, cause: InclusionCause] | null {
+		for (const [entity, cause] of this.causes) {
+			if (
+				entity === statement ||
+				(entity instanceof LocalVariable &&
+					entity.module === statement.context.module &&
+					entity.declarations.some(
+						declaration => declaration.start >= statement.start && declaration.end <= statement.end
+					))
+			) {
+				return [entity, cause];
+			}
+		}
+		return null;
+	}
+}
+
+function getLocation({ context: { code, module }, start }: Node): InclusionReasonLocation {
+	const { column, line } = locate(code, start, { offsetLine: 1 });
+	return { column, id: module.id, line };
+}
@@ -0,0 +1,60 @@
+export interface OutputGroupMember<T> {
+	/**
+	 * Adds the data of an output to its group and resolves with the data of all
+	 * outputs of the group in the order in which they started generating.
+	 */
+	contribute(value: T): Promise<readonly T[]>;
+	// Must be called when an output fails before contributing its data
+	leave(): void;
+}
+
+interface PendingGroup<T> {
+	pending: number;
+	promise: Promise<readonly T[]>;
+	resolve: (values: readonly T[]) => void;
+	values: (T | null)[];
+}
+
+/**
+ * Collects data from the outputs of a build that are generated at the same
+ * time, e.g. via `Promise.all(outputs.map(bundle.write))` as the command line
+ * interface does. As outputs join synchronously when they start generating, a
+ * group contains all outputs that are generated together, and every output of
+ * a group receives the same data independent of the order in which the
+ * outputs finish rendering.
+ */
+export default class OutputGroup<T> {
+	private current: PendingGroup<T> | null = null;
+
+	join(): OutputGroupMember<T> {
+		const group = this.current || (this.current = createPendingGroup());
+		const index = group.values.length;
+		group.values.push(null);
+		group.pending++;
+		let isDone = false;
+		const done = () => {
+			if (isDone) return;
+			isDone = true;
+			if (--group.pending === 0) {
+				if (this.current === group) {
+					this.current = null;
+				}
+				group.resolve(group.values.filter((value): value is T => value !== null));
+			}
+		};
+		return {
+			contribute(value) {
+				group.values[index] = value;
+				done();
+				return group.promise;
+			},
+			leave: done
+		};
+	}
+}
+
+function createPendingGroup<T>(): PendingGroup<T> {
+	let resolve: PendingGroup<T>['resolve'];
+	const promise = new Promise<readonly T[]>(resolvePromise => (resolve = resolvePromise));
+	return { pending: 0, promise, resolve: resolve!, values: [] };
+}
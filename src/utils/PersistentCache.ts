@@ -0,0 +1,246 @@
+import { version as rollupVersion } from 'package.json';
+import type {
+	ModuleJSON,
+	NormalizedInputOptions,
+	RollupCache,
+	SerializablePluginCache
+} from '../rollup/types';
+import Queue from './Queue';
+import { createHash } from './crypto';
+import { promises as fs } from './fs';
+import { resolve } from './path';
+
+interface PersistentCacheEntry<T> {
+	// hashes of the transform dependencies of a module by their path
+	dependencies?: Record<string, string>;
+	key: string;
+	value: T;
+}
+
+const MODULES_DIRECTORY = 'modules';
+const PLUGINS_FILE = 'plugins.json';
+// one week in milliseconds
+const MAX_MODULE_ENTRY_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Stores the module and plugin cache of a build in a directory so that it can
+ * be reused by subsequent processes. Modules are stored by a hash of their id
+ * and loaded code so that changed files never hit a stale entry, and entries
+ * are only reused if the files and directories their transformation depended
+ * on did not change either. Every entry is additionally tagged with a key
+ * derived from the Rollup version, the acorn options and the plugin cache keys
+ * so that entries written by a different setup are ignored and eventually
+ * overwritten. As several builds may share a directory, module entries are
+ * only removed once they have not been used for a week.
+ */
+export class PersistentCache {
+	private readonly fileOperationQueue: Queue;
+	private readonly loadedModules = new WeakSet<ModuleJSON>();
+	private readonly unchangedModuleIds = new Set<string>();
+
+	constructor(
+		readonly dir: string,
+		readonly pluginCache: Record<string, SerializablePluginCache> | null,
+		private readonly key: string,
+		maxParallelFileOps: number
+	) {
+		this.fileOperationQueue = new Queue(maxParallelFileOps);
+	}
+
+	async getModule(id: string, code: string): Promise<ModuleJSON | null> {
+		const entry = await this.fileOperationQueue.run(() =>
+			readEntry<ModuleJSON>(this.getModuleFileName(id, code), this.key)
+		);
+		if (!entry || !(await this.hasUnchangedDependencies(entry))) {
+			return null;
+		}
+		this.loadedModules.add(entry.value);
+		return entry.value;
+	}
+
+	// Modules reused from the in-memory cache may not have been persisted yet
+	markModuleAsUnchanged(module: ModuleJSON): void {
+		if (this.loadedModules.has(module)) {
+			this.unchangedModuleIds.add(module.id);
+		}
+	}
+
+	async write({ modules, plugins }: RollupCache): Promise<void> {
+		const modulesDirectory = resolve(this.dir, MODULES_DIRECTORY);
+		await fs.mkdir(modulesDirectory, { recursive: true });
+		const writes: Promise<void>[] = [];
+		const now = new Date();
+		for (const module of modules) {
+			if (module.customTransformCache) continue;
+			const fileName = this.getModuleFileName(module.id, module.originalCode);
+			writes.push(
+				this.fileOperationQueue.run(async () =>
+					this.unchangedModuleIds.has(module.id)
+						? // marks the entry as used so that it is not pruned
+						  fs.utimes(fileName, now, now).catch(() => undefined)
+						: writeEntry(fileName, this.key, module, {
+								dependencies: await getDependencyHashes(module.transformDependencies)
+						  })
+				)
+			);
+		}
+		if (plugins) {
+			writes.push(writeEntry(resolve(this.dir, PLUGINS_FILE), this.key, plugins));
+		}
+		await Promise.all(writes);
+		await this.pruneModules(modulesDirectory, now.getTime() - MAX_MODULE_ENTRY_AGE);
+	}
+
+	private getModuleFileName(id: string, code: string): string {
+		return resolve(
+			this.dir,
+			MODULES_DIRECTORY,
+			`${createHash().update(id).update('\0').update(code).digest('hex')}.json`
+		);
+	}
+
+	private async hasUnchangedDependencies({
+		dependencies = {}
+	}: PersistentCacheEntry<ModuleJSON>): Promise<boolean> {
+		const paths = Object.keys(dependencies);
+		const hashes = await Promise.all(
+			paths.map(path => this.fileOperationQueue.run(() => getDependencyHash(path)))
+		);
+		return paths.every((path, index) => hashes[index] === dependencies[path]);
+	}
+
+	// Entries of previous versions of modules would otherwise accumulate forever
+	private async pruneModules(modulesDirectory: string, minModifiedTime: number): Promise<void> {
+		const removals: Promise<void>[] = [];
+		for (const fileName of await fs.readdir(modulesDirectory)) {
+			if (!fileName.endsWith('.json')) continue;
+			const resolvedFileName = resolve(modulesDirectory, fileName);
+			removals.push(
+				this.fileOperationQueue.run(async () => {
+					try {
+						if ((await fs.stat(resolvedFileName)).mtimeMs < minModifiedTime) {
+							await fs.unlink(resolvedFileName);
+						}
+					} catch {
+						// the entry may have been removed by a concurrent build
+					}
+				})
+			);
+		}
+		await Promise.all(removals);
+	}
+}
+
+export async function loadPersistentCache(
+	dir: string,
+	options: NormalizedInputOptions
+): Promise<PersistentCache> {
+	const resolvedDir = resolve(dir);
+	const key = getCacheKey(options);
+	return new PersistentCache(
+		resolvedDir,
+		(
+			await readEntry<Record<string, SerializablePluginCache>>(
+				resolve(resolvedDir, PLUGINS_FILE),
+				key
+			)
+		)?.value ?? null,
+		key,
+		options.maxParallelFileOps
+	);
+}
+
+function getCacheKey({ acorn, plugins }: NormalizedInputOptions): string {
+	return createHash()
+		.update(
+			JSON.stringify([rollupVersion, acorn, plugins.map(({ cacheKey, name }) => cacheKey || name)])
+		)
+		.digest('hex');
+}
+
+// The hash of a directory, e.g. one searched by import.meta.glob, covers its
+// file names while missing files have an empty hash
+async function getDependencyHash(path: string): Promise<string> {
+	const hash = createHash();
+	try {
+		hash.update(await fs.readFile(path, 'utf8'));
+	} catch (err: any) {
+		if (err.code !== 'EISDIR') return '';
+		try {
+			hash.update((await fs.readdir(path)).sort().join('\0'));
+		} catch {
+			return '';
+		}
+	}
+	return hash.digest('hex');
+}
+
+async function getDependencyHashes(paths: readonly string[]): Promise<Record<string, string>> {
+	const dependencies: Record<string, string> = {};
+	for (const path of paths) {
+		dependencies[path] = await getDependencyHash(path);
+	}
+	return dependencies;
+}
+
+async function readEntry<T>(
+	fileName: string,
+	key: string
+): Promise<PersistentCacheEntry<T> | null> {
+	let entry: PersistentCacheEntry<T>;
+	try {
+		entry = JSON.parse(await fs.readFile(fileName, 'utf8'), reviveLiteralValues);
+	} catch {
+		// missing or corrupted entries are treated as cache misses
+		return null;
+	}
+	return entry.key === key ? entry : null;
+}
+
+async function writeEntry<T>(
+	fileName: string,
+	key: string,
+	value: T,
+	{ dependencies }: Pick<PersistentCacheEntry<T>, 'dependencies'> = {}
+): Promise<void> {
+	let serializedEntry: string;
+	try {
+		serializedEntry = JSON.stringify({ dependencies, key, value }, replaceLiteralValues);
+	} catch {
+		// entries containing binary data or non-serializable meta data are not persisted
+		return;
+	}
+	// Writing to a temporary file first ensures that concurrent builds never
+	// read partially written entries
+	const temporaryFileName = `${fileName}.${Math.random().toString(36).slice(2)}.tmp`;
+	await fs.writeFile(temporaryFileName, serializedEntry);
+	await fs.rename(temporaryFileName, fileName);
+}
+
+// RegExp and BigInt literal values cannot be represented in JSON. They are
+// restored from the "regex" and "bigint" properties acorn adds to the node.
+function replaceLiteralValues(this: any, key: string, value: unknown): unknown {
+	if (this[key] instanceof Uint8Array) {
+		throw new Error('Binary data cannot be persisted.');
+	}
+	if (key === 'value' && this.type === 'Literal' && (this.regex || this.bigint)) {
+		return null;
+	}
+	return value;
+}
+
+function reviveLiteralValues(_key: string, value: any): unknown {
+	if (value && value.type === 'Literal') {
+		if (value.regex) {
+			try {
+				value.value = new RegExp(value.regex.pattern, value.regex.flags);
+			} catch {
+				// the same fallback acorn uses for unsupported regular expressions
+				value.value = null;
+			}
+		} else if (value.bigint) {
+			value.value = typeof BigInt === 'undefined' ? null : BigInt(value.bigint);
+		}
+	}
+	return value;
+}
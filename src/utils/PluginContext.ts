@@ -9,9 +9,15 @@ import type {
 } from '../rollup/types';
 import type { FileEmitter } from './FileEmitter';
 import { createPluginCache, getCacheForUncacheablePlugin, NO_CACHE } from './PluginCache';
-import { BLANK } from './blank';
+import { BLANK, EMPTY_OBJECT } from './blank';
 import { BuildPhase } from './buildPhase';
-import { errInvalidRollupPhaseForAddWatchFile, warnDeprecation } from './error';
+import {
+	errInclusionReasonsNotTracked,
+	errInvalidRollupPhaseForAddWatchFile,
+	errInvalidRollupPhaseForGetInclusionReason,
+	errInvalidRollupPhaseForGetSideEffectsReport,
+	warnDeprecation
+} from './error';
 import {
 	ANONYMOUS_OUTPUT_PLUGIN_PREFIX,
 	ANONYMOUS_PLUGIN_PREFIX,
@@ -127,8 +133,23 @@ export function getPluginContext(
 			options
 		),
 		getFileName: fileEmitter.getFileName,
+		getInclusionReason(moduleId, pos) {
+			if (graph.phase < BuildPhase.GENERATE) {
+				return this.error(errInvalidRollupPhaseForGetInclusionReason());
+			}
+			if (!graph.inclusionReasonTracker) {
+				return this.error(errInclusionReasonsNotTracked());
+			}
+			return graph.getInclusionReason(moduleId, pos);
+		},
 		getModuleIds: () => graph.modulesById.keys(),
 		getModuleInfo: graph.getModuleInfo,
+		getSideEffectsReport() {
+			if (graph.phase < BuildPhase.GENERATE) {
+				return this.error(errInvalidRollupPhaseForGetSideEffectsReport());
+			}
+			return graph.getSideEffectsReport();
+		},
 		getWatchFiles: () => Object.keys(graph.watchFiles),
 		isExternal: getDeprecatedContextHandler(
 			(id: string, parentId: string | undefined, isResolved = false) =>
@@ -164,19 +185,20 @@ export function getPluginContext(
 			return wrappedModuleIds();
 		},
 		parse: graph.contextParse.bind(graph),
-		resolve(source, importer, { custom, isEntry, skipSelf } = BLANK) {
+		resolve(source, importer, { attributes, custom, isEntry, skipSelf } = BLANK) {
 			return graph.moduleLoader.resolveId(
 				source,
 				importer,
 				custom,
 				isEntry,
+				attributes || EMPTY_OBJECT,
 				skipSelf ? [{ importer, plugin, source }] : null
 			);
 		},
 		resolveId: getDeprecatedContextHandler(
 			(source: string, importer: string | undefined) =>
 				graph.moduleLoader
-					.resolveId(source, importer, BLANK, undefined)
+					.resolveId(source, importer, BLANK, undefined, EMPTY_OBJECT)
 					.then(resolveId => resolveId && resolveId.id),
 			'resolveId',
 			'resolve',
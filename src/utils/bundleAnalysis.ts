@@ -0,0 +1,181 @@
+import type Chunk from '../Chunk';
+import type ExternalModule from '../ExternalModule';
+import Module from '../Module';
+import type {
+	BundleAnalysis,
+	BundleAnalysisChunk,
+	BundleAnalysisModule,
+	NormalizedOutputOptions,
+	OutputChunk
+} from '../rollup/types';
+import type { PluginDriver } from './PluginDriver';
+import { sortByExecutionOrder } from './executionOrder';
+import type { OutputBundleWithPlaceholders } from './outputBundle';
+import relativeId from './relativeId';
+
+export function emitBundleAnalysis(
+	chunks: readonly Chunk[],
+	modulesById: ReadonlyMap<string, Module | ExternalModule>,
+	outputOptions: NormalizedOutputOptions,
+	bundle: OutputBundleWithPlaceholders,
+	pluginDriver: PluginDriver
+): void {
+	const reportName = outputOptions.analyze as string;
+	const analysis = getBundleAnalysis(chunks, modulesById, outputOptions, bundle);
+	pluginDriver.emitFile({
+		fileName: `${reportName}.json`,
+		source: JSON.stringify(analysis, null, 2),
+		type: 'asset'
+	});
+	pluginDriver.emitFile({
+		fileName: `${reportName}.html`,
+		source: renderBundleAnalysisHtml(analysis),
+		type: 'asset'
+	});
+}
+
+export function getBundleAnalysis(
+	chunks: readonly Chunk[],
+	modulesById: ReadonlyMap<string, Module | ExternalModule>,
+	{ format }: NormalizedOutputOptions,
+	bundle: OutputBundleWithPlaceholders
+): BundleAnalysis {
+	const importChainByModule = getImportChainByModule(modulesById);
+	const analysedChunks: BundleAnalysisChunk[] = [];
+	for (const chunk of chunks) {
+		const outputChunk = bundle[chunk.id!] as OutputChunk;
+		const modules: BundleAnalysisModule[] = [];
+		let originalLength = 0;
+		let renderedLength = 0;
+		for (const [id, renderedModule] of Object.entries(chunk.getRenderedModules())) {
+			const module = modulesById.get(id) as Module;
+			originalLength += renderedModule.originalLength;
+			renderedLength += renderedModule.renderedLength;
+			modules.push({
+				id: relativeId(id),
+				importChain: (importChainByModule.get(module) || [module]).map(({ id }) => relativeId(id)),
+				originalLength: renderedModule.originalLength,
+				removedExports: renderedModule.removedExports,
+				renderedExports: renderedModule.renderedExports,
+				renderedLength: renderedModule.renderedLength
+			});
+		}
+		analysedChunks.push({
+			codeLength: outputChunk.code.length,
+			dynamicImports: outputChunk.dynamicImports,
+			facadeModuleId: outputChunk.facadeModuleId && relativeId(outputChunk.facadeModuleId),
+			fileName: outputChunk.fileName,
+			imports: outputChunk.imports,
+			isDynamicEntry: outputChunk.isDynamicEntry,
+			isEntry: outputChunk.isEntry,
+			modules,
+			name: outputChunk.name,
+			originalLength,
+			renderedLength
+		});
+	}
+	return { chunks: analysedChunks, format };
+}
+
+// Breadth-first search from all entry points so that each module is assigned
+// the shortest chain of imports that caused it to be part of the graph.
+function getImportChainByModule(
+	modulesById: ReadonlyMap<string, Module | ExternalModule>
+): Map<Module, Module[]> {
+	const importChainByModule = new Map<Module, Module[]>();
+	const entryModules: Module[] = [];
+	for (const module of modulesById.values()) {
+		if (
+			module instanceof Module &&
+			(module.info.isEntry || module.implicitlyLoadedAfter.size > 0)
+		) {
+			entryModules.push(module);
+		}
+	}
+	sortByExecutionOrder(entryModules);
+	const queue: Module[] = [];
+	for (const module of entryModules) {
+		importChainByModule.set(module, [module]);
+		queue.push(module);
+	}
+	for (const module of queue) {
+		const importChain = importChainByModule.get(module)!;
+		for (const dependency of [...module.dependencies, ...module.dynamicDependencies]) {
+			if (dependency instanceof Module && !importChainByModule.has(dependency)) {
+				importChainByModule.set(dependency, [...importChain, dependency]);
+				queue.push(dependency);
+			}
+		}
+	}
+	return importChainByModule;
+}
+
+const HTML_ESCAPES: { [character: string]: string } = {
+	'"': '&quot;',
+	'&': '&amp;',
+	"'": '&#39;',
+	'<': '&lt;',
+	'>': '&gt;'
+};
+
+const escapeHtml = (text: string): string =>
+	text.replace(/["&'<>]/g, character => HTML_ESCAPES[character]);
+
+const formatList = (items: readonly string[]): string =>
+	items.length === 0 ? '&ndash;' : items.map(escapeHtml).join(', ');
+
+function renderChunkHtml(chunk: BundleAnalysisChunk): string {
+	const flags = [chunk.isEntry && 'entry', chunk.isDynamicEntry && 'dynamic entry']
+		.filter(Boolean)
+		.join(', ');
+	const moduleRows = chunk.modules
+		.map(
+			module =>
+				`<tr${module.renderedLength === 0 ? ' class="removed"' : ''}><td>${escapeHtml(
+					module.id
+				)}</td><td class="size">${module.renderedLength}</td><td class="size">${
+					module.originalLength
+				}</td><td>${module.importChain.map(escapeHtml).join(' &rarr; ')}</td><td>${formatList(
+					module.removedExports
+				)}</td></tr>`
+		)
+		.join('\n');
+	return `<section>
+<h2>${escapeHtml(chunk.fileName)}${flags ? ` <small>(${flags})</small>` : ''}</h2>
+<p>Size: ${chunk.codeLength} &middot; Rendered modules: ${chunk.renderedLength} / ${
+		chunk.originalLength
+	} &middot; Imports: ${formatList(chunk.imports)} &middot; Dynamic imports: ${formatList(
+		chunk.dynamicImports
+	)}</p>
+<table>
+<thead><tr><th>Module</th><th>Rendered</th><th>Original</th><th>Import chain</th><th>Removed exports</th></tr></thead>
+<tbody>
+${moduleRows}
+</tbody>
+</table>
+</section>`;
+}
+
+export function renderBundleAnalysisHtml(analysis: BundleAnalysis): string {
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Rollup bundle analysis</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+th, td { border: 1px solid #ddd; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+td.size { text-align: right; font-variant-numeric: tabular-nums; }
+tr.removed { color: #999; }
+small { font-weight: normal; color: #666; }
+</style>
+</head>
+<body>
+<h1>Rollup bundle analysis <small>(${analysis.format})</small></h1>
+${analysis.chunks.map(renderChunkHtml).join('\n')}
+</body>
+</html>
+`;
+}
@@ -1,13 +1,27 @@
 import ExternalModule from '../ExternalModule';
 import Module from '../Module';
+import type { WarningHandler } from '../rollup/types';
+import { errChunkSizeLimitExceeded, errMinChunkSizeNotReached } from './error';
+import { sortByExecutionOrder } from './executionOrder';
 import { getOrCreate } from './getOrCreate';
 
 type DependentModuleMap = Map<Module, Set<Module>>;
 type ChunkDefinitions = { alias: string | null; modules: Module[] }[];
 
+interface ChunkDescription {
+	dependencies: Set<ChunkDescription>;
+	dependentEntries: Set<Module>;
+	hasEffects: boolean;
+	modules: Module[];
+	size: number;
+}
+
 export function getChunkAssignments(
 	entryModules: readonly Module[],
-	manualChunkAliasByEntry: ReadonlyMap<Module, string>
+	manualChunkAliasByEntry: ReadonlyMap<Module, string>,
+	chunkSizeLimit: number,
+	minChunkSize: number,
+	onwarn: WarningHandler
 ): ChunkDefinitions {
 	const chunkDefinitions: ChunkDefinitions = [];
 	const modulesInManualChunks = new Set(manualChunkAliasByEntry.keys());
@@ -87,7 +101,13 @@ export function getChunkAssignments(
 	}
 
 	chunkDefinitions.push(
-		...createChunks([...entryModules, ...dynamicEntryModules], assignedEntryPointsByModule)
+		...createChunks(
+			[...entryModules, ...dynamicEntryModules],
+			assignedEntryPointsByModule,
+			chunkSizeLimit,
+			minChunkSize,
+			onwarn
+		)
 	);
 	return chunkDefinitions;
 }
@@ -165,7 +185,10 @@ function getDynamicDependentEntryPoints(
 
 function createChunks(
 	allEntryPoints: readonly Module[],
-	assignedEntryPointsByModule: DependentModuleMap
+	assignedEntryPointsByModule: DependentModuleMap,
+	chunkSizeLimit: number,
+	minChunkSize: number,
+	onwarn: WarningHandler
 ): ChunkDefinitions {
 	const chunkModules: { [chunkSignature: string]: Module[] } = Object.create(null);
 	for (const [module, assignedEntryPoints] of assignedEntryPointsByModule) {
@@ -180,8 +203,299 @@ function createChunks(
 			chunkModules[chunkSignature] = [module];
 		}
 	}
-	return Object.values(chunkModules).map(modules => ({
-		alias: null,
-		modules
+	if (chunkSizeLimit === 0 && minChunkSize === 0) {
+		return Object.values(chunkModules).map(modules => ({
+			alias: null,
+			modules
+		}));
+	}
+	const sizeByModule = new Map<Module, number>();
+	for (const module of assignedEntryPointsByModule.keys()) {
+		sizeByModule.set(module, module.estimateSize());
+	}
+	let chunks: ChunkDescription[] = Object.values(chunkModules).map(modules => ({
+		dependencies: new Set(),
+		dependentEntries: assignedEntryPointsByModule.get(modules[0])!,
+		hasEffects: modules.some(module => module.hasEffects()),
+		modules,
+		size: getSize(modules, sizeByModule)
 	}));
+	if (chunkSizeLimit > 0) {
+		chunks = splitLargeChunks(chunks, chunkSizeLimit, sizeByModule, onwarn);
+	}
+	if (minChunkSize > 0) {
+		mergeSmallChunks(chunks, new Set(allEntryPoints), chunkSizeLimit, minChunkSize, onwarn);
+	}
+	return chunks.map(({ modules }) => ({ alias: null, modules }));
+}
+
+function getSize(modules: readonly Module[], sizeByModule: ReadonlyMap<Module, number>): number {
+	let size = 0;
+	for (const module of modules) {
+		size += sizeByModule.get(module)!;
+	}
+	return size;
+}
+
+// All modules of a chunk have the same dependent entries, so any chunk can be
+// split without changing which code is loaded. Splitting along the execution
+// order ensures the parts only import from previous parts. Circular
+// dependencies are kept in the same part as they would otherwise create
+// circular imports between the parts.
+function splitLargeChunks(
+	chunks: readonly ChunkDescription[],
+	chunkSizeLimit: number,
+	sizeByModule: ReadonlyMap<Module, number>,
+	onwarn: WarningHandler
+): ChunkDescription[] {
+	const splitChunks: ChunkDescription[] = [];
+	for (const chunk of chunks) {
+		if (chunk.size <= chunkSizeLimit) {
+			splitChunks.push(chunk);
+			continue;
+		}
+		sortByExecutionOrder(chunk.modules);
+		let currentChunk: ChunkDescription | null = null;
+		for (const modules of getCircularGroups(chunk.modules)) {
+			const size = getSize(modules, sizeByModule);
+			if (size > chunkSizeLimit) {
+				onwarn(
+					errChunkSizeLimitExceeded(
+						modules.map(({ id }) => id),
+						size,
+						chunkSizeLimit
+					)
+				);
+			}
+			if (!currentChunk || currentChunk.size + size > chunkSizeLimit) {
+				currentChunk = {
+					dependencies: new Set(),
+					dependentEntries: chunk.dependentEntries,
+					hasEffects: false,
+					modules: [],
+					size: 0
+				};
+				splitChunks.push(currentChunk);
+			}
+			currentChunk.hasEffects ||= modules.some(module => module.hasEffects());
+			currentChunk.modules.push(...modules);
+			currentChunk.size += size;
+		}
+	}
+	return splitChunks;
+}
+
+// Groups the modules, which need to be sorted by execution order, by the
+// strongly connected components of the module graph, including cycles via
+// modules outside the given modules. The groups are ordered by the execution
+// order of their last module so that a group is preceded by its dependencies.
+function getCircularGroups(modules: readonly Module[]): Module[][] {
+	const groupedModules = new Set(modules);
+	const groupByModule = new Map<Module, Module[]>();
+	const indexByModule = new Map<Module, number>();
+	const lowLinkByModule = new Map<Module, number>();
+	const stack: Module[] = [];
+	const stackedModules = new Set<Module>();
+	const visit = (module: Module) => {
+		const index = indexByModule.size;
+		let lowLink = index;
+		indexByModule.set(module, index);
+		stack.push(module);
+		stackedModules.add(module);
+		for (const dependency of module.getDependenciesToBeIncluded()) {
+			if (!(dependency instanceof Module)) continue;
+			if (!indexByModule.has(dependency)) {
+				visit(dependency);
+				lowLink = Math.min(lowLink, lowLinkByModule.get(dependency)!);
+			} else if (stackedModules.has(dependency)) {
+				lowLink = Math.min(lowLink, indexByModule.get(dependency)!);
+			}
+		}
+		lowLinkByModule.set(module, lowLink);
+		if (lowLink === index) {
+			const group: Module[] = [];
+			let member: Module;
+			do {
+				member = stack.pop()!;
+				stackedModules.delete(member);
+				if (groupedModules.has(member)) {
+					group.push(member);
+					groupByModule.set(member, group);
+				}
+			} while (member !== module);
+			sortByExecutionOrder(group);
+		}
+	};
+	for (const module of modules) {
+		if (!indexByModule.has(module)) {
+			visit(module);
+		}
+	}
+	const groups: Module[][] = [];
+	for (const module of modules) {
+		const group = groupByModule.get(module)!;
+		if (group[group.length - 1] === module) {
+			groups.push(group);
+		}
+	}
+	return groups;
+}
+
+// A small chunk can be merged into another chunk if every entry that loads
+// one of them either also loads the other one or the code it would load in
+// addition, including the transitive dependencies of the other chunk, has no
+// side effects.
+function mergeSmallChunks(
+	chunks: ChunkDescription[],
+	entryModules: ReadonlySet<Module>,
+	chunkSizeLimit: number,
+	minChunkSize: number,
+	onwarn: WarningHandler
+): void {
+	addChunkDependencies(chunks);
+	const smallChunks = chunks
+		.filter(
+			({ modules, size }) =>
+				size < minChunkSize && !modules.some(module => entryModules.has(module))
+		)
+		.sort((chunkA, chunkB) => chunkA.size - chunkB.size);
+	for (const smallChunk of smallChunks) {
+		if (smallChunk.size >= minChunkSize) continue;
+		let bestTarget: ChunkDescription | null = null;
+		let bestTargetDistance = Infinity;
+		for (const targetChunk of chunks) {
+			if (
+				targetChunk === smallChunk ||
+				(chunkSizeLimit > 0 && smallChunk.size + targetChunk.size > chunkSizeLimit) ||
+				!canBeMerged(smallChunk, targetChunk) ||
+				wouldCreateCycle(smallChunk, targetChunk)
+			) {
+				continue;
+			}
+			const distance = getEntryDistance(smallChunk.dependentEntries, targetChunk.dependentEntries);
+			if (distance < bestTargetDistance) {
+				bestTarget = targetChunk;
+				bestTargetDistance = distance;
+			}
+		}
+		if (bestTarget) {
+			mergeChunk(smallChunk, bestTarget, chunks);
+		} else {
+			sortByExecutionOrder(smallChunk.modules);
+			const lastModule = smallChunk.modules[smallChunk.modules.length - 1];
+			onwarn(errMinChunkSizeNotReached(lastModule.id, smallChunk.size, minChunkSize));
+		}
+	}
+}
+
+function addChunkDependencies(chunks: readonly ChunkDescription[]): void {
+	const chunkByModule = new Map<Module, ChunkDescription>();
+	for (const chunk of chunks) {
+		for (const module of chunk.modules) {
+			chunkByModule.set(module, chunk);
+		}
+	}
+	for (const chunk of chunks) {
+		for (const module of chunk.modules) {
+			for (const dependency of module.getDependenciesToBeIncluded()) {
+				const dependencyChunk = dependency instanceof Module && chunkByModule.get(dependency);
+				if (dependencyChunk && dependencyChunk !== chunk) {
+					chunk.dependencies.add(dependencyChunk);
+				}
+			}
+		}
+	}
+}
+
+function canBeMerged(chunkA: ChunkDescription, chunkB: ChunkDescription): boolean {
+	return (
+		!hasEffectsForOtherEntries(chunkA, chunkB.dependentEntries) &&
+		!hasEffectsForOtherEntries(chunkB, chunkA.dependentEntries)
+	);
+}
+
+// Whether loading the chunk would run side effects of the chunk or its
+// transitive dependencies for entries that did not load them before
+function hasEffectsForOtherEntries(chunk: ChunkDescription, entries: ReadonlySet<Module>): boolean {
+	for (const dependency of getTransitiveChunks(chunk)) {
+		if (dependency.hasEffects && !isSubset(entries, dependency.dependentEntries)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function getTransitiveChunks(chunk: ChunkDescription): Set<ChunkDescription> {
+	const transitiveChunks = new Set([chunk]);
+	for (const transitiveChunk of transitiveChunks) {
+		for (const dependency of transitiveChunk.dependencies) {
+			transitiveChunks.add(dependency);
+		}
+	}
+	return transitiveChunks;
+}
+
+function isSubset(subset: ReadonlySet<Module>, superset: ReadonlySet<Module>): boolean {
+	for (const entry of subset) {
+		if (!superset.has(entry)) return false;
+	}
+	return true;
+}
+
+// The number of entries that would load code they did not load before
+function getEntryDistance(entriesA: ReadonlySet<Module>, entriesB: ReadonlySet<Module>): number {
+	let distance = 0;
+	for (const entry of entriesA) {
+		if (!entriesB.has(entry)) distance++;
+	}
+	for (const entry of entriesB) {
+		if (!entriesA.has(entry)) distance++;
+	}
+	return distance;
+}
+
+// Merging creates a cycle if one of the chunks depends on a third chunk that
+// in turn depends on the other chunk
+function wouldCreateCycle(chunkA: ChunkDescription, chunkB: ChunkDescription): boolean {
+	const visitedChunks = new Set([chunkA, chunkB]);
+	const chunksToHandle = [...chunkA.dependencies, ...chunkB.dependencies];
+	for (const chunk of chunksToHandle) {
+		if (visitedChunks.has(chunk)) continue;
+		visitedChunks.add(chunk);
+		if (chunk.dependencies.has(chunkA) || chunk.dependencies.has(chunkB)) {
+			return true;
+		}
+		chunksToHandle.push(...chunk.dependencies);
+	}
+	return false;
+}
+
+function mergeChunk(
+	sourceChunk: ChunkDescription,
+	targetChunk: ChunkDescription,
+	chunks: ChunkDescription[]
+): void {
+	chunks.splice(chunks.indexOf(sourceChunk), 1);
+	targetChunk.modules.push(...sourceChunk.modules);
+	targetChunk.size += sourceChunk.size;
+	targetChunk.hasEffects ||= sourceChunk.hasEffects;
+	for (const dependency of sourceChunk.dependencies) {
+		if (dependency !== targetChunk) {
+			targetChunk.dependencies.add(dependency);
+		}
+	}
+	targetChunk.dependencies.delete(sourceChunk);
+	for (const chunk of chunks) {
+		if (chunk.dependencies.delete(sourceChunk) && chunk !== targetChunk) {
+			chunk.dependencies.add(targetChunk);
+		}
+	}
+	// the merged chunk and its dependencies are now loaded by the entries of both chunks
+	const dependentEntries = new Set([
+		...targetChunk.dependentEntries,
+		...sourceChunk.dependentEntries
+	]);
+	for (const chunk of getTransitiveChunks(targetChunk)) {
+		chunk.dependentEntries = new Set([...chunk.dependentEntries, ...dependentEntries]);
+	}
 }
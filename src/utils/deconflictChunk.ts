@@ -12,7 +12,7 @@ import {
 	isDefaultAProperty,
 	namespaceInteropHelpersByInteropType
 } from './interopHelpers';
-import { getSafeName } from './safeName';
+import { getMangledNameGenerator, getSafeName } from './safeName';
 
 export interface DependenciesToBeDeconflicted {
 	deconflictedDefault: ReadonlySet<ExternalModule>;
@@ -53,7 +53,8 @@ export function deconflictChunk(
 	syntheticExports: ReadonlySet<SyntheticNamedExportVariable>,
 	exportNamesByVariable: ReadonlyMap<Variable, readonly string[]>,
 	accessedGlobalsByScope: ReadonlyMap<ChildScope, ReadonlySet<string>>,
-	includedNamespaces: ReadonlySet<Module>
+	includedNamespaces: ReadonlySet<Module>,
+	minify: boolean
 ): void {
 	const reversedModules = modules.slice().reverse();
 	for (const module of reversedModules) {
@@ -64,7 +65,7 @@ export function deconflictChunk(
 			accessedGlobalsByScope
 		);
 	}
-	deconflictTopLevelVariables(usedNames, reversedModules, includedNamespaces);
+	deconflictTopLevelVariables(usedNames, reversedModules, includedNamespaces, minify);
 	DECONFLICT_IMPORTED_VARIABLES_BY_FORMAT[format](
 		usedNames,
 		imports,
@@ -77,7 +78,7 @@ export function deconflictChunk(
 	);
 
 	for (const module of reversedModules) {
-		module.scope.deconflict(format, exportNamesByVariable, accessedGlobalsByScope);
+		module.scope.deconflict(format, exportNamesByVariable, accessedGlobalsByScope, minify);
 	}
 }
 
@@ -100,7 +101,13 @@ function deconflictImportsEsmOrSystem(
 	for (const variable of imports) {
 		const module = variable.module!;
 		const name = variable.name;
-		if (variable.isNamespace && (preserveModules || module instanceof ExternalModule)) {
+		if (module instanceof ExternalModule && module.federatedImport) {
+			// the proxy of a federated module default exports its namespace
+			variable.setRenderNames(
+				variable.isNamespace ? null : module.variableName,
+				variable.isNamespace ? module.variableName : name
+			);
+		} else if (variable.isNamespace && (preserveModules || module instanceof ExternalModule)) {
 			variable.setRenderNames(
 				null,
 				(module instanceof ExternalModule ? module : chunkByModule.get(module)!).variableName
@@ -207,9 +214,13 @@ function deconflictImportsOther(
 function deconflictTopLevelVariables(
 	usedNames: Set<string>,
 	modules: readonly Module[],
-	includedNamespaces: ReadonlySet<Module>
+	includedNamespaces: ReadonlySet<Module>,
+	minify: boolean
 ): void {
+	const getMangledName = getMangledNameGenerator(usedNames);
 	for (const module of modules) {
+		const getName = (name: string) =>
+			minify && !module.scope.containsDirectEval ? getMangledName() : getSafeName(name, usedNames);
 		for (const variable of module.scope.variables.values()) {
 			if (
 				variable.included &&
@@ -219,12 +230,12 @@ function deconflictTopLevelVariables(
 					(variable instanceof ExportDefaultVariable && variable.getOriginalVariable() !== variable)
 				)
 			) {
-				variable.setRenderNames(null, getSafeName(variable.name, usedNames));
+				variable.setRenderNames(null, getName(variable.name));
 			}
 		}
 		if (includedNamespaces.has(module)) {
 			const namespace = module.namespace;
-			namespace.setRenderNames(null, getSafeName(namespace.name, usedNames));
+			namespace.setRenderNames(null, getName(namespace.name));
 		}
 	}
 }
@@ -47,20 +47,29 @@ export const enum Errors {
 	CANNOT_EMIT_FROM_OPTIONS_HOOK = 'CANNOT_EMIT_FROM_OPTIONS_HOOK',
 	CHUNK_NOT_GENERATED = 'CHUNK_NOT_GENERATED',
 	CHUNK_INVALID = 'CHUNK_INVALID',
+	CHUNK_SIZE_LIMIT_EXCEEDED = 'CHUNK_SIZE_LIMIT_EXCEEDED',
 	CIRCULAR_REEXPORT = 'CIRCULAR_REEXPORT',
 	CYCLIC_CROSS_CHUNK_REEXPORT = 'CYCLIC_CROSS_CHUNK_REEXPORT',
 	DEPRECATED_FEATURE = 'DEPRECATED_FEATURE',
+	DUAL_PACKAGE_EXPORT_MISMATCH = 'DUAL_PACKAGE_EXPORT_MISMATCH',
 	EXTERNAL_SYNTHETIC_EXPORTS = 'EXTERNAL_SYNTHETIC_EXPORTS',
+	FEDERATED_REEXPORT = 'FEDERATED_REEXPORT',
 	FILE_NAME_CONFLICT = 'FILE_NAME_CONFLICT',
 	FILE_NOT_FOUND = 'FILE_NOT_FOUND',
+	ILLEGAL_REASSIGNMENT = 'ILLEGAL_REASSIGNMENT',
+	INCLUSION_REASONS_NOT_TRACKED = 'INCLUSION_REASONS_NOT_TRACKED',
+	INCONSISTENT_IMPORT_ATTRIBUTES = 'INCONSISTENT_IMPORT_ATTRIBUTES',
 	INPUT_HOOK_IN_OUTPUT_PLUGIN = 'INPUT_HOOK_IN_OUTPUT_PLUGIN',
 	INVALID_CHUNK = 'INVALID_CHUNK',
 	INVALID_EXPORT_OPTION = 'INVALID_EXPORT_OPTION',
 	INVALID_EXTERNAL_ID = 'INVALID_EXTERNAL_ID',
+	INVALID_GLOB_IMPORT = 'INVALID_GLOB_IMPORT',
 	INVALID_OPTION = 'INVALID_OPTION',
 	INVALID_PLUGIN_HOOK = 'INVALID_PLUGIN_HOOK',
 	INVALID_ROLLUP_PHASE = 'INVALID_ROLLUP_PHASE',
+	INVALID_TLA_FORMAT = 'INVALID_TLA_FORMAT',
 	MISSING_EXPORT = 'MISSING_EXPORT',
+	MIN_CHUNK_SIZE_NOT_REACHED = 'MIN_CHUNK_SIZE_NOT_REACHED',
 	MISSING_IMPLICIT_DEPENDANT = 'MISSING_IMPLICIT_DEPENDANT',
 	MIXED_EXPORTS = 'MIXED_EXPORTS',
 	NAMESPACE_CONFLICT = 'NAMESPACE_CONFLICT',
@@ -108,6 +117,25 @@ export function errChunkInvalid(
 	return errorProps;
 }
 
+export function errChunkSizeLimitExceeded(
+	moduleIds: readonly string[],
+	size: number,
+	chunkSizeLimit: number
+): RollupWarning {
+	const description =
+		moduleIds.length === 1
+			? `Module ${relativeId(moduleIds[0])} has an estimated size of ${size} bytes, so its chunk`
+			: `The circular dependencies ${printQuotedStringList(
+					moduleIds.map(relativeId)
+			  )} have a combined estimated size of ${size} bytes, so their chunk`;
+	return {
+		code: Errors.CHUNK_SIZE_LIMIT_EXCEEDED,
+		id: moduleIds[0],
+		message: `${description} cannot be split to honour the "output.chunkSizeLimit" of ${chunkSizeLimit} bytes.`,
+		url: `https://rollupjs.org/guide/en/#outputchunksizelimit`
+	};
+}
+
 export function errCircularReexport(exportName: string, importedModule: string): RollupLogProps {
 	return {
 		code: Errors.CIRCULAR_REEXPORT,
@@ -183,6 +211,15 @@ export function errFileReferenceIdNotFoundForFilename(assetReferenceId: string):
 	};
 }
 
+export function errFileUrlNotFound(source: string, importer: string): RollupWarning {
+	return {
+		code: Errors.FILE_NOT_FOUND,
+		message: `Could not find "${source}" referenced via "new URL(..., import.meta.url)" in ${relativeId(
+			importer
+		)}, the URL is not rewritten.`
+	};
+}
+
 export function errFileNameConflict(fileName: string): RollupLogProps {
 	return {
 		code: Errors.FILE_NAME_CONFLICT,
@@ -190,6 +227,21 @@ export function errFileNameConflict(fileName: string): RollupLogProps {
 	};
 }
 
+export function errIllegalDefineReassignment(key: string): RollupLogProps {
+	return {
+		code: Errors.ILLEGAL_REASSIGNMENT,
+		message: `Illegal reassignment to "${key}", which is replaced via the "define" option.`
+	};
+}
+
+export function errInclusionReasonsNotTracked(): RollupLogProps {
+	return {
+		code: Errors.INCLUSION_REASONS_NOT_TRACKED,
+		message: `Cannot get inclusion reasons unless the "treeshake.explain" option is enabled.`,
+		url: `https://rollupjs.org/guide/en/#treeshake`
+	};
+}
+
 export function errInputHookInOutputPlugin(pluginName: string, hookName: string): RollupLogProps {
 	return {
 		code: Errors.INPUT_HOOK_IN_OUTPUT_PLUGIN,
@@ -231,6 +283,65 @@ export function errIncompatibleExportOptionValue(
 	};
 }
 
+export function errInconsistentImportAttributes(
+	existingAttributes: Record<string, string>,
+	newAttributes: Record<string, string>,
+	source: string,
+	importer: string
+): RollupLogProps {
+	return {
+		code: Errors.INCONSISTENT_IMPORT_ATTRIBUTES,
+		message: `Module "${relativeId(importer)}" tried to import "${relativeId(
+			source
+		)}" with ${formatAttributesForMessage(
+			newAttributes
+		)} attributes, but it was already imported elsewhere with ${formatAttributesForMessage(
+			existingAttributes
+		)} attributes. Please ensure that import attributes for the same module are always consistent.`
+	};
+}
+
+function formatAttributesForMessage(attributes: Record<string, string>): string {
+	const entries = Object.entries(attributes);
+	return entries.length === 0
+		? 'no'
+		: entries.map(([key, value]) => `"${key}": "${value}"`).join(', ');
+}
+
+export function errDualPackageExportMismatch(
+	id: string,
+	esExportNames: readonly string[] | undefined,
+	cjsExportNames: readonly string[] | undefined
+): RollupWarning {
+	const printExports = (exportNames: readonly string[] | undefined) =>
+		exportNames
+			? exportNames.length > 0
+				? printQuotedStringList(exportNames)
+				: 'no exports'
+			: 'no entry chunk';
+	return {
+		code: Errors.DUAL_PACKAGE_EXPORT_MISMATCH,
+		id,
+		message: `The entry "${relativeId(
+			id
+		)}" has different exports in the ES and CommonJS outputs: ${printExports(
+			esExportNames
+		)} in the ES output and ${printExports(cjsExportNames)} in the CommonJS output.`,
+		url: `https://rollupjs.org/guide/en/#outputpackagejson`
+	};
+}
+
+export function errFederatedReexport(id: string, exporters: string[]): RollupLogProps {
+	return {
+		code: Errors.FEDERATED_REEXPORT,
+		id,
+		message: `The federated module "${id}" is re-exported by ${printQuotedStringList(
+			exporters.map(exporter => relativeId(exporter))
+		)}. Bindings of federated modules can only be imported statically as re-exports could not stay live, use a dynamic import or export a local variable instead.`,
+		url: `https://rollupjs.org/guide/en/#federation`
+	};
+}
+
 export function errInternalIdCannotBeExternal(source: string, importer: string): RollupLogProps {
 	return {
 		code: Errors.INVALID_EXTERNAL_ID,
@@ -240,11 +351,18 @@ export function errInternalIdCannotBeExternal(source: string, importer: string):
 	};
 }
 
+export function errInvalidGlobImport(explanation: string): RollupLogProps {
+	return {
+		code: Errors.INVALID_GLOB_IMPORT,
+		message: `Invalid "import.meta.glob" call: ${explanation}.`
+	};
+}
+
 export function errInvalidOption(
 	option: string,
 	urlHash: string,
 	explanation: string,
-	value?: string | boolean | null
+	value?: string | number | boolean | null
 ): RollupLogProps {
 	return {
 		code: Errors.INVALID_OPTION,
@@ -280,6 +398,20 @@ export function errInvalidRollupPhaseForAddWatchFile(): RollupLogProps {
 	};
 }
 
+export function errInvalidRollupPhaseForGetInclusionReason(): RollupLogProps {
+	return {
+		code: Errors.INVALID_ROLLUP_PHASE,
+		message: `Cannot call getInclusionReason before the build has finished.`
+	};
+}
+
+export function errInvalidRollupPhaseForGetSideEffectsReport(): RollupLogProps {
+	return {
+		code: Errors.INVALID_ROLLUP_PHASE,
+		message: `Cannot call getSideEffectsReport before the build has finished.`
+	};
+}
+
 export function errInvalidRollupPhaseForChunkEmission(): RollupLogProps {
 	return {
 		code: Errors.INVALID_ROLLUP_PHASE,
@@ -287,6 +419,16 @@ export function errInvalidRollupPhaseForChunkEmission(): RollupLogProps {
 	};
 }
 
+export function errInvalidTopLevelAwaitFormat(id: string, format: string): RollupLogProps {
+	return {
+		code: Errors.INVALID_TLA_FORMAT,
+		id,
+		message: `Module format ${format} does not support top-level await. Use the "es" or "system" output formats rather${
+			format === 'amd' ? '' : ', or set "output.wrapTopLevelAwait" to export a Promise'
+		}.`
+	};
+}
+
 export function errMissingExport(
 	exportName: string,
 	importingModule: string,
@@ -343,6 +485,21 @@ export function errImplicitDependantIsNotIncluded(module: Module): RollupLogProp
 	};
 }
 
+export function errMinChunkSizeNotReached(
+	moduleId: string,
+	size: number,
+	minChunkSize: number
+): RollupWarning {
+	return {
+		code: Errors.MIN_CHUNK_SIZE_NOT_REACHED,
+		id: moduleId,
+		message: `The chunk containing ${relativeId(
+			moduleId
+		)} has an estimated size of ${size} bytes, which is below the "output.minChunkSize" of ${minChunkSize} bytes, but it cannot be merged into another chunk without changing execution semantics.`,
+		url: `https://rollupjs.org/guide/en/#outputminchunksize`
+	};
+}
+
 export function errMixedExport(facadeModuleId: string, name?: string): RollupLogProps {
 	return {
 		code: Errors.MIXED_EXPORTS,
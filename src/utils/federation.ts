@@ -0,0 +1,221 @@
+import type Chunk from '../Chunk';
+import ExternalModule from '../ExternalModule';
+import type Module from '../Module';
+import type {
+	NormalizedFederationOptions,
+	NormalizedOutputOptions,
+	OutputChunk
+} from '../rollup/types';
+import type { PluginDriver } from './PluginDriver';
+import type { OutputBundleWithPlaceholders } from './outputBundle';
+import { normalize } from './path';
+import { getImportPath } from './relativeId';
+
+export type FederatedImport = { proxyFileName: string } & (
+	| { id: string; type: 'shared' }
+	| { module: string; remote: string; type: 'remote' }
+);
+
+export interface FederationReferences {
+	exposes: Map<string, string>;
+	shared: Map<string, string>;
+}
+
+/**
+ * Static and dynamic imports of shared dependencies and of modules exposed by
+ * remote containers are not bundled but resolved at runtime via the remote
+ * entry of the current build. Static imports are rendered as imports of a
+ * small proxy module next to the remote entry that awaits the shared
+ * dependency or remote module and default exports its namespace.
+ */
+export function getFederatedImport(
+	source: string,
+	{ fileName, remotes, shared }: NormalizedFederationOptions
+): FederatedImport | null {
+	// proxies are placed in the same directory as the remote entry
+	const getProxyFileName = (name: string) =>
+		normalize(fileName).replace(/[^/]*$/, `__federation_${name.replace(/[^\w$-]/g, '_')}.js`);
+	if (source in shared) {
+		return { id: source, proxyFileName: getProxyFileName(`shared_${source}`), type: 'shared' };
+	}
+	const separatorIndex = source.indexOf('/');
+	const remote = separatorIndex === -1 ? source : source.slice(0, separatorIndex);
+	if (remote in remotes) {
+		return {
+			module: separatorIndex === -1 ? '.' : `.${source.slice(separatorIndex)}`,
+			proxyFileName: getProxyFileName(`remote_${source}`),
+			remote,
+			type: 'remote'
+		};
+	}
+	return null;
+}
+
+export function getFederatedImportCall(federatedImport: FederatedImport, target: string): string {
+	return federatedImport.type === 'shared'
+		? `${target}.importShared(${JSON.stringify(federatedImport.id)})`
+		: `${target}.loadRemote(${JSON.stringify(federatedImport.remote)}, ${JSON.stringify(
+				federatedImport.module
+		  )})`;
+}
+
+export function emitFederationChunks(
+	{ exposes, shared }: NormalizedFederationOptions,
+	pluginDriver: PluginDriver
+): FederationReferences {
+	const emitChunks = (ids: [name: string, id: string][]) =>
+		new Map(
+			ids.map(([name, id]) => [
+				name,
+				pluginDriver.emitFile({
+					id,
+					name: name.replace(/^\.\//, '').replace(/[^\w$-]/g, '_'),
+					preserveSignature: 'strict',
+					type: 'chunk'
+				})
+			])
+		);
+	return {
+		exposes: emitChunks(Object.entries(exposes)),
+		// the chunks provided by this build for its shared dependencies
+		shared: emitChunks(Object.keys(shared).map(id => [id, id]))
+	};
+}
+
+export function emitFederationAssets(
+	chunks: readonly Chunk[],
+	modulesById: ReadonlyMap<string, Module | ExternalModule>,
+	federation: NormalizedFederationOptions,
+	references: FederationReferences,
+	outputOptions: NormalizedOutputOptions,
+	bundle: OutputBundleWithPlaceholders,
+	pluginDriver: PluginDriver
+): void {
+	const { fileName } = federation;
+	// dynamic imports use the remote entry directly and do not need a proxy
+	const staticallyImportedModules = new Set<ExternalModule>();
+	for (const chunk of chunks) {
+		for (const id of (bundle[chunk.id!] as OutputChunk).imports) {
+			const module = modulesById.get(id);
+			if (module instanceof ExternalModule && module.federatedImport) {
+				staticallyImportedModules.add(module);
+			}
+		}
+	}
+	for (const module of staticallyImportedModules) {
+		pluginDriver.emitFile({
+			fileName: module.renderPath,
+			source: getProxySource(module, getImportPath(module.renderPath, fileName, false, false)),
+			type: 'asset'
+		});
+	}
+	const getImports = (referenceIds: Map<string, string>) =>
+		[...referenceIds].map(
+			([name, referenceId]) =>
+				[
+					name,
+					getImportPath(fileName, pluginDriver.getFileName(referenceId), false, false)
+				] as const
+		);
+	pluginDriver.emitFile({
+		fileName,
+		source: getRemoteEntrySource(
+			federation,
+			getImports(references.exposes),
+			getImports(references.shared),
+			outputOptions.compact ? '' : '\t'
+		),
+		type: 'asset'
+	});
+}
+
+// The proxy exports the namespace of the federated module so that importers
+// can access its bindings as properties, which keeps them live.
+function getProxySource(module: ExternalModule, remoteEntryPath: string): string {
+	return `import * as federation from ${JSON.stringify(
+		remoteEntryPath
+	)};\n\nexport default await ${getFederatedImportCall(module.federatedImport!, 'federation')};\n`;
+}
+
+function getRemoteEntrySource(
+	{ remotes, shared }: NormalizedFederationOptions,
+	exposedImports: readonly (readonly [name: string, path: string])[],
+	sharedImports: readonly (readonly [id: string, path: string])[],
+	t: string
+): string {
+	const exposes = exposedImports
+		.map(([name, path]) => `${t}${JSON.stringify(name)}: () => import(${JSON.stringify(path)})`)
+		.join(',\n');
+	const sharedVersions = sharedImports
+		.map(([id, path]) => {
+			const { singleton, version } = shared[id];
+			return `${t}${JSON.stringify(id)}: { singleton: ${singleton}, version: ${JSON.stringify(
+				version
+			)}, get: () => import(${JSON.stringify(path)}) }`;
+		})
+		.join(',\n');
+	return `const remotes = ${JSON.stringify(remotes)};
+const exposes = {
+${exposes}
+};
+const shared = {
+${sharedVersions}
+};
+const containers = {};
+let shareScope = null;
+
+function compareVersions(a, b) {
+${t}const partsA = a.split('.');
+${t}const partsB = b.split('.');
+${t}for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+${t}${t}const difference = (parseInt(partsA[index], 10) || 0) - (parseInt(partsB[index], 10) || 0);
+${t}${t}if (difference !== 0) return difference;
+${t}}
+${t}return 0;
+}
+
+export function init(scope = {}) {
+${t}if (shareScope) return;
+${t}shareScope = scope;
+${t}for (const id of Object.keys(shared)) {
+${t}${t}const versions = scope[id] || (scope[id] = {});
+${t}${t}if (!versions[shared[id].version]) {
+${t}${t}${t}versions[shared[id].version] = { ...shared[id], loaded: null };
+${t}${t}}
+${t}}
+}
+
+export function get(name) {
+${t}return exposes[name]
+${t}${t}? exposes[name]()
+${t}${t}: Promise.reject(new Error(\`Module "\${name}" is not exposed by this container.\`));
+}
+
+export function importShared(id) {
+${t}init();
+${t}const versions = shareScope[id];
+${t}const { singleton, version: ownVersion } = shared[id];
+${t}let version = ownVersion;
+${t}if (singleton || Object.keys(versions).some(key => versions[key].singleton)) {
+${t}${t}version =
+${t}${t}${t}Object.keys(versions).find(key => versions[key].loaded) ||
+${t}${t}${t}Object.keys(versions).sort(compareVersions).pop();
+${t}${t}if (version !== ownVersion) {
+${t}${t}${t}console.warn(\`Using version \${version} of singleton "\${id}" instead of \${ownVersion}.\`);
+${t}${t}}
+${t}}
+${t}const entry = versions[version];
+${t}return entry.loaded || (entry.loaded = entry.get());
+}
+
+export function loadRemote(remote, name) {
+${t}init();
+${t}const container =
+${t}${t}containers[remote] ||
+${t}${t}(containers[remote] = import(remotes[remote]).then(container =>
+${t}${t}${t}Promise.resolve(container.init(shareScope)).then(() => container)
+${t}${t}));
+${t}return container.then(container => container.get(name));
+}
+`;
+}
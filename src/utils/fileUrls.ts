@@ -0,0 +1,132 @@
+import type MagicString from 'magic-string';
+import type CallExpression from '../ast/nodes/CallExpression';
+import type Identifier from '../ast/nodes/Identifier';
+import type Literal from '../ast/nodes/Literal';
+import type MemberExpression from '../ast/nodes/MemberExpression';
+import type MetaProperty from '../ast/nodes/MetaProperty';
+import type NewExpression from '../ast/nodes/NewExpression';
+import * as NodeType from '../ast/nodes/NodeType';
+import type { Node } from '../ast/nodes/shared/Node';
+import type { InternalModuleFormat } from '../rollup/types';
+import type { PluginDriver } from './PluginDriver';
+import { dirname, normalize, relative } from './path';
+import { getImportPath } from './relativeId';
+
+const WORKER_CONSTRUCTORS = new Set(['SharedWorker', 'Worker']);
+const RELATIVE_PATH_REGEX = /^\.\.?\//;
+
+// The referenced file is only emitted if none of the globals is shadowed by a
+// local variable or an import, which can only be checked once the whole
+// module has been initialised
+export interface FileUrlReference {
+	globals: readonly string[];
+	node: NewExpression;
+	source: string;
+}
+
+/**
+ * Detects `new URL('./file.png', import.meta.url)`.
+ */
+export function getAssetUrl(node: NewExpression): FileUrlReference | null {
+	const source = getUrlSource(node);
+	return source === null ? null : { globals: ['URL'], node, source };
+}
+
+/**
+ * Detects `new Worker(new URL('./worker.js', import.meta.url))`,
+ * `new SharedWorker(...)` and `navigator.serviceWorker.register(...)` and
+ * returns the `new URL(...)` expression that references the worker.
+ */
+export function getWorkerUrl({
+	arguments: [url],
+	callee,
+	type
+}: NewExpression | CallExpression): FileUrlReference | null {
+	if (!url || url.type !== NodeType.NewExpression) {
+		return null;
+	}
+	const source = getUrlSource(url as NewExpression);
+	if (source === null) {
+		return null;
+	}
+	if (type === NodeType.NewExpression) {
+		return callee.type === NodeType.Identifier &&
+			WORKER_CONSTRUCTORS.has((callee as Identifier).name)
+			? { globals: [(callee as Identifier).name, 'URL'], node: url as NewExpression, source }
+			: null;
+	}
+	return isMemberExpression(callee, 'register') &&
+		isMemberExpression((callee as MemberExpression).object, 'serviceWorker') &&
+		isIdentifier(((callee as MemberExpression).object as MemberExpression).object, 'navigator')
+		? { globals: ['navigator', 'URL'], node: url as NewExpression, source }
+		: null;
+}
+
+/**
+ * Plugins can customize the URL via the resolveFileUrl hook. Otherwise only
+ * the path is replaced while import.meta.url is rendered for the output
+ * format, which keeps the result a URL object.
+ */
+export function renderFileUrl(
+	code: MagicString,
+	node: NewExpression,
+	referenceId: string,
+	chunkId: string,
+	format: InternalModuleFormat,
+	moduleId: string,
+	outputPluginDriver: PluginDriver
+): void {
+	const fileName = outputPluginDriver.getFileName(referenceId);
+	const replacement = outputPluginDriver.hookFirstSync('resolveFileUrl', [
+		{
+			assetReferenceId: null,
+			chunkId,
+			chunkReferenceId: null,
+			fileName,
+			format,
+			moduleId,
+			referenceId,
+			relativePath: normalize(relative(dirname(chunkId), fileName))
+		}
+	]);
+	if (replacement) {
+		code.overwrite(node.start, node.end, `new URL(${replacement})`, { contentOnly: true });
+	} else {
+		const [source] = node.arguments;
+		code.overwrite(
+			source.start,
+			source.end,
+			`'${getImportPath(chunkId, fileName, false, false)}'`,
+			{
+				contentOnly: true
+			}
+		);
+	}
+}
+
+// Returns the relative path of `new URL('./file.js', import.meta.url)`, paths
+// ending with a slash reference directories and are ignored
+function getUrlSource({ arguments: [source, base], callee }: NewExpression): string | null {
+	return isIdentifier(callee, 'URL') &&
+		source?.type === NodeType.Literal &&
+		typeof (source as Literal).value === 'string' &&
+		RELATIVE_PATH_REGEX.test((source as Literal).value as string) &&
+		!((source as Literal).value as string).endsWith('/') &&
+		isMemberExpression(base, 'url') &&
+		(base as MemberExpression).object.type === NodeType.MetaProperty &&
+		((base as MemberExpression).object as MetaProperty).meta.name === 'import'
+		? ((source as Literal).value as string)
+		: null;
+}
+
+function isIdentifier(node: Node | undefined, name: string): boolean {
+	return node?.type === NodeType.Identifier && (node as Identifier).name === name;
+}
+
+function isMemberExpression(node: Node | undefined, propertyName: string): boolean {
+	return (
+		node?.type === NodeType.MemberExpression &&
+		!(node as MemberExpression).computed &&
+		isIdentifier((node as MemberExpression).property, propertyName)
+	);
+}
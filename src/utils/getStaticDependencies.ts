@@ -41,7 +41,10 @@ function addStaticDependencies(
 		}
 		const dependencyChunk = chunkByModule.get(dependency)!;
 		if (dependencyChunk !== chunk) {
-			staticDependencies.push(dependencyChunk);
+			// CSS only chunks are emitted as assets and cannot be imported
+			if (!dependencyChunk.isAssetOnly()) {
+				staticDependencies.push(dependencyChunk);
+			}
 			continue;
 		}
 		if (!handledModules.has(dependency)) {
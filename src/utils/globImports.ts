@@ -0,0 +1,200 @@
+import { createFilter } from '@rollup/pluginutils';
+import type * as acorn from 'acorn';
+import { ancestor as ancestorWalker } from 'acorn-walk';
+import type * as estree from 'estree';
+import MagicString from 'magic-string';
+import type { DecodedSourceMapOrMissing, RollupLogProps } from '../rollup/types';
+import { errInvalidGlobImport } from './error';
+import { promises as fs } from './fs';
+import { dirname, resolve } from './path';
+import { getImportPath } from './relativeId';
+
+interface GlobImport {
+	eager: boolean;
+	end: number;
+	patterns: string[];
+	start: number;
+	wrapInParentheses: boolean;
+}
+
+export const GLOB_IMPORT_REGEX = /\bimport\.meta\.glob\s*\(/;
+const GLOB_CHARACTERS_REGEX = /[!()*?[\]{}]/;
+const RELATIVE_PATTERN_REGEX = /^!?\.\.?\//;
+
+/**
+ * Replaces calls like `import.meta.glob('./pages/*.js', { eager: true })` in
+ * the code of a module with an object that maps the paths of all matching
+ * files relative to the module to functions returning dynamic imports or, if
+ * `eager` is set, to the namespaces of static imports. The searched
+ * directories are added to the transform dependencies so that adding or
+ * removing a file in watch mode triggers a rebuild. Returns null if the AST
+ * does not contain any such calls.
+ */
+export async function expandGlobImports(
+	ast: acorn.Node,
+	code: string,
+	id: string,
+	searchedDirectories: string[],
+	fail: (props: RollupLogProps, pos: number) => never
+): Promise<{ code: string; map: DecodedSourceMapOrMissing } | null> {
+	const globImports = getGlobImports(ast, fail);
+	if (globImports.length === 0) {
+		return null;
+	}
+	const magicString = new MagicString(code);
+	let imports = '';
+	for (let index = 0; index < globImports.length; index++) {
+		const { eager, end, patterns, start, wrapInParentheses } = globImports[index];
+		const files = await getMatchingFiles(patterns, id, searchedDirectories);
+		const properties = files.map((file, fileIndex) => {
+			const path = JSON.stringify(getImportPath(id, file, false, false));
+			if (eager) {
+				const name = `__glob_${index}_${fileIndex}`;
+				imports += `import * as ${name} from ${path};\n`;
+				return `${path}: ${name}`;
+			}
+			return `${path}: () => import(${path})`;
+		});
+		const object = properties.length === 0 ? '{}' : `{ ${properties.join(', ')} }`;
+		magicString.overwrite(start, end, wrapInParentheses ? `(${object})` : object);
+	}
+	magicString.prepend(imports);
+	return {
+		code: magicString.toString(),
+		map: { ...magicString.generateDecodedMap({ hires: true }), version: 3 }
+	};
+}
+
+function getGlobImports(
+	ast: acorn.Node,
+	fail: (props: RollupLogProps, pos: number) => never
+): GlobImport[] {
+	const globImports: GlobImport[] = [];
+	ancestorWalker(ast, {
+		CallExpression(node, ancestors: acorn.Node[]) {
+			const {
+				arguments: args,
+				callee,
+				end,
+				start
+			} = node as unknown as estree.CallExpression & acorn.Node;
+			if (!isImportMetaGlob(callee)) {
+				return;
+			}
+			const invalid = (explanation: string, pos: number): never =>
+				fail(errInvalidGlobImport(explanation), pos);
+			const [patternArgument, optionsArgument] = args as (estree.Node & acorn.Node)[];
+			const patternNodes =
+				patternArgument?.type === 'ArrayExpression' ? patternArgument.elements : [patternArgument];
+			const patterns: string[] = [];
+			for (const patternNode of patternNodes as (estree.Node & acorn.Node)[]) {
+				if (patternNode?.type !== 'Literal' || typeof patternNode.value !== 'string') {
+					return invalid(
+						'the first argument must be a string literal or an array of string literals',
+						(patternNode || node).start
+					);
+				}
+				if (!RELATIVE_PATTERN_REGEX.test(patternNode.value)) {
+					return invalid('patterns must start with "./" or "../"', patternNode.start);
+				}
+				patterns.push(patternNode.value);
+			}
+			let eager = false;
+			if (optionsArgument) {
+				if (optionsArgument.type !== 'ObjectExpression') {
+					return invalid('the second argument must be an object literal', optionsArgument.start);
+				}
+				for (const property of optionsArgument.properties as (estree.Node & acorn.Node)[]) {
+					if (
+						property.type !== 'Property' ||
+						property.computed ||
+						property.key.type !== 'Identifier' ||
+						property.key.name !== 'eager' ||
+						property.value.type !== 'Literal' ||
+						typeof property.value.value !== 'boolean'
+					) {
+						return invalid(
+							'the only supported option is "eager" with a boolean value',
+							property.start
+						);
+					}
+					eager = property.value.value;
+				}
+			}
+			// an object literal at the start of a statement would be parsed as a block
+			const parent = ancestors[ancestors.length - 2];
+			globImports.push({
+				eager,
+				end,
+				patterns,
+				start,
+				wrapInParentheses: parent?.type === 'ExpressionStatement' && parent.start === start
+			});
+		}
+	});
+	return globImports;
+}
+
+function isImportMetaGlob(callee: estree.Node): boolean {
+	return (
+		callee.type === 'MemberExpression' &&
+		!callee.computed &&
+		callee.property.type === 'Identifier' &&
+		callee.property.name === 'glob' &&
+		callee.object.type === 'MetaProperty' &&
+		callee.object.meta.name === 'import' &&
+		callee.object.property.name === 'meta'
+	);
+}
+
+async function getMatchingFiles(
+	patterns: readonly string[],
+	importer: string,
+	searchedDirectories: string[]
+): Promise<string[]> {
+	const importerDirectory = dirname(importer);
+	const include = patterns.filter(pattern => pattern[0] !== '!');
+	const filter = createFilter(
+		include,
+		patterns.filter(pattern => pattern[0] === '!').map(pattern => pattern.slice(1)),
+		{ resolve: importerDirectory }
+	);
+	const files = new Set<string>();
+	for (const pattern of include) {
+		const segments = pattern.split('/');
+		let globIndex = segments.findIndex(segment => GLOB_CHARACTERS_REGEX.test(segment));
+		if (globIndex === -1) {
+			globIndex = segments.length - 1;
+		}
+		const directory = resolve(importerDirectory, ...segments.slice(0, globIndex));
+		if (!searchedDirectories.includes(directory)) {
+			searchedDirectories.push(directory);
+		}
+		const recursive = globIndex < segments.length - 1 || segments[globIndex].includes('**');
+		for (const file of await readDirectory(directory, recursive)) {
+			files.add(file);
+		}
+	}
+	return [...files].filter(file => file !== importer && filter(file)).sort();
+}
+
+async function readDirectory(directory: string, recursive: boolean): Promise<string[]> {
+	let entries;
+	try {
+		entries = await fs.readdir(directory, { withFileTypes: true });
+	} catch {
+		return [];
+	}
+	const files: string[] = [];
+	for (const entry of entries) {
+		const path = resolve(directory, entry.name);
+		if (entry.isDirectory()) {
+			if (recursive && entry.name !== 'node_modules') {
+				files.push(...(await readDirectory(path, true)));
+			}
+		} else {
+			files.push(path);
+		}
+	}
+	return files;
+}
@@ -0,0 +1,99 @@
+import type Chunk from '../Chunk';
+import type { OutputChunk } from '../rollup/types';
+import { createHash } from './crypto';
+import { lowercaseBundleKeys, type OutputBundleWithPlaceholders } from './outputBundle';
+
+// Placeholders have the same length as the hashes replacing them so that
+// source maps of the rendered chunks remain valid
+const HASH_LENGTH = 8;
+const HASH_PLACEHOLDER_REGEX = /!~\{[\da-z]{3}\}~/g;
+
+export const getHashPlaceholder = (index: number): string =>
+	`!~{${index.toString(36).padStart(3, '0')}}~`;
+
+/**
+ * Replaces the hash placeholders in the file names of rendered chunks with a
+ * hash of their code. As chunks import each other via their import map names,
+ * imports do not affect the hashes. Other chunks can still be referenced via
+ * placeholders in file URLs, though. Such chunks are hashed in as well,
+ * including the chunks they reference in turn, so that a file name changes if
+ * the code of the chunk changes after the placeholders have been replaced.
+ * Afterwards, all placeholders in the rendered code are replaced with the final
+ * hashes.
+ */
+export function replaceHashPlaceholders(
+	chunks: readonly Chunk[],
+	bundle: OutputBundleWithPlaceholders
+): void {
+	const codeByPlaceholder = new Map<string, string>();
+	for (const chunk of chunks) {
+		const { hashPlaceholder, id } = chunk;
+		if (hashPlaceholder && id!.includes(hashPlaceholder)) {
+			codeByPlaceholder.set(hashPlaceholder, (bundle[id!] as OutputChunk).code);
+		}
+	}
+	const hashByPlaceholder = new Map<string, string>();
+	for (const chunk of chunks) {
+		const { hashPlaceholder, id } = chunk;
+		if (!codeByPlaceholder.has(hashPlaceholder!)) continue;
+		const outputChunk = bundle[id!] as OutputChunk;
+		const contentHash = createHash();
+		for (const placeholder of getReferencedPlaceholders(hashPlaceholder!, codeByPlaceholder)) {
+			contentHash.update(codeByPlaceholder.get(placeholder)!);
+		}
+		let hash = contentHash.digest('hex').substr(0, HASH_LENGTH);
+		let fileName: string;
+		// chunks with the same name and code would otherwise receive the same file name
+		while (
+			bundle[lowercaseBundleKeys].has(
+				(fileName = id!.replace(hashPlaceholder!, hash)).toLowerCase()
+			)
+		) {
+			hash = createHash().update(hash).digest('hex').substr(0, HASH_LENGTH);
+		}
+		hashByPlaceholder.set(hashPlaceholder!, hash);
+		delete bundle[id!];
+		bundle[(chunk.id = fileName)] = outputChunk;
+	}
+	const replacePlaceholders = (code: string) =>
+		code.replace(
+			HASH_PLACEHOLDER_REGEX,
+			placeholder => hashByPlaceholder.get(placeholder) ?? placeholder
+		);
+	for (const chunk of chunks) {
+		const outputChunk = bundle[chunk.id!] as OutputChunk;
+		const { dynamicImports, fileName, implicitlyLoadedBefore, imports, referencedFiles } =
+			chunk.getChunkInfoWithFileNames();
+		Object.assign(outputChunk, {
+			code: replacePlaceholders(outputChunk.code),
+			dynamicImports,
+			fileName,
+			implicitlyLoadedBefore,
+			imports,
+			referencedFiles
+		});
+		if (outputChunk.map) {
+			outputChunk.map.file = replacePlaceholders(outputChunk.map.file);
+		}
+	}
+}
+
+// Returns the placeholder of the chunk followed by the sorted placeholders of
+// all chunks it references directly or indirectly
+function getReferencedPlaceholders(
+	hashPlaceholder: string,
+	codeByPlaceholder: ReadonlyMap<string, string>
+): string[] {
+	const referencedPlaceholders = new Set([hashPlaceholder]);
+	for (const placeholder of referencedPlaceholders) {
+		for (const referencedPlaceholder of codeByPlaceholder
+			.get(placeholder)!
+			.match(HASH_PLACEHOLDER_REGEX) || []) {
+			if (codeByPlaceholder.has(referencedPlaceholder)) {
+				referencedPlaceholders.add(referencedPlaceholder);
+			}
+		}
+	}
+	referencedPlaceholders.delete(hashPlaceholder);
+	return [hashPlaceholder, ...[...referencedPlaceholders].sort()];
+}
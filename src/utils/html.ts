@@ -0,0 +1,215 @@
+import type Chunk from '../Chunk';
+import type { InternalModuleFormat, NormalizedOutputOptions, OutputChunk } from '../rollup/types';
+import type { OutputGroupMember } from './OutputGroup';
+import type { PluginDriver } from './PluginDriver';
+import type { OutputBundleWithPlaceholders } from './outputBundle';
+import { dirname, isRelative, normalize, relative, resolve } from './path';
+
+export interface HtmlReference {
+	end: number;
+	referenceId: string;
+	start: number;
+	type: 'script' | 'style';
+}
+
+// The file of a referenced script or stylesheet in a specific output
+interface HtmlReferenceFile {
+	css: string[];
+	fileName: string;
+	imports: string[];
+}
+
+export interface HtmlEntry {
+	readonly code: string;
+	references: HtmlReference[];
+}
+
+export interface HtmlOutput {
+	dir: string;
+	filesByEntry: Map<HtmlEntry, HtmlReferenceFile[]>;
+	format: InternalModuleFormat;
+}
+
+const ATTRIBUTE_REGEX = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const COMMENT_REGEX = /<!--[\s\S]*?-->/g;
+const EXTERNAL_URL_REGEX = /^(?:[a-z][\d+.a-z-]*:|\/\/)/i;
+const TAG_REGEX = /<script\b([^>]*)>\s*<\/script\s*>|<link\b([^>]*)>/gi;
+
+/**
+ * Finds module scripts and stylesheet links with a local URL in an HTML entry.
+ * The URLs are returned as ids that can be resolved relative to the HTML file.
+ */
+export function getHtmlReferences(
+	code: string
+): { end: number; id: string; start: number; type: 'script' | 'style' }[] {
+	const commentRanges: [start: number, end: number][] = [];
+	let match: RegExpExecArray | null;
+	COMMENT_REGEX.lastIndex = 0;
+	while ((match = COMMENT_REGEX.exec(code))) {
+		commentRanges.push([match.index, match.index + match[0].length]);
+	}
+	const references: ReturnType<typeof getHtmlReferences> = [];
+	TAG_REGEX.lastIndex = 0;
+	while ((match = TAG_REGEX.exec(code))) {
+		const [tag, scriptAttributes, linkAttributes] = match;
+		const start = match.index;
+		if (
+			commentRanges.some(([commentStart, commentEnd]) => start > commentStart && start < commentEnd)
+		) {
+			continue;
+		}
+		const attributes = getAttributes(scriptAttributes ?? linkAttributes);
+		const url =
+			scriptAttributes === undefined
+				? attributes.rel?.toLowerCase() === 'stylesheet' && attributes.href
+				: attributes.type === 'module' && attributes.src;
+		if (url && !EXTERNAL_URL_REGEX.test(url)) {
+			references.push({
+				end: start + tag.length,
+				id: url[0] === '/' ? `.${url}` : isRelative(url) ? url : `./${url}`,
+				start,
+				type: scriptAttributes === undefined ? 'style' : 'script'
+			});
+		}
+	}
+	return references;
+}
+
+/**
+ * Emits an HTML asset for every HTML entry. The files referenced by HTML
+ * entries are collected from all outputs generated together with this one so
+ * that the scripts of an output with another format than "es" can be added as
+ * "nomodule" fallback. Outputs sharing a directory only emit the HTML once.
+ */
+export async function emitHtmlAssets(
+	chunks: readonly Chunk[],
+	outputOptions: NormalizedOutputOptions,
+	bundle: OutputBundleWithPlaceholders,
+	pluginDriver: PluginDriver,
+	htmlOutputs: OutputGroupMember<HtmlOutput>
+): Promise<void> {
+	const fileNameByEntry = new Map<HtmlEntry, string>();
+	const output: HtmlOutput = {
+		dir: resolve(outputOptions.dir || dirname(outputOptions.file || '.')),
+		filesByEntry: new Map(),
+		format: outputOptions.format
+	};
+	for (const chunk of chunks) {
+		for (const { html } of chunk.entryModules) {
+			if (html) {
+				fileNameByEntry.set(html, (chunk.id = `${chunk.getChunkName()}.html`));
+				output.filesByEntry.set(
+					html,
+					html.references.map(({ referenceId, type }) => {
+						const fileName = pluginDriver.getFileName(referenceId);
+						return type === 'script'
+							? getHtmlScript(fileName, bundle)
+							: { css: [], fileName, imports: [] };
+					})
+				);
+			}
+		}
+	}
+	const outputs = await htmlOutputs.contribute(output);
+	if (outputs.find(({ dir }) => dir === output.dir) !== output) return;
+	const moduleOutput = outputs.find(({ format }) => format === 'es');
+	const fallbackOutput = outputs.find(({ format }) => format !== 'es');
+	for (const [html, fileName] of fileNameByEntry) {
+		pluginDriver.emitFile({
+			fileName,
+			source: renderHtmlEntry(html, resolve(output.dir, fileName), moduleOutput, fallbackOutput),
+			type: 'asset'
+		});
+	}
+}
+
+function getAttributes(attributes: string): { [name: string]: string } {
+	const attributesByName: { [name: string]: string } = Object.create(null);
+	let match: RegExpExecArray | null;
+	ATTRIBUTE_REGEX.lastIndex = 0;
+	while ((match = ATTRIBUTE_REGEX.exec(attributes))) {
+		const [, name, doubleQuoted, singleQuoted, unquoted] = match;
+		attributesByName[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? unquoted ?? '';
+	}
+	return attributesByName;
+}
+
+function getHtmlScript(fileName: string, bundle: OutputBundleWithPlaceholders): HtmlReferenceFile {
+	const css = new Set<string>();
+	const imports = new Set<string>();
+	const addChunk = (chunkFileName: string) => {
+		const { importedCss, imports: chunkImports } = bundle[chunkFileName] as OutputChunk;
+		for (const importedFileName of chunkImports) {
+			// external imports are not part of the bundle
+			if (!imports.has(importedFileName) && importedFileName in bundle) {
+				imports.add(importedFileName);
+				addChunk(importedFileName);
+			}
+		}
+		for (const cssFileName of importedCss) {
+			css.add(cssFileName);
+		}
+	};
+	addChunk(fileName);
+	return { css: [...css], fileName, imports: [...imports] };
+}
+
+function renderHtmlEntry(
+	html: HtmlEntry,
+	htmlPath: string,
+	moduleOutput: HtmlOutput | undefined,
+	fallbackOutput: HtmlOutput | undefined
+): string {
+	// Only ES module scripts can be loaded via type="module", scripts of
+	// another format are used as fallback for browsers without module support
+	const primaryOutput = (moduleOutput || fallbackOutput)!;
+	const getUrl = ({ dir }: HtmlOutput, fileName: string) =>
+		normalize(relative(dirname(htmlPath), resolve(dir, fileName)));
+	// stylesheets and preloads shared between scripts are only linked once
+	const linkedUrls = new Set<string>();
+	const addLink = (tags: string[], rel: string, fileName: string) => {
+		const url = getUrl(primaryOutput, fileName);
+		if (!linkedUrls.has(url)) {
+			linkedUrls.add(url);
+			tags.push(`<link rel="${rel}" href="${url}">`);
+		}
+	};
+	const { code, references } = html;
+	const primaryFiles = primaryOutput.filesByEntry.get(html)!;
+	let renderedCode = '';
+	let position = 0;
+	references.forEach(({ end, start, type }, index) => {
+		const tags: string[] = [];
+		if (type === 'style') {
+			addLink(tags, 'stylesheet', primaryFiles[index].fileName);
+		} else {
+			for (const cssFileName of primaryFiles[index].css) {
+				addLink(tags, 'stylesheet', cssFileName);
+			}
+			if (moduleOutput) {
+				const moduleScript = primaryFiles[index];
+				for (const importedFileName of moduleScript.imports) {
+					addLink(tags, 'modulepreload', importedFileName);
+				}
+				tags.push(
+					`<script type="module" src="${getUrl(moduleOutput, moduleScript.fileName)}"></script>`
+				);
+			}
+			if (fallbackOutput) {
+				const fallbackScript = fallbackOutput.filesByEntry.get(html)![index];
+				// classic scripts are deferred to match the timing of module scripts
+				tags.push(
+					`<script ${moduleOutput ? 'nomodule ' : ''}defer src="${getUrl(
+						fallbackOutput,
+						fallbackScript.fileName
+					)}"></script>`
+				);
+			}
+		}
+		const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+		const indentation = /^\s*/.exec(code.slice(lineStart, start))![0];
+		renderedCode += code.slice(position, start) + tags.join(`\n${indentation}`);
+		position = end;
+	});
+	return renderedCode + code.slice(position);
+}
@@ -0,0 +1,100 @@
+import type ExportAllDeclaration from '../ast/nodes/ExportAllDeclaration';
+import type ExportNamedDeclaration from '../ast/nodes/ExportNamedDeclaration';
+import Identifier from '../ast/nodes/Identifier';
+import type ImportAttribute from '../ast/nodes/ImportAttribute';
+import type ImportDeclaration from '../ast/nodes/ImportDeclaration';
+import type ImportExpression from '../ast/nodes/ImportExpression';
+import Literal from '../ast/nodes/Literal';
+import ObjectExpression from '../ast/nodes/ObjectExpression';
+import Property from '../ast/nodes/Property';
+import type { GenerateCodeSnippets } from './generateCodeSnippets';
+
+const ATTRIBUTES_KEYS = new Set(['with', 'assert']);
+
+export function getAttributesFromImportExportDeclaration({
+	assertions,
+	attributes
+}: ImportDeclaration | ExportNamedDeclaration | ExportAllDeclaration): Record<string, string> {
+	return getAttributesFromImportAttributes(attributes || assertions);
+}
+
+/**
+ * Only object literals are considered, e.g.
+ * `import('./data.json', { with: { type: 'json' } })`.
+ */
+export function getAttributesFromImportExpression(node: ImportExpression): Record<string, string> {
+	const options = node.arguments?.[0];
+	if (!(options instanceof ObjectExpression)) {
+		return {};
+	}
+	for (const property of options.properties) {
+		if (
+			property instanceof Property &&
+			!property.computed &&
+			ATTRIBUTES_KEYS.has(getPropertyKey(property.key) as string) &&
+			property.value instanceof ObjectExpression
+		) {
+			const attributes: Record<string, string> = {};
+			for (const attribute of property.value.properties) {
+				if (
+					attribute instanceof Property &&
+					!attribute.computed &&
+					attribute.value instanceof Literal &&
+					typeof attribute.value.value === 'string'
+				) {
+					const key = getPropertyKey(attribute.key);
+					if (key !== null) {
+						attributes[key] = attribute.value.value;
+					}
+				}
+			}
+			return attributes;
+		}
+	}
+	return {};
+}
+
+export function doAttributesDiffer(
+	attributesA: Record<string, string>,
+	attributesB: Record<string, string>
+): boolean {
+	const keysA = Object.keys(attributesA);
+	return (
+		keysA.length !== Object.keys(attributesB).length ||
+		keysA.some(key => attributesA[key] !== attributesB[key])
+	);
+}
+
+export function formatAttributes(
+	attributes: Record<string, string>,
+	{ getObject }: GenerateCodeSnippets
+): string | null {
+	const entries = Object.entries(attributes);
+	if (entries.length === 0) {
+		return null;
+	}
+	return getObject(
+		entries.map(([key, value]) => [key, JSON.stringify(value)]),
+		{ lineBreakIndent: null }
+	);
+}
+
+function getAttributesFromImportAttributes(
+	attributes: readonly ImportAttribute[] | undefined
+): Record<string, string> {
+	const result: Record<string, string> = {};
+	if (attributes) {
+		for (const { key, value } of attributes) {
+			result[getPropertyKey(key) as string] = value.value;
+		}
+	}
+	return result;
+}
+
+function getPropertyKey(key: unknown): string | null {
+	return key instanceof Identifier
+		? key.name
+		: key instanceof Literal && typeof key.value === 'string'
+		? key.value
+		: null;
+}
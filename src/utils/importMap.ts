@@ -0,0 +1,70 @@
+import type Chunk from '../Chunk';
+import ExternalModule from '../ExternalModule';
+import type Module from '../Module';
+import type {
+	NormalizedImportMapOptions,
+	NormalizedOutputOptions,
+	OutputChunk
+} from '../rollup/types';
+import type { PluginDriver } from './PluginDriver';
+import type { OutputBundleWithPlaceholders } from './outputBundle';
+
+/**
+ * Assigns each chunk a unique bare specifier derived from its name. As these
+ * names share the import map with external dependencies, they must not clash
+ * with the ids of external modules.
+ */
+export function assignImportMapNames(
+	chunks: readonly Chunk[],
+	modulesById: ReadonlyMap<string, Module | ExternalModule>
+): void {
+	const usedNames = new Set<string>();
+	for (const module of modulesById.values()) {
+		if (module instanceof ExternalModule) {
+			usedNames.add(module.id);
+			if (module.renderPath) {
+				usedNames.add(module.renderPath);
+			}
+		}
+	}
+	for (const chunk of chunks) {
+		const chunkName = chunk.getChunkName();
+		let name = chunkName;
+		for (let index = 2; usedNames.has(name); index++) {
+			name = `${chunkName}${index}`;
+		}
+		usedNames.add((chunk.importMapName = name));
+	}
+}
+
+export function emitImportMap(
+	chunks: readonly Chunk[],
+	modulesById: ReadonlyMap<string, Module | ExternalModule>,
+	outputOptions: NormalizedOutputOptions,
+	bundle: OutputBundleWithPlaceholders,
+	pluginDriver: PluginDriver
+): void {
+	const { baseUrl, externals, fileName } = outputOptions.importMap as NormalizedImportMapOptions;
+	const imports: Record<string, string> = {};
+	for (const chunk of chunks) {
+		imports[chunk.importMapName!] = `${baseUrl}${chunk.id}`;
+	}
+	for (const chunk of chunks) {
+		const { dynamicImports, imports: chunkImports } = bundle[chunk.id!] as OutputChunk;
+		for (const id of [...chunkImports, ...dynamicImports]) {
+			const module = modulesById.get(id);
+			// relative and absolute imports of external files do not need a mapping
+			if (module instanceof ExternalModule && !module.renormalizeRenderPath) {
+				const url = typeof externals === 'function' ? externals(id) : externals[id];
+				if (url) {
+					imports[module.renderPath] = url;
+				}
+			}
+		}
+	}
+	pluginDriver.emitFile({
+		fileName,
+		source: JSON.stringify({ imports }, null, 2),
+		type: 'asset'
+	});
+}
@@ -0,0 +1,30 @@
+import { makeLegal } from './identifierHelpers';
+
+/**
+ * Converts the source of a JSON file to an ES module. Top-level keys that are
+ * legal identifiers become named exports so that unused keys can be
+ * tree-shaken, while the default export references them. Returns null if the
+ * source is not valid JSON, e.g. because a plugin already transformed it.
+ */
+export function getJsonModuleCode(source: string): string | null {
+	let data: unknown;
+	try {
+		data = JSON.parse(source);
+	} catch {
+		return null;
+	}
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		return `export default ${JSON.stringify(data)};\n`;
+	}
+	let code = '';
+	const properties: string[] = [];
+	for (const [key, value] of Object.entries(data)) {
+		if (makeLegal(key) === key) {
+			code += `export const ${key} = ${JSON.stringify(value)};\n`;
+			properties.push(key);
+		} else {
+			properties.push(`${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+		}
+	}
+	return `${code}export default { ${properties.join(', ')} };\n`;
+}
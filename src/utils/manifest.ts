@@ -0,0 +1,57 @@
+import type Chunk from '../Chunk';
+import type { BundleManifest, NormalizedOutputOptions, OutputChunk } from '../rollup/types';
+import type { PluginDriver } from './PluginDriver';
+import type { OutputBundleWithPlaceholders } from './outputBundle';
+import relativeId from './relativeId';
+
+export function emitManifest(
+	chunks: readonly Chunk[],
+	outputOptions: NormalizedOutputOptions,
+	bundle: OutputBundleWithPlaceholders,
+	pluginDriver: PluginDriver
+): void {
+	pluginDriver.emitFile({
+		fileName: outputOptions.manifest as string,
+		source: JSON.stringify(getManifest(chunks, bundle), null, 2),
+		type: 'asset'
+	});
+}
+
+/**
+ * Chunks are listed by the id of their facade module relative to the current
+ * working directory. Chunks without a facade module, or whose facade module is
+ * already used for another chunk, are listed by their file name instead.
+ */
+export function getManifest(
+	chunks: readonly Chunk[],
+	bundle: OutputBundleWithPlaceholders
+): BundleManifest {
+	const manifest: BundleManifest = {};
+	// external imports are not part of the bundle
+	const getBundledFiles = (fileNames: string[]) => fileNames.filter(fileName => fileName in bundle);
+	for (const chunk of chunks) {
+		const {
+			dynamicImports,
+			facadeModuleId,
+			fileName,
+			implicitlyLoadedBefore,
+			importedCss,
+			imports,
+			isDynamicEntry,
+			isEntry,
+			referencedFiles
+		} = bundle[chunk.id!] as OutputChunk;
+		const facadeId = facadeModuleId && relativeId(facadeModuleId);
+		manifest[facadeId && !(facadeId in manifest) ? facadeId : fileName] = {
+			dynamicImports: getBundledFiles(dynamicImports),
+			fileName,
+			implicitlyLoadedBefore,
+			importedCss,
+			imports: getBundledFiles(imports),
+			isDynamicEntry,
+			isEntry,
+			referencedFiles
+		};
+	}
+	return manifest;
+}
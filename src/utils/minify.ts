@@ -0,0 +1,190 @@
+import type MagicString from 'magic-string';
+import type { Node } from '../ast/nodes/shared/Node';
+
+/**
+ * A run of white-space and comments between two tokens that is replaced with
+ * its separator, i.e. nothing, a space or a line break. If the separator is
+ * needed, `keep` is the position of a matching character outside of comments
+ * that is retained so that the replacement does not introduce new content.
+ */
+export interface WhitespaceGap {
+	end: number;
+	keep: number | null;
+	separator: '' | ' ' | '\n';
+	start: number;
+}
+
+const LEGAL_COMMENT_REGEX = /^\/\*!|@license|@preserve/;
+const LINE_TERMINATOR_REGEX = /[\n\r\u2028\u2029]/;
+const LINE_TERMINATOR_GLOBAL_REGEX = /[\n\r\u2028\u2029]/g;
+const WHITESPACE_REGEX = /\s/;
+const WORD_CHARACTER_REGEX = /[\w$\\#\u0080-\uffff]/;
+
+// Automatic semicolon insertion never applies to a line break after these
+// characters or before the second set of characters. A closing brace is
+// excluded on the left as an arrow function body cannot be continued.
+const LINE_BREAK_REMOVABLE_AFTER = new Set('{([,;:?=*%&|^<>!~');
+const LINE_BREAK_REMOVABLE_BEFORE = new Set(')]},;.?:([=*%&|^<>');
+const LINE_BREAK_REMOVABLE_AFTER_BRACE = new Set(')]},;:');
+const RESTRICTED_KEYWORDS = new Set(['break', 'continue', 'return', 'throw', 'yield']);
+
+/**
+ * Finds all white-space and comments in the original code of a module that
+ * can be removed or shortened. String, template and regular expression
+ * literals are skipped based on the existing AST so that the code does not
+ * need to be tokenized again. Legal comments starting with "/*!" or containing
+ * "@license" or "@preserve" are retained.
+ */
+export function getWhitespaceGaps(code: string, ast: Node): WhitespaceGap[] {
+	const literals: [start: number, end: number][] = [];
+	if (code.startsWith('#!')) {
+		literals.push([0, getLineEnd(code, 0)]);
+	}
+	collectLiterals(ast, literals);
+	literals.sort(([startA], [startB]) => startA - startB);
+	const gaps: WhitespaceGap[] = [];
+	let literalIndex = 0;
+	let position = 0;
+	while (position < code.length) {
+		const literal = literals[literalIndex];
+		if (literal && position >= literal[0]) {
+			position = Math.max(position, literal[1]);
+			literalIndex++;
+			continue;
+		}
+		const gapEnd = addGap(code, position, literal ? literal[0] : code.length, gaps);
+		position = gapEnd === position ? position + 1 : gapEnd;
+	}
+	return gaps;
+}
+
+export function removeWhitespaceGaps(
+	magicString: MagicString,
+	gaps: readonly WhitespaceGap[]
+): void {
+	for (const { end, keep, start } of gaps) {
+		if (keep === null) {
+			magicString.remove(start, end);
+		} else {
+			if (keep > start) magicString.remove(start, keep);
+			if (keep + 1 < end) magicString.remove(keep + 1, end);
+		}
+	}
+}
+
+function collectLiterals(node: Node, literals: [number, number][]): void {
+	if (node.type === 'Literal' || node.type === 'TemplateElement') {
+		literals.push([node.start, node.end]);
+		return;
+	}
+	for (const key of node.keys) {
+		const value = (node as unknown as Record<string, Node | (Node | null)[] | null>)[key];
+		if (Array.isArray(value)) {
+			for (const child of value) {
+				if (child) collectLiterals(child, literals);
+			}
+		} else if (value) {
+			collectLiterals(value, literals);
+		}
+	}
+}
+
+// Adds the gap starting at the given position if it can be shortened and
+// returns its end
+function addGap(code: string, start: number, limit: number, gaps: WhitespaceGap[]): number {
+	let hasLineBreak = false;
+	let isRetained = false;
+	let lineBreakPosition: number | null = null;
+	let spacePosition: number | null = null;
+	let position = start;
+	while (position < limit) {
+		const char = code[position];
+		if (WHITESPACE_REGEX.test(char)) {
+			if (LINE_TERMINATOR_REGEX.test(char)) {
+				hasLineBreak = true;
+				if (char === '\n') lineBreakPosition ??= position;
+			} else if (char === ' ') {
+				spacePosition ??= position;
+			}
+			position++;
+		} else if (char === '/' && code[position + 1] === '/' && position + 1 < limit) {
+			position = getLineEnd(code, position);
+		} else if (char === '/' && code[position + 1] === '*' && position + 1 < limit) {
+			const commentEnd = code.indexOf('*/', position + 2) + 2;
+			const comment = code.slice(position, commentEnd);
+			if (LEGAL_COMMENT_REGEX.test(comment)) isRetained = true;
+			if (LINE_TERMINATOR_REGEX.test(comment)) hasLineBreak = true;
+			position = commentEnd;
+		} else {
+			break;
+		}
+	}
+	if (position === start || isRetained) {
+		return position;
+	}
+	const separator = getSeparator(code, start, position, hasLineBreak);
+	const keep = separator === '\n' ? lineBreakPosition : separator === ' ' ? spacePosition : null;
+	// if the separator only exists within comments, we keep the gap as it is
+	// rather than inserting new content that might be lost in later edits
+	if (!separator || keep !== null) {
+		gaps.push({ end: position, keep, separator, start });
+	}
+	return position;
+}
+
+function getLineEnd(code: string, start: number): number {
+	LINE_TERMINATOR_GLOBAL_REGEX.lastIndex = start;
+	return LINE_TERMINATOR_GLOBAL_REGEX.test(code)
+		? LINE_TERMINATOR_GLOBAL_REGEX.lastIndex - 1
+		: code.length;
+}
+
+function getSeparator(
+	code: string,
+	start: number,
+	end: number,
+	hasLineBreak: boolean
+): WhitespaceGap['separator'] {
+	const left = code[start - 1];
+	const right = code[end];
+	if (left === undefined || right === undefined) {
+		return '';
+	}
+	if (hasLineBreak && !isLineBreakRemovable(code, start, left, right)) {
+		return '\n';
+	}
+	return needsSpace(left, right) ? ' ' : '';
+}
+
+function isLineBreakRemovable(code: string, start: number, left: string, right: string): boolean {
+	if (LINE_BREAK_REMOVABLE_AFTER.has(left)) {
+		return true;
+	}
+	if (left === '}') {
+		return LINE_BREAK_REMOVABLE_AFTER_BRACE.has(right);
+	}
+	return LINE_BREAK_REMOVABLE_BEFORE.has(right) && !endsWithRestrictedToken(code, start, left);
+}
+
+function endsWithRestrictedToken(code: string, end: number, left: string): boolean {
+	// postfix "++" and "--"
+	if (left === '+' || left === '-') {
+		return true;
+	}
+	let start = end;
+	while (start > 0 && WORD_CHARACTER_REGEX.test(code[start - 1])) {
+		start--;
+	}
+	return RESTRICTED_KEYWORDS.has(code.slice(start, end));
+}
+
+function needsSpace(left: string, right: string): boolean {
+	return (
+		(WORD_CHARACTER_REGEX.test(left) && WORD_CHARACTER_REGEX.test(right)) ||
+		// "1 .toFixed()", "a + +b", "a - -b", "a / /b/" and HTML-like comments
+		(right === '.' && left >= '0' && left <= '9') ||
+		((left === '+' || left === '-' || left === '/') && left === right) ||
+		(left === '<' && right === '!') ||
+		(left === '-' && right === '>')
+	);
+}
@@ -1,9 +1,10 @@
 import type {
+	DefineOption,
 	ExternalOption,
+	FederationOptions,
 	InputOptions,
 	MergedRollupOptions,
 	OutputOptions,
-	RollupCache,
 	WarningHandler,
 	WarningHandlerWithDefault
 } from '../../rollup/types';
@@ -59,7 +60,10 @@ export function mergeOptions(
 			Object.keys(commandAliases),
 			'config',
 			'environment',
+			'explain',
 			'plugin',
+			'report-side-effects',
+			'serve',
 			'silent',
 			'failAfterWarnings',
 			'stdin',
@@ -112,12 +116,18 @@ function mergeInputOptions(
 			| (() => unknown)[]
 			| (() => unknown)
 			| undefined,
-		cache: config.cache as false | RollupCache | undefined,
+		assetUrls: getOption('assetUrls'),
+		cache: getOption('cache'),
 		context: getOption('context'),
+		css: getOption('css'),
+		define: config.define as DefineOption | undefined,
 		experimentalCacheExpiry: getOption('experimentalCacheExpiry'),
 		external: getExternal(config, overrides),
+		federation: config.federation as FederationOptions | undefined,
+		html: getOption('html'),
 		inlineDynamicImports: getOption('inlineDynamicImports'),
 		input: getOption('input') || [],
+		json: getOption('json'),
 		makeAbsoluteExternalsRelative: getOption('makeAbsoluteExternalsRelative'),
 		manualChunks: getOption('manualChunks'),
 		maxParallelFileOps: getOption('maxParallelFileOps'),
@@ -137,7 +147,8 @@ function mergeInputOptions(
 			'treeshake',
 			objectifyOptionWithPresets(treeshakePresets, 'treeshake', 'false, true, ')
 		),
-		watch: getWatch(config, overrides)
+		watch: getWatch(config, overrides),
+		workers: getOption('workers')
 	};
 
 	warnUnknownOptions(
@@ -224,9 +235,11 @@ function mergeOutputOptions(
 	const getOption = (name: string): any => overrides[name] ?? config[name];
 	const outputOptions: CompleteOutputOptions<keyof OutputOptions> = {
 		amd: getObjectOption(config, overrides, 'amd'),
+		analyze: getOption('analyze'),
 		assetFileNames: getOption('assetFileNames'),
 		banner: getOption('banner'),
 		chunkFileNames: getOption('chunkFileNames'),
+		chunkSizeLimit: getOption('chunkSizeLimit'),
 		compact: getOption('compact'),
 		dir: getOption('dir'),
 		dynamicImportFunction: getOption('dynamicImportFunction'),
@@ -234,6 +247,7 @@ function mergeOutputOptions(
 		esModule: getOption('esModule'),
 		exports: getOption('exports'),
 		extend: getOption('extend'),
+		externalImportAttributes: getOption('externalImportAttributes'),
 		externalLiveBindings: getOption('externalLiveBindings'),
 		file: getOption('file'),
 		footer: getOption('footer'),
@@ -247,16 +261,21 @@ function mergeOutputOptions(
 		),
 		globals: getOption('globals'),
 		hoistTransitiveImports: getOption('hoistTransitiveImports'),
+		importMap: getObjectOption(config, overrides, 'importMap'),
 		indent: getOption('indent'),
 		inlineDynamicImports: getOption('inlineDynamicImports'),
 		interop: getOption('interop'),
 		intro: getOption('intro'),
+		manifest: getOption('manifest'),
 		manualChunks: getOption('manualChunks'),
+		minChunkSize: getOption('minChunkSize'),
+		minify: getOption('minify'),
 		minifyInternalExports: getOption('minifyInternalExports'),
 		name: getOption('name'),
 		namespaceToStringTag: getOption('namespaceToStringTag'),
 		noConflict: getOption('noConflict'),
 		outro: getOption('outro'),
+		packageJson: getOption('packageJson'),
 		paths: getOption('paths'),
 		plugins: ensureArray(config.plugins) as Plugin[],
 		preferConst: getOption('preferConst'),
@@ -268,9 +287,11 @@ function mergeOutputOptions(
 		sourcemapExcludeSources: getOption('sourcemapExcludeSources'),
 		sourcemapFile: getOption('sourcemapFile'),
 		sourcemapPathTransform: getOption('sourcemapPathTransform'),
+		stableHashes: getOption('stableHashes'),
 		strict: getOption('strict'),
 		systemNullSetters: getOption('systemNullSetters'),
-		validate: getOption('validate')
+		validate: getOption('validate'),
+		wrapTopLevelAwait: getOption('wrapTopLevelAwait')
 	};
 
 	warnUnknownOptions(config, Object.keys(outputOptions), 'output options', warn);
@@ -3,6 +3,7 @@ import type {
 	HasModuleSideEffects,
 	InputOptions,
 	ModuleSideEffectsOption,
+	NormalizedFederationOptions,
 	NormalizedInputOptions,
 	PreserveEntrySignaturesOption,
 	PureModulesOption,
@@ -12,7 +13,7 @@ import type {
 import { ensureArray } from '../ensureArray';
 import { errInvalidOption, error, warnDeprecationWithOptions } from '../error';
 import { resolve } from '../path';
-import relativeId from '../relativeId';
+import relativeId, { isPathFragment } from '../relativeId';
 import {
 	defaultOnWarn,
 	type GenericConfigObject,
@@ -42,12 +43,18 @@ export function normalizeInputOptions(config: InputOptions): {
 	const options: NormalizedInputOptions & InputOptions = {
 		acorn: getAcorn(config) as unknown as NormalizedInputOptions['acorn'],
 		acornInjectPlugins: getAcornInjectPlugins(config),
+		assetUrls: config.assetUrls || false,
 		cache: getCache(config),
 		context,
+		css: config.css || false,
+		define: getDefine(config),
 		experimentalCacheExpiry: config.experimentalCacheExpiry ?? 10,
 		external: getIdMatcher(config.external),
+		federation: getFederation(config),
+		html: config.html || false,
 		inlineDynamicImports: getInlineDynamicImports(config, onwarn, strictDeprecations),
 		input: getInput(config),
+		json: config.json || false,
 		makeAbsoluteExternalsRelative: config.makeAbsoluteExternalsRelative ?? true,
 		manualChunks: getManualChunks(config, onwarn, strictDeprecations),
 		maxParallelFileOps,
@@ -61,7 +68,8 @@ export function normalizeInputOptions(config: InputOptions): {
 		preserveSymlinks: config.preserveSymlinks || false,
 		shimMissingExports: config.shimMissingExports || false,
 		strictDeprecations,
-		treeshake: getTreeshake(config, onwarn, strictDeprecations)
+		treeshake: getTreeshake(config, onwarn, strictDeprecations),
+		workers: config.workers || false
 	};
 
 	warnUnknownOptions(
@@ -105,8 +113,84 @@ const getAcornInjectPlugins = (
 	config: InputOptions
 ): NormalizedInputOptions['acornInjectPlugins'] => ensureArray(config.acornInjectPlugins);
 
-const getCache = (config: InputOptions): NormalizedInputOptions['cache'] =>
-	(config.cache as unknown as RollupBuild)?.cache || config.cache;
+const getCache = (config: InputOptions): NormalizedInputOptions['cache'] => {
+	const cache = (config.cache as unknown as RollupBuild)?.cache || config.cache;
+	if (!cache || typeof cache !== 'object') {
+		// "--cache" on the command line keeps the default in-memory cache
+		return cache === false ? false : undefined;
+	}
+	if (cache.dir !== undefined && typeof cache.dir !== 'string') {
+		return error(
+			errInvalidOption('cache.dir', 'cache', 'the cache directory must be a string', cache.dir)
+		);
+	}
+	// a persistent cache without in-memory modules
+	return 'modules' in cache ? cache : { ...cache, modules: [] };
+};
+
+const DEFINE_KEY_REGEX = /^(typeof )?[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+const DEFINED_VALUE_TYPES = new Set(['boolean', 'number', 'string', 'undefined']);
+
+const getDefine = (config: InputOptions): NormalizedInputOptions['define'] => {
+	const define: NormalizedInputOptions['define'] = Object.create(null);
+	for (const [key, value] of Object.entries(config.define || {})) {
+		if (!DEFINE_KEY_REGEX.test(key)) {
+			return error(
+				errInvalidOption(
+					'define',
+					'define',
+					`the key "${key}" must be an identifier or a chain of property accesses like "process.env.NODE_ENV", optionally prefixed with "typeof "`
+				)
+			);
+		}
+		if (value !== null && !DEFINED_VALUE_TYPES.has(typeof value)) {
+			return error(
+				errInvalidOption(
+					'define',
+					'define',
+					`the value of "${key}" must be a string, number, boolean, null or undefined`
+				)
+			);
+		}
+		define[key] = value;
+	}
+	return define;
+};
+
+const getFederation = (config: InputOptions): NormalizedInputOptions['federation'] => {
+	const { federation } = config;
+	if (!federation) {
+		return undefined;
+	}
+	const { exposes = {}, fileName = 'remoteEntry.js', remotes = {}, shared = {} } = federation;
+	if (typeof fileName !== 'string' || isPathFragment(fileName)) {
+		return error(
+			errInvalidOption(
+				'federation.fileName',
+				'federation',
+				'the file name must be a string that is neither an absolute nor a relative path',
+				fileName
+			)
+		);
+	}
+	const normalizedShared: NormalizedFederationOptions['shared'] = {};
+	for (const [id, sharedOptions] of Object.entries(shared)) {
+		const { singleton = false, version } =
+			typeof sharedOptions === 'string' ? { version: sharedOptions } : sharedOptions;
+		if (typeof version !== 'string') {
+			return error(
+				errInvalidOption(
+					`federation.shared["${id}"].version`,
+					'federation',
+					'the version of a shared dependency must be a string',
+					version
+				)
+			);
+		}
+		normalizedShared[id] = { singleton, version };
+	}
+	return { exposes, fileName, remotes, shared: normalizedShared };
+};
 
 const getIdMatcher = <T extends Array<any>>(
 	option:
@@ -276,6 +360,8 @@ const getTreeshake = (
 	return {
 		annotations: configWithPreset.annotations !== false,
 		correctVarValueBeforeDeclaration: configWithPreset.correctVarValueBeforeDeclaration === true,
+		explain: configWithPreset.explain === true,
+		inlineConstants: configWithPreset.inlineConstants === true,
 		moduleSideEffects:
 			typeof configTreeshake === 'object' && configTreeshake.pureExternalModules
 				? getHasModuleSideEffects(
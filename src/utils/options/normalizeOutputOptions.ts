@@ -9,6 +9,7 @@ import type {
 import { ensureArray } from '../ensureArray';
 import { errInvalidExportOptionValue, errInvalidOption, error, warnDeprecation } from '../error';
 import { resolve } from '../path';
+import { isPathFragment } from '../relativeId';
 import { sanitizeFileName as defaultSanitizeFileName } from '../sanitizeFileName';
 import { isValidUrl } from '../url';
 import {
@@ -27,8 +28,9 @@ export function normalizeOutputOptions(
 	// if the user did not select an explicit value
 	const unsetOptions = new Set(unsetInputOptions);
 
-	const compact = config.compact || false;
-	const format = getFormat(config);
+	const minify = config.minify || false;
+	const compact = config.compact ?? minify;
+	const format = getFormat(config, inputOptions);
 	const inlineDynamicImports = getInlineDynamicImports(config, inputOptions);
 	const preserveModules = getPreserveModules(config, inlineDynamicImports, inputOptions);
 	const file = getFile(config, preserveModules, inputOptions);
@@ -37,9 +39,11 @@ export function normalizeOutputOptions(
 
 	const outputOptions: NormalizedOutputOptions & OutputOptions = {
 		amd: getAmd(config),
+		analyze: getAnalyze(config),
 		assetFileNames: config.assetFileNames ?? 'assets/[name]-[hash][extname]',
 		banner: getAddon(config, 'banner'),
 		chunkFileNames: config.chunkFileNames ?? '[name]-[hash].js',
+		chunkSizeLimit: getChunkSize(config, 'chunkSizeLimit'),
 		compact,
 		dir: getDir(config, file),
 		dynamicImportFunction: getDynamicImportFunction(config, inputOptions),
@@ -47,6 +51,7 @@ export function normalizeOutputOptions(
 		esModule: config.esModule ?? true,
 		exports: getExports(config, unsetOptions),
 		extend: config.extend || false,
+		externalImportAttributes: config.externalImportAttributes ?? true,
 		externalLiveBindings: config.externalLiveBindings ?? true,
 		file,
 		footer: getAddon(config, 'footer'),
@@ -55,16 +60,21 @@ export function normalizeOutputOptions(
 		generatedCode,
 		globals: config.globals || {},
 		hoistTransitiveImports: config.hoistTransitiveImports ?? true,
+		importMap: getImportMap(config, format),
 		indent: getIndent(config, compact),
 		inlineDynamicImports,
 		interop: getInterop(config, inputOptions),
 		intro: getAddon(config, 'intro'),
+		manifest: getManifest(config),
 		manualChunks: getManualChunks(config, inlineDynamicImports, preserveModules, inputOptions),
+		minChunkSize: getChunkSize(config, 'minChunkSize'),
+		minify,
 		minifyInternalExports: getMinifyInternalExports(config, format, compact),
 		name: config.name,
 		namespaceToStringTag: getNamespaceToStringTag(config, generatedCode, inputOptions),
 		noConflict: config.noConflict || false,
 		outro: getAddon(config, 'outro'),
+		packageJson: getPackageJson(config, format),
 		paths: config.paths || {},
 		plugins: ensureArray(config.plugins),
 		preferConst,
@@ -83,9 +93,11 @@ export function normalizeOutputOptions(
 		sourcemapPathTransform: config.sourcemapPathTransform as
 			| SourcemapPathTransformOption
 			| undefined,
+		stableHashes: config.stableHashes || false,
 		strict: config.strict ?? true,
 		systemNullSetters: config.systemNullSetters || false,
-		validate: config.validate || false
+		validate: config.validate || false,
+		wrapTopLevelAwait: config.wrapTopLevelAwait || false
 	};
 
 	warnUnknownOptions(
@@ -125,8 +137,26 @@ const getFile = (
 	return file;
 };
 
-const getFormat = (config: OutputOptions): NormalizedOutputOptions['format'] => {
-	const configFormat = config.format;
+const getFormat = (
+	config: OutputOptions,
+	inputOptions: NormalizedInputOptions
+): NormalizedOutputOptions['format'] => {
+	const format = getFormatForConfigFormat(config.format);
+	if (inputOptions.federation && format !== 'es') {
+		return error(
+			errInvalidOption(
+				'federation',
+				'federation',
+				'module federation is only supported for the "es" format'
+			)
+		);
+	}
+	return format;
+};
+
+const getFormatForConfigFormat = (
+	configFormat: OutputOptions['format']
+): NormalizedOutputOptions['format'] => {
 	switch (configFormat) {
 		case undefined:
 		case 'es':
@@ -277,6 +307,27 @@ const getAmd = (config: OutputOptions): NormalizedOutputOptions['amd'] => {
 	return normalized;
 };
 
+const getAnalyze = (config: OutputOptions): NormalizedOutputOptions['analyze'] => {
+	const { analyze } = config;
+	if (!analyze) {
+		return false;
+	}
+	if (analyze === true) {
+		return 'bundle-analysis';
+	}
+	if (typeof analyze !== 'string' || isPathFragment(analyze)) {
+		return error(
+			errInvalidOption(
+				'output.analyze',
+				'outputanalyze',
+				'the report name must be a string that is neither an absolute nor a relative path',
+				analyze
+			)
+		);
+	}
+	return analyze;
+};
+
 const getAddon = (config: OutputOptions, name: string): (() => string | Promise<string>) => {
 	const configAddon = (config as GenericConfigObject)[name] as
 		| string
@@ -287,6 +338,24 @@ const getAddon = (config: OutputOptions, name: string): (() => string | Promise<
 	return () => configAddon || '';
 };
 
+const getChunkSize = (
+	config: OutputOptions,
+	option: 'chunkSizeLimit' | 'minChunkSize'
+): NormalizedOutputOptions['chunkSizeLimit' | 'minChunkSize'] => {
+	const size = config[option] ?? 0;
+	if (typeof size !== 'number' || !(size >= 0)) {
+		return error(
+			errInvalidOption(
+				`output.${option}`,
+				`output${option.toLowerCase()}`,
+				'the size must be a non-negative number of bytes',
+				size
+			)
+		);
+	}
+	return size;
+};
+
 const getDir = (
 	config: OutputOptions,
 	file: string | undefined
@@ -362,6 +431,56 @@ const getGeneratedCode = (
 	};
 };
 
+const getImportMap = (
+	config: OutputOptions,
+	format: InternalModuleFormat
+): NormalizedOutputOptions['importMap'] => {
+	const { importMap, stableHashes } = config;
+	if (stableHashes && !(typeof importMap === 'object' && importMap.bareChunkImports)) {
+		return error(
+			errInvalidOption(
+				'output.stableHashes',
+				'outputstablehashes',
+				'chunks need to import each other via the import map, so "output.importMap.bareChunkImports" needs to be true as well'
+			)
+		);
+	}
+	if (!importMap) {
+		return false;
+	}
+	if (format !== 'es' && format !== 'system') {
+		return error(
+			errInvalidOption(
+				'output.importMap',
+				'outputimportmap',
+				'import maps are only supported for the "es" and "system" formats'
+			)
+		);
+	}
+	const {
+		bareChunkImports = false,
+		baseUrl = './',
+		externals = {},
+		fileName = 'importmap.json'
+	} = typeof importMap === 'object' ? importMap : {};
+	if (typeof fileName !== 'string' || isPathFragment(fileName)) {
+		return error(
+			errInvalidOption(
+				'output.importMap.fileName',
+				'outputimportmap',
+				'the file name must be a string that is neither an absolute nor a relative path',
+				fileName
+			)
+		);
+	}
+	return {
+		bareChunkImports,
+		baseUrl: baseUrl && !baseUrl.endsWith('/') ? `${baseUrl}/` : baseUrl,
+		externals,
+		fileName
+	};
+};
+
 const getIndent = (config: OutputOptions, compact: boolean): NormalizedOutputOptions['indent'] => {
 	if (compact) {
 		return '';
@@ -429,6 +548,27 @@ const getInterop = (
 	return configInterop === undefined ? () => true : () => validateInterop(configInterop);
 };
 
+const getManifest = (config: OutputOptions): NormalizedOutputOptions['manifest'] => {
+	const { manifest } = config;
+	if (!manifest) {
+		return false;
+	}
+	if (manifest === true) {
+		return 'manifest.json';
+	}
+	if (typeof manifest !== 'string' || isPathFragment(manifest)) {
+		return error(
+			errInvalidOption(
+				'output.manifest',
+				'outputmanifest',
+				'the file name must be a string that is neither an absolute nor a relative path',
+				manifest
+			)
+		);
+	}
+	return manifest;
+};
+
 const getManualChunks = (
 	config: OutputOptions,
 	inlineDynamicImports: boolean,
@@ -483,6 +623,36 @@ const getNamespaceToStringTag = (
 	return generatedCode.symbols || false;
 };
 
+const getPackageJson = (
+	config: OutputOptions,
+	format: InternalModuleFormat
+): NormalizedOutputOptions['packageJson'] => {
+	const { packageJson } = config;
+	if (!packageJson) {
+		return false;
+	}
+	if (format !== 'es' && format !== 'cjs') {
+		return error(
+			errInvalidOption(
+				'output.packageJson',
+				'outputpackagejson',
+				'package.json exports can only be generated for the "es" and "cjs" formats'
+			)
+		);
+	}
+	if (packageJson !== true && typeof packageJson !== 'string') {
+		return error(
+			errInvalidOption(
+				'output.packageJson',
+				'outputpackagejson',
+				'the value must be a boolean or the path to an existing package.json file',
+				packageJson
+			)
+		);
+	}
+	return packageJson;
+};
+
 const getSourcemapBaseUrl = (
 	config: OutputOptions
 ): NormalizedOutputOptions['sourcemapBaseUrl'] => {
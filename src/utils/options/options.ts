@@ -48,6 +48,8 @@ export const treeshakePresets: {
 	recommended: {
 		annotations: true,
 		correctVarValueBeforeDeclaration: false,
+		explain: false,
+		inlineConstants: false,
 		moduleSideEffects: () => true,
 		propertyReadSideEffects: true,
 		tryCatchDeoptimization: true,
@@ -56,6 +58,8 @@ export const treeshakePresets: {
 	safest: {
 		annotations: true,
 		correctVarValueBeforeDeclaration: true,
+		explain: false,
+		inlineConstants: false,
 		moduleSideEffects: () => true,
 		propertyReadSideEffects: true,
 		tryCatchDeoptimization: true,
@@ -64,6 +68,8 @@ export const treeshakePresets: {
 	smallest: {
 		annotations: true,
 		correctVarValueBeforeDeclaration: false,
+		explain: false,
+		inlineConstants: true,
 		moduleSideEffects: () => false,
 		propertyReadSideEffects: false,
 		tryCatchDeoptimization: false,
@@ -0,0 +1,252 @@
+import type Chunk from '../Chunk';
+import type {
+	NormalizedOutputOptions,
+	OutputChunk,
+	PackageJsonExports,
+	WarningHandler
+} from '../rollup/types';
+import type { OutputGroupMember } from './OutputGroup';
+import type { PluginDriver } from './PluginDriver';
+import { errDualPackageExportMismatch, errInvalidOption, error } from './error';
+import { promises as fs } from './fs';
+import type { OutputBundleWithPlaceholders } from './outputBundle';
+import { dirname, normalize, relative, resolve } from './path';
+import relativeId from './relativeId';
+
+interface PackageEntry {
+	exportNames: readonly string[];
+	fileName: string;
+	name: string;
+}
+
+export interface PackageOutput {
+	dir: string;
+	entriesById: Map<string, PackageEntry>;
+	format: 'es' | 'cjs';
+	// directories containing generated .js files, which need a module type
+	jsDirs: Set<string>;
+}
+
+type ModuleType = 'module' | 'commonjs';
+
+interface PackageJsonFields {
+	exports: PackageJsonExports;
+	main?: string;
+	module?: string;
+	type?: ModuleType;
+}
+
+/**
+ * Collects the entries of all ES and CommonJS outputs that are generated
+ * together and emits a package.json asset or patches an existing one from the
+ * first output of each format. As Node interprets .js files according to the
+ * closest package.json file, every directory with generated .js files that is
+ * not the directory of the package.json file receives a package.json file that
+ * only specifies the module type.
+ */
+export async function emitPackageJson(
+	chunks: readonly Chunk[],
+	outputOptions: NormalizedOutputOptions,
+	bundle: OutputBundleWithPlaceholders,
+	pluginDriver: PluginDriver,
+	packageOutputs: OutputGroupMember<PackageOutput>,
+	onwarn: WarningHandler
+): Promise<void> {
+	const { dir, file, format, packageJson } = outputOptions;
+	const output: PackageOutput = {
+		dir: resolve(dir || dirname(file || '.')),
+		entriesById: new Map(),
+		format: format as 'es' | 'cjs',
+		jsDirs: new Set()
+	};
+	for (const chunk of chunks) {
+		const { exports, fileName } = bundle[chunk.id!] as OutputChunk;
+		if (fileName.endsWith('.js')) {
+			output.jsDirs.add(dirname(resolve(output.dir, fileName)));
+		}
+		if (chunk.facadeModule?.isUserDefinedEntryPoint) {
+			output.entriesById.set(chunk.facadeModule.id, {
+				exportNames: exports,
+				fileName,
+				name: chunk.getChunkName()
+			});
+		}
+	}
+	const outputs = await packageOutputs.contribute(output);
+	const esOutput = outputs.find(({ format }) => format === 'es');
+	const cjsOutput = outputs.find(({ format }) => format === 'cjs');
+	if (!(esOutput && cjsOutput)) {
+		return error(
+			errInvalidOption(
+				'output.packageJson',
+				'outputpackagejson',
+				'package.json exports need an "es" and a "cjs" output that are generated together, e.g. via the "output" array of a configuration file'
+			)
+		);
+	}
+	const moduleTypeByDir = getModuleTypeByDir(outputs);
+	const [packageJsonPath, packageJsonOutput] =
+		packageJson === true
+			? getPackageJsonPathForOutputs(esOutput, cjsOutput, outputs)
+			: getPackageJsonPathForFile(resolve(packageJson as string), outputs);
+	const packageDir = dirname(packageJsonPath);
+	if (packageJsonOutput === output) {
+		const fields = getPackageJsonFields(esOutput, cjsOutput, packageDir, onwarn);
+		const type = moduleTypeByDir.get(packageDir);
+		if (type) {
+			fields.type = type;
+		}
+		let source: string;
+		if (packageJson === true) {
+			source = stringifyPackageJson(fields, '  ');
+		} else {
+			const existingSource = await fs.readFile(packageJsonPath, 'utf8');
+			source = stringifyPackageJson(
+				Object.assign(JSON.parse(existingSource), fields),
+				existingSource.match(/^[ \t]+/m)?.[0] || '  '
+			);
+		}
+		pluginDriver.emitFile({
+			fileName: normalize(relative(output.dir, packageJsonPath)),
+			source,
+			type: 'asset'
+		});
+	}
+	for (const jsDir of output.jsDirs) {
+		// outputs sharing a directory only emit the file once
+		if (jsDir !== packageDir && outputs.find(({ jsDirs }) => jsDirs.has(jsDir)) === output) {
+			pluginDriver.emitFile({
+				fileName: normalize(relative(output.dir, resolve(jsDir, 'package.json'))),
+				source: stringifyPackageJson({ type: moduleTypeByDir.get(jsDir) }, '  '),
+				type: 'asset'
+			});
+		}
+	}
+}
+
+function getModuleTypeByDir(outputs: readonly PackageOutput[]): Map<string, ModuleType> {
+	const moduleTypeByDir = new Map<string, ModuleType>();
+	for (const { format, jsDirs } of outputs) {
+		const type = format === 'es' ? 'module' : 'commonjs';
+		for (const jsDir of jsDirs) {
+			const existingType = moduleTypeByDir.get(jsDir);
+			if (existingType && existingType !== type) {
+				return error(
+					errInvalidOption(
+						'output.packageJson',
+						'outputpackagejson',
+						`the "es" and "cjs" outputs both generate ".js" files in "${
+							relativeId(jsDir) || '.'
+						}", use different directories or the file extensions ".mjs" and ".cjs"`
+					)
+				);
+			}
+			moduleTypeByDir.set(jsDir, type);
+		}
+	}
+	return moduleTypeByDir;
+}
+
+function getPackageJsonFields(
+	esOutput: PackageOutput,
+	cjsOutput: PackageOutput,
+	packageDir: string,
+	onwarn: WarningHandler
+): PackageJsonFields {
+	const getPath = ({ dir }: PackageOutput, { fileName }: PackageEntry) => {
+		const path = normalize(relative(packageDir, resolve(dir, fileName)));
+		if (path.startsWith('../')) {
+			return error(
+				errInvalidOption(
+					'output.packageJson',
+					'outputpackagejson',
+					`the generated file "${path}" is outside the directory of the package.json file`
+				)
+			);
+		}
+		return `./${path}`;
+	};
+	const exports: PackageJsonExports = {};
+	const fields: PackageJsonFields = { exports };
+	const ids = new Set([...esOutput.entriesById.keys(), ...cjsOutput.entriesById.keys()]);
+	for (const id of ids) {
+		const esEntry = esOutput.entriesById.get(id);
+		const cjsEntry = cjsOutput.entriesById.get(id);
+		if (String(esEntry?.exportNames) !== String(cjsEntry?.exportNames)) {
+			onwarn(errDualPackageExportMismatch(id, esEntry?.exportNames, cjsEntry?.exportNames));
+		}
+		const conditions: Record<string, string> = {};
+		if (esEntry) {
+			conditions.import = getPath(esOutput, esEntry);
+		}
+		if (cjsEntry) {
+			conditions.require = getPath(cjsOutput, cjsEntry);
+		}
+		// the first entry is exported as the main entry of the package
+		if (Object.keys(exports).length === 0) {
+			exports['.'] = conditions;
+			if (conditions.require) {
+				fields.main = conditions.require;
+			}
+			if (conditions.import) {
+				fields.module = conditions.import;
+			}
+		} else {
+			exports[`./${(esEntry || cjsEntry)!.name}`] = conditions;
+		}
+	}
+	return fields;
+}
+
+// An existing package.json file is emitted by the first output containing it
+function getPackageJsonPathForFile(
+	packageJsonPath: string,
+	outputs: readonly PackageOutput[]
+): [path: string, output: PackageOutput] {
+	const output = outputs.find(({ dir }) => isInside(packageJsonPath, dir));
+	if (!output) {
+		return error(
+			errInvalidOption(
+				'output.packageJson',
+				'outputpackagejson',
+				`the file "${relativeId(
+					packageJsonPath
+				)}" is not inside the directory of an output, place it in a common "output.dir" of the outputs`
+			)
+		);
+	}
+	return [packageJsonPath, output];
+}
+
+// A new package.json file is emitted by the first output containing all entries
+function getPackageJsonPathForOutputs(
+	esOutput: PackageOutput,
+	cjsOutput: PackageOutput,
+	outputs: readonly PackageOutput[]
+): [path: string, output: PackageOutput] {
+	const entryPaths: string[] = [];
+	for (const { dir, entriesById } of [esOutput, cjsOutput]) {
+		for (const { fileName } of entriesById.values()) {
+			entryPaths.push(resolve(dir, fileName));
+		}
+	}
+	const output = outputs.find(({ dir }) => entryPaths.every(path => isInside(path, dir)));
+	if (!output) {
+		return error(
+			errInvalidOption(
+				'output.packageJson',
+				'outputpackagejson',
+				'the entries of the "es" and "cjs" outputs need to be inside the directory of one of the outputs, use a common "output.dir" or provide the path to an existing package.json file'
+			)
+		);
+	}
+	return [resolve(output.dir, 'package.json'), output];
+}
+
+function isInside(path: string, dir: string): boolean {
+	return !normalize(relative(dir, path)).startsWith('../');
+}
+
+function stringifyPackageJson(packageJson: object, indent: string): string {
+	return `${JSON.stringify(packageJson, null, indent)}\n`;
+}
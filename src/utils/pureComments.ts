@@ -1,14 +1,20 @@
 import * as acorn from 'acorn';
 import { base as basicWalker } from 'acorn-walk';
 import {
+	ArrowFunctionExpression,
 	BinaryExpression,
 	CallExpression,
 	ChainExpression,
 	ConditionalExpression,
+	ExportDefaultDeclaration,
+	ExportNamedDeclaration,
 	ExpressionStatement,
+	FunctionDeclaration,
+	FunctionExpression,
 	LogicalExpression,
 	NewExpression,
-	SequenceExpression
+	SequenceExpression,
+	VariableDeclaration
 } from '../ast/nodes/NodeType';
 import { SOURCEMAPPING_URL_RE } from './sourceMappingURL';
 
@@ -20,10 +26,12 @@ interface CommentState {
 
 export const ANNOTATION_KEY = '_rollupAnnotations';
 export const INVALID_COMMENT_KEY = '_rollupRemoved';
+export const NO_SIDE_EFFECTS_KEY = '_rollupNoSideEffects';
 
 interface NodeWithComments extends acorn.Node {
 	[ANNOTATION_KEY]?: acorn.Comment[];
 	[INVALID_COMMENT_KEY]?: acorn.Comment[];
+	[NO_SIDE_EFFECTS_KEY]?: acorn.Comment[];
 }
 
 function handlePureAnnotationsOfNode(
@@ -34,14 +42,18 @@ function handlePureAnnotationsOfNode(
 	const { annotations } = state;
 	let comment = annotations[state.annotationIndex];
 	while (comment && node.start >= comment.end) {
-		markPureNode(node, comment, state.code);
+		if (noSideEffectsCommentRegex.test(comment.value)) {
+			markNoSideEffectsNode(node, comment, state.code);
+		} else {
+			markPureNode(node, comment, state.code);
+		}
 		comment = annotations[++state.annotationIndex];
 	}
 	if (comment && comment.end <= node.end) {
 		basicWalker[type](node, state, handlePureAnnotationsOfNode);
 		while ((comment = annotations[state.annotationIndex]) && comment.end <= node.end) {
 			++state.annotationIndex;
-			annotateNode(node, comment, false);
+			annotateNode(node, comment, INVALID_COMMENT_KEY);
 		}
 	}
 }
@@ -99,12 +111,39 @@ function markPureNode(node: NodeWithComments, comment: acorn.Comment, code: stri
 		invalidAnnotation = true;
 	}
 	if (invalidAnnotation) {
-		annotateNode(node, comment, false);
+		annotateNode(node, comment, INVALID_COMMENT_KEY);
 	} else {
 		for (const node of annotatedNodes) {
-			annotateNode(node, comment, true);
+			annotateNode(node, comment, ANNOTATION_KEY);
+		}
+	}
+}
+
+// The annotation applies to function declarations and to function
+// expressions that are directly assigned to a single declared variable
+function markNoSideEffectsNode(node: NodeWithComments, comment: acorn.Comment, code: string): void {
+	if (doesNotMatchOutsideComment(code.slice(comment.end, node.start), noWhitespace)) {
+		let annotatedNode: NodeWithComments | null = node;
+		while (annotatedNode) {
+			switch (annotatedNode.type) {
+				case ExportDefaultDeclaration:
+				case ExportNamedDeclaration:
+					annotatedNode = (annotatedNode as any).declaration;
+					continue;
+				case VariableDeclaration: {
+					const { declarations } = annotatedNode as any;
+					annotatedNode = declarations.length === 1 ? declarations[0].init : null;
+					continue;
+				}
+				case ArrowFunctionExpression:
+				case FunctionDeclaration:
+				case FunctionExpression:
+					return annotateNode(annotatedNode, comment, NO_SIDE_EFFECTS_KEY);
+			}
+			break;
 		}
 	}
+	annotateNode(node, comment, INVALID_COMMENT_KEY);
 }
 
 function doesNotMatchOutsideComment(code: string, forbiddenChars: RegExp): boolean {
@@ -127,6 +166,7 @@ function doesNotMatchOutsideComment(code: string, forbiddenChars: RegExp): boole
 }
 
 const pureCommentRegex = /[@#]__PURE__/;
+const noSideEffectsCommentRegex = /[@#]__NO_SIDE_EFFECTS__/;
 
 export function addAnnotations(
 	comments: readonly acorn.Comment[],
@@ -136,14 +176,14 @@ export function addAnnotations(
 	const annotations: acorn.Comment[] = [];
 	const sourceMappingComments: acorn.Comment[] = [];
 	for (const comment of comments) {
-		if (pureCommentRegex.test(comment.value)) {
+		if (pureCommentRegex.test(comment.value) || noSideEffectsCommentRegex.test(comment.value)) {
 			annotations.push(comment);
 		} else if (SOURCEMAPPING_URL_RE.test(comment.value)) {
 			sourceMappingComments.push(comment);
 		}
 	}
 	for (const comment of sourceMappingComments) {
-		annotateNode(esTreeAst, comment, false);
+		annotateNode(esTreeAst, comment, INVALID_COMMENT_KEY);
 	}
 	handlePureAnnotationsOfNode(esTreeAst, {
 		annotationIndex: 0,
@@ -152,8 +192,11 @@ export function addAnnotations(
 	});
 }
 
-function annotateNode(node: NodeWithComments, comment: acorn.Comment, valid: boolean): void {
-	const key = valid ? ANNOTATION_KEY : INVALID_COMMENT_KEY;
+function annotateNode(
+	node: NodeWithComments,
+	comment: acorn.Comment,
+	key: typeof ANNOTATION_KEY | typeof INVALID_COMMENT_KEY | typeof NO_SIDE_EFFECTS_KEY
+): void {
 	const property = node[key];
 	if (property) {
 		property.push(comment);
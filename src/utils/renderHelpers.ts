@@ -12,6 +12,7 @@ export interface RenderOptions {
 	format: InternalModuleFormat;
 	freeze: boolean;
 	indent: string;
+	minify: boolean;
 	namespaceToStringTag: boolean;
 	outputPluginDriver: PluginDriver;
 	snippets: GenerateCodeSnippets;
@@ -14,6 +14,7 @@ import { resolveIdViaPlugins } from './resolveIdViaPlugins';
  * @param skip
  * @param customOptions
  * @param isEntry
+ * @param attributes
  * @returns
  */
 export async function resolveId(
@@ -26,11 +27,13 @@ export async function resolveId(
 		importer: string | undefined,
 		customOptions: CustomPluginOptions | undefined,
 		isEntry: boolean | undefined,
+		attributes: Record<string, string>,
 		skip: readonly { importer: string | undefined; plugin: Plugin; source: string }[] | null
 	) => Promise<ResolvedId | null>,
 	skip: readonly { importer: string | undefined; plugin: Plugin; source: string }[] | null,
 	customOptions: CustomPluginOptions | undefined,
-	isEntry: boolean
+	isEntry: boolean,
+	attributes: Record<string, string>
 ): Promise<ResolveIdResult> {
 	const pluginResult = await resolveIdViaPlugins(
 		source,
@@ -39,7 +42,8 @@ export async function resolveId(
 		moduleLoaderResolveId,
 		skip,
 		customOptions,
-		isEntry
+		isEntry,
+		attributes
 	);
 	if (pluginResult != null) return pluginResult;
 
@@ -6,7 +6,7 @@ import type {
 	ResolveIdResult
 } from '../rollup/types';
 import type { PluginDriver, ReplaceContext } from './PluginDriver';
-import { BLANK } from './blank';
+import { BLANK, EMPTY_OBJECT } from './blank';
 
 export function resolveIdViaPlugins(
 	source: string,
@@ -17,11 +17,13 @@ export function resolveIdViaPlugins(
 		importer: string | undefined,
 		customOptions: CustomPluginOptions | undefined,
 		isEntry: boolean | undefined,
+		attributes: Record<string, string>,
 		skip: readonly { importer: string | undefined; plugin: Plugin; source: string }[] | null
 	) => Promise<ResolvedId | null>,
 	skip: readonly { importer: string | undefined; plugin: Plugin; source: string }[] | null,
 	customOptions: CustomPluginOptions | undefined,
-	isEntry: boolean
+	isEntry: boolean,
+	attributes: Record<string, string>
 ): Promise<ResolveIdResult> {
 	let skipped: Set<Plugin> | null = null;
 	let replaceContext: ReplaceContext | null = null;
@@ -34,12 +36,13 @@ export function resolveIdViaPlugins(
 		}
 		replaceContext = (pluginContext, plugin): PluginContext => ({
 			...pluginContext,
-			resolve: (source, importer, { custom, isEntry, skipSelf } = BLANK) => {
+			resolve: (source, importer, { attributes, custom, isEntry, skipSelf } = BLANK) => {
 				return moduleLoaderResolveId(
 					source,
 					importer,
 					custom,
 					isEntry,
+					attributes || EMPTY_OBJECT,
 					skipSelf ? [...skip, { importer, plugin, source }] : skip
 				);
 			}
@@ -47,7 +50,7 @@ export function resolveIdViaPlugins(
 	}
 	return pluginDriver.hookFirst(
 		'resolveId',
-		[source, importer, { custom: customOptions, isEntry }],
+		[source, importer, { attributes, custom: customOptions, isEntry }],
 		replaceContext,
 		skipped
 	);
@@ -10,3 +10,33 @@ export function getSafeName(baseName: string, usedNames: Set<string>): string {
 	usedNames.add(safeName);
 	return safeName;
 }
+
+const MANGLED_NAME_START_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
+const MANGLED_NAME_CHARS = `${MANGLED_NAME_START_CHARS}0123456789`;
+
+/**
+ * Returns a function that generates the shortest identifiers that are neither
+ * reserved nor contained in usedNames, i.e. "a", "b", ..., "$", "aa", "ba"...
+ */
+export function getMangledNameGenerator(usedNames: Set<string>): () => string {
+	let index = 0;
+	return () => {
+		let mangledName: string;
+		do {
+			mangledName = toMangledName(index++);
+		} while (usedNames.has(mangledName) || RESERVED_NAMES.has(mangledName));
+		usedNames.add(mangledName);
+		return mangledName;
+	};
+}
+
+function toMangledName(index: number): string {
+	let name = MANGLED_NAME_START_CHARS[index % MANGLED_NAME_START_CHARS.length];
+	index = Math.floor(index / MANGLED_NAME_START_CHARS.length);
+	while (index > 0) {
+		index--;
+		name += MANGLED_NAME_CHARS[index % MANGLED_NAME_CHARS.length];
+		index = Math.floor(index / MANGLED_NAME_CHARS.length);
+	}
+	return name;
+}
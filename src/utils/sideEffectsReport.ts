@@ -0,0 +1,89 @@
+import { locate } from 'locate-character';
+import type ExternalModule from '../ExternalModule';
+import type Module from '../Module';
+import ExportDefaultVariable from '../ast/variables/ExportDefaultVariable';
+import SyntheticNamedExportVariable from '../ast/variables/SyntheticNamedExportVariable';
+import type { SideEffectsReport, SideEffectsReportModule } from '../rollup/types';
+import getCodeFrame from './getCodeFrame';
+import { resolve } from './path';
+
+const PACKAGE_DIRECTORY_REGEX = /^(.*[\\/]node_modules[\\/](?:@[^\\/]+[\\/])?[^\\/]+)[\\/]/;
+
+/**
+ * Lists the modules that are only part of the bundle because they have side
+ * effects, i.e. no other module uses any of their bindings and they are
+ * neither entry points nor dynamically imported. Marking such a module as
+ * side effect free would remove it from the bundle. Modules inside a
+ * dependency are expected to be configured via the "sideEffects" field of the
+ * package.json file of the dependency.
+ */
+export function getSideEffectsReport(modules: readonly Module[]): SideEffectsReport {
+	const usedModules = getModulesWithUsedBindings(modules);
+	const reportedModules: SideEffectsReportModule[] = [];
+	const moduleSideEffects: string[] = [];
+	const packageJsonFiles = new Set<string>();
+	for (const module of modules) {
+		if (usedModules.has(module) || !isOnlyIncludedForSideEffects(module)) continue;
+		const statement = module.getFirstStatementWithEffects();
+		// e.g. CSS modules do not contain any statements
+		if (!statement) continue;
+		const code = module.info.code!;
+		const { column, line } = locate(code, statement.start, { offsetLine: 1 });
+		const packageJson = getPackageJson(module.id);
+		if (packageJson) {
+			packageJsonFiles.add(packageJson);
+		} else {
+			moduleSideEffects.push(module.id);
+		}
+		reportedModules.push({
+			column,
+			frame: getCodeFrame(code, line, column),
+			id: module.id,
+			line,
+			packageJson
+		});
+	}
+	return {
+		modules: reportedModules,
+		suggestion: { moduleSideEffects, packageJsonSideEffects: [...packageJsonFiles] }
+	};
+}
+
+function getModulesWithUsedBindings(modules: readonly Module[]): Set<Module | ExternalModule> {
+	const usedModules = new Set<Module | ExternalModule>();
+	for (const module of modules) {
+		for (let variable of module.includedImports) {
+			// re-exporting modules with side effects are retained for their importers
+			const sideEffectDependencies = module.sideEffectDependenciesByVariable.get(variable);
+			if (sideEffectDependencies) {
+				for (const dependency of sideEffectDependencies) {
+					usedModules.add(dependency);
+				}
+			}
+			if (variable instanceof SyntheticNamedExportVariable) {
+				variable = variable.getBaseVariable();
+			} else if (variable instanceof ExportDefaultVariable) {
+				variable = variable.getOriginalVariable();
+			}
+			usedModules.add(variable.module!);
+		}
+	}
+	return usedModules;
+}
+
+function getPackageJson(id: string): string | null {
+	const match = PACKAGE_DIRECTORY_REGEX.exec(id);
+	return match ? resolve(match[1], 'package.json') : null;
+}
+
+function isOnlyIncludedForSideEffects(module: Module): boolean {
+	return (
+		!module.namespace.included &&
+		!module.importedFromNotTreeshaken &&
+		!module.info.isEntry &&
+		module.includedDynamicImporters.length === 0 &&
+		module.implicitlyLoadedAfter.size === 0 &&
+		module.info.moduleSideEffects !== 'no-treeshake' &&
+		module.hasEffects()
+	);
+}
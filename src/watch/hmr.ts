@@ -0,0 +1,332 @@
+import { createServer, type IncomingMessage, type Server, type ServerResponse } from 'http';
+import { posix } from 'path';
+import * as acorn from 'acorn';
+import { simple as simpleWalker } from 'acorn-walk';
+import type * as estree from 'estree';
+import MagicString from 'magic-string';
+import type { HmrOptions, OutputOptions, Plugin } from '../rollup/types';
+import relativeId from '../utils/relativeId';
+
+interface HmrModule {
+	accepts: boolean;
+	fileName: string;
+	importers: readonly string[];
+}
+
+interface HmrSnapshot {
+	codeByFileName: ReadonlyMap<string, string>;
+	modules: ReadonlyMap<string, HmrModule>;
+}
+
+interface HmrUpdate {
+	codeByFileName: ReadonlyMap<string, string>;
+	fileNames: ReadonlySet<string>;
+	id: number;
+}
+
+type HmrPayload =
+	| { type: 'full-reload' }
+	| {
+			boundaries: { fileName: string; id: string }[];
+			id: number;
+			modules: string[];
+			type: 'update';
+	  };
+
+const RUNTIME_ID = '\0rollup/hmr-runtime';
+const ES_FORMATS = new Set(['es', 'esm', 'module']);
+
+export const DEFAULT_HMR_PORT = 24678;
+
+export function isHmrOutput({ format = 'es', preserveModules }: OutputOptions): boolean {
+	return ES_FORMATS.has(format) && !!preserveModules;
+}
+
+/**
+ * Pushes updates of changed modules to the runtime in the browser via
+ * server-sent events. An update re-imports each boundary, i.e. the closest
+ * module that accepts its own updates via `import.meta.hot.accept()`, from
+ * this server. The modules between the changed modules and the boundaries are
+ * served with imports rewritten so that they are re-executed as well, while
+ * all other imports point to the already loaded original files. If a changed
+ * module does not reach a boundary, the page is reloaded.
+ */
+export class HmrServer {
+	readonly plugin: Plugin;
+
+	private readonly acceptingModules = new Map<string, boolean>();
+	private readonly clients = new Set<ServerResponse>();
+	private latestUpdate: HmrUpdate | null = null;
+	private readonly server: Server;
+	private snapshot: HmrSnapshot | null = null;
+	private updateCount = 0;
+
+	constructor(
+		{ host = 'localhost', port = DEFAULT_HMR_PORT }: HmrOptions,
+		onError: (error: Error) => void
+	) {
+		this.plugin = this.getPlugin(`http://${host}:${port}`);
+		this.server = createServer((request, response) => this.handleRequest(request, response))
+			.on('error', onError)
+			.listen(port, host);
+	}
+
+	close(): void {
+		for (const client of this.clients) {
+			client.end();
+		}
+		this.server.close();
+	}
+
+	update(changedIds: readonly string[]): void {
+		const { snapshot } = this;
+		if (!snapshot) return;
+		const queue = changedIds.filter(id => snapshot.modules.has(id));
+		if (queue.length === 0) return;
+		const boundaries = new Set<string>();
+		const modules = new Set<string>();
+		for (const id of queue) {
+			if (modules.has(id)) continue;
+			const module = snapshot.modules.get(id);
+			if (!module || (!module.accepts && module.importers.length === 0)) {
+				this.send({ type: 'full-reload' });
+				return;
+			}
+			modules.add(id);
+			if (module.accepts) {
+				boundaries.add(id);
+			} else {
+				queue.push(...module.importers);
+			}
+		}
+		const getFileName = (id: string) => snapshot.modules.get(id)!.fileName;
+		this.latestUpdate = {
+			codeByFileName: snapshot.codeByFileName,
+			fileNames: new Set(Array.from(modules, getFileName)),
+			id: ++this.updateCount
+		};
+		this.send({
+			boundaries: Array.from(boundaries, id => ({ fileName: getFileName(id), id: relativeId(id) })),
+			id: this.latestUpdate.id,
+			modules: Array.from(modules, id => relativeId(id)),
+			type: 'update'
+		});
+	}
+
+	private getPlugin(serverUrl: string): Plugin {
+		const { acceptingModules } = this;
+		const setSnapshot = (snapshot: HmrSnapshot) => (this.snapshot = snapshot);
+		return {
+			generateBundle(outputOptions, bundle) {
+				if (!isHmrOutput(outputOptions)) return;
+				const codeByFileName = new Map<string, string>();
+				const modules = new Map<string, HmrModule>();
+				for (const chunk of Object.values(bundle)) {
+					if (chunk.type === 'asset') continue;
+					codeByFileName.set(chunk.fileName, chunk.code);
+					for (const id of Object.keys(chunk.modules)) {
+						const { dynamicImporters, importers } = this.getModuleInfo(id)!;
+						modules.set(id, {
+							accepts: !!acceptingModules.get(id),
+							fileName: chunk.fileName,
+							importers: [...importers, ...dynamicImporters]
+						});
+					}
+				}
+				setSnapshot({ codeByFileName, modules });
+			},
+			load(id) {
+				return id === RUNTIME_ID ? getRuntimeCode(serverUrl) : null;
+			},
+			name: 'hmr',
+			resolveId(source) {
+				return source === RUNTIME_ID ? source : null;
+			},
+			transform(code, id) {
+				if (!code.includes('import.meta.hot')) return null;
+				const magicString = new MagicString(code);
+				let accepts = false;
+				simpleWalker(this.parse(code), {
+					CallExpression(node) {
+						const { arguments: args, callee } = node as unknown as estree.CallExpression;
+						if (
+							callee.type === 'MemberExpression' &&
+							isImportMetaHot(callee.object) &&
+							callee.property.type === 'Identifier' &&
+							callee.property.name === 'accept' &&
+							(args.length === 0 ||
+								args[0].type === 'FunctionExpression' ||
+								args[0].type === 'ArrowFunctionExpression')
+						) {
+							accepts = true;
+						}
+					},
+					MemberExpression(node) {
+						if (isImportMetaHot(node as unknown as estree.Node)) {
+							magicString.overwrite(node.start, node.end, '__rollup_hot');
+						}
+					}
+				});
+				acceptingModules.set(id, accepts);
+				magicString.prepend(
+					`import { createHotContext as __rollup_createHotContext } from ${JSON.stringify(
+						RUNTIME_ID
+					)};\nconst __rollup_hot = __rollup_createHotContext(${JSON.stringify(
+						relativeId(id)
+					)}, import.meta.url);\n`
+				);
+				return { code: magicString.toString(), map: magicString.generateMap({ hires: true }) };
+			}
+		};
+	}
+
+	private handleRequest(request: IncomingMessage, response: ServerResponse): void {
+		const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-cache' };
+		const [updateId, root, ...path] = request.url!.slice(1).split('?')[0].split('/');
+		if (updateId === 'events') {
+			response.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+			response.write(':\n\n');
+			this.clients.add(response);
+			request.on('close', () => this.clients.delete(response));
+			return;
+		}
+		const fileName = path.join('/');
+		const update = this.latestUpdate;
+		if (update?.id !== Number(updateId) || !update.fileNames.has(fileName)) {
+			response.writeHead(404, headers);
+			response.end();
+			return;
+		}
+		let rootUrl: string;
+		try {
+			rootUrl = new URL(decodeURIComponent(root)).href;
+		} catch {
+			// malformed escape sequences or roots that are not absolute URLs
+			response.writeHead(400, headers);
+			response.end();
+			return;
+		}
+		let code: string;
+		try {
+			code = rewriteImports(
+				update.codeByFileName.get(fileName)!,
+				fileName,
+				update.fileNames,
+				rootUrl
+			);
+		} catch {
+			// e.g. updates containing syntax acorn does not support
+			response.writeHead(500, headers);
+			response.end();
+			return;
+		}
+		response.writeHead(200, { ...headers, 'Content-Type': 'text/javascript' });
+		response.end(code);
+	}
+
+	private send(payload: HmrPayload): void {
+		const message = `data: ${JSON.stringify(payload)}\n\n`;
+		for (const client of this.clients) {
+			client.write(message);
+		}
+	}
+}
+
+function isImportMetaHot(node: estree.Node): boolean {
+	return (
+		node.type === 'MemberExpression' &&
+		!node.computed &&
+		node.object.type === 'MetaProperty' &&
+		node.object.meta.name === 'import' &&
+		node.property.type === 'Identifier' &&
+		node.property.name === 'hot'
+	);
+}
+
+// Imports of files that are not part of the update are replaced with the URLs
+// of the original files so that their existing instances are used.
+function rewriteImports(
+	code: string,
+	fileName: string,
+	updatedFileNames: ReadonlySet<string>,
+	root: string
+): string {
+	const magicString = new MagicString(code);
+	const rewriteSource = (source: estree.Node | null | undefined) => {
+		if (
+			source?.type === 'Literal' &&
+			typeof source.value === 'string' &&
+			/^\.\.?\//.test(source.value)
+		) {
+			const target = posix.join(posix.dirname(fileName), source.value);
+			if (!updatedFileNames.has(target)) {
+				const { end, start } = source as unknown as acorn.Node;
+				magicString.overwrite(start, end, JSON.stringify(new URL(target, root).href));
+			}
+		}
+	};
+	simpleWalker(acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module' }), {
+		ExportAllDeclaration: node =>
+			rewriteSource((node as unknown as estree.ExportAllDeclaration).source),
+		ExportNamedDeclaration: node =>
+			rewriteSource((node as unknown as estree.ExportNamedDeclaration).source),
+		ImportDeclaration: node => rewriteSource((node as unknown as estree.ImportDeclaration).source),
+		ImportExpression: node => rewriteSource((node as unknown as estree.ImportExpression).source)
+	});
+	return magicString.toString();
+}
+
+function getRuntimeCode(serverUrl: string): string {
+	return `const contexts = new Map();
+const events = new EventSource(${JSON.stringify(`${serverUrl}/events`)});
+
+events.onmessage = ({ data }) =>
+	applyUpdate(JSON.parse(data)).catch(error => {
+		console.error('[hmr] Failed to apply update, reloading the page.', error);
+		location.reload();
+	});
+
+async function applyUpdate(payload) {
+	if (payload.type === 'full-reload') {
+		location.reload();
+		return;
+	}
+	for (const id of payload.modules) {
+		const context = contexts.get(id);
+		if (context) {
+			for (const callback of context.disposeCallbacks) callback(context.hot.data);
+		}
+	}
+	for (const { fileName, id } of payload.boundaries) {
+		const context = contexts.get(id);
+		// boundaries that were never loaded pick up the changes when they are imported
+		if (!context) continue;
+		const root = encodeURIComponent(context.url.slice(0, -fileName.length));
+		const namespace = await import(${JSON.stringify(
+			serverUrl
+		)} + '/' + payload.id + '/' + root + '/' + fileName);
+		for (const callback of context.acceptCallbacks) callback(namespace);
+	}
+}
+
+export function createHotContext(id, url) {
+	const previous = contexts.get(id);
+	const context = {
+		acceptCallbacks: [],
+		disposeCallbacks: [],
+		hot: {
+			data: previous ? previous.hot.data : {},
+			accept(callback) {
+				if (typeof callback === 'function') context.acceptCallbacks.push(callback);
+			},
+			dispose(callback) {
+				context.disposeCallbacks.push(callback);
+			}
+		},
+		url: previous ? previous.url : url.split('?')[0]
+	};
+	contexts.set(id, context);
+	return context.hot;
+}
+`;
+}
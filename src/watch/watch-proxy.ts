@@ -1,9 +1,10 @@
-import type { RollupWatcher } from '../rollup/types';
+import type { OutputOptions, RollupWatcher, WatcherOptions } from '../rollup/types';
 import { ensureArray } from '../utils/ensureArray';
 import { errInvalidOption, error } from '../utils/error';
 import type { GenericConfigObject } from '../utils/options/options';
 import { WatchEmitter } from './WatchEmitter';
 import { loadFsEvents } from './fsevents-importer';
+import { isHmrOutput } from './hmr';
 
 export default function watch(configs: GenericConfigObject[] | GenericConfigObject): RollupWatcher {
 	const emitter = new WatchEmitter() as RollupWatcher;
@@ -18,6 +19,20 @@ export default function watch(configs: GenericConfigObject[] | GenericConfigObje
 			)
 		);
 	}
+	for (const config of watchConfigs) {
+		if (
+			(config.watch as WatcherOptions | undefined)?.hmr &&
+			!ensureArray(config.output as OutputOptions | OutputOptions[]).some(isHmrOutput)
+		) {
+			return error(
+				errInvalidOption(
+					'watch.hmr',
+					'watchhmr',
+					'hot module replacement needs an output with "output.format" set to "es" and "output.preserveModules" enabled'
+				)
+			);
+		}
+	}
 	loadFsEvents()
 		.then(() => import('./watch'))
 		.then(({ Watcher }) => new Watcher(watchConfigs, emitter));
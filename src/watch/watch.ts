@@ -14,6 +14,7 @@ import type {
 import { mergeOptions } from '../utils/options/mergeOptions';
 import type { GenericConfigObject } from '../utils/options/options';
 import { FileWatcher } from './fileWatcher';
+import { HmrServer } from './hmr';
 
 const eventsRewrites: Record<ChangeEvent, Record<ChangeEvent, ChangeEvent | 'buggy' | null>> = {
 	create: {
@@ -141,6 +142,7 @@ export class Task {
 	private closed = false;
 	private readonly fileWatcher: FileWatcher;
 	private filter: (id: string) => boolean;
+	private readonly hmr: HmrServer | null = null;
 	private invalidated = true;
 	private readonly options: MergedRollupOptions;
 	private readonly outputFiles: string[];
@@ -154,6 +156,9 @@ export class Task {
 
 		this.skipWrite = Boolean(config.watch && (config.watch as GenericConfigObject).skipWrite);
 		this.options = mergeOptions(config);
+		if (this.options.cache && this.options.cache.dir) {
+			this.cache.dir = this.options.cache.dir;
+		}
 		this.outputs = this.options.output;
 		this.outputFiles = this.outputs.map(output => {
 			if (output.file || output.dir) return resolve(output.file || output.dir!);
@@ -167,11 +172,18 @@ export class Task {
 			disableGlobbing: true,
 			ignoreInitial: true
 		});
+		if (watchOptions.hmr) {
+			this.hmr = new HmrServer(watchOptions.hmr === true ? {} : watchOptions.hmr, error =>
+				this.watcher.emitter.emit('event', { code: 'ERROR', error, result: null })
+			);
+			this.options.plugins = [...(this.options.plugins || []), this.hmr.plugin];
+		}
 	}
 
 	close(): void {
 		this.closed = true;
 		this.fileWatcher.close();
+		this.hmr?.close();
 	}
 
 	invalidate(id: string, details: { event: ChangeEvent; isTransformDependency?: boolean }): void {
@@ -194,6 +206,7 @@ export class Task {
 			...this.options,
 			cache: this.cache
 		};
+		const previousCodeById = new Map(this.cache.modules.map(({ code, id }) => [id, code]));
 
 		const start = Date.now();
 
@@ -210,7 +223,16 @@ export class Task {
 				return;
 			}
 			this.updateWatchedFiles(result);
-			this.skipWrite || (await Promise.all(this.outputs.map(output => result!.write(output))));
+			if (!this.skipWrite) {
+				await Promise.all(this.outputs.map(output => result!.write(output)));
+				if (this.hmr && previousCodeById.size > 0) {
+					this.hmr.update(
+						result
+							.cache!.modules.filter(({ code, id }) => previousCodeById.get(id) !== code)
+							.map(({ id }) => id)
+					);
+				}
+			}
 			this.watcher.emitter.emit('event', {
 				code: 'BUNDLE_END',
 				duration: Date.now() - start,
@@ -18,7 +18,7 @@ runTestSuiteWithSamples('chunking form', resolve(__dirname, 'samples'), (dir, co
 				after(config.after);
 			}
 
-			for (const format of FORMATS) {
+			for (const format of config.formats || FORMATS) {
 				it('generates ' + format, async () => {
 					chdir(dir);
 					bundle =
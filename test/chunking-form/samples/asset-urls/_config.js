@@ -0,0 +1,7 @@
+module.exports = {
+	description: 'emits assets referenced via new URL and import.meta.url',
+	options: {
+		assetUrls: true,
+		output: { assetFileNames: 'assets/[name]-[hash][extname]' }
+	}
+};
@@ -0,0 +1,14 @@
+define(['module', 'exports'], (function (module, exports) { 'use strict';
+
+	const logo = new URL('./assets/logo-a2bd3edb.svg', new URL(module.uri, document.baseURI).href);
+	const image = document.createElement('img');
+	image.src = logo.href;
+
+	// the same file is only emitted once
+	const getLogo = () => new URL('./assets/logo-a2bd3edb.svg', new URL(module.uri, document.baseURI).href);
+
+	exports.getLogo = getLogo;
+
+	Object.defineProperty(exports, '__esModule', { value: true });
+
+}));
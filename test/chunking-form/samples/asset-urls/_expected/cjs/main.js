@@ -0,0 +1,12 @@
+'use strict';
+
+Object.defineProperty(exports, '__esModule', { value: true });
+
+const logo = new URL('./assets/logo-a2bd3edb.svg', (typeof document === 'undefined' ? new (require('u' + 'rl').URL)('file:' + __filename).href : (document.currentScript && document.currentScript.src || new URL('main.js', document.baseURI).href)));
+const image = document.createElement('img');
+image.src = logo.href;
+
+// the same file is only emitted once
+const getLogo = () => new URL('./assets/logo-a2bd3edb.svg', (typeof document === 'undefined' ? new (require('u' + 'rl').URL)('file:' + __filename).href : (document.currentScript && document.currentScript.src || new URL('main.js', document.baseURI).href)));
+
+exports.getLogo = getLogo;
@@ -0,0 +1,8 @@
+const logo = new URL('./assets/logo-a2bd3edb.svg', import.meta.url);
+const image = document.createElement('img');
+image.src = logo.href;
+
+// the same file is only emitted once
+const getLogo = () => new URL('./assets/logo-a2bd3edb.svg', import.meta.url);
+
+export { getLogo };
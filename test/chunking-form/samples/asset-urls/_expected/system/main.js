@@ -0,0 +1,15 @@
+System.register([], (function (exports, module) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const logo = new URL('./assets/logo-a2bd3edb.svg', module.meta.url);
+			const image = document.createElement('img');
+			image.src = logo.href;
+
+			// the same file is only emitted once
+			const getLogo = exports('getLogo', () => new URL('./assets/logo-a2bd3edb.svg', module.meta.url));
+
+		})
+	};
+}));
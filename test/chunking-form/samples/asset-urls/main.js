@@ -0,0 +1,6 @@
+const logo = new URL('./logo.svg', import.meta.url);
+const image = document.createElement('img');
+image.src = logo.href;
+
+// the same file is only emitted once
+export const getLogo = () => new URL('./logo.svg', import.meta.url);
@@ -0,0 +1,8 @@
+module.exports = {
+	description: 'does not split circular dependencies when splitting large chunks',
+	options: {
+		input: ['main1.js', 'main2.js'],
+		output: { chunkSizeLimit: 100 }
+	},
+	expectedWarnings: ['CHUNK_SIZE_LIMIT_EXCEEDED', 'CIRCULAR_DEPENDENCY']
+};
@@ -0,0 +1,7 @@
+define(['exports'], (function (exports) { 'use strict';
+
+	const c = 'this is a module outside the cycle, its size is about 60 bytes';
+
+	exports.c = c;
+
+}));
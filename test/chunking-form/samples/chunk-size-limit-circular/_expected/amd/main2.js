@@ -0,0 +1,5 @@
+define(['./generated-a', './generated-c'], (function (a, c) { 'use strict';
+
+	console.log('main2', a.a, a.getA(), a.getB(), c.c);
+
+}));
@@ -0,0 +1,11 @@
+'use strict';
+
+const b = 'this is the second module of a cycle, its size is about 60 bytes';
+const getA = () => a;
+
+const a = 'this is the first module of a cycle, its size is about 60 bytes';
+const getB = () => b;
+
+exports.a = a;
+exports.getA = getA;
+exports.getB = getB;
@@ -0,0 +1,5 @@
+'use strict';
+
+const c = 'this is a module outside the cycle, its size is about 60 bytes';
+
+exports.c = c;
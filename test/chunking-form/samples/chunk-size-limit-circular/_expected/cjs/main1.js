@@ -0,0 +1,6 @@
+'use strict';
+
+var a = require('./generated-a.js');
+var c = require('./generated-c.js');
+
+console.log('main1', a.a, a.getA(), a.getB(), c.c);
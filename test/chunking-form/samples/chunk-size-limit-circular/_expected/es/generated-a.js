@@ -0,0 +1,7 @@
+const b = 'this is the second module of a cycle, its size is about 60 bytes';
+const getA = () => a;
+
+const a = 'this is the first module of a cycle, its size is about 60 bytes';
+const getB = () => b;
+
+export { a, getB as b, getA as g };
@@ -0,0 +1,3 @@
+const c = 'this is a module outside the cycle, its size is about 60 bytes';
+
+export { c };
@@ -0,0 +1,4 @@
+import { a, g as getA, b as getB } from './generated-a.js';
+import { c } from './generated-c.js';
+
+console.log('main2', a, getA(), getB(), c);
@@ -0,0 +1,14 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const b = 'this is the second module of a cycle, its size is about 60 bytes';
+			const getA = exports('g', () => a);
+
+			const a = exports('a', 'this is the first module of a cycle, its size is about 60 bytes');
+			const getB = exports('b', () => b);
+
+		})
+	};
+}));
@@ -0,0 +1,10 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const c = exports('c', 'this is a module outside the cycle, its size is about 60 bytes');
+
+		})
+	};
+}));
@@ -0,0 +1,18 @@
+System.register(['./generated-a.js', './generated-c.js'], (function () {
+	'use strict';
+	var a, getA, getB, c;
+	return {
+		setters: [function (module) {
+			a = module.a;
+			getA = module.g;
+			getB = module.b;
+		}, function (module) {
+			c = module.c;
+		}],
+		execute: (function () {
+
+			console.log('main2', a, getA(), getB(), c);
+
+		})
+	};
+}));
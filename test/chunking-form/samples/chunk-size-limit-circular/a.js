@@ -0,0 +1,4 @@
+import { b } from './b.js';
+
+export const a = 'this is the first module of a cycle, its size is about 60 bytes';
+export const getB = () => b;
@@ -0,0 +1,4 @@
+import { a } from './a.js';
+
+export const b = 'this is the second module of a cycle, its size is about 60 bytes';
+export const getA = () => a;
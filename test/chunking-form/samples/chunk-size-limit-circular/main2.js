@@ -0,0 +1,5 @@
+import { a, getB } from './a.js';
+import { getA } from './b.js';
+import { c } from './c.js';
+
+console.log('main2', a, getA(), getB(), c);
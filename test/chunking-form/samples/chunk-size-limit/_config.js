@@ -0,0 +1,8 @@
+module.exports = {
+	description: 'splits chunks that exceed the chunk size limit along module boundaries',
+	options: {
+		input: ['main1.js', 'main2.js'],
+		output: { chunkSizeLimit: 100 }
+	},
+	expectedWarnings: ['CHUNK_SIZE_LIMIT_EXCEEDED']
+};
@@ -0,0 +1,7 @@
+define(['exports'], (function (exports) { 'use strict';
+
+	const a = 'this is the first shared module, its size is about 60 bytes';
+
+	exports.a = a;
+
+}));
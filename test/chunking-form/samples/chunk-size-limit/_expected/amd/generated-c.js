@@ -0,0 +1,8 @@
+define(['exports'], (function (exports) { 'use strict';
+
+	const c =
+		'this is the third shared module, it is larger than the chunk size limit on its own and cannot be split';
+
+	exports.c = c;
+
+}));
@@ -0,0 +1,5 @@
+define(['./generated-a', './generated-b', './generated-c'], (function (a, b, c) { 'use strict';
+
+	console.log('main1', a.a, b.b, c.c);
+
+}));
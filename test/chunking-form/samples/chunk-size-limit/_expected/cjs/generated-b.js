@@ -0,0 +1,5 @@
+'use strict';
+
+const b = 'this is the second shared module, its size is about 60 bytes';
+
+exports.b = b;
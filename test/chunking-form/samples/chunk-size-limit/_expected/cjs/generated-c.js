@@ -0,0 +1,6 @@
+'use strict';
+
+const c =
+	'this is the third shared module, it is larger than the chunk size limit on its own and cannot be split';
+
+exports.c = c;
@@ -0,0 +1,7 @@
+'use strict';
+
+var a = require('./generated-a.js');
+var b = require('./generated-b.js');
+var c = require('./generated-c.js');
+
+console.log('main1', a.a, b.b, c.c);
@@ -0,0 +1,3 @@
+const a = 'this is the first shared module, its size is about 60 bytes';
+
+export { a };
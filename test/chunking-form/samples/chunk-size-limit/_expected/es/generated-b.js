@@ -0,0 +1,3 @@
+const b = 'this is the second shared module, its size is about 60 bytes';
+
+export { b };
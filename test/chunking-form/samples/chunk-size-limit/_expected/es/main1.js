@@ -0,0 +1,5 @@
+import { a } from './generated-a.js';
+import { b } from './generated-b.js';
+import { c } from './generated-c.js';
+
+console.log('main1', a, b, c);
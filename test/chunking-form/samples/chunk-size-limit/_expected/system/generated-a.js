@@ -0,0 +1,10 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const a = exports('a', 'this is the first shared module, its size is about 60 bytes');
+
+		})
+	};
+}));
@@ -0,0 +1,10 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const b = exports('b', 'this is the second shared module, its size is about 60 bytes');
+
+		})
+	};
+}));
@@ -0,0 +1,11 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const c =
+				exports('c', 'this is the third shared module, it is larger than the chunk size limit on its own and cannot be split');
+
+		})
+	};
+}));
@@ -0,0 +1,18 @@
+System.register(['./generated-a.js', './generated-b.js', './generated-c.js'], (function () {
+	'use strict';
+	var a, b, c;
+	return {
+		setters: [function (module) {
+			a = module.a;
+		}, function (module) {
+			b = module.b;
+		}, function (module) {
+			c = module.c;
+		}],
+		execute: (function () {
+
+			console.log('main1', a, b, c);
+
+		})
+	};
+}));
@@ -0,0 +1 @@
+export const a = 'this is the first shared module, its size is about 60 bytes';
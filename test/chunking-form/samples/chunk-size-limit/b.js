@@ -0,0 +1 @@
+export const b = 'this is the second shared module, its size is about 60 bytes';
@@ -0,0 +1,2 @@
+export const c =
+	'this is the third shared module, it is larger than the chunk size limit on its own and cannot be split';
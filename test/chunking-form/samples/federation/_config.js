@@ -0,0 +1,19 @@
+const path = require('path');
+
+module.exports = {
+	description: 'resolves shared dependencies and remote modules via a generated remote entry',
+	formats: ['es'],
+	options: {
+		federation: {
+			exposes: { './Button': path.join(__dirname, 'button.js') },
+			remotes: { app2: 'https://example.com/app2/remoteEntry.js' },
+			shared: { lib: { singleton: true, version: '1.2.0' } }
+		},
+		plugins: [
+			{
+				name: 'resolve-lib',
+				resolveId: source => (source === 'lib' ? path.join(__dirname, 'lib.js') : null)
+			}
+		]
+	}
+};
@@ -0,0 +1,3 @@
+import * as federation from "./remoteEntry.js";
+
+export default await federation.importShared("lib");
@@ -0,0 +1,5 @@
+import lib from './__federation_shared_lib.js';
+
+var button = () => `button ${lib.value} ${lib["default"]()}`;
+
+export { button as default };
@@ -0,0 +1,5 @@
+let value = 42;
+const update = () => value++;
+var lib = () => value;
+
+export { lib as default, update, value };
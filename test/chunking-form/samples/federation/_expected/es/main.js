@@ -0,0 +1,7 @@
+import lib from './__federation_shared_lib.js';
+
+const getValue = () => lib.value;
+const getNamespace = () => lib;
+const loadWidget = () => import('./remoteEntry.js').then(function (f) { return f.loadRemote("app2", "./Widget"); });
+
+export { getNamespace, getValue, loadWidget };
@@ -0,0 +1,63 @@
+const remotes = {"app2":"https://example.com/app2/remoteEntry.js"};
+const exposes = {
+	"./Button": () => import("./generated-Button.js")
+};
+const shared = {
+	"lib": { singleton: true, version: "1.2.0", get: () => import("./generated-lib.js") }
+};
+const containers = {};
+let shareScope = null;
+
+function compareVersions(a, b) {
+	const partsA = a.split('.');
+	const partsB = b.split('.');
+	for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+		const difference = (parseInt(partsA[index], 10) || 0) - (parseInt(partsB[index], 10) || 0);
+		if (difference !== 0) return difference;
+	}
+	return 0;
+}
+
+export function init(scope = {}) {
+	if (shareScope) return;
+	shareScope = scope;
+	for (const id of Object.keys(shared)) {
+		const versions = scope[id] || (scope[id] = {});
+		if (!versions[shared[id].version]) {
+			versions[shared[id].version] = { ...shared[id], loaded: null };
+		}
+	}
+}
+
+export function get(name) {
+	return exposes[name]
+		? exposes[name]()
+		: Promise.reject(new Error(`Module "${name}" is not exposed by this container.`));
+}
+
+export function importShared(id) {
+	init();
+	const versions = shareScope[id];
+	const { singleton, version: ownVersion } = shared[id];
+	let version = ownVersion;
+	if (singleton || Object.keys(versions).some(key => versions[key].singleton)) {
+		version =
+			Object.keys(versions).find(key => versions[key].loaded) ||
+			Object.keys(versions).sort(compareVersions).pop();
+		if (version !== ownVersion) {
+			console.warn(`Using version ${version} of singleton "${id}" instead of ${ownVersion}.`);
+		}
+	}
+	const entry = versions[version];
+	return entry.loaded || (entry.loaded = entry.get());
+}
+
+export function loadRemote(remote, name) {
+	init();
+	const container =
+		containers[remote] ||
+		(containers[remote] = import(remotes[remote]).then(container =>
+			Promise.resolve(container.init(shareScope)).then(() => container)
+		));
+	return container.then(container => container.get(name));
+}
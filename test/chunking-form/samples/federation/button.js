@@ -0,0 +1,3 @@
+import getDefault, { value } from 'lib';
+
+export default () => `button ${value} ${getDefault()}`;
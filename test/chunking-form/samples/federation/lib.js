@@ -0,0 +1,3 @@
+export let value = 42;
+export const update = () => value++;
+export default () => value;
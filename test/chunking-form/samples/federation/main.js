@@ -0,0 +1,6 @@
+import { value } from 'lib';
+import * as lib from 'lib';
+
+export const getValue = () => value;
+export const getNamespace = () => lib;
+export const loadWidget = () => import('app2/Widget');
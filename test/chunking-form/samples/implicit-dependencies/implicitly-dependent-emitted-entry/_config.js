@@ -69,6 +69,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { value } from './lib';\nconsole.log(value);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -80,6 +81,7 @@ module.exports = {
 					implicitlyLoadedBefore: [],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB,
 							meta: {},
@@ -140,6 +142,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { value } from './lib';\nconsole.log(value);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -151,6 +154,7 @@ module.exports = {
 					implicitlyLoadedBefore: [],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB,
 							meta: {},
@@ -65,6 +65,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { value } from './lib';\nconsole.log(value);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -76,6 +77,7 @@ module.exports = {
 					implicitlyLoadedBefore: [],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB,
 							meta: {},
@@ -136,6 +138,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { value } from './lib';\nconsole.log(value);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -147,6 +150,7 @@ module.exports = {
 					implicitlyLoadedBefore: [],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB,
 							meta: {},
@@ -113,6 +113,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { lib1 } from './lib1';\nimport { lib1b } from './lib1b';\nimport { lib2 } from './lib2';\nconsole.log('main1', lib1,  lib1b, lib2);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -124,6 +125,7 @@ module.exports = {
 					implicitlyLoadedBefore: [ID_DEP],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB1,
 							meta: {},
@@ -131,6 +133,7 @@ module.exports = {
 							syntheticNamedExports: false
 						},
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB1B,
 							meta: {},
@@ -138,6 +141,7 @@ module.exports = {
 							syntheticNamedExports: false
 						},
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB2,
 							meta: {},
@@ -233,6 +237,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { lib1 } from './lib1';\nimport { lib1b } from './lib1b';\nimport { lib3 } from './lib3';\nconsole.log('main2', lib1, lib1b, lib3);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -244,6 +249,7 @@ module.exports = {
 					implicitlyLoadedBefore: [ID_DEP],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB1,
 							meta: {},
@@ -251,6 +257,7 @@ module.exports = {
 							syntheticNamedExports: false
 						},
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB1B,
 							meta: {},
@@ -258,6 +265,7 @@ module.exports = {
 							syntheticNamedExports: false
 						},
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB3,
 							meta: {},
@@ -352,6 +360,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { lib1 } from './lib1';\nimport { lib2 } from './lib2';\nimport { lib3 } from './lib3';\nconsole.log(lib1, lib2, lib3);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -363,6 +372,7 @@ module.exports = {
 					implicitlyLoadedBefore: [],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB1,
 							meta: {},
@@ -370,6 +380,7 @@ module.exports = {
 							syntheticNamedExports: false
 						},
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB2,
 							meta: {},
@@ -377,6 +388,7 @@ module.exports = {
 							syntheticNamedExports: false
 						},
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB3,
 							meta: {},
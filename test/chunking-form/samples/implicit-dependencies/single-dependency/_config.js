@@ -64,6 +64,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { value } from './lib';\nconsole.log(value);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -75,6 +76,7 @@ module.exports = {
 					implicitlyLoadedBefore: [ID_DEP],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB,
 							meta: {},
@@ -135,6 +137,7 @@ module.exports = {
 						],
 						sourceType: 'module'
 					},
+					attributes: {},
 					code: "import { value } from './lib';\nconsole.log(value);\n",
 					dynamicallyImportedIdResolutions: [],
 					dynamicallyImportedIds: [],
@@ -146,6 +149,7 @@ module.exports = {
 					implicitlyLoadedBefore: [],
 					importedIdResolutions: [
 						{
+							attributes: {},
 							external: false,
 							id: ID_LIB,
 							meta: {},
@@ -0,0 +1,7 @@
+module.exports = {
+	description: 'does not create shared chunks for inlined constants',
+	options: {
+		input: ['main1', 'main2'],
+		treeshake: { inlineConstants: true }
+	}
+};
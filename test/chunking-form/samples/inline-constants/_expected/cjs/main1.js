@@ -0,0 +1,3 @@
+'use strict';
+
+console.log("shared", 3);
@@ -0,0 +1,10 @@
+System.register([], (function () {
+	'use strict';
+	return {
+		execute: (function () {
+
+			console.log("shared");
+
+		})
+	};
+}));
@@ -0,0 +1,2 @@
+export const NAME = 'shared';
+export const COUNT = 3;
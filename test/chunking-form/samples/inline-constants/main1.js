@@ -0,0 +1,3 @@
+import { COUNT, NAME } from './constants.js';
+
+console.log(NAME, COUNT);
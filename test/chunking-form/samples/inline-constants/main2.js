@@ -0,0 +1,3 @@
+import { NAME } from './constants.js';
+
+console.log(NAME);
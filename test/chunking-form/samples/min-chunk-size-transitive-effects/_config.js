@@ -0,0 +1,9 @@
+module.exports = {
+	description:
+		'does not merge small chunks if this would run side effects of transitive dependencies for other entries',
+	options: {
+		input: ['main1.js', 'main2.js', 'main3.js', 'main4.js'],
+		output: { minChunkSize: 40 }
+	},
+	expectedWarnings: ['MIN_CHUNK_SIZE_NOT_REACHED']
+};
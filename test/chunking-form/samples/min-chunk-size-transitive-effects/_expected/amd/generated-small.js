@@ -0,0 +1,7 @@
+define(['exports'], (function (exports) { 'use strict';
+
+	const small = 'small';
+
+	exports.small = small;
+
+}));
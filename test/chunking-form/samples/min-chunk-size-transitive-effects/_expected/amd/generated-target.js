@@ -0,0 +1,9 @@
+define(['exports', './generated-effect'], (function (exports, effect) { 'use strict';
+
+	const target = 'this chunk has no side effects but its dependency has';
+	const getEffect = () => effect.effect;
+
+	exports.getEffect = getEffect;
+	exports.target = target;
+
+}));
@@ -0,0 +1,5 @@
+define(['./generated-small', './generated-target', './generated-effect'], (function (small, target, effect) { 'use strict';
+
+	console.log('main1', small.small, target.target, target.getEffect());
+
+}));
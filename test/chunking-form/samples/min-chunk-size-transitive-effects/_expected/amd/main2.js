@@ -0,0 +1,5 @@
+define(['./generated-small'], (function (small) { 'use strict';
+
+	console.log('main2', small.small);
+
+}));
@@ -0,0 +1,5 @@
+define(['./generated-effect'], (function (effect) { 'use strict';
+
+	console.log('main3', effect.effect);
+
+}));
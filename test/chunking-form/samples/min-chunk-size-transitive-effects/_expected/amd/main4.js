@@ -0,0 +1,5 @@
+define(['./generated-target', './generated-effect'], (function (target, effect) { 'use strict';
+
+	console.log('main4', target.target, target.getEffect());
+
+}));
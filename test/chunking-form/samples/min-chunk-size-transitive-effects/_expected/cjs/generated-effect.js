@@ -0,0 +1,6 @@
+'use strict';
+
+console.log('this side effect must only run for main1, main3 and main4');
+const effect = 'effect';
+
+exports.effect = effect;
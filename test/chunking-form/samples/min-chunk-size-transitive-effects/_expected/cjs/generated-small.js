@@ -0,0 +1,5 @@
+'use strict';
+
+const small = 'small';
+
+exports.small = small;
@@ -0,0 +1,9 @@
+'use strict';
+
+var effect = require('./generated-effect.js');
+
+const target = 'this chunk has no side effects but its dependency has';
+const getEffect = () => effect.effect;
+
+exports.getEffect = getEffect;
+exports.target = target;
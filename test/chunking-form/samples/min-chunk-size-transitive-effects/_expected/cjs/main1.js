@@ -0,0 +1,7 @@
+'use strict';
+
+var small = require('./generated-small.js');
+var target = require('./generated-target.js');
+require('./generated-effect.js');
+
+console.log('main1', small.small, target.target, target.getEffect());
@@ -0,0 +1,5 @@
+'use strict';
+
+var small = require('./generated-small.js');
+
+console.log('main2', small.small);
@@ -0,0 +1,5 @@
+'use strict';
+
+var effect = require('./generated-effect.js');
+
+console.log('main3', effect.effect);
@@ -0,0 +1,6 @@
+'use strict';
+
+var target = require('./generated-target.js');
+require('./generated-effect.js');
+
+console.log('main4', target.target, target.getEffect());
@@ -0,0 +1,4 @@
+console.log('this side effect must only run for main1, main3 and main4');
+const effect = 'effect';
+
+export { effect as e };
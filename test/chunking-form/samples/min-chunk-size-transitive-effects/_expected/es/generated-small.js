@@ -0,0 +1,3 @@
+const small = 'small';
+
+export { small as s };
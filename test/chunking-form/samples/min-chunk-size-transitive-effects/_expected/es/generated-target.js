@@ -0,0 +1,6 @@
+import { e as effect } from './generated-effect.js';
+
+const target = 'this chunk has no side effects but its dependency has';
+const getEffect = () => effect;
+
+export { getEffect as g, target as t };
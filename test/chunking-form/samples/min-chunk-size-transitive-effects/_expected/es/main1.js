@@ -0,0 +1,5 @@
+import { s as small } from './generated-small.js';
+import { t as target, g as getEffect } from './generated-target.js';
+import './generated-effect.js';
+
+console.log('main1', small, target, getEffect());
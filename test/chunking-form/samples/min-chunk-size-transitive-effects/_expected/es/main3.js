@@ -0,0 +1,3 @@
+import { e as effect } from './generated-effect.js';
+
+console.log('main3', effect);
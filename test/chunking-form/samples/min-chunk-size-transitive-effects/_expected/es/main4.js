@@ -0,0 +1,4 @@
+import { t as target, g as getEffect } from './generated-target.js';
+import './generated-effect.js';
+
+console.log('main4', target, getEffect());
@@ -0,0 +1,11 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			console.log('this side effect must only run for main1, main3 and main4');
+			const effect = exports('e', 'effect');
+
+		})
+	};
+}));
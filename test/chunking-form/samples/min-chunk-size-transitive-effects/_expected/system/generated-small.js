@@ -0,0 +1,10 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const small = exports('s', 'small');
+
+		})
+	};
+}));
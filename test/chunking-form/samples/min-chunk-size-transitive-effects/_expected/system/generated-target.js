@@ -0,0 +1,15 @@
+System.register(['./generated-effect.js'], (function (exports) {
+	'use strict';
+	var effect;
+	return {
+		setters: [function (module) {
+			effect = module.e;
+		}],
+		execute: (function () {
+
+			const target = exports('t', 'this chunk has no side effects but its dependency has');
+			const getEffect = exports('g', () => effect);
+
+		})
+	};
+}));
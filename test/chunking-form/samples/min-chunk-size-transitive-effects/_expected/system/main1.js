@@ -0,0 +1,17 @@
+System.register(['./generated-small.js', './generated-target.js', './generated-effect.js'], (function () {
+	'use strict';
+	var small, target, getEffect;
+	return {
+		setters: [function (module) {
+			small = module.s;
+		}, function (module) {
+			target = module.t;
+			getEffect = module.g;
+		}, function () {}],
+		execute: (function () {
+
+			console.log('main1', small, target, getEffect());
+
+		})
+	};
+}));
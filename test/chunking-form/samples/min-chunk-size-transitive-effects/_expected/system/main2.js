@@ -0,0 +1,14 @@
+System.register(['./generated-small.js'], (function () {
+	'use strict';
+	var small;
+	return {
+		setters: [function (module) {
+			small = module.s;
+		}],
+		execute: (function () {
+
+			console.log('main2', small);
+
+		})
+	};
+}));
@@ -0,0 +1,14 @@
+System.register(['./generated-effect.js'], (function () {
+	'use strict';
+	var effect;
+	return {
+		setters: [function (module) {
+			effect = module.e;
+		}],
+		execute: (function () {
+
+			console.log('main3', effect);
+
+		})
+	};
+}));
@@ -0,0 +1,15 @@
+System.register(['./generated-target.js', './generated-effect.js'], (function () {
+	'use strict';
+	var target, getEffect;
+	return {
+		setters: [function (module) {
+			target = module.t;
+			getEffect = module.g;
+		}, function () {}],
+		execute: (function () {
+
+			console.log('main4', target, getEffect());
+
+		})
+	};
+}));
@@ -0,0 +1,2 @@
+console.log('this side effect must only run for main1, main3 and main4');
+export const effect = 'effect';
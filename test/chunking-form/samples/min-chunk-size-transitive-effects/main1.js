@@ -0,0 +1,4 @@
+import { small } from './small.js';
+import { getEffect, target } from './target.js';
+
+console.log('main1', small, target, getEffect());
@@ -0,0 +1,3 @@
+import { small } from './small.js';
+
+console.log('main2', small);
@@ -0,0 +1,3 @@
+import { effect } from './effect.js';
+
+console.log('main3', effect);
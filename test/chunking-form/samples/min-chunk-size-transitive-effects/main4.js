@@ -0,0 +1,3 @@
+import { getEffect, target } from './target.js';
+
+console.log('main4', target, getEffect());
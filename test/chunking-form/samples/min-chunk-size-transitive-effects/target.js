@@ -0,0 +1,4 @@
+import { effect } from './effect.js';
+
+export const target = 'this chunk has no side effects but its dependency has';
+export const getEffect = () => effect;
@@ -0,0 +1,7 @@
+module.exports = {
+	description: 'merges chunks below the minimum chunk size into chunks without side effects',
+	options: {
+		input: ['main1.js', 'main2.js', 'main3.js'],
+		output: { minChunkSize: 40 }
+	}
+};
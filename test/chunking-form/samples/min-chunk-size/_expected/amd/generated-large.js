@@ -0,0 +1,10 @@
+define(['exports'], (function (exports) { 'use strict';
+
+	const small = 'small';
+
+	const large = 'this module is larger than the minimum chunk size';
+
+	exports.large = large;
+	exports.small = small;
+
+}));
@@ -0,0 +1,5 @@
+define(['./generated-large'], (function (large) { 'use strict';
+
+	console.log('main1', large.small, large.large);
+
+}));
@@ -0,0 +1,8 @@
+'use strict';
+
+const small = 'small';
+
+const large = 'this module is larger than the minimum chunk size';
+
+exports.large = large;
+exports.small = small;
@@ -0,0 +1,5 @@
+'use strict';
+
+var large = require('./generated-large.js');
+
+console.log('main3', large.large);
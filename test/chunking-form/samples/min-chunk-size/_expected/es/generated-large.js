@@ -0,0 +1,5 @@
+const small = 'small';
+
+const large = 'this module is larger than the minimum chunk size';
+
+export { large as l, small as s };
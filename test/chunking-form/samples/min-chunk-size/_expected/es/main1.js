@@ -0,0 +1,3 @@
+import { s as small, l as large } from './generated-large.js';
+
+console.log('main1', small, large);
@@ -0,0 +1,3 @@
+import { s as small } from './generated-large.js';
+
+console.log('main2', small);
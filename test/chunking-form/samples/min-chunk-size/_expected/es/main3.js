@@ -0,0 +1,3 @@
+import { l as large } from './generated-large.js';
+
+console.log('main3', large);
@@ -0,0 +1,12 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const small = exports('s', 'small');
+
+			const large = exports('l', 'this module is larger than the minimum chunk size');
+
+		})
+	};
+}));
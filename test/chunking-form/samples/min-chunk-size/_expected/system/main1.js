@@ -0,0 +1,15 @@
+System.register(['./generated-large.js'], (function () {
+	'use strict';
+	var small, large;
+	return {
+		setters: [function (module) {
+			small = module.s;
+			large = module.l;
+		}],
+		execute: (function () {
+
+			console.log('main1', small, large);
+
+		})
+	};
+}));
@@ -0,0 +1,14 @@
+System.register(['./generated-large.js'], (function () {
+	'use strict';
+	var large;
+	return {
+		setters: [function (module) {
+			large = module.l;
+		}],
+		execute: (function () {
+
+			console.log('main3', large);
+
+		})
+	};
+}));
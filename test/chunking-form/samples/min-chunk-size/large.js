@@ -0,0 +1 @@
+export const large = 'this module is larger than the minimum chunk size';
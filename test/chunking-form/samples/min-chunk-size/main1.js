@@ -0,0 +1,4 @@
+import { small } from './small.js';
+import { large } from './large.js';
+
+console.log('main1', small, large);
@@ -0,0 +1,3 @@
+import { large } from './large.js';
+
+console.log('main3', large);
@@ -0,0 +1,4 @@
+module.exports = {
+	description: 'does not emit workers or assets unless the options are enabled',
+	formats: ['es']
+};
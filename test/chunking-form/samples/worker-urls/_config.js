@@ -0,0 +1,4 @@
+module.exports = {
+	description: 'emits workers referenced via new URL and import.meta.url as separate chunks',
+	options: { workers: true }
+};
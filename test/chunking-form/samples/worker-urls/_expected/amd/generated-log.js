@@ -0,0 +1,9 @@
+define(['exports'], (function (exports) { 'use strict';
+
+	function log(...args) {
+		console.log(...args);
+	}
+
+	exports.log = log;
+
+}));
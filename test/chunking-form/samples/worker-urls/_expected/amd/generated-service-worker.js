@@ -0,0 +1,5 @@
+define((function () { 'use strict';
+
+	self.addEventListener('install', () => console.log('install'));
+
+}));
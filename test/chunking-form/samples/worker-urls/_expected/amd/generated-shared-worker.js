@@ -0,0 +1,5 @@
+define(['./generated-log'], (function (log) { 'use strict';
+
+	self.onconnect = () => log.log('shared worker');
+
+}));
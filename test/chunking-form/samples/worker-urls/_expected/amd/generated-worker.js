@@ -0,0 +1,5 @@
+define(['./generated-log'], (function (log) { 'use strict';
+
+	self.onmessage = event => log.log('worker', event.data);
+
+}));
@@ -0,0 +1,20 @@
+define(['module', 'exports'], (function (module, exports) { 'use strict';
+
+	const worker = new Worker(new URL('./generated-worker.js', new URL(module.uri, document.baseURI).href), { type: 'module' });
+	worker.postMessage('main');
+
+	new SharedWorker(new URL('./generated-shared-worker.js', new URL(module.uri, document.baseURI).href));
+	navigator.serviceWorker.register(new URL('./generated-service-worker.js', new URL(module.uri, document.baseURI).href));
+
+	// not relative and therefore not bundled
+	new Worker(new URL('https://example.com/worker.js', new URL(module.uri, document.baseURI).href));
+
+	// shadowed globals are not detected
+	const createLocalWorker = (Worker, URL$1) =>
+		new Worker(new URL$1('./worker.js', new URL(module.uri, document.baseURI).href));
+
+	exports.createLocalWorker = createLocalWorker;
+
+	Object.defineProperty(exports, '__esModule', { value: true });
+
+}));
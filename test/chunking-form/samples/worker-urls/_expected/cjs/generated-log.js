@@ -0,0 +1,7 @@
+'use strict';
+
+function log(...args) {
+	console.log(...args);
+}
+
+exports.log = log;
@@ -0,0 +1,3 @@
+'use strict';
+
+self.addEventListener('install', () => console.log('install'));
@@ -0,0 +1,5 @@
+'use strict';
+
+var log = require('./generated-log.js');
+
+self.onconnect = () => log.log('shared worker');
@@ -0,0 +1,5 @@
+'use strict';
+
+var log = require('./generated-log.js');
+
+self.onmessage = event => log.log('worker', event.data);
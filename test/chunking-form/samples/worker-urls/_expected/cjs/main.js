@@ -0,0 +1,18 @@
+'use strict';
+
+Object.defineProperty(exports, '__esModule', { value: true });
+
+const worker = new Worker(new URL('./generated-worker.js', (typeof document === 'undefined' ? new (require('u' + 'rl').URL)('file:' + __filename).href : (document.currentScript && document.currentScript.src || new URL('main.js', document.baseURI).href))), { type: 'module' });
+worker.postMessage('main');
+
+new SharedWorker(new URL('./generated-shared-worker.js', (typeof document === 'undefined' ? new (require('u' + 'rl').URL)('file:' + __filename).href : (document.currentScript && document.currentScript.src || new URL('main.js', document.baseURI).href))));
+navigator.serviceWorker.register(new URL('./generated-service-worker.js', (typeof document === 'undefined' ? new (require('u' + 'rl').URL)('file:' + __filename).href : (document.currentScript && document.currentScript.src || new URL('main.js', document.baseURI).href))));
+
+// not relative and therefore not bundled
+new Worker(new URL('https://example.com/worker.js', (typeof document === 'undefined' ? new (require('u' + 'rl').URL)('file:' + __filename).href : (document.currentScript && document.currentScript.src || new URL('main.js', document.baseURI).href))));
+
+// shadowed globals are not detected
+const createLocalWorker = (Worker, URL$1) =>
+	new Worker(new URL$1('./worker.js', (typeof document === 'undefined' ? new (require('u' + 'rl').URL)('file:' + __filename).href : (document.currentScript && document.currentScript.src || new URL('main.js', document.baseURI).href))));
+
+exports.createLocalWorker = createLocalWorker;
@@ -0,0 +1,5 @@
+function log(...args) {
+	console.log(...args);
+}
+
+export { log as l };
@@ -0,0 +1,3 @@
+import { l as log } from './generated-log.js';
+
+self.onmessage = event => log('worker', event.data);
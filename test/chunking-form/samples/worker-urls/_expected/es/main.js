@@ -0,0 +1,14 @@
+const worker = new Worker(new URL('./generated-worker.js', import.meta.url), { type: 'module' });
+worker.postMessage('main');
+
+new SharedWorker(new URL('./generated-shared-worker.js', import.meta.url));
+navigator.serviceWorker.register(new URL('./generated-service-worker.js', import.meta.url));
+
+// not relative and therefore not bundled
+new Worker(new URL('https://example.com/worker.js', import.meta.url));
+
+// shadowed globals are not detected
+const createLocalWorker = (Worker, URL) =>
+	new Worker(new URL('./worker.js', import.meta.url));
+
+export { createLocalWorker };
@@ -0,0 +1,14 @@
+System.register([], (function (exports) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			exports('l', log);
+
+			function log(...args) {
+				console.log(...args);
+			}
+
+		})
+	};
+}));
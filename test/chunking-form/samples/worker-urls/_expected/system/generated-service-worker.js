@@ -0,0 +1,10 @@
+System.register([], (function () {
+	'use strict';
+	return {
+		execute: (function () {
+
+			self.addEventListener('install', () => console.log('install'));
+
+		})
+	};
+}));
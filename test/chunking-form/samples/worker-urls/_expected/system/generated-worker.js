@@ -0,0 +1,14 @@
+System.register(['./generated-log.js'], (function () {
+	'use strict';
+	var log;
+	return {
+		setters: [function (module) {
+			log = module.l;
+		}],
+		execute: (function () {
+
+			self.onmessage = event => log('worker', event.data);
+
+		})
+	};
+}));
@@ -0,0 +1,21 @@
+System.register([], (function (exports, module) {
+	'use strict';
+	return {
+		execute: (function () {
+
+			const worker = new Worker(new URL('./generated-worker.js', module.meta.url), { type: 'module' });
+			worker.postMessage('main');
+
+			new SharedWorker(new URL('./generated-shared-worker.js', module.meta.url));
+			navigator.serviceWorker.register(new URL('./generated-service-worker.js', module.meta.url));
+
+			// not relative and therefore not bundled
+			new Worker(new URL('https://example.com/worker.js', module.meta.url));
+
+			// shadowed globals are not detected
+			const createLocalWorker = exports('createLocalWorker', (Worker, URL) =>
+				new Worker(new URL('./worker.js', module.meta.url)));
+
+		})
+	};
+}));
@@ -0,0 +1,12 @@
+const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+worker.postMessage('main');
+
+new SharedWorker(new URL('./shared-worker.js', import.meta.url));
+navigator.serviceWorker.register(new URL('./service-worker.js', import.meta.url));
+
+// not relative and therefore not bundled
+new Worker(new URL('https://example.com/worker.js', import.meta.url));
+
+// shadowed globals are not detected
+export const createLocalWorker = (Worker, URL) =>
+	new Worker(new URL('./worker.js', import.meta.url));
@@ -0,0 +1,3 @@
+import { log } from './log.js';
+
+self.onmessage = event => log('worker', event.data);
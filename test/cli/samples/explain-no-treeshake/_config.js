@@ -0,0 +1,12 @@
+const { assertIncludes } = require('../../../utils.js');
+
+module.exports = {
+	description: 'warns instead of explaining code if tree-shaking is disabled',
+	command: 'rollup -i main.js -f es --no-treeshake --explain dep.js:2',
+	stderr: stderr => {
+		assertIncludes(
+			stderr,
+			'(!) Plugin explain: --explain needs tree-shaking, no report is generated as "treeshake" is false.'
+		);
+	}
+};
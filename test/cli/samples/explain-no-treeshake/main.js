@@ -0,0 +1,8 @@
+import { foo } from './dep.js';
+
+console.log(foo());
+export const qux = 3;
+
+const state = {};
+state.ready = true;
+console.log(state);
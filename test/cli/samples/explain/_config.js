@@ -0,0 +1,22 @@
+const { assertIncludes } = require('../../../utils.js');
+
+module.exports = {
+	description: 'explains why code was included via --explain',
+	command: 'rollup -i main.js -f es --explain dep.js:2 --explain dep.js:1 --explain main.js:7',
+	stderr: stderr => {
+		assertIncludes(
+			stderr,
+			'dep.js:2 was included because\n' +
+				'  dep.js:2:0 declares "bar", which is referenced at dep.js:4:8\n' +
+				'  dep.js:3:0 declares "foo", which is referenced at main.js:3:12\n' +
+				'  main.js:3:0 has side effects\n'
+		);
+		assertIncludes(stderr, 'dep.js:1 was not included in the bundle.\n');
+		assertIncludes(
+			stderr,
+			'main.js:7 was included because\n' +
+				'  main.js:7:0 mutates "state", which is deoptimized at main.js:8:12\n' +
+				'  main.js:8:0 has side effects\n'
+		);
+	}
+};
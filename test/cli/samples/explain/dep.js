@@ -0,0 +1,5 @@
+const unused = 1;
+export const bar = 2;
+export function foo() {
+	return bar;
+}
@@ -0,0 +1,20 @@
+const { assertIncludes } = require('../../../utils.js');
+
+module.exports = {
+	description: 'lists modules only included because of side effects via --report-side-effects',
+	command: 'rollup -i main.js -f es --report-side-effects',
+	stderr: stderr => {
+		assertIncludes(
+			stderr,
+			'1 module is only included because of side effects:\n\n' +
+				'effect.js (3:0)\n' +
+				'1: export const unused = 1;\n' +
+				'2: \n' +
+				"3: effects.push('effect');\n" +
+				'   ^\n\n' +
+				'They can be removed by marking them as side effect free.\n' +
+				'Via the "treeshake.moduleSideEffects" option:\n' +
+				'  moduleSideEffects: id => !["effect.js"].some(file => path.resolve(file) === id)\n'
+		);
+	}
+};
@@ -0,0 +1,5 @@
+import './effect.js';
+import { used } from './used.js';
+import * as ns from './ns.js';
+
+export default [used, ns.value];
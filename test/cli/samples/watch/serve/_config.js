@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { existsSync } = require('fs');
+const path = require('path');
+const { fetchFromServer } = require('../../../../utils');
+
+let served = false;
+
+module.exports = {
+	description: 'serves the output directory with a live-reload client',
+	command: 'node wrapper.js -c --serve --serve.port 10011',
+	async abortOnStderr(data) {
+		if (data.includes('waiting for changes')) {
+			assert.ok(existsSync(path.join(__dirname, '_actual/main.js')));
+			const index = await fetchFromServer('http://localhost:10011/');
+			assert.strictEqual(index.headers['content-type'], 'text/html');
+			assert.ok(index.body.startsWith('<html><body><script type="module" src="main.js"></script>'));
+			assert.ok(index.body.includes('new EventSource("/__rollup_serve")'));
+			assert.ok(index.body.endsWith('</body></html>'));
+			const route = await fetchFromServer('http://localhost:10011/some/route');
+			assert.strictEqual(route.body, index.body);
+			const main = await fetchFromServer('http://localhost:10011/main.js');
+			assert.strictEqual(main.headers['content-type'], 'text/javascript');
+			assert.strictEqual(
+				main.body,
+				'var main = 42;\n\nexport { main as default };\n//# sourceMappingURL=main.js.map\n'
+			);
+			const map = await fetchFromServer('http://localhost:10011/main.js.map');
+			assert.strictEqual(map.headers['content-type'], 'application/json');
+			assert.strictEqual(JSON.parse(map.body).file, 'main.js');
+			assert.strictEqual(
+				(await fetchFromServer('http://localhost:10011/missing.js')).statusCode,
+				404
+			);
+			assert.strictEqual(
+				(await fetchFromServer('http://localhost:10011/%E0%A4%A')).statusCode,
+				400
+			);
+			assert.strictEqual(
+				(await fetchFromServer('http://localhost:10011/..%5C..%5Cpackage.json')).statusCode,
+				404
+			);
+			assert.strictEqual((await fetchFromServer('http://localhost:10011/main.js')).statusCode, 200);
+			served = true;
+			return true;
+		}
+	},
+	test() {
+		assert.ok(served);
+	}
+};
@@ -0,0 +1,19 @@
+export default {
+	input: 'main.js',
+	output: {
+		dir: '_actual',
+		format: 'es',
+		sourcemap: true
+	},
+	plugins: [
+		{
+			generateBundle() {
+				this.emitFile({
+					fileName: 'index.html',
+					source: '<html><body><script type="module" src="main.js"></script></body></html>',
+					type: 'asset'
+				});
+			}
+		}
+	]
+};
@@ -0,0 +1,14 @@
+module.exports = {
+	description: 'replaces defined globals and property chains and removes dead branches',
+	formats: ['es'],
+	options: {
+		define: {
+			__DEV__: false,
+			__OFFSET__: -1,
+			__VERSION__: 2,
+			'import.meta.env.MODE': 'test',
+			'process.env.NODE_ENV': 'production',
+			'typeof window': 'undefined'
+		}
+	}
+};
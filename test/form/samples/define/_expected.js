@@ -0,0 +1,18 @@
+{
+	console.log('production build');
+}
+
+const mode = 'testing' ;
+const flags = { __DEV__: false, env: "production" };
+const version = (2).toFixed(1);
+const offset = -(-1);
+
+// not defined
+console.log(process.env.OTHER, import.meta.env.OTHER, typeof document);
+
+function __DEV__shadowed(__DEV__) {
+	return __DEV__;
+}
+console.log(__DEV__shadowed(true));
+
+export { flags, mode, offset, version };
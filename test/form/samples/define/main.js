@@ -0,0 +1,26 @@
+if (process.env.NODE_ENV !== 'production') {
+	console.log('development build');
+} else {
+	console.log('production build');
+}
+
+if (__DEV__) {
+	console.log('removed');
+}
+
+if (typeof window !== 'undefined') {
+	console.log('browser');
+}
+
+export const mode = import.meta.env.MODE === 'test' ? 'testing' : 'other';
+export const flags = { __DEV__, env: process.env.NODE_ENV };
+export const version = __VERSION__.toFixed(1);
+export const offset = -__OFFSET__;
+
+// not defined
+console.log(process.env.OTHER, import.meta.env.OTHER, typeof document);
+
+function __DEV__shadowed(__DEV__) {
+	return __DEV__;
+}
+console.log(__DEV__shadowed(true));
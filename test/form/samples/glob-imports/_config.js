@@ -0,0 +1,4 @@
+module.exports = {
+	description: 'expands import.meta.glob calls',
+	formats: ['es']
+};
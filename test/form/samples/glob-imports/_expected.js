@@ -0,0 +1,12 @@
+const value = 'a';
+console.log(value);
+
+var __glob_1_0 = /*#__PURE__*/Object.freeze({
+	__proto__: null,
+	value: value
+});
+
+console.log('b');
+
+const modules = { "./modules/a.js": __glob_1_0 };
+console.log(modules);
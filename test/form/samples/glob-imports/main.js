@@ -0,0 +1,4 @@
+import.meta.glob('./modules/*.js', { eager: true });
+
+const modules = import.meta.glob(['./modules/*.js', '!./modules/b.js'], { eager: true });
+console.log(modules);
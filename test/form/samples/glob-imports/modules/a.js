@@ -0,0 +1,2 @@
+export const value = 'a';
+console.log(value);
@@ -0,0 +1,6 @@
+module.exports = {
+	description: 'keeps import attributes for external imports',
+	options: {
+		external: id => id.startsWith('external')
+	}
+};
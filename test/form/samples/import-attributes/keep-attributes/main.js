@@ -0,0 +1,9 @@
+import data from 'external-default' with { type: 'json' };
+import { foo } from 'external-named' assert { type: 'json' };
+import 'external-side-effect' with { type: 'css' };
+import 'external-quotes' with { type: 'json', extra: 'it\'s "quoted"' };
+export * from 'external-reexport-all' with { type: 'json' };
+export { bar } from 'external-reexport' with { 'type': 'json', extra: 'value' };
+
+console.log(data, foo);
+import('external-dynamic', { with: { type: 'json' } });
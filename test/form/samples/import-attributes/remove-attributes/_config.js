@@ -0,0 +1,7 @@
+module.exports = {
+	description: 'removes import attributes for external imports if configured',
+	options: {
+		external: id => id.startsWith('external'),
+		output: { externalImportAttributes: false }
+	}
+};
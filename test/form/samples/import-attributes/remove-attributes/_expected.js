@@ -0,0 +1,9 @@
+import data from 'external-default';
+import { foo } from 'external-named';
+import 'external-side-effect';
+import 'external-quotes';
+export * from 'external-reexport-all';
+export { bar } from 'external-reexport';
+
+console.log(data, foo);
+import('external-dynamic');
@@ -0,0 +1,6 @@
+module.exports = {
+	description: 'inlines exported primitive constants into all modules',
+	options: {
+		treeshake: { inlineConstants: true }
+	}
+};
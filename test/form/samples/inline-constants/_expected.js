@@ -0,0 +1,8 @@
+const LONG = 'a string that is too long to be inlined everywhere';
+const OBJECT = { value: 2 };
+let mutable = 1;
+console.log(4);
+
+console.log(2, (-1).toString(), (2).toFixed(1), { MODE: "production" }, "production-2", 3);
+console.log(OBJECT.value, mutable, LONG, LONG);
+console.log("production");
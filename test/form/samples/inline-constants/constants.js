@@ -0,0 +1,14 @@
+export const COUNT = 2;
+export const NEGATIVE = -1;
+export const MODE = 'production';
+export const LABEL = MODE + '-' + COUNT;
+export const ENABLED = true;
+export const LONG = 'a string that is too long to be inlined everywhere';
+export const OBJECT = { value: COUNT };
+export let mutable = 1;
+
+const INTERNAL = 3;
+export { INTERNAL as RENAMED };
+
+export const USED_LOCALLY = 4;
+console.log(USED_LOCALLY);
@@ -0,0 +1,16 @@
+import * as constants from './constants.js';
+import {
+	COUNT,
+	ENABLED,
+	LABEL,
+	LONG,
+	MODE,
+	NEGATIVE,
+	OBJECT,
+	RENAMED,
+	mutable
+} from './constants.js';
+
+console.log(COUNT, NEGATIVE.toString(), COUNT.toFixed(1), { MODE }, LABEL, RENAMED);
+console.log(OBJECT.value, mutable, LONG, LONG);
+if (ENABLED) console.log(constants.MODE);
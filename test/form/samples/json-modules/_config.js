@@ -0,0 +1,4 @@
+module.exports = {
+	description: 'removes unused keys of imported JSON files',
+	options: { json: true }
+};
@@ -0,0 +1,7 @@
+const nested = {"specialConfig":1};
+
+{
+	console.log('production');
+}
+
+console.log(nested.specialConfig);
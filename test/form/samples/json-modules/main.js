@@ -0,0 +1,9 @@
+import { production, nested } from './config.json';
+
+if (production) {
+	console.log('production');
+} else {
+	console.log('development');
+}
+
+console.log(nested.specialConfig);
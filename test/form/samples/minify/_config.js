@@ -0,0 +1,12 @@
+module.exports = {
+	description: 'mangles local names and removes white-space and comments with minify: true',
+	options: {
+		external: ['external'],
+		output: {
+			exports: 'named',
+			globals: { external: 'external' },
+			minify: true,
+			name: 'bundle'
+		}
+	}
+};
@@ -0,0 +1,6 @@
+import {format}from'external';function e(a,b){return a*b;}
+const f='result';/*! retained legal comment */
+function a(a,b){const c=e(a,2);const d=`${f}:  ${c}`;return d.replace(/  +/g,' ');}
+function b(a){let b=a;--b;return b}
+const c=()=>{};[1,2].forEach(a=>console.log(a- -1,1 .toFixed(1)));class d{#count=0;increment(){return format(++this.#count);}}
+export{b as countDown,d as default,a as describe,c as getItems};
\ No newline at end of file
@@ -0,0 +1,5 @@
+System.register('bundle',['external'],(function(exports){'use strict';var format;return{setters:[function(module){format=module.format;}],execute:(function(){exports({countDown:b,describe:a});function e(a,b){return a*b;}
+const f='result';/*! retained legal comment */
+function a(a,b){const c=e(a,2);const d=`${f}:  ${c}`;return d.replace(/  +/g,' ');}
+function b(a){let b=a;--b;return b}
+const c=exports('getItems',()=>{});[1,2].forEach(a=>console.log(a- -1,1 .toFixed(1)));class d{#count=0;increment(){return format(++this.#count);}}exports('default',d);})}}));
\ No newline at end of file
@@ -0,0 +1,6 @@
+(function(g,f){typeof exports==='object'&&typeof module!=='undefined'?f(exports,require('external')):typeof define==='function'&&define.amd?define(['exports','external'],f):(g=typeof globalThis!=='undefined'?globalThis:g||self,f(g.bundle={},g.external));})(this,(function(exports,external){'use strict';function e(a,b){return a*b;}
+const f='result';/*! retained legal comment */
+function a(a,b){const c=e(a,2);const d=`${f}:  ${c}`;return d.replace(/  +/g,' ');}
+function b(a){let b=a;--b;return b}
+const c=()=>{};[1,2].forEach(a=>console.log(a- -1,1 .toFixed(1)));class d{#count=0;increment(){return external.format(++this.#count);}}
+exports.countDown=b;exports["default"]=d;exports.describe=a;exports.getItems=c;Object.defineProperty(exports,'__esModule',{value:true});}));
\ No newline at end of file
@@ -0,0 +1,27 @@
+/*! retained legal comment */
+import { format } from 'external';
+import { multiply, PREFIX } from './math.js';
+
+// removed comment
+export function describe(value, unusedParameter) {
+	const doubled = multiply(value, 2);
+	const label = `${PREFIX}:  ${doubled}`;
+	return label.replace(/  +/g, ' ');
+}
+
+export function countDown(start) {
+	let count = start;
+	count
+	--count;
+	return count
+}
+
+export const getItems = () => {}
+;[1, 2].forEach(item => console.log(item - -1, 1 .toFixed(1)));
+
+export default class Counter {
+	#count = 0;
+	increment() {
+		return format(++this.#count);
+	}
+}
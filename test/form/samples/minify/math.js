@@ -0,0 +1,8 @@
+/**
+ * Multiplies two numbers
+ */
+export function multiply(a, b) {
+	return a * b;
+}
+
+export const PREFIX = 'result';
@@ -0,0 +1,8 @@
+module.exports = {
+	description: 'does not rely on #__NO_SIDE_EFFECTS__ annotations if annotations are disabled',
+	options: {
+		treeshake: {
+			annotations: false
+		}
+	}
+};
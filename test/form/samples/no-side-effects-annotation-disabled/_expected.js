@@ -0,0 +1,39 @@
+/*#__NO_SIDE_EFFECTS__*/
+function create(name) {
+	console.log('create', name);
+	return { name };
+}
+
+// @__NO_SIDE_EFFECTS__
+const createArrow = name => {
+	console.log('arrow', name);
+	return { name };
+};
+
+const createExpression = /*#__NO_SIDE_EFFECTS__*/ function (name) {
+	console.log('expression', name);
+	return { name };
+};
+
+/*#__NO_SIDE_EFFECTS__*/
+function createDefault(name) {
+	console.log('default', name);
+}
+
+function impure() {
+	console.log('impure');
+}
+
+ const b = () => console.log(b);
+
+create('removed');
+createArrow('removed');
+createExpression('removed');
+createDefault('removed');
+create('removed');
+create('removed');
+create(impure());
+b();
+const used = create('used');
+
+export { used };
@@ -0,0 +1,13 @@
+import createDefault, { create, createArrow, createExpression, impure, b } from './lib.js';
+import * as ns from './lib.js';
+import { reexported } from './reexport.js';
+
+create('removed');
+createArrow('removed');
+createExpression('removed');
+createDefault('removed');
+reexported('removed');
+ns.create('removed');
+create(impure());
+b();
+export const used = create('used');
@@ -0,0 +1 @@
+export { create as reexported } from './lib.js';
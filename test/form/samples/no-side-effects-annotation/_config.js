@@ -0,0 +1,4 @@
+module.exports = {
+	description:
+		'removes calls to functions annotated with #__NO_SIDE_EFFECTS__ if the result is unused'
+};
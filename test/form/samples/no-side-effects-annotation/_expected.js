@@ -0,0 +1,17 @@
+/*#__NO_SIDE_EFFECTS__*/
+function create(name) {
+	console.log('create', name);
+	return { name };
+}
+
+function impure() {
+	console.log('impure');
+}
+
+ const b = () => console.log(b);
+
+create(impure());
+b();
+const used = create('used');
+
+export { used };
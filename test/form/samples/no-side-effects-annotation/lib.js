@@ -0,0 +1,28 @@
+/*#__NO_SIDE_EFFECTS__*/
+export function create(name) {
+	console.log('create', name);
+	return { name };
+}
+
+// @__NO_SIDE_EFFECTS__
+export const createArrow = name => {
+	console.log('arrow', name);
+	return { name };
+};
+
+export const createExpression = /*#__NO_SIDE_EFFECTS__*/ function (name) {
+	console.log('expression', name);
+	return { name };
+};
+
+/*#__NO_SIDE_EFFECTS__*/
+export default function createDefault(name) {
+	console.log('default', name);
+}
+
+export function impure() {
+	console.log('impure');
+}
+
+/*#__NO_SIDE_EFFECTS__*/ const a = 1, b = () => console.log(b);
+export { a, b };
@@ -12,6 +12,7 @@ module.exports = {
 			{
 				buildStart(options) {
 					assert.strictEqual(options.treeshake.correctVarValueBeforeDeclaration, false);
+					assert.strictEqual(options.treeshake.inlineConstants, true);
 					assert.strictEqual(options.treeshake.propertyReadSideEffects, false);
 					assert.strictEqual(options.treeshake.tryCatchDeoptimization, false);
 					assert.strictEqual(options.treeshake.unknownGlobalSideEffects, true);
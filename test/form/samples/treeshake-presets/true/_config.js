@@ -9,6 +9,7 @@ module.exports = {
 			{
 				buildStart(options) {
 					assert.strictEqual(options.treeshake.correctVarValueBeforeDeclaration, false);
+					assert.strictEqual(options.treeshake.inlineConstants, false);
 					assert.strictEqual(options.treeshake.propertyReadSideEffects, true);
 					assert.strictEqual(options.treeshake.tryCatchDeoptimization, true);
 					assert.strictEqual(options.treeshake.unknownGlobalSideEffects, true);
@@ -0,0 +1,3 @@
+module.exports = {
+	description: 'removes unused properties of objects that are only accessed via static member reads'
+};
@@ -0,0 +1,45 @@
+function double(x) {
+	return x * 2;
+}
+
+function getName() {
+	return this.name;
+}
+
+const utils = {
+	double,
+	square: x => x * x,
+	effect: console.log('effect')
+};
+
+const trailing = {
+	used: 'used',
+};
+
+const withThis = {
+	name: 'withThis',
+	getName,
+	unused: 'retained'
+};
+
+const escaped = {
+	used: 'used',
+	unused: 'retained'
+};
+
+const inherited = {
+	used: 'used',
+	unused: 'retained'
+};
+
+const dynamic = {
+	used: 'used',
+	unused: 'retained'
+};
+
+console.log(utils.double(2), utils['square'](3));
+console.log(trailing.used);
+console.log(withThis.getName());
+console.log(escaped.used, Object.keys(escaped));
+console.log(inherited.hasOwnProperty('unused'));
+console.log(dynamic[globalThis.key]);
@@ -0,0 +1,8 @@
+import { dynamic, escaped, inherited, trailing, utils, withThis } from './utils.js';
+
+console.log(utils.double(2), utils['square'](3));
+console.log(trailing.used);
+console.log(withThis.getName());
+console.log(escaped.used, Object.keys(escaped));
+console.log(inherited.hasOwnProperty('unused'));
+console.log(dynamic[globalThis.key]);
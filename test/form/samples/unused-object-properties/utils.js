@@ -0,0 +1,46 @@
+function double(x) {
+	return x * 2;
+}
+
+function triple(x) {
+	return x * 3;
+}
+
+function getName() {
+	return this.name;
+}
+
+export const utils = {
+	double,
+	triple,
+	square: x => x * x,
+	// comment for cube
+	cube: x => x * x * x,
+	effect: console.log('effect')
+};
+
+export const trailing = {
+	used: 'used',
+	unused: 'unused',
+};
+
+export const withThis = {
+	name: 'withThis',
+	getName,
+	unused: 'retained'
+};
+
+export const escaped = {
+	used: 'used',
+	unused: 'retained'
+};
+
+export const inherited = {
+	used: 'used',
+	unused: 'retained'
+};
+
+export const dynamic = {
+	used: 'used',
+	unused: 'retained'
+};
@@ -0,0 +1,8 @@
+module.exports = {
+	description:
+		'wraps chunks with top-level await in async functions that return the default export',
+	formats: ['cjs', 'iife', 'umd'],
+	options: {
+		output: { name: 'bundle', wrapTopLevelAwait: true }
+	}
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = (async function () {
+	const value = await Promise.resolve(42);
+
+	return value;
+
+})();
@@ -0,0 +1,8 @@
+var bundle = (async function () {
+	'use strict';
+
+	const value = await Promise.resolve(42);
+
+	return value;
+
+})();
@@ -0,0 +1,11 @@
+(function (global, factory) {
+	typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
+	typeof define === 'function' && define.amd ? define(factory) :
+	(global = typeof globalThis !== 'undefined' ? globalThis : global || self, global.bundle = factory());
+})(this, (async function () { 'use strict';
+
+	const value = await Promise.resolve(42);
+
+	return value;
+
+}));
@@ -0,0 +1,3 @@
+const value = await Promise.resolve(42);
+
+export default value;
@@ -0,0 +1,9 @@
+module.exports = {
+	description:
+		'wraps chunks with top-level await in async functions that expose a Promise of the exports',
+	formats: ['cjs', 'iife', 'umd'],
+	options: {
+		external: ['external'],
+		output: { globals: { external: 'external' }, name: 'bundle', wrapTopLevelAwait: true }
+	}
+};
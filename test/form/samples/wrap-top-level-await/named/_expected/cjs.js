@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = (async function () {
+	Object.defineProperty(exports, '__esModule', { value: true });
+
+	var external = require('external');
+
+	const data = await external.load();
+	const answer = 42;
+
+	exports.answer = answer;
+	exports.data = data;
+
+	return exports;
+
+})();
@@ -0,0 +1,14 @@
+var bundle = (async function (exports, external) {
+	'use strict';
+
+	const data = await external.load();
+	const answer = 42;
+
+	exports.answer = answer;
+	exports.data = data;
+
+	Object.defineProperty(exports, '__esModule', { value: true });
+
+	return exports;
+
+})({}, external);
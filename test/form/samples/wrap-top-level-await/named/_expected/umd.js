@@ -0,0 +1,17 @@
+(function (global, factory) {
+	typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory(exports, require('external')) :
+	typeof define === 'function' && define.amd ? define(['exports', 'external'], factory) :
+	(global = typeof globalThis !== 'undefined' ? globalThis : global || self, global.bundle = factory({}, global.external));
+})(this, (async function (exports, external) { 'use strict';
+
+	const data = await external.load();
+	const answer = 42;
+
+	exports.answer = answer;
+	exports.data = data;
+
+	Object.defineProperty(exports, '__esModule', { value: true });
+
+	return exports;
+
+}));
@@ -0,0 +1,4 @@
+import { load } from 'external';
+
+export const data = await load();
+export const answer = 42;
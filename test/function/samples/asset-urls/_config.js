@@ -0,0 +1,51 @@
+const assert = require('assert');
+const path = require('path');
+
+module.exports = {
+	description: 'resolves URLs of files referenced via new URL and import.meta.url',
+	options: {
+		assetUrls: true,
+		output: { assetFileNames: 'assets/[name]-[hash][extname]' },
+		plugins: [
+			{
+				resolveFileUrl({ fileName, moduleId, relativePath }) {
+					assert.strictEqual(moduleId, path.join(__dirname, 'main.js'));
+					assert.strictEqual(relativePath, fileName);
+					return `'https://cdn.example.com/${fileName}'`;
+				},
+				generateBundle(options, bundle) {
+					assert.deepStrictEqual(Object.keys(bundle).sort(), [
+						'assets/data-f7f65748.txt',
+						'main.js'
+					]);
+					assert.strictEqual(String(bundle['assets/data-f7f65748.txt'].source), 'data\n');
+				}
+			}
+		]
+	},
+	warnings: [
+		{
+			code: 'FILE_NOT_FOUND',
+			frame: `
+				1: export const data = new URL('./data.txt', import.meta.url);
+				2:
+				3: export const getMissing = () => new URL('./missing.txt', import.meta.url);
+				                                   ^
+				4:
+				5: export const getBase = () => new URL('./', import.meta.url);`,
+			id: path.join(__dirname, 'main.js'),
+			loc: {
+				column: 32,
+				file: path.join(__dirname, 'main.js'),
+				line: 3
+			},
+			message:
+				'Could not find "./missing.txt" referenced via "new URL(..., import.meta.url)" in main.js, the URL is not rewritten.',
+			pos: 93
+		}
+	],
+	exports({ data }) {
+		assert.ok(data instanceof URL);
+		assert.strictEqual(data.href, 'https://cdn.example.com/assets/data-f7f65748.txt');
+	}
+};
@@ -0,0 +1,7 @@
+export const data = new URL('./data.txt', import.meta.url);
+
+export const getMissing = () => new URL('./missing.txt', import.meta.url);
+
+export const getBase = () => new URL('./', import.meta.url);
+export const getDirectory = () => new URL('../asset-urls', import.meta.url);
+export const getExtensionless = () => new URL('./missing', import.meta.url);
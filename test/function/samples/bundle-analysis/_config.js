@@ -0,0 +1,52 @@
+const assert = require('assert');
+
+module.exports = {
+	description: 'emits a bundle analysis report',
+	options: {
+		output: { analyze: true, chunkFileNames: '[name].js' },
+		plugins: {
+			name: 'test-plugin',
+			generateBundle(options, bundle) {
+				const analysis = JSON.parse(bundle['bundle-analysis.json'].source);
+				assert.strictEqual(analysis.format, 'cjs');
+				assert.deepStrictEqual(
+					analysis.chunks.map(({ fileName, isEntry, isDynamicEntry, dynamicImports }) => ({
+						dynamicImports,
+						fileName,
+						isDynamicEntry,
+						isEntry
+					})),
+					[
+						{
+							dynamicImports: ['dynamic.js'],
+							fileName: 'main.js',
+							isDynamicEntry: false,
+							isEntry: true
+						},
+						{ dynamicImports: [], fileName: 'dynamic.js', isDynamicEntry: true, isEntry: false }
+					]
+				);
+				const [main, dynamic] = analysis.chunks;
+				assert.strictEqual(main.codeLength, bundle['main.js'].code.length);
+				assert.deepStrictEqual(main.modules[0], {
+					id: 'dep.js',
+					importChain: ['main.js', 'dep.js'],
+					originalLength: 60,
+					removedExports: ['unused'],
+					renderedExports: ['used'],
+					renderedLength: 20
+				});
+				assert.deepStrictEqual(
+					dynamic.modules.map(({ id, importChain }) => ({ id, importChain })),
+					[
+						{ id: 'nested.js', importChain: ['main.js', 'dynamic.js', 'nested.js'] },
+						{ id: 'dynamic.js', importChain: ['main.js', 'dynamic.js'] }
+					]
+				);
+				const html = bundle['bundle-analysis.html'].source;
+				assert.ok(html.startsWith('<!DOCTYPE html>'));
+				assert.ok(html.includes('main.js &rarr; dynamic.js &rarr; nested.js'));
+			}
+		}
+	}
+};
@@ -0,0 +1,5 @@
+import { used } from './dep.js';
+
+assert.strictEqual(used, 'used');
+
+export const loadDynamic = () => import('./dynamic.js');
@@ -5,6 +5,7 @@ const tests = [
 	{
 		source: './existing',
 		expected: {
+			attributes: {},
 			id: path.join(__dirname, 'existing.js'),
 			external: false,
 			meta: {},
@@ -23,6 +24,7 @@ const tests = [
 	{
 		source: './marked-directly-external-relative',
 		expected: {
+			attributes: {},
 			id: path.join(__dirname, 'marked-directly-external-relative'),
 			external: true,
 			meta: {},
@@ -33,6 +35,7 @@ const tests = [
 	{
 		source: './marked-external-relative',
 		expected: {
+			attributes: {},
 			id: path.join(__dirname, 'marked-external-relative'),
 			external: true,
 			meta: {},
@@ -43,6 +46,7 @@ const tests = [
 	{
 		source: 'marked-external-absolute',
 		expected: {
+			attributes: {},
 			id: 'marked-external-absolute',
 			external: true,
 			meta: {},
@@ -53,6 +57,7 @@ const tests = [
 	{
 		source: 'resolved-name',
 		expected: {
+			attributes: {},
 			id: 'resolved:resolved-name',
 			external: false,
 			meta: {},
@@ -63,6 +68,7 @@ const tests = [
 	{
 		source: 'resolved-false',
 		expected: {
+			attributes: {},
 			id: 'resolved-false',
 			external: true,
 			meta: {},
@@ -73,6 +79,7 @@ const tests = [
 	{
 		source: 'resolved-object',
 		expected: {
+			attributes: {},
 			id: 'resolved:resolved-object',
 			external: false,
 			meta: {},
@@ -83,6 +90,7 @@ const tests = [
 	{
 		source: 'resolved-object-non-external',
 		expected: {
+			attributes: {},
 			id: 'resolved:resolved-object-non-external',
 			external: false,
 			meta: {},
@@ -93,6 +101,7 @@ const tests = [
 	{
 		source: 'resolved-object-external',
 		expected: {
+			attributes: {},
 			id: 'resolved:resolved-object-external',
 			external: true,
 			meta: {},
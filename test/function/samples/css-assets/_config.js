@@ -0,0 +1,37 @@
+const assert = require('assert');
+
+module.exports = {
+	description: 'emits the imported CSS of each chunk as an asset',
+	options: {
+		input: ['main', 'other'],
+		css: true,
+		output: { assetFileNames: '[name]-[hash][extname]', chunkFileNames: '[name].js' },
+		plugins: {
+			name: 'test-plugin',
+			generateBundle(options, bundle) {
+				const cssFiles = Object.keys(bundle)
+					.filter(fileName => fileName.endsWith('.css'))
+					.sort();
+				assert.deepStrictEqual(
+					cssFiles.map(fileName => [fileName.replace(/-\w+\.css$/, ''), bundle[fileName].source]),
+					[
+						['main', '.dep {}\n\n.main {}\n'],
+						['other', '.other {}\n'],
+						['shared', '.shared {}\n']
+					]
+				);
+				const [mainCss, otherCss, sharedCss] = cssFiles;
+				assert.deepStrictEqual(bundle['main.js'].importedCss, [sharedCss, mainCss]);
+				assert.deepStrictEqual(bundle['other.js'].importedCss, [sharedCss, otherCss]);
+				assert.deepStrictEqual(bundle['main.js'].imports, []);
+				assert.deepStrictEqual(
+					Object.keys(bundle).sort(),
+					[...cssFiles, 'main.js', 'other.js'].sort()
+				);
+			}
+		}
+	},
+	exports(exports) {
+		assert.strictEqual(exports, 42);
+	}
+};
@@ -0,0 +1,3 @@
+import './dep.css';
+
+export const value = 42;
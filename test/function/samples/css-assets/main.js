@@ -0,0 +1,5 @@
+import './shared.css';
+import { value } from './dep.js';
+import './main.css';
+
+export default value;
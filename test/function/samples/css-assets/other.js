@@ -0,0 +1,4 @@
+import './shared.css';
+import './other.css';
+
+export default 'other';
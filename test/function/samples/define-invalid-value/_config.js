@@ -0,0 +1,12 @@
+module.exports = {
+	description: 'throws for defined values that are not literals',
+	options: {
+		define: { __CONFIG__: { debug: true } }
+	},
+	error: {
+		code: 'INVALID_OPTION',
+		message:
+			'Invalid value for option "define" - the value of "__CONFIG__" must be a string, number, boolean, null or undefined.',
+		url: 'https://rollupjs.org/guide/en/#define'
+	}
+};
@@ -0,0 +1 @@
+console.log(__CONFIG__);
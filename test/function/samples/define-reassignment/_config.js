@@ -0,0 +1,26 @@
+const path = require('path');
+
+const ID_MAIN = path.join(__dirname, 'main.js');
+
+module.exports = {
+	description: 'throws when assigning to a value replaced via the define option',
+	options: {
+		define: { 'process.env.NODE_ENV': 'production' }
+	},
+	error: {
+		code: 'ILLEGAL_REASSIGNMENT',
+		frame: `
+			1: process.env.NODE_ENV = 'development';
+			   ^`,
+		id: ID_MAIN,
+		loc: {
+			column: 0,
+			file: ID_MAIN,
+			line: 1
+		},
+		message:
+			'Illegal reassignment to "process.env.NODE_ENV", which is replaced via the "define" option.',
+		pos: 0,
+		watchFiles: [ID_MAIN]
+	}
+};
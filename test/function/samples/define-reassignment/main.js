@@ -0,0 +1 @@
+process.env.NODE_ENV = 'development';
@@ -77,9 +77,11 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: "export const promise = import('external');\nexport { default as internal } from './lib';\n",
 							dynamicallyImportedIdResolutions: [
 								{
+									attributes: {},
 									external: true,
 									id: 'external',
 									meta: {},
@@ -95,6 +97,7 @@ module.exports = {
 							implicitlyLoadedBefore: [],
 							importedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: getId('lib'),
 									meta: {},
@@ -126,6 +129,7 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: 'export default 42;\n',
 							dynamicallyImportedIdResolutions: [],
 							dynamicallyImportedIds: [],
@@ -224,9 +228,11 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: "export const promise = import('./dynamic');\nexport { default as value } from './lib';\nexport { external } from 'external';\n",
 							dynamicallyImportedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: getId('dynamic'),
 									meta: {},
@@ -242,6 +248,7 @@ module.exports = {
 							implicitlyLoadedBefore: [],
 							importedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: getId('lib'),
 									meta: {},
@@ -249,6 +256,7 @@ module.exports = {
 									syntheticNamedExports: false
 								},
 								{
+									attributes: {},
 									external: true,
 									id: 'external',
 									meta: {},
@@ -267,6 +275,7 @@ module.exports = {
 						external: {
 							id: 'external',
 							ast: null,
+							attributes: {},
 							code: null,
 							dynamicallyImportedIdResolutions: [],
 							dynamicallyImportedIds: [],
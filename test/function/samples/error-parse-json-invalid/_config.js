@@ -0,0 +1,34 @@
+const path = require('path');
+
+module.exports = {
+	description:
+		'throws with an extended error message when a file with ".json" extension does not contain valid JSON',
+	options: { json: true },
+	error: {
+		code: 'PARSE_ERROR',
+		message: 'Unexpected token (Note that JSON files need to contain valid JSON)',
+		id: path.join(__dirname, 'file.json'),
+		parserError: {
+			loc: {
+				column: 8,
+				line: 2
+			},
+			message: 'Unexpected token (2:8)',
+			pos: 10,
+			raisedAt: 11
+		},
+		pos: 10,
+		watchFiles: [path.join(__dirname, 'file.json'), path.join(__dirname, 'main.js')],
+		loc: {
+			file: path.join(__dirname, 'file.json'),
+			line: 2,
+			column: 8
+		},
+		frame: `
+			1: {
+			2:   "JSON": "is not really JavaScript",
+			           ^
+			3: }
+		`
+	}
+};
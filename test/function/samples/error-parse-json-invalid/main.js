@@ -0,0 +1,3 @@
+import json from './file.json';
+
+console.log(json);
@@ -0,0 +1,12 @@
+module.exports = {
+	description: 'throws when using module federation with a format other than "es"',
+	options: {
+		federation: {}
+	},
+	generateError: {
+		code: 'INVALID_OPTION',
+		message:
+			'Invalid value for option "federation" - module federation is only supported for the "es" format.',
+		url: 'https://rollupjs.org/guide/en/#federation'
+	}
+};
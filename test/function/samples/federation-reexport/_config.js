@@ -0,0 +1,22 @@
+const path = require('path');
+
+module.exports = {
+	description: 'throws when re-exporting bindings of a federated module',
+	options: {
+		federation: { shared: { lib: '1.0.0' } },
+		plugins: [
+			{
+				name: 'resolve-lib',
+				resolveId: source => (source === 'lib' ? path.join(__dirname, 'lib.js') : null)
+			}
+		],
+		output: { format: 'es' }
+	},
+	generateError: {
+		code: 'FEDERATED_REEXPORT',
+		id: 'lib',
+		message:
+			'The federated module "lib" is re-exported by "main.js". Bindings of federated modules can only be imported statically as re-exports could not stay live, use a dynamic import or export a local variable instead.',
+		url: 'https://rollupjs.org/guide/en/#federation'
+	}
+};
@@ -0,0 +1,20 @@
+const path = require('path');
+
+module.exports = {
+	description: 'throws for glob imports that are not relative to the importer',
+	error: {
+		code: 'INVALID_GLOB_IMPORT',
+		frame: `
+			1: export const pages = import.meta.glob('pages/*.js');
+			                                         ^`,
+		id: path.join(__dirname, 'main.js'),
+		loc: {
+			column: 38,
+			file: path.join(__dirname, 'main.js'),
+			line: 1
+		},
+		message: 'Invalid "import.meta.glob" call: patterns must start with "./" or "../".',
+		pos: 38,
+		watchFiles: [path.join(__dirname, 'main.js')]
+	}
+};
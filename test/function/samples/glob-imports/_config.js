@@ -0,0 +1,14 @@
+const assert = require('assert');
+
+module.exports = {
+	description: 'expands import.meta.glob to lazy and eager imports of all matching files',
+	async exports({ eager, lazy, nested }) {
+		assert.deepStrictEqual(Object.keys(eager), ['./pages/a.js', './pages/b.js']);
+		assert.strictEqual(eager['./pages/a.js'].value, 'a');
+		assert.strictEqual(eager['./pages/b.js'].value, 'b');
+		assert.deepStrictEqual(Object.keys(lazy), ['./pages/a.js', './pages/b.js']);
+		assert.strictEqual((await lazy['./pages/b.js']()).value, 'b');
+		assert.deepStrictEqual(Object.keys(nested), ['./pages/a.js', './pages/nested/c.js']);
+		assert.strictEqual((await nested['./pages/nested/c.js']()).value, 'c');
+	}
+};
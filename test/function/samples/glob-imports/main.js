@@ -0,0 +1,3 @@
+export const eager = import.meta.glob('./pages/*.js', { eager: true });
+export const lazy = import.meta.glob('./pages/*.js');
+export const nested = import.meta.glob(['./pages/**/*.js', '!./pages/b.js', '!./pages/ignored/*']);
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const path = require('path');
+
+const getHtml = output => output.find(({ fileName }) => fileName === 'index.html').source;
+
+module.exports = {
+	description:
+		'emits the scripts and stylesheets of HTML entries and uses other outputs as nomodule fallback',
+	options: {
+		input: [path.join(__dirname, 'index.html'), path.join(__dirname, 'other.js')],
+		css: true,
+		html: true,
+		output: { assetFileNames: '[name][extname]', chunkFileNames: '[name].js' }
+	},
+	async bundle(bundle) {
+		// the fallback output is generated first to show that the order does not matter
+		const [{ output: systemOutput }, { output: esOutput }] = await Promise.all([
+			bundle.generate({
+				assetFileNames: '[name][extname]',
+				chunkFileNames: '[name].js',
+				dir: 'dist/legacy',
+				format: 'system'
+			}),
+			bundle.generate({
+				assetFileNames: '[name][extname]',
+				chunkFileNames: '[name].mjs',
+				dir: 'dist',
+				format: 'es'
+			})
+		]);
+		assert.deepStrictEqual(esOutput.map(({ fileName }) => fileName).sort(), [
+			'global.css',
+			'index.html',
+			'main.css',
+			'main.mjs',
+			'other.js',
+			'shared.mjs'
+		]);
+		assert.strictEqual(
+			getHtml(esOutput),
+			`<!DOCTYPE html>
+<html>
+	<head>
+		<link rel="stylesheet" href="global.css">
+		<!-- <script type="module" src="./commented.js"></script> -->
+		<link rel="stylesheet" href="main.css">
+		<link rel="modulepreload" href="shared.mjs">
+		<script type="module" src="main.mjs"></script>
+		<script nomodule defer src="legacy/main.js"></script>
+		<script src="https://example.com/external.js"></script>
+	</head>
+</html>
+`
+		);
+		assert.strictEqual(
+			getHtml(systemOutput),
+			`<!DOCTYPE html>
+<html>
+	<head>
+		<link rel="stylesheet" href="../global.css">
+		<!-- <script type="module" src="./commented.js"></script> -->
+		<link rel="stylesheet" href="../main.css">
+		<link rel="modulepreload" href="../shared.mjs">
+		<script type="module" src="../main.mjs"></script>
+		<script nomodule defer src="main.js"></script>
+		<script src="https://example.com/external.js"></script>
+	</head>
+</html>
+`
+		);
+	},
+	exports(exports) {
+		assert.strictEqual(exports, 42);
+	}
+};
@@ -0,0 +1,4 @@
+import './main.css';
+import { value } from './shared.js';
+
+export default value;
@@ -0,0 +1,3 @@
+import { value } from './shared.js';
+
+export default value + 1;
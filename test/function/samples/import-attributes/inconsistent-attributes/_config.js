@@ -0,0 +1,31 @@
+const path = require('path');
+const ID_MAIN = path.join(__dirname, 'main.js');
+
+module.exports = {
+	description: 'warns for inconsistent import attributes',
+	options: { json: true },
+	warnings: [
+		{
+			code: 'INCONSISTENT_IMPORT_ATTRIBUTES',
+			frame: `
+				1: import data from './data.json' with { type: 'json' };
+				2: import { answer } from './data.json' with { type: 'text' };
+				   ^
+				3: import './other.js';`,
+			id: ID_MAIN,
+			loc: {
+				column: 0,
+				file: ID_MAIN,
+				line: 2
+			},
+			message:
+				'Module "main.js" tried to import "./data.json" with "type": "text" attributes, but it was already imported elsewhere with "type": "json" attributes. Please ensure that import attributes for the same module are always consistent.',
+			pos: 54
+		},
+		{
+			code: 'INCONSISTENT_IMPORT_ATTRIBUTES',
+			message:
+				'Module "other.js" tried to import "./data.json" with no attributes, but it was already imported elsewhere with "type": "json" attributes. Please ensure that import attributes for the same module are always consistent.'
+		}
+	]
+};
@@ -0,0 +1,6 @@
+import data from './data.json' with { type: 'json' };
+import { answer } from './data.json' with { type: 'text' };
+import './other.js';
+
+assert.deepStrictEqual(data, { answer: 42 });
+assert.strictEqual(answer, 42);
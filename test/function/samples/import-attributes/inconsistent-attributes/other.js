@@ -0,0 +1,3 @@
+import data from './data.json';
+
+assert.strictEqual(data.answer, 42);
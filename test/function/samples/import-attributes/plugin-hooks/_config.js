@@ -0,0 +1,61 @@
+const assert = require('assert');
+const path = require('path');
+const ID_MAIN = path.join(__dirname, 'main.js');
+const ID_DATA = path.join(__dirname, 'data.json');
+const ID_DYNAMIC = path.join(__dirname, 'dynamic.js');
+
+const resolvedAttributes = {};
+const loadedAttributes = {};
+
+module.exports = {
+	description: 'passes import attributes to plugin hooks and the module info',
+	options: {
+		json: true,
+		plugins: [
+			{
+				name: 'test',
+				async buildStart() {
+					const resolved = await this.resolve('./data.json', ID_MAIN, {
+						attributes: { type: 'json' },
+						skipSelf: true
+					});
+					assert.deepStrictEqual(resolved.attributes, { type: 'json' });
+				},
+				resolveId(source, importer, { attributes }) {
+					if (importer) {
+						resolvedAttributes[source] = attributes;
+					}
+					if (source === 'virtual') {
+						return '\0virtual';
+					}
+				},
+				load(id, { attributes }) {
+					loadedAttributes[id] = attributes;
+					if (id === '\0virtual') {
+						return `export default ${JSON.stringify(attributes.type)};`;
+					}
+				},
+				buildEnd() {
+					assert.deepStrictEqual(resolvedAttributes, {
+						'./data.json': { type: 'json' },
+						'./dynamic.js': { type: 'javascript' },
+						virtual: { type: 'text' }
+					});
+					assert.deepStrictEqual(loadedAttributes, {
+						[ID_MAIN]: {},
+						[ID_DATA]: { type: 'json' },
+						[ID_DYNAMIC]: { type: 'javascript' },
+						'\0virtual': { type: 'text' }
+					});
+					assert.deepStrictEqual(this.getModuleInfo(ID_DATA).attributes, { type: 'json' });
+					assert.deepStrictEqual(this.getModuleInfo(ID_MAIN).attributes, {});
+				}
+			}
+		]
+	},
+	async exports(exports) {
+		assert.deepStrictEqual(exports.data, { answer: 42 });
+		assert.strictEqual(exports.text, 'text');
+		assert.strictEqual((await exports.dynamic).default, 'dynamic');
+	}
+};
@@ -0,0 +1,5 @@
+import data from './data.json' with { type: 'json' };
+import text from 'virtual' with { type: 'text' };
+
+export { data, text };
+export const dynamic = import('./dynamic.js', { with: { type: 'javascript' } });
@@ -0,0 +1,12 @@
+module.exports = {
+	description: 'throws when using an import map with a format other than "es" or "system"',
+	options: {
+		output: { importMap: true }
+	},
+	generateError: {
+		code: 'INVALID_OPTION',
+		message:
+			'Invalid value for option "output.importMap" - import maps are only supported for the "es" and "system" formats.',
+		url: 'https://rollupjs.org/guide/en/#outputimportmap'
+	}
+};
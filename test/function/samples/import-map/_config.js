@@ -0,0 +1,76 @@
+const assert = require('assert');
+
+let dependencyVersion = 0;
+
+module.exports = {
+	description: 'emits an import map and optionally imports chunks via their bare names',
+	options: {
+		external: ['assert'],
+		input: ['main', 'other'],
+		plugins: {
+			name: 'test-plugin',
+			augmentChunkHash({ name }) {
+				if (name === 'dep') {
+					return String(dependencyVersion);
+				}
+			}
+		}
+	},
+	async bundle(bundle) {
+		const generate = async (bareChunkImports, outputOptions) => {
+			dependencyVersion++;
+			const { output } = await bundle.generate({
+				...outputOptions,
+				chunkFileNames: '[name]-[hash].js',
+				entryFileNames: '[name]-[hash].js',
+				format: 'es',
+				importMap: {
+					bareChunkImports,
+					baseUrl: '/assets',
+					externals: { assert: 'https://example.com/assert.js' }
+				}
+			});
+			const fileNames = {};
+			for (const { fileName, name } of output) {
+				if (name) fileNames[name] = fileName;
+			}
+			return { fileNames, output };
+		};
+
+		const { fileNames, output } = await generate(true);
+		assert.deepStrictEqual(
+			JSON.parse(output.find(({ fileName }) => fileName === 'importmap.json').source),
+			{
+				imports: {
+					assert: 'https://example.com/assert.js',
+					dep: `/assets/${fileNames.dep}`,
+					main: `/assets/${fileNames.main}`,
+					other: `/assets/${fileNames.other}`
+				}
+			}
+		);
+		const mainCode = output.find(({ fileName }) => fileName === fileNames.main).code;
+		assert.ok(mainCode.includes("from 'dep';"), mainCode);
+		assert.ok(mainCode.includes("from 'assert';"), mainCode);
+
+		// a change to the dependency only changes its own hash
+		const { fileNames: updatedFileNames } = await generate(true);
+		assert.notStrictEqual(updatedFileNames.dep, fileNames.dep);
+		assert.strictEqual(updatedFileNames.main, fileNames.main);
+		assert.strictEqual(updatedFileNames.other, fileNames.other);
+
+		// a change to the names of the imported bindings changes the importers
+		const { fileNames: unminifiedFileNames } = await generate(true, {
+			minifyInternalExports: false
+		});
+		assert.notStrictEqual(unminifiedFileNames.main, fileNames.main);
+
+		// with relative imports, the change cascades to the importers
+		const { fileNames: relativeFileNames } = await generate(false);
+		const { fileNames: updatedRelativeFileNames } = await generate(false);
+		assert.notStrictEqual(updatedRelativeFileNames.main, relativeFileNames.main);
+	},
+	exports(exports) {
+		assert.strictEqual(exports, 42);
+	}
+};
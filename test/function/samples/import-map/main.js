@@ -0,0 +1,5 @@
+import { strictEqual } from 'assert';
+import { value } from './dep.js';
+
+strictEqual(value, 21);
+export default value * 2;
@@ -0,0 +1,19 @@
+module.exports = {
+	description: 'throws when requesting inclusion reasons without "treeshake.explain"',
+	options: {
+		plugins: {
+			name: 'test-plugin',
+			buildEnd() {
+				this.getInclusionReason('main.js', 0);
+			}
+		}
+	},
+	error: {
+		code: 'PLUGIN_ERROR',
+		hook: 'buildEnd',
+		message: 'Cannot get inclusion reasons unless the "treeshake.explain" option is enabled.',
+		plugin: 'test-plugin',
+		pluginCode: 'INCLUSION_REASONS_NOT_TRACKED',
+		url: 'https://rollupjs.org/guide/en/#treeshake'
+	}
+};
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const path = require('path');
+const ID_MAIN = path.join(__dirname, 'main.js');
+const ID_DEP = path.join(__dirname, 'dep.js');
+
+module.exports = {
+	description: 'explains why statements were included when tree-shaking',
+	options: {
+		treeshake: { explain: true },
+		plugins: {
+			name: 'test-plugin',
+			buildStart() {
+				assert.throws(() => this.getInclusionReason(ID_MAIN, 0), {
+					code: 'PLUGIN_ERROR',
+					message: 'Cannot call getInclusionReason before the build has finished.',
+					pluginCode: 'INVALID_ROLLUP_PHASE'
+				});
+			},
+			buildEnd() {
+				const depCode = this.getModuleInfo(ID_DEP).code;
+				const mainCode = this.getModuleInfo(ID_MAIN).code;
+				assert.strictEqual(this.getInclusionReason(ID_DEP, depCode.indexOf('unused')), null);
+				assert.strictEqual(this.getInclusionReason(ID_MAIN, mainCode.indexOf('import')), null);
+				assert.strictEqual(this.getInclusionReason('unknown', 0), null);
+				assert.deepStrictEqual(this.getInclusionReason(ID_DEP, depCode.indexOf('bar = 2')), [
+					{
+						column: 0,
+						id: ID_DEP,
+						line: 2,
+						name: 'bar',
+						origin: { column: 8, id: ID_DEP, line: 4 },
+						type: 'reference'
+					},
+					{
+						column: 0,
+						id: ID_DEP,
+						line: 3,
+						name: 'foo',
+						origin: { column: 19, id: ID_MAIN, line: 3 },
+						type: 'reference'
+					},
+					{ column: 0, id: ID_MAIN, line: 3, type: 'effect' }
+				]);
+				assert.deepStrictEqual(
+					this.getInclusionReason(ID_MAIN, mainCode.indexOf('state.ready =')),
+					[
+						{
+							column: 0,
+							id: ID_MAIN,
+							line: 7,
+							name: 'state',
+							origin: { column: 10, id: ID_MAIN, line: 9 },
+							type: 'deoptimized-path'
+						},
+						{ column: 0, id: ID_MAIN, line: 9, type: 'effect' }
+					]
+				);
+				assert.deepStrictEqual(this.getInclusionReason(ID_MAIN, mainCode.indexOf('qux')), [
+					{ column: 0, exporter: ID_MAIN, id: ID_MAIN, line: 4, name: 'qux', type: 'export' }
+				]);
+			}
+		}
+	},
+	exports(exports) {
+		assert.strictEqual(exports.qux, 3);
+	}
+};
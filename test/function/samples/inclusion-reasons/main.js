@@ -0,0 +1,9 @@
+import { foo } from './dep.js';
+
+assert.strictEqual(foo(), 2);
+export const qux = 3;
+
+const state = {};
+state.ready = true;
+assert.ok(state.ready);
+assert.ok(state);
@@ -0,0 +1,6 @@
+module.exports = {
+	description: 'retains the values of inlined constants',
+	options: {
+		treeshake: { inlineConstants: true }
+	}
+};
@@ -0,0 +1,7 @@
+export let base = 1;
+export const DERIVED = base * 2;
+export const NAME = 'name';
+
+export function setBase(value) {
+	base = value;
+}
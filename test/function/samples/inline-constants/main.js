@@ -0,0 +1,8 @@
+import * as constants from './constants.js';
+import { DERIVED, NAME, base, setBase } from './constants.js';
+
+setBase(5);
+assert.strictEqual(base, 5);
+assert.strictEqual(DERIVED, 2);
+assert.strictEqual(constants.NAME, 'name');
+assert.deepStrictEqual({ NAME }, { NAME: 'name' });
@@ -5,7 +5,7 @@ module.exports = {
 	generateError: {
 		code: 'INVALID_TLA_FORMAT',
 		message:
-			'Module format cjs does not support top-level await. Use the "es" or "system" output formats rather.',
+			'Module format cjs does not support top-level await. Use the "es" or "system" output formats rather, or set "output.wrapTopLevelAwait" to export a Promise.',
 		id: path.join(__dirname, 'main.js')
 	}
 };
@@ -0,0 +1,4 @@
+module.exports = {
+	description: 'supports default and named imports of JSON files',
+	options: { json: true }
+};
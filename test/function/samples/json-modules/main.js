@@ -0,0 +1,11 @@
+import data, { version, nested } from './data.json';
+import list from './list.json';
+
+assert.strictEqual(version, '1.2.3');
+assert.strictEqual(nested, data.nested);
+assert.deepStrictEqual(data, {
+	version: '1.2.3',
+	'not-an-identifier': [1, 2],
+	nested: { answer: 42 }
+});
+assert.deepStrictEqual(list, [1, 2, 3]);
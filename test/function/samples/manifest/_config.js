@@ -0,0 +1,72 @@
+const assert = require('assert');
+
+module.exports = {
+	description: 'emits a manifest of the imports and referenced files of each chunk',
+	options: {
+		external: ['assert'],
+		input: ['main', 'other'],
+		output: {
+			assetFileNames: '[name][extname]',
+			chunkFileNames: '[name].js',
+			manifest: true
+		},
+		plugins: {
+			name: 'test-plugin',
+			transform(code) {
+				return code.replace(
+					'__LOGO_URL__',
+					() =>
+						`import.meta.ROLLUP_FILE_URL_${this.emitFile({
+							name: 'logo.svg',
+							source: '<svg></svg>',
+							type: 'asset'
+						})}`
+				);
+			},
+			generateBundle(options, bundle) {
+				assert.deepStrictEqual(JSON.parse(bundle['manifest.json'].source), {
+					'dynamic.js': {
+						dynamicImports: [],
+						fileName: 'dynamic.js',
+						implicitlyLoadedBefore: [],
+						importedCss: [],
+						imports: [],
+						isDynamicEntry: true,
+						isEntry: false,
+						referencedFiles: []
+					},
+					'main.js': {
+						dynamicImports: ['dynamic.js'],
+						fileName: 'main.js',
+						implicitlyLoadedBefore: [],
+						importedCss: [],
+						imports: ['shared.js'],
+						isDynamicEntry: false,
+						isEntry: true,
+						referencedFiles: ['logo.svg']
+					},
+					'other.js': {
+						dynamicImports: [],
+						fileName: 'other.js',
+						implicitlyLoadedBefore: [],
+						importedCss: [],
+						imports: ['shared.js'],
+						isDynamicEntry: false,
+						isEntry: true,
+						referencedFiles: []
+					},
+					'shared.js': {
+						dynamicImports: [],
+						fileName: 'shared.js',
+						implicitlyLoadedBefore: [],
+						importedCss: [],
+						imports: [],
+						isDynamicEntry: false,
+						isEntry: false,
+						referencedFiles: []
+					}
+				});
+			}
+		}
+	}
+};
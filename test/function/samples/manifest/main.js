@@ -0,0 +1,6 @@
+import { ok } from 'assert';
+import { shared } from './shared.js';
+
+ok(shared);
+export const getLogoUrl = () => __LOGO_URL__;
+export const loadDynamic = () => import('./dynamic.js');
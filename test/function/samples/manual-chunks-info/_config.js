@@ -78,9 +78,11 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: "export const promise = import('external');\nexport { default as internal } from './lib';\n",
 							dynamicallyImportedIdResolutions: [
 								{
+									attributes: {},
 									external: true,
 									id: 'external',
 									meta: {},
@@ -96,6 +98,7 @@ module.exports = {
 							implicitlyLoadedBefore: [],
 							importedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: getId('lib'),
 									meta: {},
@@ -127,6 +130,7 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: 'export default 42;\n',
 							dynamicallyImportedIdResolutions: [],
 							dynamicallyImportedIds: [],
@@ -225,9 +229,11 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: "export const promise = import('./dynamic');\nexport { default as value } from './lib';\nexport { external } from 'external';\n",
 							dynamicallyImportedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: getId('dynamic'),
 									meta: {},
@@ -243,6 +249,7 @@ module.exports = {
 							implicitlyLoadedBefore: [],
 							importedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: getId('lib'),
 									meta: {},
@@ -250,6 +257,7 @@ module.exports = {
 									syntheticNamedExports: false
 								},
 								{
+									attributes: {},
 									external: true,
 									id: 'external',
 									meta: {},
@@ -268,6 +276,7 @@ module.exports = {
 						external: {
 							id: 'external',
 							ast: null,
+							attributes: {},
 							code: null,
 							dynamicallyImportedIdResolutions: [],
 							dynamicallyImportedIds: [],
@@ -0,0 +1,25 @@
+const assert = require('assert');
+const path = require('path');
+
+module.exports = {
+	description: 'warns when a small chunk with side effects cannot be merged',
+	options: {
+		input: ['main', 'other'],
+		output: { minChunkSize: 1000 }
+	},
+	exports() {
+		assert.ok(global.effect);
+		assert.ok(global.main);
+		delete global.effect;
+		delete global.main;
+	},
+	warnings: [
+		{
+			code: 'MIN_CHUNK_SIZE_NOT_REACHED',
+			id: path.join(__dirname, 'effect.js'),
+			message:
+				'The chunk containing effect.js has an estimated size of 21 bytes, which is below the "output.minChunkSize" of 1000 bytes, but it cannot be merged into another chunk without changing execution semantics.',
+			url: 'https://rollupjs.org/guide/en/#outputminchunksize'
+		}
+	]
+};
@@ -0,0 +1 @@
+global.effect = true;
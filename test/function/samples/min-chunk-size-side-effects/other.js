@@ -0,0 +1,3 @@
+import './effect.js';
+
+global.other = true;
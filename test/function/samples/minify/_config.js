@@ -0,0 +1,39 @@
+const assert = require('assert');
+const path = require('path');
+
+const ID_EVAL = path.join(__dirname, 'eval.js');
+
+module.exports = {
+	description: 'preserves semantics when minifying the output',
+	options: {
+		output: { minify: true }
+	},
+	warnings: [
+		{
+			code: 'EVAL',
+			frame: `
+				1: export function evaluate(factor) {
+				2:   return eval('factor * 2');
+				            ^
+				3: }`,
+			id: ID_EVAL,
+			loc: {
+				column: 8,
+				file: ID_EVAL,
+				line: 2
+			},
+			message:
+				'Use of eval is strongly discouraged, as it poses security risks and may cause issues with minification',
+			pos: 43,
+			url: 'https://rollupjs.org/guide/en/#avoiding-eval'
+		}
+	],
+	exports(exports) {
+		assert.strictEqual(exports.getText(), 'a  b');
+		assert.strictEqual(exports.getCount(), 1);
+		assert.strictEqual(exports.getResult(), undefined);
+		assert.strictEqual(exports.add(1, 2), 3);
+		assert.strictEqual(exports.evaluate(2), 4);
+		assert.deepStrictEqual(exports.shadow(1), [1, 2]);
+	}
+};
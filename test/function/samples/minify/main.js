@@ -0,0 +1,34 @@
+export { evaluate } from './eval.js';
+
+const text = 'a  b';
+let count = 0;
+
+export function getText() {
+	return text;
+}
+
+export function getCount(unused) {
+	count
+	++count;
+	return count
+}
+
+export function getResult() {
+	return
+	count;
+}
+
+export function add(a, b) {
+	const sum = a
+		+ b;
+	return sum;
+}
+
+export function shadow(value) {
+	const result = [value];
+	{
+		const value = 2;
+		result.push(value);
+	}
+	return result;
+}
@@ -47,6 +47,7 @@ module.exports = {
 							],
 							sourceType: 'module'
 						},
+						attributes: {},
 						code: "export { value } from './dep.js';\n",
 						dynamicallyImportedIdResolutions: [],
 						dynamicallyImportedIds: [],
@@ -58,6 +59,7 @@ module.exports = {
 						implicitlyLoadedBefore: [],
 						importedIdResolutions: [
 							{
+								attributes: {},
 								external: false,
 								id: ID_DEP,
 								meta: {},
@@ -104,6 +106,7 @@ module.exports = {
 							],
 							sourceType: 'module'
 						},
+						attributes: {},
 						code: 'export const value = 42;\n',
 						dynamicallyImportedIdResolutions: [],
 						dynamicallyImportedIds: [],
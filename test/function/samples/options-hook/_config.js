@@ -16,9 +16,14 @@ module.exports = {
 						sourceType: 'module'
 					},
 					acornInjectPlugins: [],
+					assetUrls: false,
 					context: 'undefined',
+					css: false,
+					define: {},
 					experimentalCacheExpiry: 10,
+					html: false,
 					input: ['used'],
+					json: false,
 					makeAbsoluteExternalsRelative: true,
 					maxParallelFileOps: 20,
 					maxParallelFileReads: 20,
@@ -32,7 +37,8 @@ module.exports = {
 					preserveSymlinks: false,
 					shimMissingExports: false,
 					strictDeprecations: true,
-					treeshake: false
+					treeshake: false,
+					workers: false
 				});
 				assert.ok(/^\d+\.\d+\.\d+/.test(this.meta.rollupVersion));
 				assert.strictEqual(this.meta.watchMode, false);
@@ -21,13 +21,16 @@ module.exports = {
 						autoId: false,
 						forceJsExtensionForImports: false
 					},
+					analyze: false,
 					assetFileNames: 'assets/[name]-[hash][extname]',
 					chunkFileNames: '[name]-[hash].js',
+					chunkSizeLimit: 0,
 					compact: false,
 					entryFileNames: '[name].js',
 					esModule: true,
 					exports: 'auto',
 					extend: false,
+					externalImportAttributes: true,
 					externalLiveBindings: true,
 					format: 'cjs',
 					freeze: true,
@@ -40,21 +43,28 @@ module.exports = {
 					},
 					globals: {},
 					hoistTransitiveImports: true,
+					importMap: false,
 					indent: true,
 					inlineDynamicImports: false,
+					manifest: false,
 					manualChunks: {},
+					minChunkSize: 0,
+					minify: false,
 					minifyInternalExports: false,
 					namespaceToStringTag: false,
 					noConflict: false,
+					packageJson: false,
 					paths: {},
 					plugins: [],
 					preferConst: false,
 					preserveModules: false,
 					sourcemap: false,
 					sourcemapExcludeSources: false,
+					stableHashes: false,
 					strict: true,
 					systemNullSetters: false,
-					validate: false
+					validate: false,
+					wrapTopLevelAwait: false
 				});
 				assert.strictEqual(options.banner(), 'exports.bar = 43;');
 				assert.ok(/^\d+\.\d+\.\d+/.test(this.meta.rollupVersion));
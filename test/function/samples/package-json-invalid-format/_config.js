@@ -0,0 +1,12 @@
+module.exports = {
+	description: 'throws when generating package.json exports for a format other than "es" or "cjs"',
+	options: {
+		output: { format: 'amd', packageJson: true }
+	},
+	generateError: {
+		code: 'INVALID_OPTION',
+		message:
+			'Invalid value for option "output.packageJson" - package.json exports can only be generated for the "es" and "cjs" formats.',
+		url: 'https://rollupjs.org/guide/en/#outputpackagejson'
+	}
+};
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { promises: fs } = require('fs');
+const path = require('path');
+
+const ACTUAL_DIR = path.join(__dirname, '_actual');
+
+module.exports = {
+	description: 'generates package.json exports for ES and CommonJS outputs',
+	options: {
+		input: ['main', 'other']
+	},
+	async bundle(bundle) {
+		const [{ output: esOutput }, { output: cjsOutput }] = await Promise.all([
+			bundle.generate({ entryFileNames: '[name].mjs', format: 'es', packageJson: true }),
+			bundle.generate({ entryFileNames: '[name].cjs', format: 'cjs', packageJson: true })
+		]);
+		// outputs sharing a directory only emit the package.json file once
+		assert.ok(!cjsOutput.some(({ fileName }) => fileName === 'package.json'));
+		assert.strictEqual(
+			esOutput.find(({ fileName }) => fileName === 'package.json').source,
+			'{\n' +
+				'  "exports": {\n' +
+				'    ".": {\n' +
+				'      "import": "./main.mjs",\n' +
+				'      "require": "./main.cjs"\n' +
+				'    },\n' +
+				'    "./other": {\n' +
+				'      "import": "./other.mjs",\n' +
+				'      "require": "./other.cjs"\n' +
+				'    }\n' +
+				'  },\n' +
+				'  "main": "./main.cjs",\n' +
+				'  "module": "./main.mjs"\n' +
+				'}\n'
+		);
+
+		// an existing package.json is patched and .js files receive their module type
+		const packageJsonPath = path.join(ACTUAL_DIR, 'package.json');
+		await fs.rm(ACTUAL_DIR, { force: true, recursive: true });
+		await fs.mkdir(ACTUAL_DIR);
+		await fs.writeFile(
+			packageJsonPath,
+			'{\n\t"name": "dual",\n\t"main": "old.js",\n\t"version": "1.0.0"\n}\n'
+		);
+		await Promise.all([
+			bundle.write({
+				dir: ACTUAL_DIR,
+				entryFileNames: 'es/[name].js',
+				format: 'es',
+				packageJson: packageJsonPath
+			}),
+			bundle.write({
+				dir: ACTUAL_DIR,
+				entryFileNames: 'cjs/[name].js',
+				format: 'cjs',
+				packageJson: packageJsonPath
+			})
+		]);
+		assert.strictEqual(
+			await fs.readFile(packageJsonPath, 'utf8'),
+			'{\n' +
+				'\t"name": "dual",\n' +
+				'\t"main": "./cjs/main.js",\n' +
+				'\t"version": "1.0.0",\n' +
+				'\t"exports": {\n' +
+				'\t\t".": {\n' +
+				'\t\t\t"import": "./es/main.js",\n' +
+				'\t\t\t"require": "./cjs/main.js"\n' +
+				'\t\t},\n' +
+				'\t\t"./other": {\n' +
+				'\t\t\t"import": "./es/other.js",\n' +
+				'\t\t\t"require": "./cjs/other.js"\n' +
+				'\t\t}\n' +
+				'\t},\n' +
+				'\t"module": "./es/main.js"\n' +
+				'}\n'
+		);
+		assert.strictEqual(
+			await fs.readFile(path.join(ACTUAL_DIR, 'es', 'package.json'), 'utf8'),
+			'{\n  "type": "module"\n}\n'
+		);
+		assert.strictEqual(
+			await fs.readFile(path.join(ACTUAL_DIR, 'cjs', 'package.json'), 'utf8'),
+			'{\n  "type": "commonjs"\n}\n'
+		);
+		await fs.rm(ACTUAL_DIR, { force: true, recursive: true });
+
+		await assert.rejects(
+			Promise.all([
+				bundle.generate({ dir: 'dist', format: 'es', packageJson: true }),
+				bundle.generate({ dir: 'dist', format: 'cjs', packageJson: true })
+			]),
+			{
+				code: 'INVALID_OPTION',
+				message:
+					'Invalid value for option "output.packageJson" - the "es" and "cjs" outputs both generate ".js" files in "dist", use different directories or the file extensions ".mjs" and ".cjs".'
+			}
+		);
+		await assert.rejects(bundle.generate({ format: 'es', packageJson: true }), {
+			code: 'INVALID_OPTION',
+			message:
+				'Invalid value for option "output.packageJson" - package.json exports need an "es" and a "cjs" output that are generated together, e.g. via the "output" array of a configuration file.'
+		});
+	}
+};
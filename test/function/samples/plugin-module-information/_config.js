@@ -17,6 +17,7 @@ module.exports = {
 			load(id) {
 				assert.deepStrictEqual(JSON.parse(JSON.stringify(this.getModuleInfo(id))), {
 					ast: null,
+					attributes: {},
 					code: null,
 					dynamicImporters: [],
 					hasDefaultExport: null,
@@ -108,6 +109,7 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: "import path from 'path';\n\nexport const foo = path.resolve('foo');\n",
 							dynamicallyImportedIdResolutions: [],
 							dynamicallyImportedIds: [],
@@ -119,6 +121,7 @@ module.exports = {
 							implicitlyLoadedBefore: [],
 							importedIdResolutions: [
 								{
+									attributes: {},
 									external: true,
 									id: ID_PATH,
 									meta: {},
@@ -258,9 +261,11 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: "export { foo } from './foo.js';\nexport const nested = import('./nested/nested');\nexport const path = import('path');\nexport const pathAgain = import(thePath);\n",
 							dynamicallyImportedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: ID_NESTED,
 									meta: {},
@@ -268,6 +273,7 @@ module.exports = {
 									syntheticNamedExports: false
 								},
 								{
+									attributes: {},
 									external: true,
 									id: ID_PATH,
 									meta: {},
@@ -284,6 +290,7 @@ module.exports = {
 							implicitlyLoadedBefore: [],
 							importedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: ID_FOO,
 									meta: {},
@@ -364,6 +371,7 @@ module.exports = {
 								],
 								sourceType: 'module'
 							},
+							attributes: {},
 							code: "import { foo } from '../foo.js';\n\nexport const nested = 'nested' + foo;\n",
 							dynamicallyImportedIdResolutions: [],
 							dynamicallyImportedIds: [],
@@ -375,6 +383,7 @@ module.exports = {
 							implicitlyLoadedBefore: [],
 							importedIdResolutions: [
 								{
+									attributes: {},
 									external: false,
 									id: ID_FOO,
 									meta: {},
@@ -392,6 +401,7 @@ module.exports = {
 						},
 						[ID_PATH]: {
 							ast: null,
+							attributes: {},
 							code: null,
 							dynamicallyImportedIdResolutions: [],
 							dynamicallyImportedIds: [],
@@ -31,6 +31,7 @@ module.exports = {
 							meta: { testPlugin: 'first' }
 						});
 						assert.deepStrictEqual(moduleInfo, {
+							attributes: {},
 							code: "import './dep';\nassert.ok(true);\n",
 							dynamicImporters: [],
 							hasDefaultExport: false,
@@ -72,6 +73,7 @@ module.exports = {
 						meta: { testPlugin: 'second' }
 					});
 					assert.deepStrictEqual(moduleInfo, {
+						attributes: {},
 						code: 'assert.ok(true);\n',
 						dynamicImporters: [],
 						hasDefaultExport: false,
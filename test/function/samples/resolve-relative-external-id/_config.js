@@ -8,6 +8,7 @@ module.exports = {
 		plugins: {
 			async buildStart() {
 				assert.deepStrictEqual(await this.resolve('./external.js'), {
+					attributes: {},
 					external: true,
 					id: path.join(__dirname, 'external.js'),
 					meta: {},
@@ -17,6 +18,7 @@ module.exports = {
 				assert.deepStrictEqual(
 					await this.resolve('./external.js', path.join(__dirname, 'nested', 'some-file.js')),
 					{
+						attributes: {},
 						external: true,
 						id: path.join(__dirname, 'nested', 'external.js'),
 						meta: {},
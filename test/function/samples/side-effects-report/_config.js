@@ -0,0 +1,58 @@
+const assert = require('assert');
+const path = require('path');
+const ID_EFFECT = path.join(__dirname, 'effect.js');
+const ID_POLYFILL = path.join(__dirname, 'node_modules', 'polyfill', 'index.js');
+const effects = [];
+
+module.exports = {
+	description: 'lists modules that are only included because of their side effects',
+	context: { effects },
+	options: {
+		plugins: {
+			name: 'test-plugin',
+			resolveId(source) {
+				if (source === 'polyfill') return ID_POLYFILL;
+			},
+			load(id) {
+				if (id === ID_POLYFILL) return "effects.push('polyfill');";
+			},
+			buildStart() {
+				assert.throws(() => this.getSideEffectsReport(), {
+					code: 'PLUGIN_ERROR',
+					message: 'Cannot call getSideEffectsReport before the build has finished.',
+					pluginCode: 'INVALID_ROLLUP_PHASE'
+				});
+			},
+			buildEnd() {
+				assert.deepStrictEqual(this.getSideEffectsReport(), {
+					modules: [
+						{
+							column: 0,
+							frame: "1: export const unused = 1;\n2: \n3: effects.push('effect');\n   ^",
+							id: ID_EFFECT,
+							line: 3,
+							packageJson: null
+						},
+						{
+							column: 0,
+							frame: "1: effects.push('polyfill');\n   ^",
+							id: ID_POLYFILL,
+							line: 1,
+							packageJson: path.join(__dirname, 'node_modules', 'polyfill', 'package.json')
+						}
+					],
+					suggestion: {
+						moduleSideEffects: [ID_EFFECT],
+						packageJsonSideEffects: [
+							path.join(__dirname, 'node_modules', 'polyfill', 'package.json')
+						]
+					}
+				});
+			}
+		}
+	},
+	exports(exports) {
+		assert.deepStrictEqual(exports, [1, 2]);
+		assert.deepStrictEqual(effects, ['effect', 'used', 'polyfill', 'ns']);
+	}
+};
@@ -0,0 +1,3 @@
+export const unused = 1;
+
+effects.push('effect');
@@ -0,0 +1,6 @@
+import './effect.js';
+import { used } from './used.js';
+import 'polyfill';
+import * as ns from './ns.js';
+
+export default [used, ns.value];
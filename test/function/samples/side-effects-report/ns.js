@@ -0,0 +1,2 @@
+effects.push('ns');
+export const value = 2;
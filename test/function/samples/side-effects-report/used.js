@@ -0,0 +1,2 @@
+effects.push('used');
+export const used = 1;
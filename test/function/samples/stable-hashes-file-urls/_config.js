@@ -0,0 +1,54 @@
+const assert = require('assert');
+const path = require('path');
+
+let workerVersion = 0;
+let workerReferenceId;
+
+module.exports = {
+	description: 'includes chunks referenced via file URLs in stable hashes',
+	options: {
+		plugins: {
+			name: 'test-plugin',
+			buildStart() {
+				workerReferenceId = this.emitFile({ id: path.join(__dirname, 'worker.js'), type: 'chunk' });
+			},
+			transform(code, id) {
+				if (id.endsWith('main.js')) {
+					return code.replace('WORKER_URL', `import.meta.ROLLUP_FILE_URL_${workerReferenceId}`);
+				}
+			},
+			renderChunk(code, chunk) {
+				if (chunk.name === 'worker') {
+					return `${code}\n// version ${workerVersion}`;
+				}
+				return null;
+			}
+		}
+	},
+	async bundle(bundle) {
+		const generate = async () => {
+			workerVersion++;
+			const { output } = await bundle.generate({
+				chunkFileNames: '[name]-[hash].js',
+				entryFileNames: '[name]-[hash].js',
+				format: 'es',
+				importMap: { bareChunkImports: true },
+				stableHashes: true
+			});
+			const chunks = {};
+			for (const chunk of output) {
+				if (chunk.name) chunks[chunk.name] = chunk;
+			}
+			return chunks;
+		};
+
+		const { main, worker } = await generate();
+		assert.ok(main.code.includes(`'${worker.fileName}'`), main.code);
+
+		// the worker URL changes, so the file name of the referencing chunk changes as well
+		const { main: updatedMain, worker: updatedWorker } = await generate();
+		assert.notStrictEqual(updatedWorker.fileName, worker.fileName);
+		assert.ok(updatedMain.code.includes(`'${updatedWorker.fileName}'`), updatedMain.code);
+		assert.notStrictEqual(updatedMain.fileName, main.fileName);
+	}
+};
@@ -0,0 +1 @@
+export const getWorkerUrl = () => WORKER_URL;
@@ -0,0 +1,12 @@
+module.exports = {
+	description: 'throws when using stable hashes without importing chunks via the import map',
+	options: {
+		output: { format: 'es', importMap: true, stableHashes: true }
+	},
+	generateError: {
+		code: 'INVALID_OPTION',
+		message:
+			'Invalid value for option "output.stableHashes" - chunks need to import each other via the import map, so "output.importMap.bareChunkImports" needs to be true as well.',
+		url: 'https://rollupjs.org/guide/en/#outputstablehashes'
+	}
+};
@@ -0,0 +1,69 @@
+const assert = require('assert');
+
+let dependencyVersion = 0;
+
+module.exports = {
+	description: 'computes chunk hashes from the rendered code without including dependencies',
+	options: {
+		input: ['main', 'other'],
+		plugins: {
+			name: 'test-plugin',
+			renderChunk(code, chunk) {
+				if (chunk.name === 'dep') {
+					return `${code}\n// version ${dependencyVersion}`;
+				}
+				if (chunk.name === 'main') {
+					return `${code}\n// ${chunk.fileName}`;
+				}
+				return null;
+			}
+		}
+	},
+	async bundle(bundle) {
+		const generate = async stableHashes => {
+			dependencyVersion++;
+			const { output } = await bundle.generate({
+				chunkFileNames: '[name]-[hash].js',
+				entryFileNames: '[name]-[hash].js',
+				format: 'es',
+				importMap: { bareChunkImports: true },
+				stableHashes
+			});
+			const fileNames = {};
+			for (const { fileName, name } of output) {
+				if (name) fileNames[name] = fileName;
+			}
+			return { fileNames, output };
+		};
+
+		const { fileNames, output } = await generate(true);
+		assert.deepStrictEqual(output.map(({ fileName }) => fileName).sort(), [
+			fileNames.dep,
+			'importmap.json',
+			fileNames.main,
+			fileNames.other
+		]);
+		const main = output.find(({ fileName }) => fileName === fileNames.main);
+		assert.ok(/^main-[\da-f]{8}\.js$/.test(main.fileName), main.fileName);
+		assert.deepStrictEqual(main.imports, [fileNames.dep]);
+		// placeholders are replaced in the rendered code
+		assert.strictEqual(
+			main.code,
+			`import { v as value } from 'dep';\n\nvar main = value * 2;\n\nexport { main as default };\n// ${main.fileName}\n`
+		);
+		assert.deepStrictEqual(
+			JSON.parse(output.find(({ fileName }) => fileName === 'importmap.json').source).imports,
+			{
+				dep: `./${fileNames.dep}`,
+				main: `./${fileNames.main}`,
+				other: `./${fileNames.other}`
+			}
+		);
+
+		// a change to the dependency only changes its own hash
+		const { fileNames: updatedFileNames } = await generate(true);
+		assert.notStrictEqual(updatedFileNames.dep, fileNames.dep);
+		assert.strictEqual(updatedFileNames.main, fileNames.main);
+		assert.strictEqual(updatedFileNames.other, fileNames.other);
+	}
+};
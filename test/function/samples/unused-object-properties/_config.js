@@ -0,0 +1,3 @@
+module.exports = {
+	description: 'retains all object properties that may be accessed at runtime'
+};
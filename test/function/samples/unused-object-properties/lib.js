@@ -0,0 +1,17 @@
+function getHidden() {
+	return this.hidden;
+}
+
+export const viaThis = { getHidden, hidden: 'hidden' };
+export const viaMethod = {
+	getHidden() {
+		return this.hidden;
+	},
+	hidden: 'hidden'
+};
+export const viaArrow = {
+	getHidden: () => 'arrow',
+	hidden: 'hidden'
+};
+export const viaInherited = { a: 'a', b: 'b' };
+export const viaSpread = { a: 'a', b: 'b' };
@@ -0,0 +1,9 @@
+import * as ns from './namespace.js';
+import { viaArrow, viaInherited, viaMethod, viaSpread, viaThis } from './lib.js';
+
+assert.strictEqual(viaThis.getHidden(), 'hidden');
+assert.strictEqual(viaMethod.getHidden(), 'hidden');
+assert.strictEqual(viaArrow.getHidden(), 'arrow');
+assert.deepStrictEqual(Object.keys(ns[globalThis.unknown || 'viaNamespace']), ['a', 'b']);
+assert.strictEqual(viaInherited.hasOwnProperty('b'), true);
+assert.deepStrictEqual({ ...viaSpread }, { a: 'a', b: 'b' });
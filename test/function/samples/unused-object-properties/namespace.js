@@ -0,0 +1 @@
+export const viaNamespace = { a: 'a', b: 'b' };
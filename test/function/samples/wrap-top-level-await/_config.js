@@ -0,0 +1,15 @@
+const assert = require('assert');
+
+module.exports = {
+	description: 'awaits CommonJS chunks that are wrapped because of top-level await',
+	options: {
+		input: ['main.js', 'other.js'],
+		output: { manualChunks: { dep: ['dep.js'] }, wrapTopLevelAwait: true }
+	},
+	async exports(exports) {
+		assert.ok(exports instanceof Promise);
+		const { getOther, result } = await exports;
+		assert.strictEqual(result, 42);
+		assert.strictEqual((await getOther()).default, 'other');
+	}
+};
@@ -0,0 +1,4 @@
+import { value } from './dep.js';
+
+export const result = value * 2;
+export const getOther = () => import('./other.js');
@@ -1,5 +1,8 @@
 const assert = require('assert');
+const { readdirSync, readFileSync, utimesSync } = require('fs');
+const path = require('path');
 const acorn = require('acorn');
+const { outputFileSync, removeSync } = require('fs-extra');
 const rollup = require('../../dist/rollup');
 const { executeBundle, getObject } = require('../utils.js');
 
@@ -266,6 +269,7 @@ describe('incremental', () => {
 
 				assert.deepEqual(bundle.cache.modules[1].resolvedIds, {
 					foo: {
+						attributes: {},
 						id: 'foo',
 						external: false,
 						meta: {},
@@ -273,6 +277,7 @@ describe('incremental', () => {
 						syntheticNamedExports: false
 					},
 					external: {
+						attributes: {},
 						id: 'external',
 						external: true,
 						meta: {},
@@ -360,6 +365,7 @@ describe('incremental', () => {
 						assert.deepStrictEqual(resolvedSources, {
 							__proto__: null,
 							bar: {
+								attributes: {},
 								external: false,
 								id: 'bar',
 								meta: {},
@@ -378,6 +384,7 @@ describe('incremental', () => {
 						assert.deepStrictEqual(resolvedSources, {
 							__proto__: null,
 							foo: {
+								attributes: {},
 								external: false,
 								id: 'foo',
 								meta: {},
@@ -425,4 +432,188 @@ describe('incremental', () => {
 		assert.strictEqual(cachedModules[2].id, 'bar');
 		assert.deepStrictEqual(cachedModules[2].meta, { transform: { calls: 2, id: 'bar' } });
 	});
+
+	describe('persistent cache', () => {
+		const CACHE_DIR = path.join(__dirname, '../_tmp/persistent-cache');
+
+		beforeEach(() => removeSync(CACHE_DIR));
+		after(() => removeSync(CACHE_DIR));
+
+		it('reuses transformed modules and plugin caches from a cache directory', async () => {
+			const cachePlugin = {
+				name: 'cache-plugin',
+				buildStart() {
+					if (!this.cache.has('builds')) this.cache.set('builds', 0);
+					this.cache.set('builds', this.cache.get('builds') + 1);
+				}
+			};
+			const firstBundle = await rollup.rollup({
+				input: 'entry',
+				plugins: [plugin, cachePlugin],
+				cache: { dir: CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 2);
+			assert.strictEqual(firstBundle.cache.dir, CACHE_DIR);
+			assert.strictEqual(readdirSync(path.join(CACHE_DIR, 'modules')).length, 2);
+
+			modules.entry = `import foo from 'foo'; export default foo + /x/.source.length + 1n;`;
+			await rollup.rollup({
+				input: 'entry',
+				plugins: [plugin, cachePlugin],
+				cache: { dir: CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 3);
+			// the entry for the previous version of "entry" is kept until it expires
+			assert.strictEqual(readdirSync(path.join(CACHE_DIR, 'modules')).length, 3);
+
+			const bundle = await rollup.rollup({
+				input: 'entry',
+				plugins: [
+					plugin,
+					{
+						...cachePlugin,
+						buildEnd() {
+							assert.strictEqual(this.cache.get('builds'), 3);
+						}
+					}
+				],
+				cache: { dir: CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 3);
+			const { output } = await bundle.generate({ format: 'es' });
+			assert.ok(output[0].code.includes('/x/.source.length + 1n'), output[0].code);
+		});
+
+		it('persists modules that were reused from the in-memory cache', async () => {
+			const OTHER_CACHE_DIR = path.join(__dirname, '../_tmp/persistent-cache-other');
+			removeSync(OTHER_CACHE_DIR);
+			const firstBundle = await rollup.rollup({
+				input: 'entry',
+				plugins: [plugin],
+				cache: { dir: CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 2);
+			await rollup.rollup({
+				input: 'entry',
+				plugins: [plugin],
+				cache: { ...firstBundle.cache, dir: OTHER_CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 2);
+			assert.deepStrictEqual(
+				readdirSync(path.join(OTHER_CACHE_DIR, 'modules')).sort(),
+				readdirSync(path.join(CACHE_DIR, 'modules')).sort()
+			);
+			removeSync(OTHER_CACHE_DIR);
+		});
+
+		it('invalidates the cache directory when the plugins change', async () => {
+			await rollup.rollup({
+				input: 'entry',
+				plugins: [plugin],
+				cache: { dir: CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 2);
+
+			await rollup.rollup({
+				input: 'entry',
+				plugins: [plugin, { name: 'other-plugin' }],
+				cache: { dir: CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 4);
+
+			await rollup.rollup({
+				input: 'entry',
+				plugins: [plugin, { name: 'other-plugin' }],
+				cache: { dir: CACHE_DIR }
+			});
+			assert.strictEqual(transformCalls, 4);
+		});
+
+		it('removes module entries that were not used for a week', async () => {
+			await rollup.rollup({ input: 'entry', plugins: [plugin], cache: { dir: CACHE_DIR } });
+			const modulesDir = path.join(CACHE_DIR, 'modules');
+			const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+			for (const fileName of readdirSync(modulesDir)) {
+				utimesSync(path.join(modulesDir, fileName), eightDaysAgo, eightDaysAgo);
+			}
+			modules.foo = 'export default 43';
+			await rollup.rollup({ input: 'entry', plugins: [plugin], cache: { dir: CACHE_DIR } });
+			assert.strictEqual(transformCalls, 3);
+			// the reused entry of "entry" is kept while the previous entry of "foo" is removed
+			assert.strictEqual(readdirSync(modulesDir).length, 2);
+			await rollup.rollup({ input: 'entry', plugins: [plugin], cache: { dir: CACHE_DIR } });
+			assert.strictEqual(transformCalls, 3);
+		});
+
+		it('keeps the entries of other builds sharing the cache directory', async () => {
+			await rollup.rollup({ input: 'entry', plugins: [plugin], cache: { dir: CACHE_DIR } });
+			await rollup.rollup({ input: 'bar', plugins: [plugin], cache: { dir: CACHE_DIR } });
+			assert.strictEqual(transformCalls, 3);
+			await rollup.rollup({ input: 'entry', plugins: [plugin], cache: { dir: CACHE_DIR } });
+			await rollup.rollup({ input: 'bar', plugins: [plugin], cache: { dir: CACHE_DIR } });
+			assert.strictEqual(transformCalls, 3);
+		});
+
+		it('does not reuse modules whose transform dependencies changed', async () => {
+			const TEMPLATE_FILE = path.join(__dirname, '../_tmp/persistent-cache-template.txt');
+			outputFileSync(TEMPLATE_FILE, 'first');
+			const templatePlugin = {
+				name: 'template-plugin',
+				transform(code, id) {
+					if (id !== 'entry') return null;
+					this.addWatchFile(TEMPLATE_FILE);
+					return `${code}\nexport const template = ${JSON.stringify(
+						readFileSync(TEMPLATE_FILE, 'utf8')
+					)};`;
+				}
+			};
+			const build = async () =>
+				executeBundle(
+					await rollup.rollup({
+						input: 'entry',
+						plugins: [plugin, templatePlugin],
+						cache: { dir: CACHE_DIR }
+					})
+				);
+			assert.strictEqual((await build()).template, 'first');
+			assert.strictEqual((await build()).template, 'first');
+			assert.strictEqual(transformCalls, 2);
+
+			outputFileSync(TEMPLATE_FILE, 'second');
+			assert.strictEqual((await build()).template, 'second');
+			assert.strictEqual(transformCalls, 3);
+			removeSync(TEMPLATE_FILE);
+		});
+
+		it('does not reuse modules using import.meta.glob as the directories may change', async () => {
+			const INPUT_DIR = path.join(__dirname, '../_tmp/glob-input');
+			removeSync(INPUT_DIR);
+			outputFileSync(
+				path.join(INPUT_DIR, 'main.js'),
+				"export default Object.keys(import.meta.glob('./pages/*.js', { eager: true }));"
+			);
+			outputFileSync(path.join(INPUT_DIR, 'pages/a.js'), 'export default 1;');
+			const build = async () => {
+				const bundle = await rollup.rollup({
+					input: path.join(INPUT_DIR, 'main.js'),
+					cache: { dir: CACHE_DIR }
+				});
+				return executeBundle(bundle);
+			};
+			assert.deepStrictEqual(await build(), ['./pages/a.js']);
+			// only the module without glob imports is persisted
+			assert.strictEqual(readdirSync(path.join(CACHE_DIR, 'modules')).length, 1);
+
+			outputFileSync(path.join(INPUT_DIR, 'pages/b.js'), 'export default 2;');
+			assert.deepStrictEqual(await build(), ['./pages/a.js', './pages/b.js']);
+			removeSync(INPUT_DIR);
+		});
+
+		it('throws for invalid cache directories', async () => {
+			await assert.rejects(rollup.rollup({ input: 'entry', cache: { dir: 42 } }), {
+				code: 'INVALID_OPTION',
+				message: 'Invalid value 42 for option "cache.dir" - the cache directory must be a string.'
+			});
+		});
+	});
 });
@@ -1,6 +1,6 @@
 exports.input =
-	'acorn, acornInjectPlugins, cache, context, experimentalCacheExpiry, external, inlineDynamicImports, input, makeAbsoluteExternalsRelative, manualChunks, maxParallelFileOps, maxParallelFileReads, moduleContext, onwarn, perf, plugins, preserveEntrySignatures, preserveModules, preserveSymlinks, shimMissingExports, strictDeprecations, treeshake, watch';
+	'acorn, acornInjectPlugins, assetUrls, cache, context, css, define, experimentalCacheExpiry, external, federation, html, inlineDynamicImports, input, json, makeAbsoluteExternalsRelative, manualChunks, maxParallelFileOps, maxParallelFileReads, moduleContext, onwarn, perf, plugins, preserveEntrySignatures, preserveModules, preserveSymlinks, shimMissingExports, strictDeprecations, treeshake, watch, workers';
 exports.flags =
-	'acorn, acornInjectPlugins, amd, assetFileNames, banner, c, cache, chunkFileNames, compact, config, configPlugin, context, d, dir, dynamicImportFunction, e, entryFileNames, environment, esModule, experimentalCacheExpiry, exports, extend, external, externalLiveBindings, f, failAfterWarnings, file, footer, format, freeze, g, generatedCode, globals, h, hoistTransitiveImports, i, indent, inlineDynamicImports, input, interop, intro, m, makeAbsoluteExternalsRelative, manualChunks, maxParallelFileOps, maxParallelFileReads, minifyInternalExports, moduleContext, n, name, namespaceToStringTag, noConflict, o, onwarn, outro, p, paths, perf, plugin, plugins, preferConst, preserveEntrySignatures, preserveModules, preserveModulesRoot, preserveSymlinks, sanitizeFileName, shimMissingExports, silent, sourcemap, sourcemapBaseUrl, sourcemapExcludeSources, sourcemapFile, stdin, strict, strictDeprecations, systemNullSetters, treeshake, v, validate, w, waitForBundleInput, watch';
+	'acorn, acornInjectPlugins, amd, analyze, assetFileNames, assetUrls, banner, c, cache, chunkFileNames, chunkSizeLimit, compact, config, configPlugin, context, css, d, define, dir, dynamicImportFunction, e, entryFileNames, environment, esModule, experimentalCacheExpiry, explain, exports, extend, external, externalImportAttributes, externalLiveBindings, f, failAfterWarnings, federation, file, footer, format, freeze, g, generatedCode, globals, h, hoistTransitiveImports, html, i, importMap, indent, inlineDynamicImports, input, interop, intro, json, m, makeAbsoluteExternalsRelative, manifest, manualChunks, maxParallelFileOps, maxParallelFileReads, minChunkSize, minify, minifyInternalExports, moduleContext, n, name, namespaceToStringTag, noConflict, o, onwarn, outro, p, packageJson, paths, perf, plugin, plugins, preferConst, preserveEntrySignatures, preserveModules, preserveModulesRoot, preserveSymlinks, report-side-effects, sanitizeFileName, serve, shimMissingExports, silent, sourcemap, sourcemapBaseUrl, sourcemapExcludeSources, sourcemapFile, stableHashes, stdin, strict, strictDeprecations, systemNullSetters, treeshake, v, validate, w, waitForBundleInput, watch, workers, wrapTopLevelAwait';
 exports.output =
-	'amd, assetFileNames, banner, chunkFileNames, compact, dir, dynamicImportFunction, entryFileNames, esModule, exports, extend, externalLiveBindings, file, footer, format, freeze, generatedCode, globals, hoistTransitiveImports, indent, inlineDynamicImports, interop, intro, manualChunks, minifyInternalExports, name, namespaceToStringTag, noConflict, outro, paths, plugins, preferConst, preserveModules, preserveModulesRoot, sanitizeFileName, sourcemap, sourcemapBaseUrl, sourcemapExcludeSources, sourcemapFile, sourcemapPathTransform, strict, systemNullSetters, validate';
+	'amd, analyze, assetFileNames, banner, chunkFileNames, chunkSizeLimit, compact, dir, dynamicImportFunction, entryFileNames, esModule, exports, extend, externalImportAttributes, externalLiveBindings, file, footer, format, freeze, generatedCode, globals, hoistTransitiveImports, importMap, indent, inlineDynamicImports, interop, intro, manifest, manualChunks, minChunkSize, minify, minifyInternalExports, name, namespaceToStringTag, noConflict, outro, packageJson, paths, plugins, preferConst, preserveModules, preserveModulesRoot, sanitizeFileName, sourcemap, sourcemapBaseUrl, sourcemapExcludeSources, sourcemapFile, sourcemapPathTransform, stableHashes, strict, systemNullSetters, validate, wrapTopLevelAwait';
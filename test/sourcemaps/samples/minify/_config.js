@@ -0,0 +1,23 @@
+const assert = require('assert');
+const { SourceMapConsumer } = require('source-map');
+const getLocation = require('../../getLocation');
+
+module.exports = {
+	description: 'maps mangled names and minified code to the original code',
+	options: {
+		output: { minify: true, name: 'myModule' }
+	},
+	async test(code, map) {
+		const smc = await new SourceMapConsumer(map);
+
+		const match = /return (\w+)\*(\w+)/.exec(code);
+		let original = smc.originalPositionFor(getLocation(code, match.index + 'return '.length));
+		assert.strictEqual(original.name, 'factor');
+		assert.strictEqual(original.line, 2);
+		assert.strictEqual(original.column, 8);
+
+		original = smc.originalPositionFor(getLocation(code, code.indexOf('console')));
+		assert.strictEqual(original.line, 5);
+		assert.strictEqual(original.column, 0);
+	}
+};
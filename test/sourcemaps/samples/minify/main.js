@@ -0,0 +1,5 @@
+function scale(factor, value) {
+	return factor * value;
+}
+
+console.log(scale(2, 3));
@@ -9,6 +9,7 @@ const {
 	writeFileSync,
 	writeSync
 } = require('fs');
+const { get } = require('http');
 const { basename, join } = require('path');
 const { platform, version } = require('process');
 const fixturify = require('fixturify');
@@ -290,3 +291,16 @@ function writeAndRetry(filePath, contents) {
 }
 
 exports.writeAndRetry = writeAndRetry;
+
+exports.fetchFromServer = function fetchFromServer(url) {
+	return new Promise((resolve, reject) =>
+		get(url, response => {
+			let body = '';
+			response.setEncoding('utf8');
+			response.on('data', data => (body += data));
+			response.on('end', () =>
+				resolve({ body, headers: response.headers, statusCode: response.statusCode })
+			);
+		}).on('error', reject)
+	);
+};
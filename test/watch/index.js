@@ -7,11 +7,12 @@ const {
 	unlinkSync,
 	writeFileSync
 } = require('fs');
+const { get } = require('http');
 const { resolve } = require('path');
 const { chdir, cwd, hrtime } = require('process');
 const { copy, removeSync } = require('fs-extra');
 const rollup = require('../../dist/rollup');
-const { atomicWriteFileSync, wait } = require('../utils');
+const { atomicWriteFileSync, fetchFromServer, wait } = require('../utils');
 
 describe('rollup.watch', () => {
 	let watcher;
@@ -1199,6 +1200,203 @@ describe('rollup.watch', () => {
 		]);
 	});
 
+	it('picks up files added to directories searched by import.meta.glob', async () => {
+		await fs.mkdir('test/_tmp/input/pages', { recursive: true });
+		atomicWriteFileSync(
+			'test/_tmp/input/main.js',
+			"export default Object.keys(import.meta.glob('./pages/*.js', { eager: true }));"
+		);
+		atomicWriteFileSync('test/_tmp/input/pages/a.js', 'export default 1;');
+		watcher = rollup.watch({
+			input: 'test/_tmp/input/main.js',
+			output: {
+				file: 'test/_tmp/output/bundle.js',
+				format: 'cjs',
+				exports: 'auto'
+			}
+		});
+		return sequence(watcher, [
+			'START',
+			'BUNDLE_START',
+			'BUNDLE_END',
+			'END',
+			() => {
+				assert.deepStrictEqual(run('../_tmp/output/bundle.js'), ['./pages/a.js']);
+				atomicWriteFileSync('test/_tmp/input/pages/b.js', 'export default 2;');
+			},
+			'START',
+			'BUNDLE_START',
+			'BUNDLE_END',
+			'END',
+			() => {
+				assert.deepStrictEqual(run('../_tmp/output/bundle.js'), ['./pages/a.js', './pages/b.js']);
+			}
+		]);
+	});
+
+	describe('hmr', () => {
+		function connect(port, payloads) {
+			return new Promise((fulfil, reject) =>
+				get(`http://localhost:${port}/events`, response => {
+					response.setEncoding('utf8');
+					response.on('data', data => {
+						for (const [, payload] of data.matchAll(/^data: (.*)$/gm)) {
+							payloads.push(JSON.parse(payload));
+						}
+					});
+					fulfil();
+				}).on('error', reject)
+			);
+		}
+
+		beforeEach(async () => {
+			await fs.mkdir('test/_tmp/input', { recursive: true });
+			atomicWriteFileSync(
+				'test/_tmp/input/main.js',
+				"import { value } from './dep.js';\nimport { text } from './counter.js';\nconsole.log(value, text);"
+			);
+			atomicWriteFileSync('test/_tmp/input/dep.js', 'export const value = 1;');
+			atomicWriteFileSync(
+				'test/_tmp/input/counter.js',
+				"import { label } from './label.js';\nexport const text = label;\nif (import.meta.hot) import.meta.hot.accept();"
+			);
+			atomicWriteFileSync('test/_tmp/input/label.js', "export const label = 'a';");
+		});
+
+		it('sends updates up to the closest self-accepting module', async () => {
+			const payloads = [];
+			watcher = rollup.watch({
+				input: 'test/_tmp/input/main.js',
+				output: { dir: 'test/_tmp/output', format: 'es', preserveModules: true },
+				watch: { hmr: { port: 24681 } }
+			});
+			return sequence(watcher, [
+				'START',
+				'BUNDLE_START',
+				'BUNDLE_END',
+				'END',
+				async () => {
+					assert.ok(
+						readFileSync('test/_tmp/output/counter.js', 'utf8').includes(
+							'createHotContext("test/_tmp/input/counter.js", import.meta.url)'
+						)
+					);
+					await connect(24681, payloads);
+					atomicWriteFileSync('test/_tmp/input/label.js', "export const label = 'b';");
+				},
+				'START',
+				'BUNDLE_START',
+				'BUNDLE_END',
+				'END',
+				async () => {
+					await wait(100);
+					assert.deepStrictEqual(payloads, [
+						{
+							boundaries: [{ fileName: 'counter.js', id: 'test/_tmp/input/counter.js' }],
+							id: 1,
+							modules: ['test/_tmp/input/label.js', 'test/_tmp/input/counter.js'],
+							type: 'update'
+						}
+					]);
+					const root = encodeURIComponent('http://app.test/assets/');
+					const { body, statusCode } = await fetchFromServer(
+						`http://localhost:24681/1/${root}/counter.js`
+					);
+					assert.strictEqual(statusCode, 200);
+					assert.ok(body.includes('"http://app.test/assets/_virtual/hmr-runtime.js"'), body);
+					assert.ok(body.includes("from './label.js'"), body);
+					assert.strictEqual(
+						(await fetchFromServer(`http://localhost:24681/1/${root}/main.js`)).statusCode,
+						404
+					);
+					atomicWriteFileSync('test/_tmp/input/dep.js', 'export const value = 2;');
+				},
+				'START',
+				'BUNDLE_START',
+				'BUNDLE_END',
+				'END',
+				async () => {
+					await wait(100);
+					assert.deepStrictEqual(payloads[1], { type: 'full-reload' });
+				}
+			]);
+		});
+
+		it('responds with errors to invalid requests and updates', async () => {
+			const payloads = [];
+			watcher = rollup.watch({
+				input: 'test/_tmp/input/main.js',
+				output: { dir: 'test/_tmp/output', format: 'es', preserveModules: true },
+				plugins: [
+					{
+						renderChunk(code, { fileName }) {
+							// acorn cannot parse this update
+							return fileName === 'counter.js' && code.includes("'c'") ? `${code}\n@` : null;
+						}
+					}
+				],
+				watch: { hmr: { port: 24682 } }
+			});
+			return sequence(watcher, [
+				'START',
+				'BUNDLE_START',
+				'BUNDLE_END',
+				'END',
+				async () => {
+					await connect(24682, payloads);
+					atomicWriteFileSync('test/_tmp/input/label.js', "export const label = 'b';");
+				},
+				'START',
+				'BUNDLE_START',
+				'BUNDLE_END',
+				'END',
+				async () => {
+					await wait(100);
+					assert.strictEqual(
+						(await fetchFromServer('http://localhost:24682/1/%E0%A4%A/counter.js')).statusCode,
+						400
+					);
+					assert.strictEqual(
+						(await fetchFromServer('http://localhost:24682/1/relative/counter.js')).statusCode,
+						400
+					);
+					atomicWriteFileSync(
+						'test/_tmp/input/counter.js',
+						"export const text = 'c';\nif (import.meta.hot) import.meta.hot.accept();"
+					);
+				},
+				'START',
+				'BUNDLE_START',
+				'BUNDLE_END',
+				'END',
+				async () => {
+					await wait(100);
+					const root = encodeURIComponent('http://app.test/assets/');
+					assert.strictEqual(
+						(await fetchFromServer(`http://localhost:24682/2/${root}/counter.js`)).statusCode,
+						500
+					);
+				}
+			]);
+		});
+
+		it('requires an es output with preserved modules', () => {
+			assert.throws(
+				() =>
+					rollup.watch({
+						input: 'test/_tmp/input/main.js',
+						output: { dir: 'test/_tmp/output', format: 'cjs', preserveModules: true },
+						watch: { hmr: true }
+					}),
+				{
+					code: 'INVALID_OPTION',
+					message:
+						'Invalid value for option "watch.hmr" - hot module replacement needs an output with "output.format" set to "es" and "output.preserveModules" enabled.'
+				}
+			);
+		});
+	});
+
 	it('skips filesystem writes when configured', async () => {
 		let watchChangeCnt = 0;
 		await copy('test/watch/samples/skip-writes', 'test/_tmp/input');
@@ -99,3 +99,9 @@ declare module 'is-reference' {
 				value: Node;
 		  };
 }
+
+declare module 'acorn-import-attributes' {
+	import type { Parser } from 'acorn';
+
+	export const importAttributesOrAssertions: (BaseParser: typeof Parser) => typeof Parser;
+}